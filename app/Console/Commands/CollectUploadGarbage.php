@@ -0,0 +1,91 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\UploadGarbageCollector;
+use App\Services\UploadLimits;
+use Illuminate\Console\Command;
+
+/**
+ * Cleans up abandoned upload sessions and the files they and failed
+ * processing leave behind. Scheduled hourly in routes/console.php.
+ *
+ * See UploadGarbageCollector for what counts as stale. With -v every item
+ * is listed; the summary says how much disk space was (or would be)
+ * reclaimed.
+ */
+
+class CollectUploadGarbage extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * Usage:
+     * php artisan uploads:gc
+     * php artisan uploads:gc --dry-run -v   // list what would be cleaned up
+     * php artisan uploads:gc --ttl=60       // anything untouched for an hour is stale
+     *
+     * @var string
+     */
+    protected $signature = 'uploads:gc
+                            {--ttl= : Minutes since the last change before anything counts as stale (default: uploads.gc.ttl)}
+                            {--dry-run : Report what would be cleaned up without changing anything}';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Expire abandoned upload sessions and delete stale chunks and orphaned image files';
+
+    /**
+     * What each kind of item is called in the summary.
+     *
+     * @var array<string, string>
+     */
+    protected const LABELS = [
+        'expired_sessions' => 'Expired upload sessions',
+        'stuck_uploads' => 'Uploads stuck assembling or scanning',
+        'chunk_directories' => 'Chunk directories',
+        'assembled_files' => 'Leftover assembled files',
+        'uploaded_files' => 'Uploaded files nothing will process',
+        'orphaned_files' => 'Image files without a record',
+        'missing_files' => 'Image records without a file',
+    ];
+
+    /**
+     * Execute the console command.
+     *
+     * @param UploadGarbageCollector $collector
+     * @return int
+     */
+    public function handle(UploadGarbageCollector $collector)
+    {
+        $ttl = $this->option('ttl') ?? config('uploads.gc.ttl', 24 * 60);
+        if (!is_numeric($ttl) || (int) $ttl < 0) {
+            $this->error('--ttl must be a number of minutes.');
+            return self::FAILURE;
+        }
+
+        $dryRun = (bool) $this->option('dry-run');
+
+        $report = $collector->collect((int) $ttl, $dryRun, function ($kind, $description, $bytes) {
+            $this->line(
+                '  ' . self::LABELS[$kind] . ": {$description}" . ($bytes ? ' (' . UploadLimits::humanSize($bytes) . ')' : ''),
+                null,
+                'v'
+            );
+        });
+
+        $this->table(['', 'Found', 'Disk space'], collect($report)->map(fn ($found, $kind) => [
+            self::LABELS[$kind],
+            $found['count'],
+            $found['bytes'] ? UploadLimits::humanSize($found['bytes']) : '-',
+        ])->values()->all());
+
+        $reclaimed = UploadLimits::humanSize(array_sum(array_column($report, 'bytes')));
+        $this->info($dryRun ? "Dry run: {$reclaimed} would be reclaimed." : "Reclaimed {$reclaimed}.");
+
+        return self::SUCCESS;
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Jobs\RegenerateImageVariants;
+use App\Models\Image;
+use App\Models\Upload;
+use App\Services\ImageVariants;
+use Illuminate\Console\Command;
+use Illuminate\Support\Carbon;
+
+/**
+ * Re-queues variant generation for processed uploads after the variant
+ * profiles in config/uploads.php changed.
+ *
+ * Every matching upload with a stored original gets a RegenerateImageVariants
+ * job. The jobs update the existing variant records, so running the command
+ * again (or after an interrupted run) is safe.
+ */
+
+class RegenerateVariants extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * Usage:
+     * php artisan images:regenerate-variants
+     * php artisan images:regenerate-variants --missing           // only create variants uploads lack
+     * php artisan images:regenerate-variants --sku=A1 --sku=B2   // only images of these products
+     * php artisan images:regenerate-variants --since=2025-10-01 --dry-run
+     *
+     * @var string
+     */
+    protected $signature = 'images:regenerate-variants
+                            {--sku=* : Only images linked to these product SKUs}
+                            {--since= : Only uploads created on or after this date}
+                            {--before= : Only uploads created before this date}
+                            {--missing : Only create the variants an upload doesn\'t have yet}
+                            {--dry-run : List what would be regenerated without queuing anything}';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Queue regeneration of image variants to match the current variant profiles';
+
+    /**
+     * Execute the console command.
+     *
+     * @param ImageVariants $variants
+     * @return int
+     */
+    public function handle(ImageVariants $variants)
+    {
+        try {
+            $since = $this->option('since') ? Carbon::parse($this->option('since')) : null;
+            $before = $this->option('before') ? Carbon::parse($this->option('before')) : null;
+            // Fail on a broken profile before queuing jobs that would all fail on it
+            $variants->profiles();
+        } catch (\Exception $e) {
+            $this->error($e->getMessage());
+            return self::FAILURE;
+        }
+
+        $skus = $this->option('sku');
+        $onlyMissing = (bool) $this->option('missing');
+        $dryRun = (bool) $this->option('dry-run');
+
+        $uploads = Upload::query()
+            ->whereHas('images', fn ($query) => $query->where('variant', Image::VARIANT_ORIGINAL))
+            ->when($skus, fn ($query) => $query->whereHas('images.products', fn ($query) => $query->whereIn('sku', $skus)))
+            ->when($since, fn ($query) => $query->where('created_at', '>=', $since))
+            ->when($before, fn ($query) => $query->where('created_at', '<', $before))
+            ->with('images');
+
+        $total = $uploads->count();
+        if ($total === 0) {
+            $this->info('No uploads match.');
+            return self::SUCCESS;
+        }
+
+        $queued = 0;
+        $upToDate = 0;
+        $rows = [];
+        $bar = $this->output->createProgressBar($total);
+
+        $uploads->chunkById(100, function ($chunk) use ($variants, $onlyMissing, $dryRun, $bar, &$queued, &$upToDate, &$rows) {
+            foreach ($chunk as $upload) {
+                $bar->advance();
+
+                $missing = $variants->missing($upload);
+                if ($onlyMissing && !$missing) {
+                    $upToDate++;
+                    continue;
+                }
+
+                $queued++;
+                if ($dryRun) {
+                    $rows[] = [
+                        $upload->upload_id,
+                        $upload->original_filename,
+                        collect($missing)->map(fn ($formats, $variant) => "{$variant} (" . implode(', ', $formats) . ')')->implode('; ') ?: '-',
+                        $onlyMissing ? '-' : $variants->stale($upload)->count(),
+                    ];
+                    continue;
+                }
+
+                RegenerateImageVariants::dispatch($upload->id, $onlyMissing);
+            }
+        });
+
+        $bar->finish();
+        $this->newLine(2);
+
+        if ($dryRun) {
+            if ($rows) {
+                $this->table(['Upload', 'File', 'Missing variants', 'Stale images'], $rows);
+            }
+            $this->info("Dry run: {$queued} upload(s) would be regenerated, {$upToDate} already up to date.");
+            return self::SUCCESS;
+        }
+
+        $this->info("Queued {$queued} upload(s) for variant regeneration, {$upToDate} already up to date.");
+
+        return self::SUCCESS;
+    }
+}
@@ -0,0 +1,86 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Jobs\RevertProductImport;
+use App\Models\Import;
+use App\Models\ImportIssue;
+use Illuminate\Console\Command;
+
+/**
+ * Reverts a finished product import from the command line.
+ *
+ * Runs the same revert as the "Revert this import" button on the import
+ * history page, but right away instead of on the queue.
+ */
+
+class RevertImport extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * Usage:
+     * php artisan imports:revert 42
+     * php artisan imports:revert 42 --force  // don't ask for confirmation
+     *
+     * @var string
+     */
+    protected $signature = 'imports:revert
+                            {import : ID of the import to revert}
+                            {--force : Revert without asking for confirmation}';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Restore the products a product import updated and delete the ones it created';
+
+    /**
+     * Execute the console command.
+     *
+     * @return int
+     */
+    public function handle()
+    {
+        $import = Import::find($this->argument('import'));
+        if (!$import) {
+            $this->error("Import #{$this->argument('import')} not found.");
+            return self::FAILURE;
+        }
+
+        if (!$import->canRevert()) {
+            $this->error("Import #{$import->id} can't be reverted (status: {$import->status}).");
+            return self::FAILURE;
+        }
+
+        $count = $import->snapshots()->count();
+        if (!$this->option('force') && !$this->confirm("Revert import #{$import->id} ({$import->original_filename}), touching {$count} product(s)?")) {
+            return self::SUCCESS;
+        }
+
+        $previousStatus = $import->status;
+        if (!$import->claimForRevert()) {
+            $this->error("Import #{$import->id} is already being reverted.");
+            return self::FAILURE;
+        }
+
+        RevertProductImport::dispatchSync($import->id, $previousStatus);
+
+        $summary = $import->fresh()->revert_summary;
+        $this->info("Import #{$import->id} reverted: {$summary['restored']} restored, {$summary['deleted']} deleted, {$summary['skipped']} left alone.");
+
+        if ($summary['skipped'] > 0) {
+            $this->table(
+                ['Line', 'SKU', 'Reason'],
+                $import->issues()
+                    ->where('type', ImportIssue::TYPE_NOT_REVERTED)
+                    ->orderBy('line')
+                    ->get(['line', 'sku', 'reason'])
+                    ->toArray()
+            );
+        }
+
+        return self::SUCCESS;
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+
+namespace App\Events;
+
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+use Illuminate\Foundation\Events\Dispatchable;
+
+/**
+ * Broadcast whenever an upload moves to a new processing step.
+ *
+ * Sent on the private "uploads.{uuid}" channel so the uploader can follow
+ * assembly, variant generation, the entries of an image archive and the
+ * final result without polling. It is broadcast immediately rather than
+ * queued, since it is usually fired from inside a job and must arrive in
+ * order.
+ */
+
+class UploadStatusUpdated implements ShouldBroadcastNow
+{
+    use Dispatchable, InteractsWithSockets;
+
+    /**
+     * Create a new event instance.
+     *
+     * @param string $uploadId UUID of the upload
+     * @param string $status Upload status (one of the Upload::STATUS_* constants)
+     * @param string|null $variant Image variant being generated, if any
+     * @param string|null $message Error message for failed uploads
+     * @param array|null $entry Archive entry just handled, with the archive's progress (see ExtractImageArchive)
+     */
+    public function __construct(
+        public string $uploadId,
+        public string $status,
+        public ?string $variant = null,
+        public ?string $message = null,
+        public ?array $entry = null
+    ) {}
+
+    /**
+     * Get the channels the event should broadcast on.
+     *
+     * @return array<int, \Illuminate\Broadcasting\Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [new PrivateChannel("uploads.{$this->uploadId}")];
+    }
+
+    /**
+     * The event's broadcast name.
+     *
+     * @return string
+     */
+    public function broadcastAs(): string
+    {
+        return 'upload.status';
+    }
+
+    /**
+     * Get the data to broadcast.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return [
+            'upload_id' => $this->uploadId,
+            'status' => $this->status,
+            'variant' => $this->variant,
+            'message' => $this->message,
+            'entry' => $this->entry,
+        ];
+    }
+}
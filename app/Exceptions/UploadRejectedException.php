@@ -0,0 +1,17 @@
+<?php
+
+namespace App\Exceptions;
+
+use Exception;
+
+/**
+ * Thrown when an uploaded file is refused for what it contains, e.g. an
+ * image that isn't what its name says or declares too many pixels.
+ *
+ * Unlike a failure, retrying a rejected upload can't succeed, so the
+ * upload is marked "rejected" and the message is shown to the uploader.
+ */
+
+class UploadRejectedException extends Exception
+{
+}
@@ -0,0 +1,17 @@
+<?php
+
+namespace App\Exceptions;
+
+use Exception;
+
+/**
+ * Thrown when a virus scanner can't give a verdict on a file, e.g. because
+ * clamd can't be reached, times out or reports an error.
+ *
+ * The file is neither clean nor infected, so its upload fails and can be
+ * completed again once the scanner is back.
+ */
+
+class VirusScanFailedException extends Exception
+{
+}
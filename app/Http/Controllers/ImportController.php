@@ -0,0 +1,253 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Jobs\ApplyImportChanges;
+use App\Jobs\RevertProductImport;
+use App\Models\Import;
+use App\Models\ImportChange;
+use App\Models\ImportIssue;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+/**
+ * Shows the progress and results of product imports.
+ *
+ * The import page polls the status endpoint while the job runs, then offers
+ * the skipped rows as CSV downloads. Dry runs list their planned changes
+ * for review and are applied from here, and finished imports can be
+ * reverted from the import history.
+ *
+ * An import belongs to the user who started it; only they and admins may
+ * see or act on it (see ImportPolicy).
+ */
+
+class ImportController extends Controller
+{
+    /**
+     * Display the import history, newest first: the user's own imports, or
+     * everyone's for admins.
+     *
+     * @param  Request  $request
+     * @return \Inertia\Response
+     */
+    public function index(Request $request)
+    {
+        $imports = Import::latest('id')
+            ->unless($request->user()->isAdmin(), fn ($query) => $query->where('user_id', $request->user()->id))
+            ->paginate(20);
+
+        return Inertia::render('Imports/Index', [
+            'imports' => $imports->through(fn (Import $import) => $import->summary()),
+        ]);
+    }
+
+    /**
+     * Display the progress / results page of an import.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @return \Inertia\Response
+     */
+    public function show(Request $request, Import $import)
+    {
+        abort_if($request->user()->cannot('view', $import), 403);
+
+        return Inertia::render('Imports/Show', [
+            'import' => $import->summary(),
+        ]);
+    }
+
+    /**
+     * Get the current status and row counts of an import.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @return JsonResponse
+     */
+    public function status(Request $request, Import $import): JsonResponse
+    {
+        if ($request->user()->cannot('view', $import)) {
+            return $this->forbiddenResponse();
+        }
+
+        return response()->json($import->summary());
+    }
+
+    /**
+     * Download the invalid or duplicate rows of an import as CSV.
+     *
+     * Each row starts with its line number in the imported file and the
+     * reason it was skipped, followed by the row's own columns.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @param  string  $type
+     * @return StreamedResponse
+     */
+    public function downloadIssues(Request $request, Import $import, string $type): StreamedResponse
+    {
+        abort_if($request->user()->cannot('view', $import), 403);
+
+        $types = [
+            'invalid' => ImportIssue::TYPE_INVALID,
+            'duplicates' => ImportIssue::TYPE_DUPLICATE,
+            'not-reverted' => ImportIssue::TYPE_NOT_REVERTED,
+        ];
+        abort_unless(isset($types[$type]), 404);
+
+        $issues = $import->issues()->where('type', $types[$type])->orderBy('line');
+        $columns = array_keys($issues->clone()->first()?->data ?? []);
+
+        return response()->streamDownload(function () use ($issues, $columns) {
+            $out = fopen('php://output', 'w');
+            fputcsv($out, array_merge(['line', 'reason'], $columns));
+
+            foreach ($issues->lazy() as $issue) {
+                $values = array_map(fn ($column) => $issue->data[$column] ?? '', $columns);
+                fputcsv($out, array_merge([$issue->line, $issue->reason], $values));
+            }
+
+            fclose($out);
+        }, "import-{$import->id}-{$type}.csv", ['Content-Type' => 'text/csv']);
+    }
+
+    /**
+     * Download the rows that failed validation as "errors.csv".
+     *
+     * The file repeats the imported file's columns with an extra "error"
+     * column, so the rows can be corrected and uploaded again.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @return StreamedResponse
+     */
+    public function downloadErrors(Request $request, Import $import): StreamedResponse
+    {
+        abort_if($request->user()->cannot('view', $import), 403);
+
+        $issues = $import->issues()->where('type', ImportIssue::TYPE_INVALID)->orderBy('line');
+        $columns = array_keys($issues->clone()->first()?->data ?? []);
+
+        return response()->streamDownload(function () use ($issues, $columns) {
+            $out = fopen('php://output', 'w');
+            fputcsv($out, array_merge($columns, ['error']));
+
+            foreach ($issues->lazy() as $issue) {
+                $values = array_map(fn ($column) => $issue->data[$column] ?? '', $columns);
+                fputcsv($out, array_merge($values, [$issue->reason]));
+            }
+
+            fclose($out);
+        }, 'errors.csv', ['Content-Type' => 'text/csv']);
+    }
+
+    /**
+     * List the planned changes of a previewed import, a page at a time.
+     *
+     * Pass `action` (create, update or unchanged) to see one kind only.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @return JsonResponse
+     */
+    public function changes(Request $request, Import $import): JsonResponse
+    {
+        if ($request->user()->cannot('view', $import)) {
+            return $this->forbiddenResponse();
+        }
+
+        $request->validate([
+            'action' => 'nullable|in:' . implode(',', [ImportChange::ACTION_CREATE, ImportChange::ACTION_UPDATE, ImportChange::ACTION_UNCHANGED]),
+            'per_page' => 'nullable|integer|min:1|max:200',
+        ]);
+
+        $changes = $import->changes()
+            ->when($request->input('action'), fn ($query, $action) => $query->where('action', $action))
+            ->orderBy('line')
+            ->paginate($request->integer('per_page', 50), ['id', 'line', 'sku', 'action', 'changes', 'values']);
+
+        return response()->json($changes);
+    }
+
+    /**
+     * Apply the previewed changes of a dry run import.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @return JsonResponse
+     */
+    public function apply(Request $request, Import $import): JsonResponse
+    {
+        if ($request->user()->cannot('update', $import)) {
+            return $this->forbiddenResponse();
+        }
+
+        // Claim the preview so a second click can't apply it twice
+        $claimed = Import::whereKey($import->id)
+            ->where('status', Import::STATUS_PREVIEW)
+            ->update(['status' => Import::STATUS_PENDING]);
+
+        if (!$claimed) {
+            return response()->json([
+                'message' => 'Only a previewed import can be applied',
+                'status' => $import->status,
+            ], 409);
+        }
+
+        ApplyImportChanges::dispatch($import->id);
+
+        return response()->json([
+            'message' => 'Applying the previewed changes',
+            'import_id' => $import->id,
+            'import_url' => route('imports.show', $import),
+        ]);
+    }
+
+    /**
+     * Revert a finished import: restore the products it updated and delete
+     * the ones it created, unless they changed since.
+     *
+     * @param  Request  $request
+     * @param  Import  $import
+     * @return JsonResponse
+     */
+    public function revert(Request $request, Import $import): JsonResponse
+    {
+        if ($request->user()->cannot('update', $import)) {
+            return $this->forbiddenResponse();
+        }
+
+        $previousStatus = $import->status;
+
+        if (!$import->snapshots()->exists() || !$import->claimForRevert()) {
+            return response()->json([
+                'message' => 'This import can\'t be reverted',
+                'status' => $import->status,
+            ], 409);
+        }
+
+        RevertProductImport::dispatch($import->id, $previousStatus);
+
+        return response()->json([
+            'message' => 'Reverting the import',
+            'import_id' => $import->id,
+        ]);
+    }
+
+    /**
+     * Response for requests about an import the user may not see or act on.
+     *
+     * @return JsonResponse
+     */
+    protected function forbiddenResponse(): JsonResponse
+    {
+        return response()->json([
+            'error' => 'forbidden',
+            'message' => 'This import belongs to another user',
+            'status' => 'forbidden',
+        ], 403);
+    }
+}
@@ -18,27 +18,12 @@ public function index()
         $perPage = request()->input('per_page', 20); // Default to 20 items per page
 
         $products = Product::with(['images' => function($query) {
-            $query->orderByRaw("CASE WHEN variant = 'original' THEN 0 ELSE 1 END");
+            $query->orderByPivot('is_primary', 'desc')->with('variants');
         }])->paginate($perPage);
 
         // Transform the paginated collection
         $transformedProducts = $products->getCollection()->map(function($product) {
-            // Get all variants for the primary image
-            $primaryImage = $product->images->first();
-            $imageVariants = [];
-
-            if ($primaryImage) {
-                $imageVariants = $product->images->mapWithKeys(function($image) use ($product) {
-                    return [
-                        $image->variant => [
-                            'url' => asset('storage/' . $image->path),
-                            'width' => $image->width,
-                            'height' => $image->height,
-                            'mime' => $image->mime
-                        ]
-                    ];
-                })->toArray();
-            }
+            $primaryImage = $this->primaryImage($product);
 
             return [
                 'id' => $product->id,
@@ -48,9 +33,8 @@ public function index()
                 'price' => $product->price,
                 'created_at' => $product->created_at->format('Y-m-d H:i:s'),
                 'primary_image' => $primaryImage ? [
-                    'path' => asset($primaryImage->path),
+                    ...$primaryImage->summary(),
                     'alt' => $product->name,
-                    'variants' => $imageVariants
                 ] : null,
                 'images_count' => $product->images->count()
             ];
@@ -68,14 +52,18 @@ public function index()
     }
 
     /**
-     * Display the specified product with all its images.
+     * Display the specified product with all its images, primary first.
      *
      * @param  string  $sku
      * @return \Inertia\Response
      */
     public function show($sku)
     {
-        $product = Product::with('images')->where('sku', $sku)->firstOrFail();
+        $product = Product::with(['images' => function($query) {
+            $query->orderByPivot('is_primary', 'desc')->with('variants');
+        }])->where('sku', $sku)->firstOrFail();
+
+        $primaryImage = $this->primaryImage($product);
 
         $formattedProduct = [
             'id' => $product->id,
@@ -84,23 +72,32 @@ public function show($sku)
             'description' => $product->description,
             'price' => $product->price,
             'created_at' => $product->created_at->format('Y-m-d H:i:s'),
-            'images' => $product->images->map(function($image) use ($product) {
+            'images' => $product->images->map(function($image) use ($primaryImage) {
                 return [
-                    'id' => $image->id,
-                    'path' => asset($image->path),
-                    'is_primary' => (bool)$image->pivot->is_primary,
-                    'variant' => $image->variant,
+                    ...$image->summary(),
+                    'is_primary' => $image->is($primaryImage),
                     'dimensions' => "{$image->width}x{$image->height}",
-                    'mime' => $image->mime
                 ];
             }),
-            'primary_image' => $product->images->first(function($image) {
-                return $image->pivot->is_primary;
-            })
+            'primary_image_id' => $primaryImage?->id,
         ];
 
         return Inertia::render('Products/Show', [
             'product' => $formattedProduct
         ]);
     }
+
+    /**
+     * The image flagged primary for a product, falling back to its first
+     * image for products linked before primary flags were set.
+     *
+     * @param  Product  $product  With its images loaded
+     * @return \App\Models\Image|null
+     */
+    protected function primaryImage(Product $product)
+    {
+        return $product->images->first(fn ($image) => $image->pivot->is_primary)
+            ?? $product->images->firstWhere('id', $product->primary_image_id)
+            ?? $product->images->first();
+    }
 }
@@ -0,0 +1,92 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Upload;
+use App\Services\Quarantine;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+
+/**
+ * Lets admins review the uploads the virus scanner put in quarantine.
+ *
+ * A flagged file can be released, when the scanner got it wrong, and then
+ * continues through processing or import as if the scan had passed, or
+ * purged, which deletes it for good. See the Quarantine service.
+ */
+
+class QuarantineController extends Controller
+{
+    /**
+     * Display the quarantined uploads, newest first.
+     *
+     * @param  Request  $request
+     * @return \Inertia\Response
+     */
+    public function index(Request $request)
+    {
+        $uploads = Upload::where('status', Upload::STATUS_QUARANTINED)->latest('id')->paginate(20);
+
+        return Inertia::render('Admin/Quarantine', [
+            'uploads' => $uploads->through(fn (Upload $upload) => [
+                'id' => $upload->id,
+                'upload_id' => $upload->upload_id,
+                'original_filename' => $upload->original_filename,
+                'file_size' => $upload->file_size,
+                'purpose' => $upload->purpose(),
+                'threat' => $upload->meta['quarantine']['threat'] ?? null,
+                'scanner' => $upload->meta['quarantine']['scanner'] ?? null,
+                'quarantined_at' => $upload->meta['quarantine']['quarantined_at'] ?? $upload->updated_at?->toIso8601String(),
+                'created_at' => $upload->created_at?->toIso8601String(),
+            ]),
+        ]);
+    }
+
+    /**
+     * Release a quarantined upload and continue processing it.
+     *
+     * @param  Request  $request
+     * @param  Upload  $upload
+     * @param  Quarantine  $quarantine
+     * @return JsonResponse
+     */
+    public function release(Request $request, Upload $upload, Quarantine $quarantine): JsonResponse
+    {
+        if (!$quarantine->release($upload, $request->user()->id)) {
+            return response()->json([
+                'message' => 'Only a quarantined upload with its file still in place can be released',
+                'status' => $upload->fresh()->status,
+            ], 409);
+        }
+
+        return response()->json([
+            'message' => "Released {$upload->original_filename}",
+            'upload_id' => $upload->upload_id,
+            'status' => $upload->fresh()->status,
+        ]);
+    }
+
+    /**
+     * Delete a quarantined upload's file for good.
+     *
+     * @param  Upload  $upload
+     * @param  Quarantine  $quarantine
+     * @return JsonResponse
+     */
+    public function purge(Upload $upload, Quarantine $quarantine): JsonResponse
+    {
+        if (!$quarantine->purge($upload)) {
+            return response()->json([
+                'message' => 'Only a quarantined upload can be purged',
+                'status' => $upload->fresh()->status,
+            ], 409);
+        }
+
+        return response()->json([
+            'message' => "Deleted {$upload->original_filename}",
+            'upload_id' => $upload->upload_id,
+            'status' => Upload::STATUS_REJECTED,
+        ]);
+    }
+}
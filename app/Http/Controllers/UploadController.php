@@ -3,21 +3,39 @@
 namespace App\Http\Controllers;
 
 use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\File;
 use Illuminate\Support\Facades\Storage;
 use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Str;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Database\Eloquent\ModelNotFoundException;
 use App\Models\Upload;
 use App\Models\Product;
+use App\Events\UploadStatusUpdated;
+use App\Jobs\ExtractImageArchive;
 use App\Jobs\ProcessUploadJob;
+use App\Models\ArchiveEntry;
+use App\Services\Checksum;
+use App\Services\FileInspector;
+use App\Services\ImportLauncher;
+use App\Exceptions\VirusScanFailedException;
+use App\Services\ProductImageAttacher;
+use App\Services\Quarantine;
+use App\Services\Scanners\VirusScanner;
+use App\Services\UploadLimits;
+use App\Services\UploadQuota;
 
 /**
- * Handles file uploads and processing for product images.
+ * Handles file uploads and processing for product images and import files.
  *
  * This controller manages chunked file uploads, file assembly, and association
  * of uploaded images with products. It supports resumable uploads and includes
- * checksum verification for data integrity.
+ * checksum verification for data integrity, using the algorithm the client
+ * chose for the upload (md5, sha256 or crc32c).
+ *
+ * Every upload belongs to the user who started it; UploadPolicy decides who
+ * else may see or act on it.
  */
 
 class UploadController extends Controller
@@ -29,11 +47,96 @@ class UploadController extends Controller
      */
     protected $uploadPath = 'app/uploads';
 
+    /**
+     * Start an upload session.
+     *
+     * The client announces the file (name, size, MIME type), the checksum
+     * algorithm it will use and what the file is for. The file is checked
+     * against the limits of that target in config/uploads.php before any
+     * chunk is sent, and the response says which upload_id to send the
+     * chunks under, how large they are to be and when the session expires
+     * if no chunk arrives. The user's upload quotas are checked here too.
+     *
+     * @param  \Illuminate\Http\Request  $req
+     * @param  UploadLimits  $limits
+     * @param  UploadQuota  $quota
+     * @return \Illuminate\Http\JsonResponse
+     *
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function initUpload(Request $req, UploadLimits $limits, UploadQuota $quota): JsonResponse
+    {
+        $req->validate([
+            'file_name'=>'required|string|max:255',
+            'file_size'=>'required|integer|min:1',
+            'mime_type'=>'nullable|string|max:255',
+            'checksum_algorithm'=>'sometimes|string|in:' . implode(',', Checksum::algorithms()),
+            // Product files for an import and ZIP archives of images take the same route as images
+            'purpose'=>'sometimes|string|in:' . implode(',', UploadLimits::targets()),
+        ]);
+
+        $purpose = $req->input('purpose', Upload::PURPOSE_IMAGE);
+        $fileSize = (int) $req->input('file_size');
+
+        if ($error = $limits->check($purpose, $req->input('file_name'), $fileSize, $req->input('mime_type'))) {
+            return response()->json($error, 422);
+        }
+
+        // The quota check and the new upload share a lock on the user
+        $chunkSize = $limits->for($purpose)['chunk_size'];
+        $upload = $quota->reserve($req->user(), $fileSize, fn () => Upload::create([
+            'user_id' => $req->user()->id,
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => $req->input('file_name'),
+            'file_size' => $fileSize,
+            'status' => Upload::STATUS_UPLOADING,
+            'checksum_algorithm' => $req->input('checksum_algorithm', Checksum::defaultAlgorithm()),
+            'meta' => [
+                'purpose' => $purpose,
+                'total_chunks' => $limits->totalChunks($purpose, $fileSize),
+                'chunk_size' => $chunkSize,
+                'mime_type' => $req->input('mime_type'),
+            ],
+            'expires_at' => $this->sessionExpiry(),
+        ]));
+
+        if (is_array($upload)) {
+            return response()->json($upload, 422);
+        }
+
+        return response()->json([
+            'upload_id' => $upload->upload_id,
+            'chunk_size' => $chunkSize,
+            'total_chunks' => $upload->meta['total_chunks'],
+            'checksum_algorithm' => $upload->checksum_algorithm,
+            'expires_at' => $upload->expires_at->toIso8601String(),
+        ], 201);
+    }
+
+    /**
+     * Show the user's upload quotas and how much of them is used, so the
+     * uploader can warn before a file is sent. Null limits mean none.
+     *
+     * @param  \Illuminate\Http\Request  $req
+     * @param  UploadQuota  $quota
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function quota(Request $req, UploadQuota $quota): JsonResponse
+    {
+        $limits = $req->user()->isAdmin()
+            ? ['max_bytes' => null, 'max_uploads_per_day' => null]
+            : $quota->limits();
+
+        return response()->json([...$limits, ...$quota->usage($req->user())]);
+    }
+
     /**
      * Handle a single chunk of a file upload.
      *
      * This method receives individual chunks of a file, verifies their integrity,
-     * and stores them temporarily until all chunks are received.
+     * and stores them temporarily until all chunks are received. Chunks are only
+     * taken for a session started with initUpload() that hasn't expired, and
+     * every accepted chunk pushes the expiry back.
      *
      * @param  \Illuminate\Http\Request  $req
      * @return \Illuminate\Http\JsonResponse
@@ -45,70 +148,185 @@ public function uploadChunk(Request $req)
         $req->validate([
             'upload_id'=>'required|uuid',
             'chunk_index'=>'required|integer|min:0',
-            'total_chunks'=>'required|integer|min:1',
+            'total_chunks'=>'sometimes|integer|min:1',
             'chunk'=>'required|file',
-            'chunk_checksum'=>'required|string'
+            'chunk_checksum'=>'required|string',
+            'checksum_algorithm'=>'sometimes|string|in:' . implode(',', Checksum::algorithms()),
         ]);
 
         $uploadId = $req->input('upload_id');
-        $chunkIndex = $req->input('chunk_index');
-        $totalChunks = $req->input('total_chunks');
+        $chunkIndex = (int) $req->input('chunk_index');
+
+        $upload = Upload::where('upload_id', $uploadId)->first();
+        if (!$upload) {
+            return response()->json([
+                'error'=>'unknown_upload',
+                'message'=>'Start the upload with /api/upload/init before sending chunks',
+                'status'=>'not_found',
+            ],404);
+        }
+        if ($req->user()->cannot('update', $upload)) {
+            return $this->forbiddenResponse();
+        }
+        if ($upload->isCancelled()) {
+            return $this->cancelledResponse();
+        }
+        if ($upload->isExpired()) {
+            return $this->expiredResponse();
+        }
+        if (!$upload->acceptsChunks()) {
+            return $this->notInProgressResponse($upload);
+        }
+
+        // Every chunk of an upload must use the algorithm the upload started with
+        $algorithm = $req->input('checksum_algorithm', $upload->checksum_algorithm);
+        if ($upload->checksum_algorithm !== $algorithm) {
+            return response()->json([
+                'error'=>'checksum algorithm mismatch',
+                'checksum_algorithm'=>$upload->checksum_algorithm,
+            ],422);
+        }
+
+        // The session settled how the file is split; chunks outside of that are refused
+        $totalChunks = (int) ($upload->meta['total_chunks'] ?? 0);
+        if ($req->filled('total_chunks') && (int) $req->input('total_chunks') !== $totalChunks) {
+            return response()->json(['error'=>'total chunks mismatch','total_chunks'=>$totalChunks],422);
+        }
+        if ($chunkIndex >= $totalChunks) {
+            return response()->json(['error'=>'chunk_out_of_range','total_chunks'=>$totalChunks],422);
+        }
 
         $chunk = $req->file('chunk');
+        $chunkSize = (int) ($upload->meta['chunk_size'] ?? 0);
+        if ($chunkSize && $chunk->getSize() > $chunkSize) {
+            return response()->json(['error'=>'chunk_too_large','chunk_size'=>$chunkSize],422);
+        }
+
         $chunkContents = file_get_contents($chunk->getRealPath());
-        $md5 = md5($chunkContents);
-        if ($md5 !== $req->input('chunk_checksum')) {
+        if (!Checksum::matches($req->input('chunk_checksum'), Checksum::string($algorithm, $chunkContents))) {
             return response()->json(['error'=>'chunk checksum mismatch'],422);
         }
 
-        $tmpDir = storage_path("app/uploads/tmp/{$uploadId}");
+        $tmpDir = $this->chunkDirectory($uploadId);
         if (!is_dir($tmpDir)) mkdir($tmpDir,0755,true);
 
-        // Save chunk (overwrite if re-sent; idempotent)
+        // Save chunk (overwrite if re-sent; idempotent). Write to a temp name first
+        // so a half-written chunk is never reported as received when resuming.
         $chunkPath = "{$tmpDir}/chunk_{$chunkIndex}.part";
-        file_put_contents($chunkPath, $chunkContents, LOCK_EX);
+        file_put_contents("{$chunkPath}.tmp", $chunkContents, LOCK_EX);
+        rename("{$chunkPath}.tmp", $chunkPath);
 
-        // Create Upload record if not exists
-        $upload = Upload::firstOrCreate(['upload_id'=>$uploadId], [
-            'original_filename' => $req->input('file_name', $chunk->getClientOriginalName()),
-            'file_size' => $req->input('file_size', null),
-            'status' => 'uploading',
-        ]);
+        // The upload may have been cancelled while this chunk was being written
+        if ($upload->refresh()->isCancelled()) {
+            File::deleteDirectory($tmpDir);
+            return $this->cancelledResponse();
+        }
 
-        // store received chunk count maybe in meta
-        return response()->json(['status'=>'ok','received_chunk'=>$chunkIndex]);
+        $upload->update(['expires_at' => $this->sessionExpiry()]);
+
+        return response()->json([
+            'status'=>'ok',
+            'received_chunk'=>$chunkIndex,
+            'expires_at'=>$upload->expires_at->toIso8601String(),
+        ]);
     }
 
     /**
      * Complete a chunked file upload by assembling all received chunks.
      *
      * This method combines all uploaded chunks into a single file, verifies
-     * the complete file's checksum, and dispatches a job to process the upload.
+     * the complete file's checksum with the upload's algorithm, checks what
+     * the file really is against what its target allows (rejecting it
+     * otherwise, see FileInspector), has it scanned for viruses (moving it
+     * to quarantine if infected, see Quarantine), and dispatches
+     * a job to process the upload: ProcessUploadJob for an image, or
+     * ExtractImageArchive for a ZIP archive of images. A product file
+     * (purpose "import") goes to the import job instead, with the mapping,
+     * sheet and dry_run options the single-request import takes.
      *
      * @param  Request  $req
+     * @param  FileInspector  $inspector
      * @return JsonResponse
      *
      * @throws ModelNotFoundException
      * @throws \Exception If file assembly fails
      */
-    public function completeUpload(Request $req) : JsonResponse
+    public function completeUpload(Request $req, FileInspector $inspector) : JsonResponse
     {
-        $req->validate(['upload_id'=>'required|uuid','file_checksum'=>'required|string']);
+        $req->validate([
+            'upload_id'=>'required|uuid',
+            'file_checksum'=>'required|string',
+            'total_chunks'=>'sometimes|integer|min:1',
+            'checksum_algorithm'=>'sometimes|string|in:' . implode(',', Checksum::algorithms()),
+        ]);
         $uploadId = $req->input('upload_id');
         $fileChecksum = $req->input('file_checksum');
 
         $upload = Upload::where('upload_id',$uploadId)->lockForUpdate()->firstOrFail();
-        $tmpDir = storage_path("app/uploads/tmp/{$uploadId}");
+        $tmpDir = $this->chunkDirectory($uploadId);
+
+        if ($req->user()->cannot('update', $upload)) {
+            return $this->forbiddenResponse();
+        }
+        if ($upload->isCancelled()) {
+            return $this->cancelledResponse();
+        }
+        if ($upload->isExpired()) {
+            return $this->expiredResponse();
+        }
+        // Completing again would process, unpack or import the file a second time
+        if (!$upload->acceptsChunks()) {
+            return $this->notInProgressResponse($upload);
+        }
+
+        // Check the import options before the (possibly large) file is assembled
+        if ($upload->isImport()) {
+            $req->validate(ImportLauncher::rules());
+        }
 
-        // assemble
-        $chunks = glob("{$tmpDir}/chunk_*.part");
-        if (empty($chunks)) return response()->json(['error'=>'no_chunks'],422);
+        if ($req->filled('checksum_algorithm') && $req->input('checksum_algorithm') !== $upload->checksum_algorithm) {
+            return response()->json([
+                'error'=>'checksum algorithm mismatch',
+                'checksum_algorithm'=>$upload->checksum_algorithm,
+            ],422);
+        }
+
+        // Chunks may have arrived in any order, so require every index rather
+        // than assembling whatever parts happen to exist
+        $totalChunks = (int) ($upload->meta['total_chunks'] ?? $req->input('total_chunks', 0));
+        if ($totalChunks < 1) return response()->json(['error'=>'no_chunks'],422);
+
+        $chunks = [];
+        $missing = [];
+        for ($i = 0; $i < $totalChunks; $i++) {
+            $chunkPath = "{$tmpDir}/chunk_{$i}.part";
+            if (is_file($chunkPath)) {
+                $chunks[] = $chunkPath;
+            } else {
+                $missing[] = $i;
+            }
+        }
+        if (!empty($missing)) {
+            return response()->json(['error'=>'missing_chunks','missing_chunks'=>$missing],422);
+        }
+
+        // Claim the upload, so of two completions sent at once only one assembles it
+        $claimed = Upload::whereKey($upload->id)
+            ->whereIn('status', Upload::OPEN_STATUSES)
+            ->update(['status'=>Upload::STATUS_ASSEMBLING]);
+        if (!$claimed) {
+            return $this->notInProgressResponse($upload->refresh());
+        }
+        $upload->refresh();
+        UploadStatusUpdated::dispatch($uploadId, Upload::STATUS_ASSEMBLING);
 
-        // ensure contiguous and sorted
-        natsort($chunks);
         $assembledPath = storage_path("app/uploads/{$uploadId}_assembled");
         $out = fopen($assembledPath,'wb');
-        if (!$out) return response()->json(['error'=>'cannot_assemble'],500);
+        if (!$out) {
+            $upload->update(['status'=>Upload::STATUS_FAILED]);
+            UploadStatusUpdated::dispatch($uploadId, Upload::STATUS_FAILED, null, 'The file could not be assembled');
+            return response()->json(['error'=>'cannot_assemble'],500);
+        }
 
         foreach ($chunks as $c) {
             $data = file_get_contents($c);
@@ -117,14 +335,38 @@ public function completeUpload(Request $req) : JsonResponse
         }
         fclose($out);
 
-        $computed = md5_file($assembledPath);
-        if ($computed !== $fileChecksum) {
+        // The size announced when the session started is what its limits were checked against
+        if ($upload->file_size && filesize($assembledPath) !== $upload->file_size) {
+            $upload->update(['status'=>Upload::STATUS_FAILED]);
+            UploadStatusUpdated::dispatch($uploadId, Upload::STATUS_FAILED, null, 'File size mismatch');
+            unlink($assembledPath);
+            return response()->json(['error'=>'size_mismatch','file_size'=>$upload->file_size],422);
+        }
+
+        $computed = Checksum::file($upload->checksum_algorithm, $assembledPath);
+        if (!Checksum::matches($fileChecksum, $computed)) {
             // keep chunks for retry; mark failed
-            $upload->update(['status'=>'failed']);
+            $upload->update(['status'=>Upload::STATUS_FAILED]);
+            UploadStatusUpdated::dispatch($uploadId, Upload::STATUS_FAILED, null, 'File checksum mismatch');
             unlink($assembledPath);
             return response()->json(['error'=>'checksum_mismatch'],422);
         }
 
+        // What the file holds decides, not the name and type the client gave it
+        $reason = $inspector->check($assembledPath, $upload->purpose(), $upload->original_filename, $upload->meta['mime_type'] ?? null);
+        if ($reason !== null) {
+            return $this->rejectUpload($upload, $assembledPath, $reason);
+        }
+
+        // Nothing gets processed or imported before the virus scanner has seen it
+        if ($response = $this->scanUpload($req, $upload, $assembledPath)) {
+            return $response;
+        }
+
+        if ($upload->isImport()) {
+            return $this->startImport($req, $upload, $assembledPath);
+        }
+
         // Save to public storage using Laravel's storage facade
         $storagePath = 'uploads/' . $uploadId . '/original';
         
@@ -168,20 +410,17 @@ public function completeUpload(Request $req) : JsonResponse
         chmod($fullStoragePath, 0644);
 
         DB::transaction(function() use ($upload, $storagePath, $fullStoragePath, $fileChecksum) {
-            // Update the upload record with the correct path and status
-            // Using 'uploading' status as it's one of the allowed ENUM values in the database
+            // Update the upload record with the correct path; it stays "processing"
+            // until ProcessUploadJob has created the variants
             $upload->update([
-                'status' => 'uploading', // Using 'uploading' as it's one of the allowed ENUM values
+                'status' => Upload::STATUS_PROCESSING,
                 'file_checksum' => $fileChecksum,
                 'file_size' => filesize($fullStoragePath),
                 'path' => $storagePath  // Store the relative path in the database
             ]);
 
-            // Dispatch the job to process the upload and create variants
-            ProcessUploadJob::dispatch($upload->id, $fullStoragePath);
-
             // Log before dispatching job
-            Log::info('Dispatching ProcessUploadJob', [
+            Log::info('Dispatching ' . ($upload->isArchive() ? 'ExtractImageArchive' : 'ProcessUploadJob'), [
                 'upload_id' => $upload->id,
                 'file_path' => $fullStoragePath,
                 'storage_path' => $storagePath,
@@ -198,42 +437,84 @@ public function completeUpload(Request $req) : JsonResponse
                 'file_exists' => file_exists($fullStoragePath) ? 'yes' : 'no'
             ]);
 
-            // Dispatch processing job with the correct path
+            // Dispatch processing job with the correct path; an archive is unpacked into image uploads first
             $jobId = (string) \Illuminate\Support\Str::uuid();
-            $job = new ProcessUploadJob($upload->id, $fullStoragePath, $jobId);
+            $job = $upload->isArchive()
+                ? new ExtractImageArchive($upload->id, $fullStoragePath)
+                : new ProcessUploadJob($upload->id, $fullStoragePath, $jobId);
 
             dispatch($job);
 
-            Log::info('ProcessUploadJob dispatched', [
+            Log::info(class_basename($job) . ' dispatched', [
                 'upload_id' => $upload->id,
                 'job_id' => $jobId,
                 'file_path' => $fullStoragePath
             ]);
         });
 
-        // remove tmp chunks (background queue might still need file - careful)
-        // we keep them for a short time. Optionally delete.
+        // The chunks are left for uploads:gc, which deletes them once the upload is no longer in progress
         return response()->json(['status'=>'assembled','upload_id'=>$uploadId]);
     }
 
     /**
-     * Attach an uploaded image to a product.
+     * Hand an assembled product file to the import job.
      *
-     * This method associates an uploaded image with a product and handles
-     * setting the primary image if specified.
+     * The file is moved to where single-request imports are stored and the
+     * chunks are removed right away, as the import job deletes the file
+     * once it has run.
      *
-     * @param  Request  $req
-     * @return JsonResponse
-     *
-     * @throws ModelNotFoundException
+     * @param  \Illuminate\Http\Request  $req
+     * @param  \App\Models\Upload  $upload
+     * @param  string  $assembledPath
+     * @return \Illuminate\Http\JsonResponse
      */
+    protected function startImport(Request $req, Upload $upload, string $assembledPath): JsonResponse
+    {
+        $path = ImportLauncher::storagePath($upload->original_filename);
+        $disk = Storage::disk('public');
+        $disk->makeDirectory(dirname($path));
+        $fileSize = filesize($assembledPath);
+
+        if (!rename($assembledPath, $disk->path($path))) {
+            Log::error('Failed to store import file', ['upload_id' => $upload->id, 'path' => $path]);
+            $upload->update(['status'=>Upload::STATUS_FAILED]);
+            UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_FAILED, null, 'Failed to store import file');
+            File::delete($assembledPath);
+            return response()->json(['error'=>'cannot_store','message'=>'Failed to store import file'],500);
+        }
+
+        $upload->update([
+            'status' => Upload::STATUS_COMPLETE,
+            'file_checksum' => $req->input('file_checksum'),
+            'file_size' => $fileSize,
+        ]);
+        File::deleteDirectory($this->chunkDirectory($upload->upload_id));
+
+        $import = app(ImportLauncher::class)->start($path, $upload->original_filename, $req->only(['mapping', 'sheet', 'dry_run']), $req->user()->id);
+
+        $upload->update(['meta' => [...($upload->meta ?? []), 'import_id' => $import->id]]);
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_COMPLETE);
+
+        Log::info('Chunked upload handed to import', ['upload_id' => $upload->id, 'import_id' => $import->id]);
+
+        return response()->json([
+            'status' => 'assembled',
+            'upload_id' => $upload->upload_id,
+            'message' => 'File uploaded and processing has started',
+            'dry_run' => $req->boolean('dry_run'),
+            'import_id' => $import->id,
+            'import_url' => route('imports.show', $import),
+        ]);
+    }
+
     /**
      * Attach an uploaded image to a product.
      *
      * @param  \Illuminate\Http\Request  $req
+     * @param  \App\Services\ProductImageAttacher  $attacher
      * @return \Illuminate\Http\JsonResponse
      */
-    public function attachToProduct(Request $req): JsonResponse
+    public function attachToProduct(Request $req, ProductImageAttacher $attacher): JsonResponse
     {
         try {
             // Validate the request
@@ -254,8 +535,19 @@ public function attachToProduct(Request $req): JsonResponse
             $upload = Upload::where('upload_id', $validated['upload_id'])->firstOrFail();
             $product = Product::where('sku', $validated['sku'])->firstOrFail();
 
-            // Check if upload is still uploading
-            if ($upload->status === 'uploading') {
+            if ($req->user()->cannot('update', $upload)) {
+                return $this->forbiddenResponse();
+            }
+            if ($req->user()->cannot('update', $product)) {
+                return response()->json([
+                    'status' => 'error',
+                    'message' => "You are not allowed to edit product {$product->sku}",
+                ], 403);
+            }
+
+            // Check if upload is still uploading or being processed
+            $pendingStatuses = [Upload::STATUS_UPLOADING, Upload::STATUS_ASSEMBLING, Upload::STATUS_PROCESSING];
+            if (in_array($upload->status, $pendingStatuses, true)) {
                 // Check if processing is taking too long (more than 30 seconds)
                 $processingTime = now()->diffInSeconds($upload->updated_at);
                 $maxProcessingTime = 30; // seconds
@@ -268,7 +560,7 @@ public function attachToProduct(Request $req): JsonResponse
                 }
 
                 return response()->json([
-                    'status' => 'uploading',
+                    'status' => $upload->status,
                     'message' => 'Image is still being uploaded. Please try again in a moment.',
                     'processing_time' => $processingTime
                 ], 202); // 202 Accepted
@@ -388,93 +680,21 @@ public function attachToProduct(Request $req): JsonResponse
                 }
             }
 
-            // Check if already attached
-            $existingRecord = DB::table('product_image')
-                ->where('product_id', $product->id)
-                ->where('image_id', $image->id)
-                ->first();
-
-            DB::beginTransaction();
+            $attached = $attacher->attach($image, $product, $req->boolean('is_primary'));
 
-            try {
-                if ($existingRecord) {
-                    Log::info('Image already attached to product, updating if needed', [
-                        'product_id' => $product->id,
-                        'image_id' => $image->id
-                    ]);
-
-                    // If marked as primary, update other records
-                    if ($req->boolean('is_primary')) {
-                        DB::table('product_image')
-                            ->where('product_id', $product->id)
-                            ->update(['is_primary' => false]);
-
-                        DB::table('product_image')
-                            ->where('product_id', $product->id)
-                            ->where('image_id', $image->id)
-                            ->update(['is_primary' => true]);
-
-                        $product->update(['primary_image_id' => $image->id]);
-
-                        Log::info('Updated existing image as primary', [
-                            'product_id' => $product->id,
-                            'image_id' => $image->id
-                        ]);
-                    }
-
-                    DB::commit();
-                    return response()->json([
-                        'status' => 'success',
-                        'message' => 'Image attachment updated',
-                        'image_id' => $image->id,
-                        'product_id' => $product->id,
-                        'is_primary' => $req->boolean('is_primary')
-                    ]);
-                }
-
-                // Insert new record if not exists
-                $result = DB::table('product_image')->insert([
-                    'product_id' => $product->id,
-                    'image_id' => $image->id,
-                    'is_primary' => $req->boolean('is_primary') ? 1 : 0,
-                    'created_at' => now(),
-                    'updated_at' => now()
-                ]);
-
-                if (!$result) {
-                    throw new \Exception('Failed to insert into product_image table');
-                }
-
-                // If set as primary, update other records
-                if ($req->boolean('is_primary')) {
-                    DB::table('product_image')
-                        ->where('product_id', $product->id)
-                        ->where('image_id', '!=', $image->id)
-                        ->update(['is_primary' => false]);
-
-                    $product->update(['primary_image_id' => $image->id]);
-                }
-
-                DB::commit();
-
-                Log::info('Successfully attached image to product', [
-                    'product_id' => $product->id,
-                    'image_id' => $image->id,
-                    'is_primary' => $req->boolean('is_primary')
-                ]);
+            Log::info($attached ? 'Successfully attached image to product' : 'Image already attached to product, updated if needed', [
+                'product_id' => $product->id,
+                'image_id' => $image->id,
+                'is_primary' => $req->boolean('is_primary')
+            ]);
 
-                return response()->json([
-                    'status' => 'success',
-                    'message' => 'Image attached to product',
-                    'image_id' => $image->id,
-                    'product_id' => $product->id,
-                    'is_primary' => $req->boolean('is_primary')
-                ]);
-
-            } catch (\Exception $e) {
-                DB::rollBack();
-                throw $e; // Re-throw to be caught by the outer catch
-            }
+            return response()->json([
+                'status' => 'success',
+                'message' => $attached ? 'Image attached to product' : 'Image attachment updated',
+                'image_id' => $image->id,
+                'product_id' => $product->id,
+                'is_primary' => $req->boolean('is_primary')
+            ]);
 
         } catch (\Illuminate\Validation\ValidationException $e) {
             Log::error('Validation error in attachToProduct', [
@@ -504,24 +724,119 @@ public function checkImageReady(Request $req): JsonResponse
     {
         $req->validate(['upload_id' => 'required|uuid']);
         $upload = Upload::where('upload_id', $req->upload_id)->firstOrFail();
+        if ($req->user()->cannot('view', $upload)) {
+            return $this->forbiddenResponse();
+        }
         $imageExists = $upload->images()->where('variant', 'original')->exists();
 
         return response()->json(['ready' => $imageExists]);
     }
 
+    /**
+     * List the chunk indices the server already holds for an upload.
+     *
+     * Used by the client to resume an interrupted upload: only the indices
+     * missing from `received_chunks` need to be sent again.
+     *
+     * @param  \Illuminate\Http\Request  $req
+     * @param  string  $uploadId
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function receivedChunks(Request $req, $uploadId): JsonResponse
+    {
+        $upload = Upload::where('upload_id', $uploadId)->first();
+
+        if (!$upload) {
+            return response()->json(['error' => 'Upload not found', 'status' => 'not_found'], 404);
+        }
+        if ($req->user()->cannot('view', $upload)) {
+            return $this->forbiddenResponse();
+        }
+
+        $received = [];
+        foreach (glob($this->chunkDirectory($uploadId) . '/chunk_*.part') ?: [] as $chunkPath) {
+            if (preg_match('/chunk_(\d+)\.part$/', $chunkPath, $matches)) {
+                $received[] = (int) $matches[1];
+            }
+        }
+        sort($received);
+
+        return response()->json([
+            'upload_id' => $upload->upload_id,
+            'status' => $upload->status,
+            'checksum_algorithm' => $upload->checksum_algorithm,
+            'total_chunks' => $upload->meta['total_chunks'] ?? null,
+            'chunk_size' => $upload->meta['chunk_size'] ?? null,
+            'expires_at' => $upload->expires_at?->toIso8601String(),
+            'received_chunks' => $received,
+        ]);
+    }
+
+    /**
+     * List the files of an uploaded ZIP archive and what became of each.
+     *
+     * Counts cover the whole archive; the entries themselves are paginated
+     * and can be limited to some statuses, e.g. `?status=rejected,failed`.
+     *
+     * @param  \Illuminate\Http\Request  $req
+     * @param  string  $uploadId
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function archiveEntries(Request $req, $uploadId): JsonResponse
+    {
+        $upload = Upload::where('upload_id', $uploadId)->first();
+
+        if (!$upload || !$upload->isArchive()) {
+            return response()->json(['error' => 'Archive not found', 'status' => 'not_found'], 404);
+        }
+        if ($req->user()->cannot('view', $upload)) {
+            return $this->forbiddenResponse();
+        }
+
+        $counts = $upload->archiveEntries()
+            ->selectRaw('status, count(*) as count')
+            ->groupBy('status')
+            ->pluck('count', 'status');
+
+        $entries = $upload->archiveEntries()
+            ->when($req->filled('status'), fn ($query) => $query->whereIn('status', explode(',', $req->input('status'))))
+            ->orderBy('entry_index')
+            ->paginate(100)
+            ->through(fn (ArchiveEntry $entry) => $entry->summary());
+
+        return response()->json([
+            'upload_id' => $upload->upload_id,
+            'status' => $upload->status,
+            'error' => $upload->meta['error'] ?? null,
+            'total_entries' => $upload->meta['total_entries'] ?? null,
+            'processed_entries' => $upload->meta['processed_entries'] ?? 0,
+            'counts' => collect([
+                ArchiveEntry::STATUS_PROCESSING,
+                ArchiveEntry::STATUS_ATTACHED,
+                ArchiveEntry::STATUS_REJECTED,
+                ArchiveEntry::STATUS_FAILED,
+            ])->mapWithKeys(fn ($status) => [$status => (int) ($counts[$status] ?? 0)]),
+            'entries' => $entries,
+        ]);
+    }
+
     /**
      * Get the status of an ongoing or completed upload.
      *
+     * @param  \Illuminate\Http\Request  $req
      * @param  string  $uploadId
      * @return \Illuminate\Http\JsonResponse
      */
-    public function uploadStatus($uploadId)
+    public function uploadStatus(Request $req, $uploadId)
     {
         $upload = Upload::where('upload_id', $uploadId)->first();
 
         if (!$upload) {
             return response()->json(['error' => 'Upload not found', 'status' => 'not_found'], 404);
         }
+        if ($req->user()->cannot('view', $upload)) {
+            return $this->forbiddenResponse();
+        }
 
         // Return relevant status info, e.g.:
         return response()->json([
@@ -529,9 +844,227 @@ public function uploadStatus($uploadId)
             'status' => $upload->status,
             'file_size' => $upload->file_size,
             'file_checksum' => $upload->file_checksum,
+            'checksum_algorithm' => $upload->checksum_algorithm,
+            // Why the upload was rejected, quarantined or failed, for the uploader to show
+            'message' => $upload->isQuarantined()
+                ? app(Quarantine::class)->message($upload)
+                : ($upload->meta['rejection_reason'] ?? $upload->meta['error'] ?? null),
             // Add other info as needed
         ]);
     }
 
+    /**
+     * Cancel an upload that hasn't finished yet.
+     *
+     * Removes the received chunks and any assembled or processed files, and
+     * marks the upload as cancelled so late chunks, completion requests and
+     * queued processing jobs leave it alone. Cancelling twice is harmless.
+     *
+     * @param  \Illuminate\Http\Request  $req
+     * @param  string  $uploadId
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function cancelUpload(Request $req, $uploadId): JsonResponse
+    {
+        $upload = Upload::where('upload_id', $uploadId)->first();
+
+        if (!$upload) {
+            return response()->json(['error' => 'Upload not found', 'status' => 'not_found'], 404);
+        }
+        if ($req->user()->cannot('update', $upload)) {
+            return $this->forbiddenResponse();
+        }
+
+        if ($upload->status === Upload::STATUS_COMPLETE) {
+            return response()->json([
+                'error' => 'Upload is already complete and can no longer be cancelled',
+                'status' => $upload->status,
+            ], 409);
+        }
+
+        // Only an admin decides what happens to a quarantined file
+        if ($upload->isQuarantined()) {
+            return response()->json([
+                'error' => 'Upload is in quarantine and can no longer be cancelled',
+                'status' => $upload->status,
+            ], 409);
+        }
+
+        $upload->update(['status' => Upload::STATUS_CANCELLED]);
+        UploadStatusUpdated::dispatch($uploadId, Upload::STATUS_CANCELLED);
+
+        File::deleteDirectory($this->chunkDirectory($uploadId));
+        File::delete(storage_path("{$this->uploadPath}/{$uploadId}_assembled"));
+        Storage::deleteDirectory("uploads/{$uploadId}");
+        Storage::disk('public')->deleteDirectory("uploads/{$uploadId}");
+        $upload->images()->delete();
+
+        Log::info('Upload cancelled', ['upload_id' => $upload->id, 'upload_uuid' => $uploadId]);
+
+        return response()->json(['status' => Upload::STATUS_CANCELLED, 'upload_id' => $uploadId]);
+    }
+
+    /**
+     * Response for requests about an upload the user may not see or act on.
+     *
+     * @return \Illuminate\Http\JsonResponse
+     */
+    protected function forbiddenResponse(): JsonResponse
+    {
+        return response()->json([
+            'error' => 'forbidden',
+            'message' => 'This upload belongs to another user',
+            'status' => 'forbidden',
+        ], 403);
+    }
+
+    /**
+     * Response for chunks and completion requests of an upload that has
+     * been completed already, or is being completed.
+     *
+     * @param  Upload  $upload
+     * @return \Illuminate\Http\JsonResponse
+     */
+    protected function notInProgressResponse(Upload $upload): JsonResponse
+    {
+        return response()->json([
+            'error' => 'upload_not_in_progress',
+            'message' => "The upload is {$upload->status} and takes no more chunks",
+            'status' => $upload->status,
+        ], 409);
+    }
+
+    /**
+     * Response for requests that arrive after their upload was cancelled.
+     *
+     * @return \Illuminate\Http\JsonResponse
+     */
+    protected function cancelledResponse(): JsonResponse
+    {
+        return response()->json(['error' => 'upload_cancelled', 'status' => Upload::STATUS_CANCELLED], 409);
+    }
+
+    /**
+     * Reject an assembled upload for its content: mark it, tell its
+     * listeners why and drop its files, since sending it again won't help.
+     *
+     * @param  Upload  $upload
+     * @param  string  $assembledPath
+     * @param  string  $reason
+     * @return \Illuminate\Http\JsonResponse
+     */
+    protected function rejectUpload(Upload $upload, string $assembledPath, string $reason): JsonResponse
+    {
+        Log::warning('Rejected upload', ['upload_id' => $upload->id, 'reason' => $reason]);
+
+        $upload->update([
+            'status' => Upload::STATUS_REJECTED,
+            'meta' => [...($upload->meta ?? []), 'rejection_reason' => $reason],
+        ]);
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_REJECTED, null, $reason);
+
+        File::delete($assembledPath);
+        File::deleteDirectory($this->chunkDirectory($upload->upload_id));
+
+        return response()->json([
+            'error' => 'upload_rejected',
+            'message' => $reason,
+            'status' => Upload::STATUS_REJECTED,
+        ], 422);
+    }
+
+    /**
+     * Scan an assembled upload with the configured virus scanner, if any.
+     *
+     * An infected file goes to quarantine along with what releasing it
+     * takes later (the import options and the user, for a product file).
+     * A file that can't be scanned fails the upload, but its chunks are
+     * kept so completing it can be tried again.
+     *
+     * @param  \Illuminate\Http\Request  $req
+     * @param  Upload  $upload
+     * @param  string  $assembledPath
+     * @return \Illuminate\Http\JsonResponse|null The response to send instead of continuing, or null for a clean file
+     */
+    protected function scanUpload(Request $req, Upload $upload, string $assembledPath): ?JsonResponse
+    {
+        $scanner = VirusScanner::driver();
+        if (!$scanner) {
+            return null;
+        }
+
+        $upload->update(['status'=>Upload::STATUS_SCANNING]);
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_SCANNING);
+
+        try {
+            $threat = $scanner->scan($assembledPath);
+        } catch (VirusScanFailedException $e) {
+            Log::error('Virus scan failed', ['upload_id' => $upload->id, 'scanner' => $scanner->name(), 'error' => $e->getMessage()]);
+            $upload->update([
+                'status' => Upload::STATUS_FAILED,
+                'meta' => [...($upload->meta ?? []), 'error' => 'The file could not be scanned for viruses'],
+            ]);
+            UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_FAILED, null, 'The file could not be scanned for viruses');
+            File::delete($assembledPath);
+            return response()->json([
+                'error' => 'scan_failed',
+                'message' => 'The file could not be scanned for viruses, try again later',
+                'status' => Upload::STATUS_FAILED,
+            ], 503);
+        }
+
+        if ($threat === null) {
+            return null;
+        }
+
+        $context = $upload->isImport()
+            ? ['import_options' => $req->only(['mapping', 'sheet', 'dry_run']), 'user_id' => $req->user()?->id]
+            : [];
+        $quarantine = app(Quarantine::class);
+        $quarantine->isolate($upload, $assembledPath, $threat, $scanner->name(), $context);
+        File::deleteDirectory($this->chunkDirectory($upload->upload_id));
+
+        return response()->json([
+            'error' => 'upload_quarantined',
+            'message' => $quarantine->message($upload),
+            'status' => Upload::STATUS_QUARANTINED,
+        ], 422);
+    }
+
+    /**
+     * Response for chunks and completion requests of an expired upload session.
+     *
+     * @return \Illuminate\Http\JsonResponse
+     */
+    protected function expiredResponse(): JsonResponse
+    {
+        return response()->json([
+            'error' => 'upload_expired',
+            'message' => 'The upload session has expired, start the upload again',
+            'status' => Upload::STATUS_EXPIRED,
+        ], 410);
+    }
+
+    /**
+     * When an upload session started or continued now expires.
+     *
+     * @return \Illuminate\Support\Carbon
+     */
+    protected function sessionExpiry(): \Illuminate\Support\Carbon
+    {
+        return now()->addMinutes((int) config('uploads.session_ttl', 24 * 60));
+    }
+
+    /**
+     * Get the temporary directory holding the received chunks of an upload.
+     *
+     * @param  string  $uploadId
+     * @return string
+     */
+    protected function chunkDirectory(string $uploadId): string
+    {
+        return storage_path("{$this->uploadPath}/tmp/{$uploadId}");
+    }
+
 }
 
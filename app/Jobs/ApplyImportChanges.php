@@ -0,0 +1,182 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\Import;
+use App\Models\ImportChange;
+use App\Models\ImportIssue;
+use App\Models\Product;
+use App\Services\ImportHistory;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Applies the changes of a previewed (dry run) import.
+ *
+ * Writes exactly what the preview showed: new products are created with
+ * the values from the file and updated products only get the fields the
+ * preview listed as changed. Unchanged rows are left alone. The products
+ * written are recorded in the import's history so it can be reverted.
+ *
+ * Products are checked against ProductPolicy again as they are written,
+ * since they may have been created or changed hands since the preview. A
+ * row for a product the import's user may not edit is skipped and
+ * recorded as an invalid row instead.
+ */
+
+class ApplyImportChanges implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * How many changes to write per transaction.
+     *
+     * @var int
+     */
+    const CHUNK_SIZE = 500;
+
+    /**
+     * Create a new job instance.
+     *
+     * @param int $importId
+     */
+    public function __construct(public int $importId)
+    {
+    }
+
+    /**
+     * Execute the job.
+     *
+     * @return void
+     * @throws \Exception
+     */
+    public function handle(): void
+    {
+        $import = Import::findOrFail($this->importId);
+
+        $pending = $import->changes()->where('action', '!=', ImportChange::ACTION_UNCHANGED);
+        $counts = [
+            // Rows that need no writing count as done from the start
+            'processed_rows' => max($import->total_rows - $pending->clone()->count(), 0),
+            'imported' => 0,
+            'updated' => 0,
+            'invalid' => $import->invalid,
+        ];
+
+        $import->update(['status' => Import::STATUS_PROCESSING, 'started_at' => now(), 'finished_at' => null] + $counts);
+
+        $history = new ImportHistory($import);
+
+        try {
+            $pending->chunkById(self::CHUNK_SIZE, function ($changes) use ($import, $history, &$counts) {
+                DB::transaction(function () use ($changes, $import, $history, &$counts) {
+                    $before = $history->snapshot($changes->pluck('sku')->all());
+                    $products = Product::whereIn('sku', $changes->pluck('sku'))->get()->keyBy('sku');
+                    $written = [];
+
+                    foreach ($changes as $change) {
+                        $product = $products->get($change->sku);
+
+                        if ($product && $import->user?->cannot('update', $product)) {
+                            $this->refuse($change, $import);
+                            $counts['invalid']++;
+                        } elseif ($change->action === ImportChange::ACTION_CREATE) {
+                            $this->create($change, $import, $product);
+                            $written[$change->line] = $change->values;
+                            $counts['imported']++;
+                        } else {
+                            $this->update($change, $product);
+                            if (isset($before[$change->sku])) {
+                                $written[$change->line] = ['sku' => $change->sku]
+                                    + array_map(fn ($field) => $field['new'], $change->changes ?? [])
+                                    + $before[$change->sku];
+                            }
+                            $counts['updated']++;
+                        }
+                    }
+
+                    $history->record($written, $before);
+                });
+
+                $counts['processed_rows'] += $changes->count();
+                $import->update($counts);
+            });
+
+            $import->update([
+                'status' => Import::STATUS_COMPLETE,
+                'finished_at' => now(),
+            ]);
+
+            Log::info('Applied previewed product import', ['import_id' => $import->id] + $counts);
+
+        } catch (\Exception $e) {
+            Log::error('Error applying product import: ' . $e->getMessage());
+            $import->update([
+                'status' => Import::STATUS_FAILED,
+                'error' => $e->getMessage(),
+                'finished_at' => now(),
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Create the product of a planned creation, owned by the user who
+     * started the import.
+     *
+     * If a product with the SKU was added since the preview (by someone
+     * whose products the user may edit), it gets the previewed values
+     * instead and keeps its owner.
+     *
+     * @param ImportChange $change
+     * @param Import $import
+     * @param Product|null $product The product stored under the SKU now, if any
+     * @return void
+     */
+    protected function create(ImportChange $change, Import $import, ?Product $product): void
+    {
+        ($product ?? new Product(['sku' => $change->sku, 'user_id' => $import->user_id]))
+            ->fill(array_intersect_key($change->values, array_flip(['name', 'description', 'price'])))
+            ->save();
+    }
+
+    /**
+     * Write the changed fields of a planned update.
+     *
+     * @param ImportChange $change
+     * @param Product|null $product The product stored under the SKU now, if any
+     * @return void
+     */
+    protected function update(ImportChange $change, ?Product $product): void
+    {
+        $values = array_map(fn ($field) => $field['new'], $change->changes ?? []);
+
+        $product?->update($values);
+    }
+
+    /**
+     * Record a planned change the import's user may no longer make as an
+     * invalid row.
+     *
+     * @param ImportChange $change
+     * @param Import $import
+     * @return void
+     */
+    protected function refuse(ImportChange $change, Import $import): void
+    {
+        $import->issues()->create([
+            'type' => ImportIssue::TYPE_INVALID,
+            'line' => $change->line,
+            'sku' => $change->sku,
+            'reason' => "You are not allowed to edit product {$change->sku}",
+            'data' => $change->values,
+        ]);
+
+        Log::warning('Skipped change to a product of another user', ['import_id' => $import->id, 'sku' => $change->sku]);
+    }
+}
@@ -0,0 +1,79 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\ArchiveEntry;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Services\ProductImageAttacher;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Attaches a processed image upload to a product, chained after
+ * ProcessUploadJob for images extracted from a ZIP archive.
+ *
+ * The image becomes the product's primary image if it has none yet.
+ */
+
+class AttachUploadToProduct implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * Create a new job instance.
+     *
+     * @param int $uploadId The ID of the image's upload record
+     * @param string $sku SKU of the product to attach it to
+     * @param int|null $entryId The archive entry the image came from, to record the result on
+     */
+    public function __construct(
+        public int $uploadId,
+        public string $sku,
+        public ?int $entryId = null
+    ) {}
+
+    /**
+     * Execute the job.
+     *
+     * @param ProductImageAttacher $attacher
+     * @return void
+     * @throws \Exception If the upload has no image or the product is gone
+     */
+    public function handle(ProductImageAttacher $attacher): void
+    {
+        $entry = $this->entryId ? ArchiveEntry::find($this->entryId) : null;
+
+        try {
+            $upload = Upload::findOrFail($this->uploadId);
+            if ($upload->status !== Upload::STATUS_COMPLETE) {
+                throw new \Exception("Upload {$upload->upload_id} has not been processed");
+            }
+
+            $image = $attacher->imageFor($upload);
+            if (!$image) {
+                throw new \Exception("Upload {$upload->upload_id} has no image");
+            }
+
+            $product = Product::where('sku', $this->sku)->first();
+            if (!$product) {
+                throw new \Exception("Product {$this->sku} no longer exists");
+            }
+
+            $attacher->attach($image, $product, $product->primary_image_id === null);
+            $entry?->update(['status' => ArchiveEntry::STATUS_ATTACHED]);
+
+        } catch (\Exception $e) {
+            Log::error('Error attaching upload to product: ' . $e->getMessage(), [
+                'upload_id' => $this->uploadId,
+                'sku' => $this->sku,
+            ]);
+            $entry?->update(['status' => ArchiveEntry::STATUS_FAILED, 'reason' => $e->getMessage()]);
+            throw $e;
+        }
+    }
+}
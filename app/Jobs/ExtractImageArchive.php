@@ -0,0 +1,353 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Events\UploadStatusUpdated;
+use App\Exceptions\UploadRejectedException;
+use App\Models\ArchiveEntry;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Services\Checksum;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use ZipArchive;
+
+/**
+ * Unpacks an uploaded ZIP archive of product images.
+ *
+ * The archive is checked for zip bombs before anything is extracted (see
+ * the "archive" limits in config/uploads.php). Every image entry is then
+ * streamed out into an Upload of its own, processed by ProcessUploadJob and
+ * attached to the product its folder or filename names ("SKU123/1.jpg",
+ * "SKU123_1.jpg") by AttachUploadToProduct, if whoever uploaded the
+ * archive may edit that product. Other entries are rejected.
+ * What became of each entry is stored as an ArchiveEntry and broadcast on
+ * the archive's status channel as it happens.
+ */
+
+class ExtractImageArchive implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * An archive that fails its checks fails them every time.
+     *
+     * @var int
+     */
+    public int $tries = 1;
+
+    /**
+     * The number of seconds the job can run before timing out.
+     *
+     * @var int
+     */
+    public int $timeout = 3600;
+
+    /**
+     * Bytes read from an entry at a time while extracting it.
+     *
+     * @var int
+     */
+    const READ_SIZE = 1024 * 1024;
+
+    /**
+     * Create a new job instance.
+     *
+     * @param int $uploadId The ID of the archive's upload record
+     * @param string $filePath Path to the assembled archive
+     */
+    public function __construct(
+        public int $uploadId,
+        public string $filePath
+    ) {}
+
+    /**
+     * Execute the job.
+     *
+     * @return void
+     * @throws \Exception If the archive can't be read or looks like a zip bomb
+     */
+    public function handle(): void
+    {
+        $upload = Upload::find($this->uploadId);
+        if (!$upload) {
+            throw new \Exception("Upload record not found for ID: " . $this->uploadId);
+        }
+
+        if ($upload->isCancelled()) {
+            Log::info('Skipping ExtractImageArchive for cancelled upload', ['upload_id' => $upload->id]);
+            return;
+        }
+
+        $limits = config('uploads.archive');
+        $zip = new ZipArchive();
+
+        try {
+            $opened = $zip->open($this->filePath, ZipArchive::RDONLY);
+            if ($opened !== true) {
+                throw new \Exception("The file is not a readable ZIP archive (error {$opened})");
+            }
+
+            $total = $this->inspect($zip, $limits);
+            $upload->update(['meta' => [...($upload->meta ?? []), 'total_entries' => $total, 'processed_entries' => 0]]);
+
+            $processed = 0;
+            for ($index = 0; $index < $zip->numFiles; $index++) {
+                $stat = $zip->statIndex($index);
+                if (str_ends_with($stat['name'], '/')) {
+                    continue; // A folder
+                }
+
+                // Stop early if the upload was cancelled mid-extraction
+                if ($upload->fresh()->isCancelled()) {
+                    Log::info('Archive cancelled during extraction', ['upload_id' => $upload->id]);
+                    return;
+                }
+
+                $entry = $this->extractEntry($zip, $stat, $upload, $limits);
+                $processed++;
+
+                $upload->update(['meta' => [...$upload->meta, 'processed_entries' => $processed]]);
+                UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_PROCESSING, null, null, [
+                    ...$entry->summary(),
+                    'processed' => $processed,
+                    'total' => $total,
+                ]);
+            }
+            $zip->close();
+
+            // The images live on as uploads of their own
+            File::delete($this->filePath);
+
+            $upload->update(['status' => Upload::STATUS_COMPLETE]);
+            UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_COMPLETE);
+
+            Log::info('Extracted image archive', ['upload_id' => $upload->id, 'entries' => $total]);
+
+        } catch (\Exception $e) {
+            Log::error('ExtractImageArchive failed: ' . $e->getMessage(), ['upload_id' => $upload->id]);
+
+            if (!$upload->fresh()?->isCancelled()) {
+                $upload->update([
+                    'status' => Upload::STATUS_FAILED,
+                    'meta' => [...($upload->meta ?? []), 'error' => $e->getMessage()],
+                ]);
+                UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_FAILED, null, $e->getMessage());
+            }
+
+            throw $e;
+        }
+    }
+
+    /**
+     * Check the archive's entries against the limits before extracting any.
+     *
+     * Sizes are taken from the archive's directory; extractEntry() makes sure
+     * no entry unpacks to more than it claims.
+     *
+     * @param ZipArchive $zip
+     * @param array $limits
+     * @return int Number of files (not folders) in the archive
+     * @throws \Exception If the archive exceeds a limit
+     */
+    protected function inspect(ZipArchive $zip, array $limits): int
+    {
+        $files = 0;
+        $totalSize = 0;
+
+        for ($index = 0; $index < $zip->numFiles; $index++) {
+            $stat = $zip->statIndex($index);
+            if (str_ends_with($stat['name'], '/')) {
+                continue;
+            }
+
+            if (++$files > $limits['max_entries']) {
+                throw new \Exception("The archive has more than {$limits['max_entries']} files");
+            }
+
+            $totalSize += $stat['size'];
+            if ($totalSize > $limits['max_total_size']) {
+                throw new \Exception('The archive unpacks to more than ' . $this->megabytes($limits['max_total_size']));
+            }
+
+            // Small files compress well without harm; a big one that shrank to almost nothing is a bomb
+            if ($stat['size'] > self::READ_SIZE
+                && ($stat['comp_size'] === 0 || $stat['size'] / $stat['comp_size'] > $limits['max_compression_ratio'])) {
+                throw new \Exception("The archive looks like a zip bomb: {$stat['name']} is compressed more than {$limits['max_compression_ratio']}:1");
+            }
+        }
+
+        return $files;
+    }
+
+    /**
+     * Extract one entry as an image upload of its own and queue its
+     * processing and attachment, or reject it.
+     *
+     * @param ZipArchive $zip
+     * @param array $stat The entry's statIndex()
+     * @param Upload $archive
+     * @param array $limits
+     * @return ArchiveEntry
+     */
+    protected function extractEntry(ZipArchive $zip, array $stat, Upload $archive, array $limits): ArchiveEntry
+    {
+        $name = $stat['name'];
+        $entry = ArchiveEntry::updateOrCreate(
+            ['upload_id' => $archive->id, 'entry_index' => $stat['index']],
+            ['name' => $name, 'size' => $stat['size'], 'status' => ArchiveEntry::STATUS_PROCESSING, 'sku' => null, 'reason' => null]
+        );
+        $reject = function (string $reason) use ($entry) {
+            $entry->update(['status' => ArchiveEntry::STATUS_REJECTED, 'reason' => $reason]);
+            return $entry;
+        };
+
+        $baseName = basename($name);
+        if (str_starts_with($baseName, '.') || str_starts_with($name, '__MACOSX/')) {
+            return $reject('System file');
+        }
+        if (!in_array(strtolower(pathinfo($baseName, PATHINFO_EXTENSION)), $limits['image_extensions'], true)) {
+            return $reject('Not an image file');
+        }
+        if ($stat['size'] > $limits['max_entry_size']) {
+            return $reject('Larger than ' . $this->megabytes($limits['max_entry_size']));
+        }
+
+        $sku = $this->skuFor($name);
+        if ($sku === null) {
+            return $reject('No product with a matching SKU');
+        }
+        if (!$archive->user?->can('update', Product::where('sku', $sku)->first())) {
+            return $reject("Not allowed to edit product {$sku}");
+        }
+
+        // Entry names are never used as paths, so "../" in them can't escape
+        $uuid = (string) Str::uuid();
+        $storagePath = "uploads/{$uuid}/original";
+        Storage::makeDirectory(dirname($storagePath));
+        $fullPath = Storage::path($storagePath);
+
+        $size = $this->copyEntry($zip, $stat, $fullPath, min($stat['size'], $limits['max_entry_size']));
+        if ($size === null) {
+            Storage::deleteDirectory(dirname($storagePath));
+            return $reject('Unpacks to more than its stated size');
+        }
+        if (!@getimagesize($fullPath)) {
+            Storage::deleteDirectory(dirname($storagePath));
+            return $reject('Not a valid image');
+        }
+
+        $image = Upload::create([
+            'user_id' => $archive->user_id,
+            'upload_id' => $uuid,
+            'original_filename' => $baseName,
+            'file_size' => $size,
+            'file_checksum' => Checksum::file($archive->checksum_algorithm, $fullPath),
+            'checksum_algorithm' => $archive->checksum_algorithm,
+            'status' => Upload::STATUS_PROCESSING,
+            'meta' => ['purpose' => Upload::PURPOSE_IMAGE, 'archive_id' => $archive->upload_id, 'archive_entry' => $name],
+        ]);
+        $entry->update(['sku' => $sku, 'image_upload_id' => $image->id]);
+
+        $entryId = $entry->id;
+        Bus::chain([
+            new ProcessUploadJob($image->id, $fullPath),
+            new AttachUploadToProduct($image->id, $sku, $entryId),
+        ])->catch(function (\Throwable $e) use ($entryId) {
+            ArchiveEntry::whereKey($entryId)->update([
+                // ProcessUploadJob refuses images that aren't what they claim or are too large
+                'status' => $e instanceof UploadRejectedException ? ArchiveEntry::STATUS_REJECTED : ArchiveEntry::STATUS_FAILED,
+                'reason' => Str::limit($e->getMessage(), 250),
+            ]);
+        })->dispatch();
+
+        return $entry;
+    }
+
+    /**
+     * Stream an entry to a file, giving up once it grows past `$maxBytes`.
+     *
+     * @param ZipArchive $zip
+     * @param array $stat
+     * @param string $target
+     * @param int $maxBytes
+     * @return int|null Bytes written, or null if the entry was too big
+     * @throws \Exception If the entry can't be read or written
+     */
+    protected function copyEntry(ZipArchive $zip, array $stat, string $target, int $maxBytes): ?int
+    {
+        $in = $zip->getStreamIndex($stat['index']);
+        $out = fopen($target, 'wb');
+        if (!$in || !$out) {
+            throw new \Exception("Could not extract {$stat['name']}");
+        }
+
+        $written = 0;
+        try {
+            while (!feof($in)) {
+                $data = fread($in, self::READ_SIZE);
+                if ($data === false) {
+                    throw new \Exception("Could not read {$stat['name']} from the archive");
+                }
+
+                $written += strlen($data);
+                if ($written > $maxBytes) {
+                    return null;
+                }
+                fwrite($out, $data);
+            }
+        } finally {
+            fclose($in);
+            fclose($out);
+        }
+
+        return $written;
+    }
+
+    /**
+     * Find the product an entry belongs to: the nearest folder named after a
+     * SKU ("SKU123/1.jpg"), else the longest SKU its filename starts with
+     * ("SKU123_1.jpg", "SKU123-front.png").
+     *
+     * @param string $name
+     * @return string|null
+     */
+    protected function skuFor(string $name): ?string
+    {
+        $segments = explode('/', trim($name, '/'));
+        $fileName = pathinfo(array_pop($segments), PATHINFO_FILENAME);
+
+        $candidates = array_reverse($segments);
+        for ($prefix = $fileName; $prefix !== ''; $prefix = preg_replace('/[_\-\s]*[^_\-\s]*$/', '', $prefix)) {
+            $candidates[] = $prefix;
+        }
+
+        $known = Product::whereIn('sku', $candidates)->pluck('sku')->all();
+        foreach ($candidates as $candidate) {
+            if (in_array($candidate, $known, true)) {
+                return $candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a byte limit for messages, e.g. "20 MB".
+     *
+     * @param int $bytes
+     * @return string
+     */
+    protected function megabytes(int $bytes): string
+    {
+        return round($bytes / 1024 / 1024) . ' MB';
+    }
+}
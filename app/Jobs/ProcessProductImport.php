@@ -2,222 +2,136 @@
 
 namespace App\Jobs;
 
+use App\Models\Import;
+use App\Services\ProductCsvImporter;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Bus\Queueable;
 use Illuminate\Contracts\Queue\ShouldQueue;
 use Illuminate\Foundation\Bus\Dispatchable;
 use Illuminate\Queue\InteractsWithQueue;
 use Illuminate\Queue\SerializesModels;
-use League\Csv\Reader;
+
+/**
+ * Runs an uploaded product file through the ProductCsvImporter pipeline on
+ * the queue and keeps its Import record up to date.
+ *
+ * A dry run writes no products: the import stops at STATUS_PREVIEW with
+ * the planned changes stored for review (see ApplyImportChanges).
+ */
 
 class ProcessProductImport implements ShouldQueue
 {
     use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
 
+    /**
+     * Number of valid rows written per upsert.
+     *
+     * @var int
+     */
+    const BATCH_SIZE = 1000;
+
     protected $filePath;
 
     /**
-     * Create a new job instance.
+     * ID of the Import record tracking this run, if any.
      *
-     * @param string $filePath
-     * @return void
+     * @var int|null
      */
-    public function __construct($filePath)
-    {
-        $this->filePath = $filePath;
-    }
+    protected $importId;
 
     /**
-     * @return void
-     * @throws \Exception
+     * Which column of the file holds each product field (field => source header).
+     *
+     * @var array<string, string>
      */
-    public function handle(): void
-    {
-        try {
-            Log::info('Starting CSV import from path: ' . $this->filePath);
-
-            // Check if the file exists
-            if (!file_exists($this->filePath)) {
-                $error = "CSV file not found at path: " . $this->filePath;
-                Log::error($error);
-                throw new \Exception($error);
-            }
-
-            // Check if file is readable
-            if (!is_readable($this->filePath)) {
-                $error = "CSV file is not readable: " . $this->filePath;
-                Log::error($error);
-                throw new \Exception($error);
-            }
-
-            // Create CSV reader
-            $csv = Reader::createFromPath($this->filePath, 'r');
-            $csv->setHeaderOffset(0); // Set the CSV header offset
-
-            $header = $csv->getHeader(); // Get the header row
-            Log::info('CSV headers: ' . implode(', ', $header));
-
-            // Verify required columns exist
-            $requiredColumns = ['sku', 'name'];
-            foreach ($requiredColumns as $column) {
-                if (!in_array($column, $header)) {
-                    $error = "Missing required column in CSV: " . $column;
-                    Log::error($error);
-                    throw new \Exception($error);
-                }
-            }
-
-            $count = 0;
-            $errors = [];
-
-            // Process each row
-            foreach ($csv->getRecords() as $index => $record) {
-                try {
-                    // Skip empty rows
-                    if (empty(array_filter($record))) {
-                        continue;
-                    }
-
-                    // Process the product record
-                    $this->processProduct($record);
-                    $count++;
-                } catch (\Exception $e) {
-                    $errors[] = "Row " . ($index + 2) . ": " . $e->getMessage();
-                    Log::error("Error processing row " . ($index + 2) . ": " . $e->getMessage());
-                    continue;
-                }
-            }
-
-            $message = "Successfully processed {$count} records from CSV";
-            if (!empty($errors)) {
-                $message .= " with " . count($errors) . " errors";
-                Log::warning(implode("\n", $errors));
-            }
-            Log::info($message);
-
-            // Delete the file after processing
-            if (file_exists($this->filePath)) {
-                unlink($this->filePath);
-                Log::info('Temporary CSV file deleted: ' . $this->filePath);
-            }
-
-        } catch (\Exception $e) {
-            Log::error('Error processing CSV import: ' . $e->getMessage());
-            throw $e;
-        }
-    }
+    protected $columnMapping;
 
     /**
-     * Process a single product record
+     * Options for the file's RowReader, e.g. the workbook sheet to read.
      *
-     * @param array $record
-     * @return void
+     * @var array
      */
+    protected $readerOptions;
+
     /**
-     * Clean a string by removing extra whitespace and special characters
+     * Whether to only work out the changes ("Preview changes").
      *
-     * @param string|null $value
-     * @return string|null
+     * @var bool
      */
-    protected function cleanString($value)
-    {
-        if ($value === null) {
-            return null;
-        }
-
-        $value = trim($value);
-        $value = preg_replace('/\s+/', ' ', $value); // Replace multiple spaces with a single space
-        return $value === '' ? null : $value;
-    }
+    protected $dryRun;
 
     /**
-     * Parse a number from a string, handling different decimal separators
+     * Create a new job instance.
      *
-     * @param mixed $value
-     * @return float
+     * @param string $filePath
+     * @param int|null $importId
+     * @param array<string, string> $columnMapping
+     * @param array $readerOptions
+     * @param bool $dryRun
+     * @return void
      */
-    protected function parseNumber($value)
+    public function __construct($filePath, $importId = null, array $columnMapping = [], array $readerOptions = [], bool $dryRun = false)
     {
-        if (is_numeric($value)) {
-            return (float)$value;
-        }
-
-        // Handle different decimal separators
-        $value = str_replace([',', ' '], ['.', ''], $value);
-
-        return is_numeric($value) ? (float)$value : 0;
+        $this->filePath = $filePath;
+        $this->importId = $importId;
+        $this->columnMapping = $columnMapping;
+        $this->readerOptions = $readerOptions;
+        $this->dryRun = $dryRun;
     }
 
     /**
-     * Process a single product record
-     *
-     * @param array $record
+     * @param ProductCsvImporter $importer
      * @return void
      * @throws \Exception
      */
-    protected function processProduct(array $record) :void
+    public function handle(ProductCsvImporter $importer): void
     {
+        $import = $this->importId ? Import::find($this->importId) : null;
+
         try {
-            // Log the raw record for debugging
-            Log::debug('Processing product record', ['record' => $record]);
-
-            // Clean and validate the record data
-            $record = array_map('trim', $record);
-            $record = array_filter($record);
-
-            // Map CSV columns to database fields
-            $productData = [
-                'sku' => $this->cleanString($record['sku'] ?? null),
-                'name' => $this->cleanString($record['name'] ?? null),
-                'description' => $this->cleanString($record['description'] ?? null),
-                'price' => $this->parseNumber($record['price'] ?? 0),
-                // Set primary_image_id to null if not provided to avoid foreign key constraint issues
-                'primary_image_id' => null,
-                'created_at' => now(),
-                'updated_at' => now(),
-            ];
-
-            // Skip if required fields are missing
-            if (empty($productData['sku']) || empty($productData['name'])) {
-                Log::warning('Skipping product import - missing required fields', [
-                    'sku' => $productData['sku'],
-                    'name' => $productData['name']
-                ]);
-                return;
+            Log::info('Starting product import from path: ' . $this->filePath, ['dry_run' => $this->dryRun]);
+
+            // Check that the file exists and is readable
+            if (!is_readable($this->filePath)) {
+                throw new \Exception("Import file not found or not readable: " . $this->filePath);
             }
 
-            // Log before update or create
-            Log::info('Attempting to upsert product', [
-                'sku' => $productData['sku'],
-                'data' => $productData
+            $import?->update([
+                'status' => Import::STATUS_PROCESSING,
+                'started_at' => now(),
             ]);
 
-            try {
-                // Update or create the product
-                $product = \App\Models\Product::query()->updateOrCreate(
-                    ['sku' => $productData['sku']],
-                    $productData
-                );
-
-                Log::info('Successfully processed product', [
-                    'id' => $product->id,
-                    'sku' => $product->sku
-                ]);
-
-            } catch (\Exception $e) {
-                Log::error('Failed to upsert product', [
-                    'sku' => $productData['sku'],
-                    'error' => $e->getMessage(),
-                    'trace' => $e->getTraceAsString()
-                ]);
-                throw $e;
+            if ($import) {
+                $importer->forImport($import);
+            }
+            $summary = $importer
+                ->setDryRun($this->dryRun)
+                ->import($this->filePath, self::BATCH_SIZE, $this->columnMapping, $this->readerOptions);
+
+            $import?->update([
+                'status' => $this->dryRun ? Import::STATUS_PREVIEW : Import::STATUS_COMPLETE,
+                'finished_at' => now(),
+                'path' => null,
+            ]);
+
+            $message = ($this->dryRun ? 'Previewed' : 'Successfully processed') . " {$summary['total']} records";
+            if ($summary['invalid'] || $summary['duplicates']) {
+                $message .= " with {$summary['invalid']} invalid and {$summary['duplicates']} duplicate rows";
+            }
+            Log::info($message, ['import_id' => $this->importId]);
+
+            // Delete the file after processing; a dry run keeps its changes in the database
+            if (file_exists($this->filePath)) {
+                unlink($this->filePath);
+                Log::info('Temporary import file deleted: ' . $this->filePath);
             }
 
         } catch (\Exception $e) {
-            Log::error('Error in processProduct', [
-                'record' => $record,
+            Log::error('Error processing product import: ' . $e->getMessage());
+            $import?->update([
+                'status' => Import::STATUS_FAILED,
                 'error' => $e->getMessage(),
-                'trace' => $e->getTraceAsString()
+                'finished_at' => now(),
             ]);
             throw $e;
         }
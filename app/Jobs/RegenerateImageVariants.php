@@ -0,0 +1,102 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\Image;
+use App\Models\Upload;
+use App\Services\ImageVariants;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+
+/**
+ * Brings the resized variants of a processed upload in line with the
+ * current profiles in config/uploads.php, working from its stored original.
+ *
+ * Variant records are updated in place, so running it twice changes
+ * nothing the second time. Variants no profile asks for any more are
+ * deleted with their files; the original and its product links are left
+ * alone. Queued by the images:regenerate-variants command.
+ */
+
+class RegenerateImageVariants implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * The number of times the job may be attempted.
+     *
+     * @var int
+     */
+    public int $tries = 3;
+
+    /**
+     * The number of seconds the job can run before timing out.
+     *
+     * @var int
+     */
+    public int $timeout = 300;
+
+    /**
+     * Create a new job instance.
+     *
+     * @param int $uploadId The ID of the upload record
+     * @param bool $onlyMissing Only create the variants the upload doesn't have yet
+     */
+    public function __construct(
+        public int $uploadId,
+        public bool $onlyMissing = false
+    ) {}
+
+    /**
+     * Execute the job.
+     *
+     * @param ImageVariants $variants
+     * @return void
+     * @throws \Exception If the original is gone or can't be processed
+     */
+    public function handle(ImageVariants $variants): void
+    {
+        $upload = Upload::with('images')->find($this->uploadId);
+        if (!$upload) {
+            Log::info('Skipping RegenerateImageVariants for deleted upload', ['upload_id' => $this->uploadId]);
+            return;
+        }
+
+        $original = $upload->images->firstWhere('variant', Image::VARIANT_ORIGINAL);
+        $disk = Storage::disk('public');
+        if (!$original || !$disk->exists($original->path)) {
+            throw new \Exception("The original image of upload {$upload->upload_id} is missing");
+        }
+
+        $profiles = $variants->profiles();
+        if ($this->onlyMissing) {
+            $profiles = array_intersect_key($profiles, $variants->missing($upload));
+        }
+
+        foreach ($profiles as $variant => $profile) {
+            $variants->create($upload, $disk->path($original->path), $variant, $profile);
+        }
+
+        if (!$this->onlyMissing) {
+            foreach ($variants->stale($upload) as $image) {
+                // Products linked to a resized variant (when the original was missing) keep it
+                if ($image->products()->exists()) {
+                    continue;
+                }
+                $disk->delete($image->path);
+                $image->delete();
+            }
+        }
+
+        Log::info('Regenerated image variants', [
+            'upload_id' => $upload->id,
+            'variants' => array_keys($profiles),
+            'only_missing' => $this->onlyMissing,
+        ]);
+    }
+}
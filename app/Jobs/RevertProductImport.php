@@ -0,0 +1,63 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\Import;
+use App\Services\ImportHistory;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Reverts a finished product import.
+ *
+ * The import must have been claimed with Import::claimForRevert() first.
+ * Updated products get their old values back and created products are
+ * deleted, except those changed since the import (see ImportHistory).
+ */
+
+class RevertProductImport implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * Create a new job instance.
+     *
+     * @param int $importId
+     * @param string $previousStatus Status to go back to if the revert fails
+     */
+    public function __construct(
+        public int $importId,
+        public string $previousStatus = Import::STATUS_COMPLETE
+    ) {}
+
+    /**
+     * Execute the job.
+     *
+     * @return void
+     * @throws \Exception
+     */
+    public function handle(): void
+    {
+        $import = Import::findOrFail($this->importId);
+
+        try {
+            $counts = (new ImportHistory($import))->revert();
+
+            $import->update([
+                'status' => Import::STATUS_REVERTED,
+                'reverted_at' => now(),
+                'revert_summary' => $counts,
+            ]);
+
+        } catch (\Exception $e) {
+            Log::error('Error reverting product import: ' . $e->getMessage(), ['import_id' => $import->id]);
+            // Nothing is lost: the revert can be started again
+            $import->update(['status' => $this->previousStatus]);
+            throw $e;
+        }
+    }
+}
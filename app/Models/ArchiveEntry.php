@@ -0,0 +1,101 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * ArchiveEntry Model
+ *
+ * A file found in an uploaded ZIP archive. Accepted images become uploads
+ * of their own, go through ProcessUploadJob and are attached to the product
+ * whose SKU the entry's path names; anything else is rejected with a reason.
+ *
+ * @property int $id
+ * @property int $upload_id The archive upload
+ * @property int $entry_index Position of the entry in the archive
+ * @property string $name Path of the entry inside the archive, e.g. "SKU123/1.jpg"
+ * @property int|null $size Uncompressed size in bytes
+ * @property string|null $sku SKU of the product the image is attached to
+ * @property int|null $image_upload_id The upload created for the image
+ * @property string $status One of the STATUS_* constants
+ * @property string|null $reason Why the entry was rejected or failed
+ * @property \Illuminate\Support\Carbon $created_at
+ * @property \Illuminate\Support\Carbon $updated_at
+ *
+ * @property-read \App\Models\Upload $upload
+ * @property-read \App\Models\Upload|null $imageUpload
+ */
+
+class ArchiveEntry extends Model
+{
+    // Entry statuses
+    public const STATUS_PROCESSING = 'processing';
+    public const STATUS_ATTACHED = 'attached';
+    public const STATUS_REJECTED = 'rejected';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'upload_id',
+        'entry_index',
+        'name',
+        'size',
+        'sku',
+        'image_upload_id',
+        'status',
+        'reason',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'entry_index' => 'integer',
+        'size' => 'integer',
+    ];
+
+    /**
+     * Get the archive upload the entry was found in.
+     *
+     * @return BelongsTo
+     */
+    public function upload(): BelongsTo
+    {
+        return $this->belongsTo(Upload::class);
+    }
+
+    /**
+     * Get the upload created for the entry's image.
+     *
+     * @return BelongsTo
+     */
+    public function imageUpload(): BelongsTo
+    {
+        return $this->belongsTo(Upload::class, 'image_upload_id');
+    }
+
+    /**
+     * Get the entry's fields for the progress endpoint.
+     *
+     * @return array<string, mixed>
+     */
+    public function summary(): array
+    {
+        return [
+            'index' => $this->entry_index,
+            'name' => $this->name,
+            'size' => $this->size,
+            'sku' => $this->sku,
+            'status' => $this->status,
+            'reason' => $this->reason,
+        ];
+    }
+}
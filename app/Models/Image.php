@@ -5,6 +5,7 @@
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
 use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Support\Facades\Storage;
 
 /**
@@ -17,15 +18,18 @@
  * @property int $id
  * @property int $upload_id The ID of the associated upload record
  * @property string $variant The image variant (e.g., 'original', '256', '512')
+ * @property string $format The file format (e.g., 'jpeg', 'webp', 'avif'); a variant is stored once per format
  * @property string $path The storage path to the image file
  * @property string $mime The MIME type of the image
  * @property int $width The width of the image in pixels
  * @property int $height The height of the image in pixels
- * @property string $checksum MD5 checksum of the image file
+ * @property string $checksum Checksum of the image file
+ * @property string $checksum_algorithm Algorithm used for the checksum (e.g., 'md5', 'sha256')
  * @property \Illuminate\Support\Carbon $created_at
  * @property \Illuminate\Support\Carbon $updated_at
  *
  * @property-read \App\Models\Upload $upload The upload this image belongs to
+ * @property-read \Illuminate\Database\Eloquent\Collection|Image[] $variants All variants made from the same upload, this one included
  * @property-read \Illuminate\Database\Eloquent\Collection|Product[] $products Products this image is associated with
  */
 
@@ -37,6 +41,18 @@ class Image extends Model
     public const VARIANT_MEDIUM = '512';
     public const VARIANT_LARGE = '1024';
 
+    // MIME type of each format an image can be stored in
+    public const FORMAT_MIMES = [
+        'jpeg' => 'image/jpeg',
+        'png' => 'image/png',
+        'gif' => 'image/gif',
+        'webp' => 'image/webp',
+        'avif' => 'image/avif',
+    ];
+
+    // Formats offered as <picture> sources, best first; browsers without them get the JPEG variants
+    public const SOURCE_FORMATS = ['avif', 'webp'];
+
     /**
      * Get all available variants
      *
@@ -59,11 +75,13 @@ public static function getAvailableVariants(): array
     protected $fillable = [
         'upload_id',
         'variant',
+        'format',
         'path',
         'mime',
         'width',
         'height',
-        'checksum'
+        'checksum',
+        'checksum_algorithm'
     ];
 
     /**
@@ -78,34 +96,6 @@ public static function getAvailableVariants(): array
         'updated_at' => 'datetime',
     ];
 
-    /**
-     * Get the URL to the image variant.
-     *
-     * @param string|null $variant The variant to get the URL for (defaults to original)
-     * @return string
-     */
-    public function getUrl(string $variant = null): string
-    {
-        // Always use the public disk for generating URLs
-        if ($variant && $variant !== self::VARIANT_ORIGINAL) {
-            $variantImage = $this->upload->images()
-                ->where('variant', $variant)
-                ->first();
-
-            if ($variantImage) {
-                // Remove any existing path prefixes and get just the filename
-                $filename = basename($variantImage->path);
-                // Return URL in the format /uploads/filename
-                return '/uploads/' . $filename;
-            }
-        }
-
-        // Remove any existing path prefixes and get just the filename
-        $filename = basename($this->path);
-        // Return URL in the format /uploads/filename_orig
-        return '/uploads/' . $filename . ($variant === self::VARIANT_ORIGINAL ? '_orig' : '');
-    }
-
     /**
      * The accessors to append to the model's array form.
      *
@@ -133,6 +123,20 @@ public function upload(): BelongsTo
     {
         return $this->belongsTo(Upload::class);
     }
+
+    /**
+     * Get every variant made from the same upload, this one included.
+     *
+     * Products are linked to one variant of an upload (the original), so the
+     * sizes to offer in a srcset are found through this relation.
+     *
+     * @return \Illuminate\Database\Eloquent\Relations\HasMany
+     */
+    public function variants(): HasMany
+    {
+        return $this->hasMany(Image::class, 'upload_id', 'upload_id');
+    }
+
     /**
      * Get all products that this image is associated with.
      *
@@ -148,5 +152,73 @@ public function products(): BelongsToMany
             ->withPivot('is_primary')
             ->withTimestamps();
     }
-}
 
+    /**
+     * Get the public URL of this variant's file.
+     *
+     * @return string
+     */
+    public function url(): string
+    {
+        return asset('storage/' . $this->path);
+    }
+
+    /**
+     * Describe the image and all its variants for the product pages.
+     *
+     * `srcset` lists the JPEG variants (and the original) by width for the
+     * <img>, `sources` the AVIF and WebP ones for <picture> sources, best
+     * first. `variants` is keyed by variant name, with each format's URL.
+     *
+     * @return array
+     */
+    public function summary(): array
+    {
+        $all = ($this->relationLoaded('variants') ? $this->variants : $this->variants()->get())
+            ->sortBy('width');
+        $fallback = $all->filter(fn (Image $variant) => $variant->variant === self::VARIANT_ORIGINAL
+            || !in_array($variant->format, self::SOURCE_FORMATS, true));
+
+        return [
+            'id' => $this->id,
+            'url' => $this->url(),
+            'width' => $this->width,
+            'height' => $this->height,
+            'mime' => $this->mime,
+            'srcset' => $this->srcset($fallback),
+            'sources' => collect(self::SOURCE_FORMATS)
+                ->map(fn (string $format) => [
+                    'type' => self::FORMAT_MIMES[$format],
+                    'srcset' => $this->srcset($all->where('format', $format)->where('variant', '!=', self::VARIANT_ORIGINAL)),
+                ])
+                ->filter(fn (array $source) => $source['srcset'] !== '')
+                ->values()
+                ->all(),
+            'variants' => $fallback->mapWithKeys(fn (Image $variant) => [
+                $variant->variant => [
+                    'url' => $variant->url(),
+                    'width' => $variant->width,
+                    'height' => $variant->height,
+                    'mime' => $variant->mime,
+                    'formats' => $all->where('variant', $variant->variant)
+                        ->mapWithKeys(fn (Image $image) => [$image->format => $image->url()])
+                        ->all(),
+                ],
+            ])->all(),
+        ];
+    }
+
+    /**
+     * Build a srcset from variants sorted by width.
+     *
+     * @param \Illuminate\Support\Collection $variants
+     * @return string
+     */
+    protected function srcset($variants): string
+    {
+        // Variants no larger than the original share its width; list it once
+        return $variants->unique('width')
+            ->map(fn (Image $variant) => "{$variant->url()} {$variant->width}w")
+            ->implode(', ');
+    }
+}
@@ -0,0 +1,241 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+/**
+ * Import Model
+ *
+ * Records one run of the product CSV import: who started it, how far the
+ * job got and the final summary. Skipped rows are kept as ImportIssue
+ * records so they can be downloaded with their line numbers.
+ *
+ * A dry run stops at STATUS_PREVIEW with the planned change of every row
+ * kept as ImportChange records; applying it writes exactly those changes.
+ *
+ * Every product an import writes is kept as an ImportSnapshot, so a
+ * finished import can be reverted (STATUS_REVERTING, then STATUS_REVERTED).
+ *
+ * @property int $id
+ * @property int|null $user_id User who started the import
+ * @property string $original_filename Name of the uploaded file
+ * @property string|null $path Where the uploaded file is stored while processing
+ * @property array|null $column_mapping Product field => source column chosen on the import page
+ * @property string $status One of the STATUS_* constants
+ * @property int $total_rows Data rows in the file
+ * @property int $processed_rows Rows handled so far
+ * @property int $imported New products created
+ * @property int $updated Existing products updated
+ * @property int $unchanged Rows matching their product already (dry runs only)
+ * @property int $invalid Rows skipped for invalid data
+ * @property int $duplicates Rows skipped for repeating an earlier SKU
+ * @property string|null $error Why the import failed as a whole
+ * @property \Illuminate\Support\Carbon|null $started_at
+ * @property \Illuminate\Support\Carbon|null $finished_at
+ * @property \Illuminate\Support\Carbon|null $reverted_at
+ * @property array|null $revert_summary Products restored, deleted and skipped by the revert
+ * @property \Illuminate\Support\Carbon $created_at
+ * @property \Illuminate\Support\Carbon $updated_at
+ *
+ * @property-read \App\Models\User|null $user
+ * @property-read \Illuminate\Database\Eloquent\Collection|ImportIssue[] $issues
+ * @property-read \Illuminate\Database\Eloquent\Collection|ImportChange[] $changes
+ * @property-read \Illuminate\Database\Eloquent\Collection|ImportSnapshot[] $snapshots
+ */
+
+class Import extends Model
+{
+    // Import statuses
+    public const STATUS_PENDING = 'pending';
+    public const STATUS_PROCESSING = 'processing';
+    public const STATUS_COMPLETE = 'complete';
+    public const STATUS_FAILED = 'failed';
+    public const STATUS_PREVIEW = 'preview'; // dry run done, waiting to be applied
+    public const STATUS_REVERTING = 'reverting';
+    public const STATUS_REVERTED = 'reverted';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'user_id',
+        'original_filename',
+        'path',
+        'column_mapping',
+        'status',
+        'total_rows',
+        'processed_rows',
+        'imported',
+        'updated',
+        'unchanged',
+        'invalid',
+        'duplicates',
+        'error',
+        'started_at',
+        'finished_at',
+        'reverted_at',
+        'revert_summary',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'column_mapping' => 'array',
+        'total_rows' => 'integer',
+        'processed_rows' => 'integer',
+        'imported' => 'integer',
+        'updated' => 'integer',
+        'unchanged' => 'integer',
+        'invalid' => 'integer',
+        'duplicates' => 'integer',
+        'started_at' => 'datetime',
+        'finished_at' => 'datetime',
+        'reverted_at' => 'datetime',
+        'revert_summary' => 'array',
+    ];
+
+    /**
+     * The model's default values for attributes.
+     *
+     * @var array
+     */
+    protected $attributes = [
+        'status' => self::STATUS_PENDING,
+    ];
+
+    /**
+     * Get the user who started the import.
+     *
+     * @return BelongsTo
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the rows skipped during the import.
+     *
+     * @return HasMany
+     */
+    public function issues(): HasMany
+    {
+        return $this->hasMany(ImportIssue::class);
+    }
+
+    /**
+     * Get the planned changes of a dry run.
+     *
+     * @return HasMany
+     */
+    public function changes(): HasMany
+    {
+        return $this->hasMany(ImportChange::class);
+    }
+
+    /**
+     * Get the before and after state of the products the import wrote.
+     *
+     * @return HasMany
+     */
+    public function snapshots(): HasMany
+    {
+        return $this->hasMany(ImportSnapshot::class);
+    }
+
+    /**
+     * Determine whether the import wrote products that can still be reverted.
+     *
+     * @return bool
+     */
+    public function canRevert(): bool
+    {
+        return in_array($this->status, [self::STATUS_COMPLETE, self::STATUS_FAILED], true)
+            && $this->snapshots()->exists();
+    }
+
+    /**
+     * Mark the import as being reverted, unless that already happened or it
+     * isn't finished.
+     *
+     * The check and the update are one query, so two requests can't both
+     * start a revert.
+     *
+     * @return bool Whether the import was claimed
+     */
+    public function claimForRevert(): bool
+    {
+        $claimed = static::whereKey($this->id)
+            ->whereIn('status', [self::STATUS_COMPLETE, self::STATUS_FAILED])
+            ->update(['status' => self::STATUS_REVERTING]);
+
+        if ($claimed) {
+            $this->status = self::STATUS_REVERTING;
+        }
+
+        return (bool) $claimed;
+    }
+
+    /**
+     * Determine whether the job is done with this import, successfully or not.
+     *
+     * @return bool
+     */
+    public function isFinished(): bool
+    {
+        return in_array($this->status, [self::STATUS_COMPLETE, self::STATUS_FAILED, self::STATUS_PREVIEW, self::STATUS_REVERTED], true);
+    }
+
+    /**
+     * Get the share of rows processed so far, as a percentage.
+     *
+     * @return int
+     */
+    public function progress(): int
+    {
+        if (in_array($this->status, [self::STATUS_COMPLETE, self::STATUS_PREVIEW, self::STATUS_REVERTING, self::STATUS_REVERTED], true)) {
+            return 100;
+        }
+
+        return $this->total_rows > 0
+            ? (int) floor(($this->processed_rows / $this->total_rows) * 100)
+            : 0;
+    }
+
+    /**
+     * Get the status and counts shown on the import page.
+     *
+     * @return array<string, mixed>
+     */
+    public function summary(): array
+    {
+        return [
+            'id' => $this->id,
+            'original_filename' => $this->original_filename,
+            'status' => $this->status,
+            'progress' => $this->progress(),
+            'total_rows' => $this->total_rows,
+            'processed_rows' => $this->processed_rows,
+            'imported' => $this->imported,
+            'updated' => $this->updated,
+            'unchanged' => $this->unchanged,
+            'invalid' => $this->invalid,
+            'duplicates' => $this->duplicates,
+            'error' => $this->error,
+            'started_at' => $this->started_at?->toIso8601String(),
+            'finished_at' => $this->finished_at?->toIso8601String(),
+            'reverted_at' => $this->reverted_at?->toIso8601String(),
+            'revert_summary' => $this->revert_summary,
+            'can_revert' => $this->canRevert(),
+            'created_at' => $this->created_at?->toIso8601String(),
+        ];
+    }
+}
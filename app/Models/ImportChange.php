@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * ImportChange Model
+ *
+ * One row of a previewed (dry run) import and what applying it will do to
+ * the product with its SKU: create it, update some of its fields, or
+ * nothing. Applying the import writes exactly these changes.
+ *
+ * @property int $id
+ * @property int $import_id
+ * @property int $line Line number in the imported file
+ * @property string $sku
+ * @property string $action One of the ACTION_* constants
+ * @property array|null $changes Changed fields of an update: field => ['old' => ..., 'new' => ...]
+ * @property array $values The product's values from the file (sku, name, description, price)
+ * @property \Illuminate\Support\Carbon $created_at
+ * @property \Illuminate\Support\Carbon $updated_at
+ *
+ * @property-read \App\Models\Import $import
+ */
+
+class ImportChange extends Model
+{
+    // What applying the row does
+    public const ACTION_CREATE = 'create';
+    public const ACTION_UPDATE = 'update';
+    public const ACTION_UNCHANGED = 'unchanged';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'import_id',
+        'line',
+        'sku',
+        'action',
+        'changes',
+        'values',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'line' => 'integer',
+        'changes' => 'array',
+        'values' => 'array',
+    ];
+
+    /**
+     * Get the import this change belongs to.
+     *
+     * @return BelongsTo
+     */
+    public function import(): BelongsTo
+    {
+        return $this->belongsTo(Import::class);
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * ImportIssue Model
+ *
+ * A row the product import skipped, either because its data was invalid or
+ * because its SKU already appeared earlier in the same file. Reverting an
+ * import records the products it had to leave alone the same way.
+ *
+ * @property int $id
+ * @property int $import_id
+ * @property string $type One of the TYPE_* constants
+ * @property int $line Line number in the imported file (the header is line 1)
+ * @property string|null $sku SKU of the row, if it had one
+ * @property string $reason Why the row was skipped
+ * @property array|null $data The row as read from the file (for TYPE_NOT_REVERTED, the product's current values)
+ * @property \Illuminate\Support\Carbon $created_at
+ * @property \Illuminate\Support\Carbon $updated_at
+ *
+ * @property-read \App\Models\Import $import
+ */
+
+class ImportIssue extends Model
+{
+    // Issue types
+    public const TYPE_INVALID = 'invalid';
+    public const TYPE_DUPLICATE = 'duplicate';
+    public const TYPE_NOT_REVERTED = 'not_reverted';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'import_id',
+        'type',
+        'line',
+        'sku',
+        'reason',
+        'data',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'line' => 'integer',
+        'data' => 'array',
+    ];
+
+    /**
+     * Get the import this issue belongs to.
+     *
+     * @return BelongsTo
+     */
+    public function import(): BelongsTo
+    {
+        return $this->belongsTo(Import::class);
+    }
+}
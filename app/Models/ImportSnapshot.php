@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * ImportSnapshot Model
+ *
+ * A product an import wrote, with its values from just before and just
+ * after the write. Reverting the import puts the "before" values back, or
+ * deletes the product if the import created it, as long as the product
+ * still has the "after" values.
+ *
+ * @property int $id
+ * @property int $import_id
+ * @property int $line Line number in the imported file
+ * @property string $sku
+ * @property string $action One of the ACTION_* constants
+ * @property array|null $before The product's name, description and price before the import (null when it created the product)
+ * @property array $after The product's name, description and price as the import left them
+ * @property \Illuminate\Support\Carbon $created_at
+ * @property \Illuminate\Support\Carbon $updated_at
+ *
+ * @property-read \App\Models\Import $import
+ */
+
+class ImportSnapshot extends Model
+{
+    // What the import did to the product
+    public const ACTION_CREATED = 'created';
+    public const ACTION_UPDATED = 'updated';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'import_id',
+        'line',
+        'sku',
+        'action',
+        'before',
+        'after',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'line' => 'integer',
+        'before' => 'array',
+        'after' => 'array',
+    ];
+
+    /**
+     * Get the import this snapshot belongs to.
+     *
+     * @return BelongsTo
+     */
+    public function import(): BelongsTo
+    {
+        return $this->belongsTo(Import::class);
+    }
+}
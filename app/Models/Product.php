@@ -12,6 +12,7 @@
  * Represents a product in the e-commerce system.
  * 
  * @property int $id
+ * @property int|null $user_id User whose import created the product
  * @property string $sku Unique stock keeping unit identifier
  * @property string $name Product name
  * @property string|null $description Detailed product description
@@ -20,6 +21,7 @@
  * @property \Illuminate\Support\Carbon $created_at
  * @property \Illuminate\Support\Carbon $updated_at
  * 
+ * @property-read User|null $user
  * @property-read \Illuminate\Database\Eloquent\Collection|Image[] $images All associated images
  * @property-read Image|null $primaryImage The primary product image
  */
@@ -32,6 +34,7 @@ class Product extends Model
      * @var array<int, string>
      */
     protected $fillable = [
+        'user_id',
         'sku',
         'name',
         'description',
@@ -59,6 +62,16 @@ class Product extends Model
         // Add any computed attributes here
     ];
 
+    /**
+     * Get the user whose import created the product.
+     *
+     * @return \Illuminate\Database\Eloquent\Relations\BelongsTo
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
     /**
      * Get all images associated with the product.
      * 
@@ -3,6 +3,7 @@
 namespace App\Models;
 
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
 use Illuminate\Database\Eloquent\Relations\HasMany;
 
 /**
@@ -13,20 +14,47 @@
  * with any processed image variants.
  *
  * @property int $id
+ * @property int|null $user_id User who started the upload
  * @property string $upload_id Unique identifier for the upload (UUID)
  * @property string $original_filename The original filename of the uploaded file
  * @property int|null $file_size Size of the uploaded file in bytes
- * @property string|null $file_checksum MD5 checksum of the uploaded file
- * @property string $status Current status of the upload (e.g., 'uploading', 'processing', 'complete', 'failed')
+ * @property string|null $file_checksum Checksum of the uploaded file
+ * @property string $checksum_algorithm Algorithm used for the checksums (e.g., 'md5', 'sha256', 'crc32c')
+ * @property string $status Current status of the upload (one of the STATUS_* constants)
  * @property array|null $meta Additional metadata about the upload (stored as JSON)
+ * @property \Illuminate\Support\Carbon|null $expires_at When the upload session stops taking chunks
  * @property \Illuminate\Support\Carbon $created_at
  * @property \Illuminate\Support\Carbon $updated_at
  *
+ * @property-read User|null $user
  * @property-read \Illuminate\Database\Eloquent\Collection|Image[] $images Processed image variants
+ * @property-read \Illuminate\Database\Eloquent\Collection|ArchiveEntry[] $archiveEntries Files of an uploaded ZIP archive
  */
 
 class Upload extends Model
 {
+    // Upload statuses
+    public const STATUS_UPLOADING = 'uploading';
+    public const STATUS_ASSEMBLING = 'assembling';
+    public const STATUS_SCANNING = 'scanning';
+    public const STATUS_PROCESSING = 'processing';
+    public const STATUS_COMPLETE = 'complete';
+    public const STATUS_FAILED = 'failed';
+    public const STATUS_CANCELLED = 'cancelled';
+    // The session got no chunk before expires_at and was cleaned up (uploads:gc)
+    public const STATUS_EXPIRED = 'expired';
+    // Refused for its content; meta['rejection_reason'] says why
+    public const STATUS_REJECTED = 'rejected';
+    // Held for a threat the virus scanner found; meta['quarantine'] has the details
+    public const STATUS_QUARANTINED = 'quarantined';
+
+    // Statuses in which an upload takes chunks and completion
+    public const OPEN_STATUSES = [self::STATUS_UPLOADING, self::STATUS_FAILED];
+
+    // What an upload is for (meta['purpose']); images unless stated otherwise
+    public const PURPOSE_IMAGE = 'image';
+    public const PURPOSE_IMPORT = 'import';
+    public const PURPOSE_ARCHIVE = 'archive';
 
     /**
      * The attributes that are mass assignable.
@@ -34,12 +62,15 @@ class Upload extends Model
      * @var array<int, string>
      */
     protected $fillable = [
+        'user_id',
         'upload_id',
         'original_filename',
         'file_size',
         'file_checksum',
+        'checksum_algorithm',
         'status',
-        'meta'
+        'meta',
+        'expires_at',
     ];
 
     /**
@@ -50,6 +81,7 @@ class Upload extends Model
     protected $casts = [
         'meta' => 'array',
         'file_size' => 'integer',
+        'expires_at' => 'datetime',
         'created_at' => 'datetime',
         'updated_at' => 'datetime',
     ];
@@ -70,6 +102,7 @@ class Upload extends Model
      */
     protected $attributes = [
         'status' => 'uploading',
+        'checksum_algorithm' => 'md5',
         'meta' => '[]',
     ];
 
@@ -92,6 +125,16 @@ class Upload extends Model
         // 'deleting' => UploadDeleting::class,
     ];
 
+    /**
+     * Get the user who started the upload.
+     *
+     * @return \Illuminate\Database\Eloquent\Relations\BelongsTo
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
     /**
      * Get all images associated with this upload.
      *
@@ -105,6 +148,16 @@ public function images(): HasMany
         return $this->hasMany(Image::class);
     }
 
+    /**
+     * Get the files found in this upload, if it is a ZIP archive of images.
+     *
+     * @return \Illuminate\Database\Eloquent\Relations\HasMany
+     */
+    public function archiveEntries(): HasMany
+    {
+        return $this->hasMany(ArchiveEntry::class);
+    }
+
     /**
      * Scope a query to only include completed uploads.
      *
@@ -127,6 +180,89 @@ public function scopeFailed($query)
         return $query->where('status', 'failed');
     }
 
+    /**
+     * Determine whether the upload has been cancelled by the client.
+     *
+     * @return bool
+     */
+    public function isCancelled(): bool
+    {
+        return $this->status === self::STATUS_CANCELLED;
+    }
+
+    /**
+     * Determine whether the upload was refused for its content.
+     *
+     * @return bool
+     */
+    public function isRejected(): bool
+    {
+        return $this->status === self::STATUS_REJECTED;
+    }
+
+    /**
+     * Determine whether the upload is held in quarantine for a threat.
+     *
+     * @return bool
+     */
+    public function isQuarantined(): bool
+    {
+        return $this->status === self::STATUS_QUARANTINED;
+    }
+
+    /**
+     * Determine whether the upload session has expired before it was completed.
+     *
+     * @return bool
+     */
+    public function isExpired(): bool
+    {
+        return $this->status === self::STATUS_EXPIRED
+            || ($this->expires_at !== null && $this->expires_at->isPast());
+    }
+
+    /**
+     * Determine whether the upload still takes chunks and completion: it is
+     * being sent, or failed to complete and may be completed again. Anything
+     * else has been assembled already (or was given up on).
+     *
+     * @return bool
+     */
+    public function acceptsChunks(): bool
+    {
+        return in_array($this->status, self::OPEN_STATUSES, true);
+    }
+
+    /**
+     * Get what the upload is for (one of the PURPOSE_* constants).
+     *
+     * @return string
+     */
+    public function purpose(): string
+    {
+        return $this->meta['purpose'] ?? self::PURPOSE_IMAGE;
+    }
+
+    /**
+     * Determine whether the upload is a product file for an import rather than an image.
+     *
+     * @return bool
+     */
+    public function isImport(): bool
+    {
+        return ($this->meta['purpose'] ?? self::PURPOSE_IMAGE) === self::PURPOSE_IMPORT;
+    }
+
+    /**
+     * Determine whether the upload is a ZIP archive of product images.
+     *
+     * @return bool
+     */
+    public function isArchive(): bool
+    {
+        return ($this->meta['purpose'] ?? self::PURPOSE_IMAGE) === self::PURPOSE_ARCHIVE;
+    }
+
     /**
      * Get the URL to the original uploaded file.
      *
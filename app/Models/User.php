@@ -43,6 +43,18 @@ protected function casts(): array
         return [
             'email_verified_at' => 'datetime',
             'password' => 'hashed',
+            'is_admin' => 'boolean',
         ];
     }
+
+    /**
+     * Determine whether the user is an admin. Admins aren't mass assignable;
+     * set `is_admin` on the users table to make one.
+     *
+     * @return bool
+     */
+    public function isAdmin(): bool
+    {
+        return (bool) $this->is_admin;
+    }
 }
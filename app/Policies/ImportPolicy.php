@@ -0,0 +1,66 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\Import;
+use App\Models\User;
+
+/**
+ * Who may see and act on a product import: the user who started it, and
+ * admins.
+ *
+ * Imports from before imports had an owner belong to nobody, so only
+ * admins can reach them.
+ */
+
+class ImportPolicy
+{
+    /**
+     * Let admins do anything with any import.
+     *
+     * @param User $user
+     * @param string $ability
+     * @return bool|null
+     */
+    public function before(User $user, string $ability): ?bool
+    {
+        return $user->isAdmin() ? true : null;
+    }
+
+    /**
+     * Determine whether the user can see the import, its progress, its
+     * planned changes and its skipped rows.
+     *
+     * @param User $user
+     * @param Import $import
+     * @return bool
+     */
+    public function view(User $user, Import $import): bool
+    {
+        return $this->owns($user, $import);
+    }
+
+    /**
+     * Determine whether the user can apply or revert the import.
+     *
+     * @param User $user
+     * @param Import $import
+     * @return bool
+     */
+    public function update(User $user, Import $import): bool
+    {
+        return $this->owns($user, $import);
+    }
+
+    /**
+     * Determine whether the user started the import.
+     *
+     * @param User $user
+     * @param Import $import
+     * @return bool
+     */
+    protected function owns(User $user, Import $import): bool
+    {
+        return $import->user_id !== null && $import->user_id === $user->id;
+    }
+}
@@ -0,0 +1,41 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\Product;
+use App\Models\User;
+
+/**
+ * Who may change products, e.g. attach images to them: the user whose
+ * import created the product, and admins.
+ *
+ * Products from before products had an owner belong to nobody, so only
+ * admins can edit them.
+ */
+
+class ProductPolicy
+{
+    /**
+     * Let admins edit any product.
+     *
+     * @param User $user
+     * @param string $ability
+     * @return bool|null
+     */
+    public function before(User $user, string $ability): ?bool
+    {
+        return $user->isAdmin() ? true : null;
+    }
+
+    /**
+     * Determine whether the user can edit the product.
+     *
+     * @param User $user
+     * @param Product $product
+     * @return bool
+     */
+    public function update(User $user, Product $product): bool
+    {
+        return $product->user_id !== null && $product->user_id === $user->id;
+    }
+}
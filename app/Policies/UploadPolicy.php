@@ -0,0 +1,65 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\Upload;
+use App\Models\User;
+
+/**
+ * Who may see and act on an upload: the user who started it, and admins.
+ *
+ * Uploads from before uploads had an owner belong to nobody, so only
+ * admins can reach them.
+ */
+
+class UploadPolicy
+{
+    /**
+     * Let admins do anything with any upload.
+     *
+     * @param User $user
+     * @param string $ability
+     * @return bool|null
+     */
+    public function before(User $user, string $ability): ?bool
+    {
+        return $user->isAdmin() ? true : null;
+    }
+
+    /**
+     * Determine whether the user can see the upload and follow its progress.
+     *
+     * @param User $user
+     * @param Upload $upload
+     * @return bool
+     */
+    public function view(User $user, Upload $upload): bool
+    {
+        return $this->owns($user, $upload);
+    }
+
+    /**
+     * Determine whether the user can send chunks for, complete, cancel or
+     * attach the upload.
+     *
+     * @param User $user
+     * @param Upload $upload
+     * @return bool
+     */
+    public function update(User $user, Upload $upload): bool
+    {
+        return $this->owns($user, $upload);
+    }
+
+    /**
+     * Determine whether the user started the upload.
+     *
+     * @param User $user
+     * @param Upload $upload
+     * @return bool
+     */
+    protected function owns(User $user, Upload $upload): bool
+    {
+        return $upload->user_id !== null && $upload->user_id === $user->id;
+    }
+}
@@ -2,6 +2,13 @@
 
 namespace App\Providers;
 
+use App\Models\Import;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Models\User;
+use App\Policies\ImportPolicy;
+use App\Policies\ProductPolicy;
+use App\Policies\UploadPolicy;
 use Illuminate\Foundation\Support\Providers\AuthServiceProvider as ServiceProvider;
 use Illuminate\Support\Facades\Gate;
 
@@ -13,7 +20,9 @@ class AuthServiceProvider extends ServiceProvider
      * @var array<class-string, class-string>
      */
     protected $policies = [
-        // 'App\Models\Model' => 'App\Policies\ModelPolicy',
+        Import::class => ImportPolicy::class,
+        Product::class => ProductPolicy::class,
+        Upload::class => UploadPolicy::class,
     ];
 
     /**
@@ -23,6 +32,7 @@ public function boot(): void
     {
         $this->registerPolicies();
 
-        //
+        // Admin-only pages, such as the upload quarantine
+        Gate::define('admin', fn (User $user) => $user->isAdmin());
     }
 }
@@ -0,0 +1,92 @@
+<?php
+
+namespace App\Services;
+
+use InvalidArgumentException;
+
+/**
+ * Calculates and verifies checksums with one of the configured algorithms.
+ *
+ * Digests are lowercase hex strings, matching what the browser uploader
+ * produces for the same algorithm.
+ */
+
+class Checksum
+{
+    /**
+     * Get the algorithms clients are allowed to use.
+     *
+     * @return array<int, string>
+     */
+    public static function algorithms(): array
+    {
+        return config('uploads.checksum_algorithms', ['md5']);
+    }
+
+    /**
+     * Get the algorithm used when a client doesn't choose one.
+     *
+     * @return string
+     */
+    public static function defaultAlgorithm(): string
+    {
+        return config('uploads.default_checksum_algorithm', 'md5');
+    }
+
+    /**
+     * Calculate the checksum of a string.
+     *
+     * @param string $algorithm
+     * @param string $contents
+     * @return string
+     *
+     * @throws \InvalidArgumentException If the algorithm is not allowed
+     */
+    public static function string(string $algorithm, string $contents): string
+    {
+        return hash(static::ensureSupported($algorithm), $contents);
+    }
+
+    /**
+     * Calculate the checksum of a file without loading it into memory.
+     *
+     * @param string $algorithm
+     * @param string $path
+     * @return string
+     *
+     * @throws \InvalidArgumentException If the algorithm is not allowed
+     */
+    public static function file(string $algorithm, string $path): string
+    {
+        return hash_file(static::ensureSupported($algorithm), $path);
+    }
+
+    /**
+     * Check a digest against the expected value in constant time.
+     *
+     * @param string $expected
+     * @param string $actual
+     * @return bool
+     */
+    public static function matches(string $expected, string $actual): bool
+    {
+        return hash_equals(strtolower($expected), strtolower($actual));
+    }
+
+    /**
+     * Make sure an algorithm is allowed and available.
+     *
+     * @param string $algorithm
+     * @return string
+     *
+     * @throws \InvalidArgumentException
+     */
+    protected static function ensureSupported(string $algorithm): string
+    {
+        if (!in_array($algorithm, static::algorithms(), true) || !in_array($algorithm, hash_algos(), true)) {
+            throw new InvalidArgumentException("Unsupported checksum algorithm: {$algorithm}");
+        }
+
+        return $algorithm;
+    }
+}
@@ -0,0 +1,184 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Upload;
+
+/**
+ * Works out what an uploaded file really is from its first bytes, rather
+ * than from the name and MIME type the client sent, and checks it against
+ * the content types its target allows (config/uploads.php "targets").
+ *
+ * Images are also checked for pixel dimensions before anything decodes
+ * them, since a small file can declare a huge canvas (a decompression
+ * bomb) that would exhaust memory once GD allocates it.
+ */
+
+class FileInspector
+{
+    /**
+     * Content types that can be detected, with the file extensions and MIME
+     * types a file of that type may be sent under.
+     *
+     * @var array<string, array{extensions: array<int, string>, mime_types: array<int, string>}>
+     */
+    public const TYPES = [
+        'jpeg' => ['extensions' => ['jpg', 'jpeg'], 'mime_types' => ['image/jpeg', 'image/pjpeg']],
+        'png' => ['extensions' => ['png'], 'mime_types' => ['image/png']],
+        'gif' => ['extensions' => ['gif'], 'mime_types' => ['image/gif']],
+        'webp' => ['extensions' => ['webp'], 'mime_types' => ['image/webp']],
+        'zip' => [
+            'extensions' => ['zip', 'xlsx'],
+            'mime_types' => [
+                'application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            ],
+        ],
+        // Plain text of any kind; what's in it is up to the import readers
+        'text' => [
+            'extensions' => ['csv', 'txt', 'tsv', 'json', 'ndjson'],
+            'mime_types' => [
+                'text/plain', 'text/csv', 'text/tab-separated-values', 'application/csv', 'application/json',
+                'application/x-ndjson', 'application/ndjson', 'application/vnd.ms-excel',
+            ],
+        ],
+    ];
+
+    /**
+     * Bytes read from the start of a file to detect its type.
+     *
+     * @var int
+     */
+    const SNIFF_BYTES = 8192;
+
+    /**
+     * Detect the content type of a file from its first bytes.
+     *
+     * @param string $path
+     * @return string|null One of the TYPES keys, or null if it isn't one of them
+     */
+    public function detect(string $path): ?string
+    {
+        $handle = @fopen($path, 'rb');
+        if (!$handle) {
+            return null;
+        }
+        $head = (string) fread($handle, self::SNIFF_BYTES);
+        fclose($handle);
+
+        return match (true) {
+            str_starts_with($head, "\xFF\xD8\xFF") => 'jpeg',
+            str_starts_with($head, "\x89PNG\r\n\x1A\n") => 'png',
+            str_starts_with($head, 'GIF87a'), str_starts_with($head, 'GIF89a') => 'gif',
+            str_starts_with($head, 'RIFF') && substr($head, 8, 4) === 'WEBP' => 'webp',
+            // A local file header, or the end record of an empty archive
+            str_starts_with($head, "PK\x03\x04"), str_starts_with($head, "PK\x05\x06") => 'zip',
+            $head !== '' && $this->isText($head) => 'text',
+            default => null,
+        };
+    }
+
+    /**
+     * Check an assembled upload against what its target allows.
+     *
+     * The detected type must be one the target takes, and the file's name
+     * and the MIME type the client reported (if any) must agree with it.
+     * Images must also be within the dimension limits.
+     *
+     * @param string $path
+     * @param string $target One of UploadLimits::targets()
+     * @param string $fileName
+     * @param string|null $mimeType
+     * @return string|null Why the file is rejected, or null if it's fine
+     */
+    public function check(string $path, string $target, string $fileName, ?string $mimeType = null): ?string
+    {
+        $type = $this->detect($path);
+        $allowed = config("uploads.targets.{$target}.content_types", []);
+
+        if ($type === null || !in_array($type, $allowed, true)) {
+            return $type === null
+                ? 'The file content is not a type that can be uploaded here'
+                : "The file content is {$this->describe($type)}, which can't be uploaded here";
+        }
+
+        $extension = strtolower(pathinfo($fileName, PATHINFO_EXTENSION));
+        if (!in_array($extension, self::TYPES[$type]['extensions'], true)) {
+            return "The file content is {$this->describe($type)}, but its name ends in .{$extension}";
+        }
+
+        // application/octet-stream is what browsers send when they don't know
+        $mimeType = strtolower((string) $mimeType);
+        if ($mimeType !== '' && $mimeType !== 'application/octet-stream'
+            && !in_array($mimeType, self::TYPES[$type]['mime_types'], true)) {
+            return "The file content is {$this->describe($type)}, but it was sent as {$mimeType}";
+        }
+
+        if ($target === Upload::PURPOSE_IMAGE) {
+            return $this->checkDimensions($path);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the pixel dimensions an image declares against the limits in
+     * config/uploads.php, without decoding it.
+     *
+     * @param string $path
+     * @return string|null Why the image is rejected, or null if it's fine
+     */
+    public function checkDimensions(string $path): ?string
+    {
+        $info = @getimagesize($path);
+        if (!$info || $info[0] < 1 || $info[1] < 1) {
+            return 'The image is damaged or its dimensions can\'t be read';
+        }
+        [$width, $height] = $info;
+        $limits = config('uploads.images', []);
+
+        if ($width > ($limits['max_width'] ?? PHP_INT_MAX) || $height > ($limits['max_height'] ?? PHP_INT_MAX)) {
+            return "The image is {$width}x{$height} pixels, larger than the {$limits['max_width']}x{$limits['max_height']} allowed";
+        }
+
+        $maxPixels = $limits['max_pixels'] ?? PHP_INT_MAX;
+        if ($width * $height > $maxPixels) {
+            return 'The image has ' . number_format($width * $height) . ' pixels, more than the ' . number_format($maxPixels) . ' allowed';
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether the start of a file looks like text in any encoding: no NUL
+     * bytes and hardly any control characters besides tabs and line breaks.
+     *
+     * @param string $head
+     * @return bool
+     */
+    protected function isText(string $head): bool
+    {
+        if (str_contains($head, "\0")) {
+            return false;
+        }
+
+        $controls = preg_match_all('/[\x01-\x08\x0E-\x1A\x1C-\x1F\x7F]/', $head);
+
+        return $controls <= strlen($head) / 100;
+    }
+
+    /**
+     * Name a content type for messages.
+     *
+     * @param string $type
+     * @return string
+     */
+    protected function describe(string $type): string
+    {
+        return match ($type) {
+            'zip' => 'a ZIP archive',
+            'text' => 'text',
+            default => 'a ' . strtoupper($type) . ' image',
+        };
+    }
+}
@@ -0,0 +1,443 @@
+<?php
+
+namespace App\Services;
+
+/**
+ * Reads and removes the metadata embedded in JPEG, PNG and WebP files
+ * without decoding their pixels, so originals lose nothing but metadata.
+ *
+ * EXIF blocks (with GPS positions, camera serials and dates), XMP, IPTC and
+ * comments are removed. The EXIF orientation can be kept as a minimal EXIF
+ * block of its own, and the ICC color profile can be kept as it is. GIF
+ * files carry no EXIF and are left alone.
+ */
+
+class ImageMetadata
+{
+    /**
+     * EXIF tag of the orientation.
+     *
+     * @var int
+     */
+    const ORIENTATION_TAG = 0x0112;
+
+    /**
+     * Get the EXIF orientation of an image (1-8, 1 being upright).
+     *
+     * @param string $path
+     * @return int|null Null if the image has none
+     */
+    public function orientation(string $path): ?int
+    {
+        $exif = $this->exif((string) @file_get_contents($path));
+
+        return $exif === null ? null : $this->tiffOrientation($exif);
+    }
+
+    /**
+     * Get the ICC color profile embedded in an image.
+     *
+     * @param string $path
+     * @return string|null The raw profile, or null if it has none
+     */
+    public function colorProfile(string $path): ?string
+    {
+        $data = (string) @file_get_contents($path);
+
+        switch ($this->format($data)) {
+            case 'jpeg':
+                // Large profiles are split over several APP2 segments, numbered from 1
+                $parts = [];
+                foreach ($this->jpegSegments($data) as [$marker, $payload]) {
+                    if ($marker === 0xE2 && str_starts_with($payload, "ICC_PROFILE\0")) {
+                        $parts[ord($payload[12])] = substr($payload, 14);
+                    }
+                }
+                ksort($parts);
+                return $parts ? implode('', $parts) : null;
+
+            case 'png':
+                foreach ($this->pngChunks($data) as [$type, $payload]) {
+                    if ($type === 'iCCP') {
+                        $compressed = substr($payload, strpos($payload, "\0") + 2);
+                        return @gzuncompress($compressed) ?: null;
+                    }
+                }
+                return null;
+
+            case 'webp':
+                foreach ($this->riffChunks($data) as [$type, $payload]) {
+                    if ($type === 'ICCP') {
+                        return $payload;
+                    }
+                }
+                return null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove the metadata of an image file in place.
+     *
+     * @param string $path
+     * @param bool $keepOrientation Keep the EXIF orientation as a minimal EXIF block
+     * @param bool $keepColorProfile Keep the ICC color profile
+     * @return void
+     * @throws \Exception If the file can't be rewritten
+     */
+    public function strip(string $path, bool $keepOrientation = true, bool $keepColorProfile = true): void
+    {
+        $data = (string) file_get_contents($path);
+        $orientation = $keepOrientation ? ($this->orientation($path) ?? 1) : 1;
+
+        $stripped = match ($this->format($data)) {
+            'jpeg' => $this->stripJpeg($data, $orientation, $keepColorProfile),
+            'png' => $this->stripPng($data, $orientation, $keepColorProfile),
+            'webp' => $this->stripWebp($data, $orientation, $keepColorProfile),
+            default => null,
+        };
+
+        if ($stripped !== null && $stripped !== $data) {
+            $this->replace($path, $stripped);
+        }
+    }
+
+    /**
+     * Embed an ICC color profile in a JPEG file that has none.
+     *
+     * @param string $path
+     * @param string $profile
+     * @return void
+     * @throws \Exception If the file can't be rewritten
+     */
+    public function embedColorProfile(string $path, string $profile): void
+    {
+        $data = (string) file_get_contents($path);
+        if ($this->format($data) !== 'jpeg' || $this->colorProfile($path) !== null) {
+            return;
+        }
+
+        // At most 65519 bytes of profile fit in a segment after its header
+        $chunks = str_split($profile, 65519);
+        $segments = '';
+        foreach ($chunks as $i => $chunk) {
+            $segments .= $this->jpegSegment(0xE2, "ICC_PROFILE\0" . chr($i + 1) . chr(count($chunks)) . $chunk);
+        }
+
+        [$head, $rest] = $this->splitAfterJfif($data);
+        $this->replace($path, $head . $segments . $rest);
+    }
+
+    /**
+     * Detect the container format of image data.
+     *
+     * @param string $data
+     * @return string|null "jpeg", "png", "webp" or null
+     */
+    protected function format(string $data): ?string
+    {
+        return match (true) {
+            str_starts_with($data, "\xFF\xD8") => 'jpeg',
+            str_starts_with($data, "\x89PNG\r\n\x1A\n") => 'png',
+            str_starts_with($data, 'RIFF') && substr($data, 8, 4) === 'WEBP' => 'webp',
+            default => null,
+        };
+    }
+
+    /**
+     * Get the TIFF structure of the EXIF block of image data.
+     *
+     * @param string $data
+     * @return string|null
+     */
+    protected function exif(string $data): ?string
+    {
+        $chunks = match ($this->format($data)) {
+            'jpeg' => array_map(
+                fn ($segment) => $segment[1],
+                array_filter($this->jpegSegments($data), fn ($segment) => $segment[0] === 0xE1 && str_starts_with($segment[1], "Exif\0\0"))
+            ),
+            'png' => array_map(fn ($chunk) => $chunk[1], array_filter($this->pngChunks($data), fn ($chunk) => $chunk[0] === 'eXIf')),
+            'webp' => array_map(fn ($chunk) => $chunk[1], array_filter($this->riffChunks($data), fn ($chunk) => $chunk[0] === 'EXIF')),
+            default => [],
+        };
+
+        foreach ($chunks as $chunk) {
+            // JPEG (and some WebP writers) put an "Exif\0\0" header before the TIFF data
+            return str_starts_with($chunk, "Exif\0\0") ? substr($chunk, 6) : $chunk;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the orientation tag from the first IFD of TIFF data.
+     *
+     * @param string $tiff
+     * @return int|null
+     */
+    protected function tiffOrientation(string $tiff): ?int
+    {
+        $order = substr($tiff, 0, 2);
+        if ($order !== 'II' && $order !== 'MM') {
+            return null;
+        }
+        $short = fn (int $offset) => strlen($tiff) >= $offset + 2 ? unpack($order === 'II' ? 'v' : 'n', $tiff, $offset)[1] : null;
+        $long = fn (int $offset) => strlen($tiff) >= $offset + 4 ? unpack($order === 'II' ? 'V' : 'N', $tiff, $offset)[1] : null;
+
+        $ifd = $long(4);
+        $count = $ifd === null ? null : $short($ifd);
+        for ($i = 0; $count !== null && $i < $count; $i++) {
+            $entry = $ifd + 2 + $i * 12;
+            if ($short($entry) === self::ORIENTATION_TAG) {
+                $value = $short($entry + 8);
+                return $value >= 1 && $value <= 8 ? $value : null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build TIFF data holding nothing but an orientation tag.
+     *
+     * @param int $orientation
+     * @return string
+     */
+    protected function orientationTiff(int $orientation): string
+    {
+        return "MM\0\x2A" . pack('N', 8)
+            . pack('n', 1)
+            . pack('nnNnn', self::ORIENTATION_TAG, 3, 1, $orientation, 0)
+            . pack('N', 0);
+    }
+
+    /**
+     * Split JPEG data into its header segments, up to the image data.
+     *
+     * @param string $data
+     * @return array<int, array{0: int, 1: string, 2: int, 3: int}> Marker, payload, offset and length of each segment
+     */
+    protected function jpegSegments(string $data): array
+    {
+        $segments = [];
+        $offset = 2;
+        $length = strlen($data);
+
+        while ($offset + 4 <= $length && $data[$offset] === "\xFF") {
+            $marker = ord($data[$offset + 1]);
+            if ($marker === 0xFF) {
+                $offset++; // Fill byte
+                continue;
+            }
+            if ($marker === 0xDA || $marker === 0xD9) {
+                break; // Start of scan: image data follows
+            }
+            $size = unpack('n', $data, $offset + 2)[1];
+            $segments[] = [$marker, substr($data, $offset + 4, $size - 2), $offset, $size + 2];
+            $offset += $size + 2;
+        }
+
+        return $segments;
+    }
+
+    /**
+     * Encode a JPEG segment.
+     *
+     * @param int $marker
+     * @param string $payload
+     * @return string
+     */
+    protected function jpegSegment(int $marker, string $payload): string
+    {
+        return "\xFF" . chr($marker) . pack('n', strlen($payload) + 2) . $payload;
+    }
+
+    /**
+     * Split JPEG data after its start marker and JFIF segment, where new
+     * segments go.
+     *
+     * @param string $data
+     * @return array{0: string, 1: string}
+     */
+    protected function splitAfterJfif(string $data): array
+    {
+        $first = $this->jpegSegments($data)[0] ?? null;
+        $at = $first && $first[0] === 0xE0 ? $first[2] + $first[3] : 2;
+
+        return [substr($data, 0, $at), substr($data, $at)];
+    }
+
+    /**
+     * Rebuild JPEG data without its metadata segments. APP0 (JFIF) and
+     * APP14 (Adobe, needed to read CMYK colors) are kept, the rest of the
+     * APPn segments and comments go.
+     *
+     * @param string $data
+     * @param int $orientation Orientation to keep, 1 for none
+     * @param bool $keepColorProfile
+     * @return string
+     */
+    protected function stripJpeg(string $data, int $orientation, bool $keepColorProfile): string
+    {
+        $segments = $this->jpegSegments($data);
+        if (!$segments) {
+            return $data;
+        }
+
+        $kept = '';
+        foreach ($segments as [$marker, $payload]) {
+            $isApp = $marker >= 0xE0 && $marker <= 0xEF;
+            if ((!$isApp && $marker !== 0xFE)
+                || $marker === 0xE0
+                || $marker === 0xEE
+                || ($marker === 0xE2 && $keepColorProfile && str_starts_with($payload, "ICC_PROFILE\0"))) {
+                $kept .= $this->jpegSegment($marker, $payload);
+            }
+        }
+
+        $last = end($segments);
+        [$head, $rest] = $this->splitAfterJfif("\xFF\xD8" . $kept . substr($data, $last[2] + $last[3]));
+        $exif = $orientation !== 1 ? $this->jpegSegment(0xE1, "Exif\0\0" . $this->orientationTiff($orientation)) : '';
+
+        return $head . $exif . $rest;
+    }
+
+    /**
+     * Split PNG data into its chunks.
+     *
+     * @param string $data
+     * @return array<int, array{0: string, 1: string}> Type and payload of each chunk
+     */
+    protected function pngChunks(string $data): array
+    {
+        $chunks = [];
+        $offset = 8;
+
+        while ($offset + 12 <= strlen($data)) {
+            $size = unpack('N', $data, $offset)[1];
+            $chunks[] = [substr($data, $offset + 4, 4), substr($data, $offset + 8, $size)];
+            $offset += $size + 12;
+        }
+
+        return $chunks;
+    }
+
+    /**
+     * Encode a PNG chunk.
+     *
+     * @param string $type
+     * @param string $payload
+     * @return string
+     */
+    protected function pngChunk(string $type, string $payload): string
+    {
+        return pack('N', strlen($payload)) . $type . $payload . pack('N', crc32($type . $payload));
+    }
+
+    /**
+     * Rebuild PNG data without its text, time and EXIF chunks.
+     *
+     * @param string $data
+     * @param int $orientation Orientation to keep, 1 for none
+     * @param bool $keepColorProfile
+     * @return string
+     */
+    protected function stripPng(string $data, int $orientation, bool $keepColorProfile): string
+    {
+        $drop = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+        if (!$keepColorProfile) {
+            $drop[] = 'iCCP';
+        }
+
+        $out = substr($data, 0, 8);
+        foreach ($this->pngChunks($data) as [$type, $payload]) {
+            if (in_array($type, $drop, true)) {
+                continue;
+            }
+            // eXIf has to come before the image data
+            if ($type === 'IDAT' && $orientation !== 1) {
+                $out .= $this->pngChunk('eXIf', $this->orientationTiff($orientation));
+                $orientation = 1;
+            }
+            $out .= $this->pngChunk($type, $payload);
+        }
+
+        return $out;
+    }
+
+    /**
+     * Split the RIFF container of WebP data into its chunks.
+     *
+     * @param string $data
+     * @return array<int, array{0: string, 1: string}> Type and payload of each chunk
+     */
+    protected function riffChunks(string $data): array
+    {
+        $chunks = [];
+        $offset = 12;
+
+        while ($offset + 8 <= strlen($data)) {
+            $size = unpack('V', $data, $offset + 4)[1];
+            $chunks[] = [substr($data, $offset, 4), substr($data, $offset + 8, $size)];
+            $offset += 8 + $size + ($size % 2); // Chunks are padded to an even size
+        }
+
+        return $chunks;
+    }
+
+    /**
+     * Rebuild WebP data without its EXIF and XMP chunks, updating the
+     * feature flags of its extended header to match.
+     *
+     * @param string $data
+     * @param int $orientation Orientation to keep, 1 for none
+     * @param bool $keepColorProfile
+     * @return string
+     */
+    protected function stripWebp(string $data, int $orientation, bool $keepColorProfile): string
+    {
+        $chunks = $this->riffChunks($data);
+        // Only the extended format (VP8X) can carry metadata
+        if (($chunks[0][0] ?? null) !== 'VP8X') {
+            return $data;
+        }
+
+        $kept = array_values(array_filter($chunks, fn ($chunk) => !in_array($chunk[0], ['EXIF', 'XMP '], true)
+            && ($keepColorProfile || $chunk[0] !== 'ICCP')));
+        if ($orientation !== 1) {
+            $kept[] = ['EXIF', $this->orientationTiff($orientation)];
+        }
+
+        // Flags: 0x20 ICC profile, 0x08 EXIF, 0x04 XMP
+        $types = array_column($kept, 0);
+        $flags = ord($kept[0][1][0]) & ~(0x20 | 0x08 | 0x04);
+        $flags |= (in_array('ICCP', $types, true) ? 0x20 : 0) | (in_array('EXIF', $types, true) ? 0x08 : 0);
+        $kept[0][1][0] = chr($flags);
+
+        $body = 'WEBP';
+        foreach ($kept as [$type, $payload]) {
+            $body .= $type . pack('V', strlen($payload)) . $payload . (strlen($payload) % 2 ? "\0" : '');
+        }
+
+        return 'RIFF' . pack('V', strlen($body)) . $body;
+    }
+
+    /**
+     * Replace a file's contents without leaving it half-written.
+     *
+     * @param string $path
+     * @param string $data
+     * @return void
+     * @throws \Exception If the file can't be written
+     */
+    protected function replace(string $path, string $data): void
+    {
+        $temporary = "{$path}.tmp";
+        if (file_put_contents($temporary, $data) === false || !rename($temporary, $path)) {
+            @unlink($temporary);
+            throw new \Exception("Could not rewrite {$path}");
+        }
+    }
+}
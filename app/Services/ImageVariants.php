@@ -0,0 +1,313 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Image;
+use App\Models\Upload;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+use Intervention\Image\Drivers\Gd\Driver;
+use Intervention\Image\ImageManager;
+use Intervention\Image\Interfaces\ImageInterface;
+use InvalidArgumentException;
+
+/**
+ * Reads the image variant profiles from config/uploads.php and renders
+ * images to them.
+ *
+ * A profile names a box to fit the image into, how to fit it and the
+ * formats to write it in. Formats the server's GD build can't write are
+ * left out, so a profile asking for AVIF on a server without it still
+ * produces its JPEG and WebP files.
+ *
+ * Images are turned upright by their EXIF orientation before they are
+ * resized. The variants carry no metadata; JPEG variants get the source's
+ * color profile back when "keep_color_profile" is on (see ImageMetadata).
+ *
+ * Used by ProcessUploadJob for new uploads and by RegenerateImageVariants
+ * when the profiles change.
+ */
+
+class ImageVariants
+{
+    /**
+     * Fit modes a profile can use.
+     *
+     * @var array<int, string>
+     */
+    public const FITS = ['contain', 'cover', 'crop'];
+
+    /**
+     * Formats a profile can ask for, with the file extension each is stored under.
+     *
+     * @var array<string, string>
+     */
+    public const FORMATS = ['jpeg' => 'jpg', 'webp' => 'webp', 'avif' => 'avif'];
+
+    /**
+     * Create a new instance.
+     *
+     * @param ImageMetadata $metadata
+     */
+    public function __construct(
+        protected ImageMetadata $metadata = new ImageMetadata()
+    ) {}
+
+    /**
+     * Get the configured profiles, keyed by variant name, with the formats
+     * this server can't write removed.
+     *
+     * @return array<string, array{width: int|null, height: int|null, fit: string, formats: array<int, string>, quality: int}>
+     * @throws InvalidArgumentException If a profile is misconfigured
+     */
+    public function profiles(): array
+    {
+        $profiles = [];
+
+        foreach (config('uploads.variants', []) as $name => $profile) {
+            $profile = [
+                'width' => $profile['width'] ?? null,
+                'height' => $profile['height'] ?? null,
+                'fit' => $profile['fit'] ?? 'contain',
+                'formats' => array_values(array_filter(
+                    $profile['formats'] ?? ['jpeg'],
+                    fn ($format) => static::supports($format)
+                )),
+                'quality' => (int) ($profile['quality'] ?? 85),
+            ];
+
+            if (!in_array($profile['fit'], self::FITS, true)) {
+                throw new InvalidArgumentException("Image variant {$name} has an unknown fit \"{$profile['fit']}\"");
+            }
+            if (!$profile['width'] && !$profile['height']) {
+                throw new InvalidArgumentException("Image variant {$name} needs a width or a height");
+            }
+            if ($profile['fit'] !== 'contain' && (!$profile['width'] || !$profile['height'])) {
+                throw new InvalidArgumentException("Image variant {$name} needs both a width and a height to {$profile['fit']}");
+            }
+
+            $profiles[(string) $name] = $profile;
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * Whether this server can write images in a format.
+     *
+     * @param string $format One of the FORMATS keys
+     * @return bool
+     */
+    public static function supports(string $format): bool
+    {
+        return match ($format) {
+            'jpeg' => function_exists('imagejpeg'),
+            'webp' => function_exists('imagewebp'),
+            'avif' => function_exists('imageavif') && (gd_info()['AVIF Support'] ?? false),
+            default => false,
+        };
+    }
+
+    /**
+     * Get the file extension a format is stored under.
+     *
+     * @param string $format
+     * @return string
+     */
+    public static function extension(string $format): string
+    {
+        return self::FORMATS[$format] ?? $format;
+    }
+
+    /**
+     * Turn an image upright according to its EXIF orientation (1-8).
+     *
+     * @param ImageInterface $image
+     * @param int $orientation
+     * @return ImageInterface
+     */
+    public function orient(ImageInterface $image, int $orientation): ImageInterface
+    {
+        // rotate() turns counter-clockwise, flop() mirrors horizontally
+        return match ($orientation) {
+            2 => $image->flop(),
+            3 => $image->rotate(180),
+            4 => $image->rotate(180)->flop(),
+            5 => $image->rotate(270)->flop(),
+            6 => $image->rotate(270),
+            7 => $image->rotate(90)->flop(),
+            8 => $image->rotate(90),
+            default => $image,
+        };
+    }
+
+    /**
+     * Resize an image in place to a profile's box.
+     *
+     * @param ImageInterface $image
+     * @param array $profile One of profiles()
+     * @return ImageInterface
+     */
+    public function fit(ImageInterface $image, array $profile): ImageInterface
+    {
+        return match ($profile['fit']) {
+            'cover' => $image->coverDown($profile['width'], $profile['height']),
+            'crop' => $image->crop(
+                min($profile['width'], $image->width()),
+                min($profile['height'], $image->height()),
+                position: 'center'
+            ),
+            default => $image->scaleDown($profile['width'], $profile['height']),
+        };
+    }
+
+    /**
+     * Encode an image in a format and save it.
+     *
+     * @param ImageInterface $image
+     * @param string $format One of the FORMATS keys
+     * @param int $quality
+     * @param string $path
+     * @return void
+     */
+    public function save(ImageInterface $image, string $format, int $quality, string $path): void
+    {
+        $encoded = match ($format) {
+            'webp' => $image->toWebp($quality),
+            'avif' => $image->toAvif($quality),
+            default => $image->toJpeg($quality),
+        };
+
+        $encoded->save($path);
+    }
+
+    /**
+     * Create a resized variant of an upload's image in each of its profile's
+     * formats. Existing records of the variant are updated, so running it
+     * again only rewrites the files.
+     *
+     * @param Upload $upload
+     * @param string $sourcePath Path to the full-size image
+     * @param string $variant Variant name (e.g., '256', '512')
+     * @param array $profile The variant's profile (see profiles())
+     * @return Collection<int, Image> The variant's records, one per format
+     * @throws \Exception If image processing fails
+     */
+    public function create(Upload $upload, string $sourcePath, string $variant, array $profile): Collection
+    {
+        Log::info('Creating image variant', [
+            'upload_id' => $upload->id,
+            'variant' => $variant,
+            'source_path' => $sourcePath,
+            'profile' => $profile,
+        ]);
+
+        // Orientation is applied by orient(), which doesn't depend on the exif extension
+        $manager = new ImageManager(Driver::class, autoOrientation: false);
+        $records = collect();
+
+        try {
+            // A stored original may have lost its orientation tag; the upload remembers it
+            $orientation = $this->metadata->orientation($sourcePath) ?? ($upload->meta['orientation'] ?? 1);
+            $image = $this->fit($this->orient($manager->read($sourcePath), $orientation), $profile);
+            $colorProfile = config('uploads.images.keep_color_profile', true) ? $this->metadata->colorProfile($sourcePath) : null;
+
+            $newWidth = $image->width();
+            $newHeight = $image->height();
+            $disk = Storage::disk('public');
+
+            foreach ($profile['formats'] as $format) {
+                // Define the storage path for this variant
+                $relativePath = 'uploads/' . $upload->upload_id . '/' . $variant . '.' . static::extension($format);
+                $disk->makeDirectory(dirname($relativePath));
+                $fullPath = $disk->path($relativePath);
+
+                $this->save($image, $format, $profile['quality'], $fullPath);
+                if ($format === 'jpeg' && $colorProfile !== null) {
+                    $this->metadata->embedColorProfile($fullPath, $colorProfile);
+                }
+
+                if (!file_exists($fullPath) || filesize($fullPath) === 0) {
+                    throw new \Exception("Failed to save variant image to: " . $fullPath);
+                }
+
+                // Create or update database record for the variant
+                $imageRecord = Image::updateOrCreate(
+                    [
+                        'upload_id' => $upload->id,
+                        'variant' => $variant,
+                        'format' => $format,
+                    ],
+                    [
+                        'path' => $relativePath,
+                        'mime' => Image::FORMAT_MIMES[$format],
+                        'width' => $newWidth,
+                        'height' => $newHeight,
+                        'checksum' => Checksum::file($upload->checksum_algorithm, $fullPath),
+                        'checksum_algorithm' => $upload->checksum_algorithm,
+                    ]
+                );
+                $records->push($imageRecord);
+
+                Log::info('Created/updated image variant record', [
+                    'upload_id' => $upload->id,
+                    'image_id' => $imageRecord->id,
+                    'variant' => $variant,
+                    'format' => $format,
+                    'path' => $relativePath,
+                    'dimensions' => "{$newWidth}x{$newHeight}",
+                ]);
+            }
+
+        } catch (\Exception $e) {
+            Log::error('Error creating image variant', [
+                'upload_id' => $upload->id,
+                'variant' => $variant,
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+            throw $e;
+        }
+
+        return $records;
+    }
+
+    /**
+     * Get the formats of each profile an upload has no image for.
+     *
+     * @param Upload $upload
+     * @return array<string, array<int, string>> Missing formats by variant name
+     */
+    public function missing(Upload $upload): array
+    {
+        $existing = $upload->images->map(fn (Image $image) => "{$image->variant}.{$image->format}")->all();
+        $missing = [];
+
+        foreach ($this->profiles() as $variant => $profile) {
+            $formats = array_values(array_filter(
+                $profile['formats'],
+                fn ($format) => !in_array("{$variant}.{$format}", $existing, true)
+            ));
+            if ($formats) {
+                $missing[$variant] = $formats;
+            }
+        }
+
+        return $missing;
+    }
+
+    /**
+     * Get an upload's resized images that no profile asks for any more.
+     *
+     * @param Upload $upload
+     * @return Collection<int, Image>
+     */
+    public function stale(Upload $upload): Collection
+    {
+        $profiles = $this->profiles();
+
+        return $upload->images->filter(fn (Image $image) => $image->variant !== Image::VARIANT_ORIGINAL
+            && !in_array($image->format, $profiles[$image->variant]['formats'] ?? [], true))->values();
+    }
+}
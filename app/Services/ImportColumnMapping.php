@@ -0,0 +1,113 @@
+<?php
+
+namespace App\Services;
+
+/**
+ * Maps the columns of an import file to product fields.
+ *
+ * The mapping comes from the import page as `['field' => 'Source Header']`,
+ * e.g. `['sku' => 'Item Code', 'name' => 'Title']`. Fields without an entry
+ * fall back to a column named exactly like the field, so files that already
+ * use the standard headers work without any mapping.
+ */
+
+class ImportColumnMapping
+{
+    /**
+     * Product fields a column can be mapped to. "category" is only used to
+     * pick the validation rules for a row and isn't stored.
+     *
+     * @var array<int, string>
+     */
+    public const FIELDS = ['sku', 'name', 'description', 'price', 'category'];
+
+    /**
+     * Source header for each explicitly mapped field.
+     *
+     * @var array<string, string>
+     */
+    protected array $mapping;
+
+    /**
+     * Create a new column mapping.
+     *
+     * @param array<string, string|null> $mapping Field => source header
+     */
+    public function __construct(array $mapping = [])
+    {
+        $this->mapping = array_filter(
+            array_intersect_key($mapping, array_flip(self::FIELDS)),
+            fn ($header) => is_string($header) && trim($header) !== ''
+        );
+    }
+
+    /**
+     * Get the explicit mapping as given.
+     *
+     * @return array<string, string>
+     */
+    public function toArray(): array
+    {
+        return $this->mapping;
+    }
+
+    /**
+     * Get the key a source column is known by after mapping, or null if the
+     * column is dropped (it has a field's name but another column was
+     * mapped to that field).
+     *
+     * @param string $header
+     * @return string|null
+     */
+    public function target(string $header): ?string
+    {
+        $field = array_search($header, $this->mapping, true);
+        if ($field !== false) {
+            return $field;
+        }
+
+        return isset($this->mapping[$header]) ? null : $header;
+    }
+
+    /**
+     * Rename the headers of a file to the product fields they hold.
+     *
+     * @param array<int, string> $headers
+     * @return array<int, string|null>
+     */
+    public function headers(array $headers): array
+    {
+        return array_map(fn ($header) => $this->target((string) $header), $headers);
+    }
+
+    /**
+     * Re-key an associative record from source headers to product fields.
+     *
+     * @param array<string, mixed> $record
+     * @return array<string, mixed>
+     */
+    public function apply(array $record): array
+    {
+        $mapped = [];
+        foreach ($record as $header => $value) {
+            $target = $this->target((string) $header);
+            if ($target !== null) {
+                $mapped[$target] = $value;
+            }
+        }
+
+        return $mapped;
+    }
+
+    /**
+     * Get the given fields that no column of the file provides.
+     *
+     * @param array<int, string> $headers
+     * @param array<int, string> $fields
+     * @return array<int, string>
+     */
+    public function missing(array $headers, array $fields): array
+    {
+        return array_values(array_diff($fields, $this->headers($headers)));
+    }
+}
@@ -0,0 +1,216 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Import;
+use App\Models\ImportIssue;
+use App\Models\ImportSnapshot;
+use App\Models\Product;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Records what an import did to each product and undoes it on request.
+ *
+ * Whatever writes the products takes a snapshot() of the SKUs it is about
+ * to write and passes it to record() once they are written. revert() then
+ * restores the updated products and deletes the created ones, leaving
+ * alone any product that was changed again since the import.
+ */
+
+class ImportHistory
+{
+    /**
+     * Product fields an import writes, and so the ones kept and restored.
+     *
+     * @var array<int, string>
+     */
+    public const FIELDS = ['name', 'description', 'price'];
+
+    /**
+     * How many snapshots to write or revert per query.
+     *
+     * @var int
+     */
+    const CHUNK_SIZE = 500;
+
+    /**
+     * @param Import $import The import whose history this is
+     */
+    public function __construct(protected Import $import)
+    {
+    }
+
+    /**
+     * Get the current values of the products with the given SKUs.
+     *
+     * @param array<int, string> $skus
+     * @return array<string, array> SKU => name, description and price; missing SKUs are left out
+     */
+    public function snapshot(array $skus): array
+    {
+        return Product::whereIn('sku', $skus)
+            ->get(['sku', ...self::FIELDS])
+            ->mapWithKeys(fn (Product $product) => [$product->sku => $product->only(self::FIELDS)])
+            ->all();
+    }
+
+    /**
+     * Record the products an import just wrote.
+     *
+     * Rows that left their product as it was are not recorded, since there
+     * is nothing to undo. When a SKU was already recorded for this import
+     * (say the job ran again), the first record, with the true "before"
+     * values, is kept.
+     *
+     * @param array<int, array> $rows The values written (sku, name, description, price), keyed by line number
+     * @param array<string, array> $before snapshot() of the rows' SKUs, taken before writing
+     * @return void
+     */
+    public function record(array $rows, array $before): void
+    {
+        $now = now();
+        $snapshots = [];
+
+        foreach ($rows as $line => $row) {
+            $after = array_intersect_key($row + array_fill_keys(self::FIELDS, null), array_flip(self::FIELDS));
+            $old = $before[$row['sku']] ?? null;
+
+            if ($old !== null && empty(self::changedFields($old, $after))) {
+                continue;
+            }
+
+            $snapshots[] = [
+                'import_id' => $this->import->id,
+                'line' => $line,
+                'sku' => $row['sku'],
+                'action' => $old === null ? ImportSnapshot::ACTION_CREATED : ImportSnapshot::ACTION_UPDATED,
+                'before' => $old === null ? null : json_encode($old),
+                'after' => json_encode($after),
+                'created_at' => $now,
+                'updated_at' => $now,
+            ];
+        }
+
+        foreach (array_chunk($snapshots, self::CHUNK_SIZE) as $chunk) {
+            ImportSnapshot::insertOrIgnore($chunk);
+        }
+    }
+
+    /**
+     * Put the products the import wrote back the way they were.
+     *
+     * Updated products get their old values back and created ones are
+     * deleted. A product that changed since the import is left alone and
+     * recorded as an ImportIssue::TYPE_NOT_REVERTED issue with the reason.
+     * Products already back in their old state count as reverted, so a
+     * revert that was cut short can simply run again.
+     *
+     * @return array{restored: int, deleted: int, skipped: int}
+     */
+    public function revert(): array
+    {
+        $counts = ['restored' => 0, 'deleted' => 0, 'skipped' => 0];
+
+        // Left over from an earlier attempt
+        $this->import->issues()->where('type', ImportIssue::TYPE_NOT_REVERTED)->delete();
+
+        $this->import->snapshots()->chunkById(self::CHUNK_SIZE, function ($snapshots) use (&$counts) {
+            DB::transaction(function () use ($snapshots, &$counts) {
+                $products = Product::whereIn('sku', $snapshots->pluck('sku'))->get()->keyBy('sku');
+                $issues = [];
+
+                foreach ($snapshots as $snapshot) {
+                    $product = $products->get($snapshot->sku);
+                    $reason = $this->conflict($snapshot, $product);
+
+                    if ($reason !== null) {
+                        $counts['skipped']++;
+                        $issues[] = [
+                            'import_id' => $this->import->id,
+                            'type' => ImportIssue::TYPE_NOT_REVERTED,
+                            'line' => $snapshot->line,
+                            'sku' => $snapshot->sku,
+                            'reason' => $reason,
+                            'data' => json_encode($product?->only(self::FIELDS)),
+                            'created_at' => now(),
+                            'updated_at' => now(),
+                        ];
+                        continue;
+                    }
+
+                    if ($snapshot->action === ImportSnapshot::ACTION_CREATED) {
+                        $product?->delete();
+                        $counts['deleted']++;
+                    } else {
+                        $product->update($snapshot->before);
+                        $counts['restored']++;
+                    }
+                }
+
+                if (!empty($issues)) {
+                    ImportIssue::insert($issues);
+                }
+            });
+        });
+
+        Log::info('Reverted product import', ['import_id' => $this->import->id] + $counts);
+
+        return $counts;
+    }
+
+    /**
+     * Get why a product can't be reverted, if it can't.
+     *
+     * @param ImportSnapshot $snapshot
+     * @param Product|null $product The product as it is now, if it still exists
+     * @return string|null
+     */
+    protected function conflict(ImportSnapshot $snapshot, ?Product $product): ?string
+    {
+        if ($product === null) {
+            // A created product that is gone already needs no deleting
+            return $snapshot->action === ImportSnapshot::ACTION_CREATED ? null : 'Deleted since the import';
+        }
+
+        $current = $product->only(self::FIELDS);
+        if ($snapshot->action === ImportSnapshot::ACTION_UPDATED && empty(self::changedFields($snapshot->before, $current))) {
+            return null;
+        }
+
+        $changed = self::changedFields($snapshot->after, $current);
+        if (!empty($changed)) {
+            return 'Changed since the import: ' . implode(', ', $changed);
+        }
+
+        if ($snapshot->action === ImportSnapshot::ACTION_CREATED && ($product->primary_image_id || $product->images()->exists())) {
+            return 'Images were attached since the import';
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the fields whose values differ between two states of a product.
+     *
+     * Prices compare as amounts ("11" and "11.00" are the same) and blank
+     * text as null.
+     *
+     * @param array $old
+     * @param array $new
+     * @return array<int, string>
+     */
+    public static function changedFields(array $old, array $new): array
+    {
+        return array_values(array_filter(self::FIELDS, function ($field) use ($old, $new) {
+            $a = $old[$field] ?? null;
+            $b = $new[$field] ?? null;
+
+            if ($field === 'price') {
+                return $a === null || $b === null ? $a !== $b : round((float) $a, 2) !== round((float) $b, 2);
+            }
+
+            return (string) $a !== (string) $b;
+        }));
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+namespace App\Services;
+
+use App\Jobs\ProcessProductImport;
+use App\Models\Import;
+use App\Services\Readers\RowReader;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+
+/**
+ * Starts a product import for a file already on the public disk: records
+ * the run as an Import and hands the file to ProcessProductImport.
+ *
+ * Files arrive in chunks through UploadController, which keeps large
+ * catalogs resumable, or are released from quarantine; both end up here
+ * with the same options.
+ */
+
+class ImportLauncher
+{
+    /**
+     * Validation rules for the options sent along with an import file.
+     *
+     * @return array<string, string>
+     */
+    public static function rules(): array
+    {
+        return [
+            // Which column holds each product field, e.g. mapping[sku]=Item Code
+            'mapping' => 'sometimes|array:' . implode(',', ImportColumnMapping::FIELDS),
+            'mapping.*' => 'nullable|string|max:255',
+            // Sheet of an Excel workbook to import; the first one by default
+            'sheet' => 'nullable|string|max:255',
+            // Only work out the changes, to review before applying them
+            'dry_run' => 'sometimes|boolean',
+        ];
+    }
+
+    /**
+     * Whether a file name has an extension one of the row readers can read.
+     *
+     * @param string $fileName
+     * @return bool
+     */
+    public static function supports(string $fileName): bool
+    {
+        return array_key_exists(strtolower(pathinfo($fileName, PATHINFO_EXTENSION)), RowReader::FORMATS);
+    }
+
+    /**
+     * Path on the public disk to store an import file under.
+     *
+     * The timestamp prefix avoids collisions and the original extension is
+     * kept, since it tells the job how to read the file.
+     *
+     * @param string $originalName
+     * @return string
+     */
+    public static function storagePath(string $originalName): string
+    {
+        $extension = strtolower(pathinfo($originalName, PATHINFO_EXTENSION));
+
+        return 'imports/' . time() . '_' . Str::slug(pathinfo($originalName, PATHINFO_FILENAME)) . '.' . $extension;
+    }
+
+    /**
+     * Record an import of a stored file and dispatch the job that runs it.
+     *
+     * @param string $path Path of the file on the public disk
+     * @param string $originalName Name of the file as uploaded
+     * @param array $options Validated mapping, sheet and dry_run (see rules())
+     * @param int|null $userId User who started the import
+     * @return Import
+     */
+    public function start(string $path, string $originalName, array $options, ?int $userId = null): Import
+    {
+        $mapping = new ImportColumnMapping($options['mapping'] ?? []);
+        $readerOptions = array_filter(['sheet' => $options['sheet'] ?? null], fn ($value) => $value !== null && $value !== '');
+        $dryRun = filter_var($options['dry_run'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+        $import = Import::create([
+            'user_id' => $userId,
+            'original_filename' => $originalName,
+            'path' => $path,
+            'column_mapping' => $mapping->toArray() ?: null,
+        ]);
+
+        ProcessProductImport::dispatch(Storage::disk('public')->path($path), $import->id, $mapping->toArray(), $readerOptions, $dryRun);
+
+        return $import;
+    }
+}
@@ -2,31 +2,49 @@
 
 namespace App\Services;
 
+use App\Models\Import;
+use App\Models\ImportChange;
+use App\Models\ImportIssue;
 use App\Models\Product;
-use Illuminate\Support\Facades\DB;
-use SplFileObject;
+use App\Services\Readers\RowReader;
 use Illuminate\Support\Facades\Log;
 
 /**
- * Service class for importing product data from CSV files.
- * 
- * This class handles the complete import process including:
- * - Reading and parsing CSV files
- * - Validating required fields
- * - Detecting and handling duplicate SKUs
- * - Batch processing for better performance
- * - Upserting products (insert or update by SKU)
+ * The product import pipeline.
+ *
+ * Every import, whether started from the upload page, previewed as a dry
+ * run or run from code, goes through the same chain of stages:
+ *
+ * 1. parse     - read the rows of a CSV, TSV, Excel or JSON file through a RowReader
+ * 2. normalize - map the columns to product fields and clean the values
+ *                (whitespace, blank cells, prices like "1.299,00")
+ * 3. validate  - check the rules in config/imports.php and skip repeated SKUs
+ * 4. upsert    - insert or update the valid rows by SKU, a batch at a time;
+ *                rows for products the import's user may not edit are
+ *                skipped as invalid
+ *
+ * Skipped rows are returned with their line numbers and written to an
+ * errors.csv report. With forImport() the run is tracked on an Import
+ * record instead: progress, skipped rows, planned changes (dry run) and
+ * the before-state of every product written are stored as they come.
  */
 
 class ProductCsvImporter
 {
     /**
-     * The required columns that must be present in the CSV.
+     * How many rows to read between progress updates of a tracked import.
+     *
+     * @var int
+     */
+    const PROGRESS_INTERVAL = 100;
+
+    /**
+     * The required columns that must be present in the file.
      *
      * @var array
      */
     protected $required = ['sku', 'name'];
-    
+
     /**
      * The number of rows to process in each database batch.
      *
@@ -35,168 +53,386 @@ class ProductCsvImporter
     protected $batchSize = 1000;
 
     /**
-     * Import products from a CSV file.
+     * Validator for the rows; built from config when not set.
      *
-     * Processes the CSV file in batches for better memory efficiency and performance.
-     * Returns an array with import statistics.
+     * @var ProductRowValidator|null
+     */
+    protected $validator;
+
+    /**
+     * Whether to work out the changes without writing them.
      *
-     * @param string $filePath Path to the CSV file
-     * @param int $batchSize Number of rows to process in each batch
-     * @return array Import summary with counts of processed/imported/updated records
-     * 
-     * @throws \RuntimeException If the CSV file cannot be read or is invalid
+     * @var bool
      */
-    public function import($filePath, $batchSize = 1000)
+    protected $dryRun = false;
+
+    /**
+     * The import record tracking this run, if any.
+     *
+     * @var Import|null
+     */
+    protected $import;
+
+    /**
+     * Where to record the products written, so the import can be reverted.
+     *
+     * @var ImportHistory|null
+     */
+    protected $history;
+
+    /**
+     * Import products from a file.
+     *
+     * Reads the file one row at a time and writes the valid rows in batches,
+     * so memory use doesn't grow with the file.
+     *
+     * @param string $filePath Path to the CSV, TSV, Excel or JSON file
+     * @param int $batchSize Number of rows to write in each batch
+     * @param array $columnMapping Product field => source header, for files with other header names
+     * @param array $readerOptions Options for the file's RowReader, e.g. the workbook `sheet`
+     * @return array Import summary with counts of processed/imported/updated records,
+     *               the errors of each invalid row and the path of the error report;
+     *               a dry run also lists the change planned for every valid row
+     *
+     * @throws \RuntimeException If the file cannot be read or is invalid
+     */
+    public function import($filePath, $batchSize = 1000, array $columnMapping = [], array $readerOptions = [])
     {
+        $mapping = new ImportColumnMapping($columnMapping);
+        $this->validator ??= new ProductRowValidator();
         $this->batchSize = $batchSize;
-        
+
         // Initialize summary statistics
         $summary = [
             'total' => 0,      // Total rows processed
-            'imported' => 0,   // New products created
-            'updated' => 0,    // Existing products updated
-            'invalid' => 0,    // Rows with missing required fields
+            'imported' => 0,   // New products created (would be, in a dry run)
+            'updated' => 0,    // Existing products updated (would be, in a dry run)
+            'unchanged' => 0,  // Rows that match their product already (dry run only)
+            'invalid' => 0,    // Rows that failed validation
             'duplicates' => 0, // Duplicate SKUs within the same file
+            'errors' => [],    // Line number, SKU, messages and source record of every invalid row
+            'duplicate_rows' => [], // Line number, SKU, first line and source record of every duplicate
+            'changes' => [],   // Planned change of every valid row (dry run only)
+            'error_report' => null, // Path of the errors.csv written next to the file
         ];
-        
+
         $seenSkus = [];        // Track SKUs to detect duplicates within the file
         $rowsBatch = [];       // Buffer for batch processing
-        $summary = ['total'=>0,'imported'=>0,'updated'=>0,'invalid'=>0,'duplicates'=>0];
-        $seen = [];
-        $rowsBatch = [];
+        $recordsBatch = [];    // Source records of the buffered rows, for skipping them later
+        $report = null;        // Handle of the errors.csv, opened on the first invalid row
 
         try {
-            $file = new SplFileObject($filePath);
-            $file->setFlags(SplFileObject::READ_CSV | SplFileObject::SKIP_EMPTY | SplFileObject::READ_AHEAD | SplFileObject::DROP_NEW_LINE);
-            
-            $headers = null;
-            $lineNumber = 0;
-            
-            while (!$file->eof()) {
-                $lineNumber++;
-                $row = $file->fgetcsv();
-                
-                // Skip empty rows
-                if (!$row || (count($row) === 1 && $row[0] === null)) {
-                    continue;
-                }
-                
-                // First non-empty row is treated as the header
-                if ($headers === null) {
-                    $headers = array_map('trim', $row);
-                    
-                    // Validate headers contain all required columns
-                    $missingHeaders = array_diff($this->required, $headers);
-                    if (!empty($missingHeaders)) {
-                        throw new \RuntimeException(
-                            'CSV is missing required headers: ' . implode(', ', $missingHeaders)
-                        );
-                    }
-                    continue;
-                }
-                
+            // Parse: pick the reader for the file's format
+            $reader = RowReader::open($filePath, $readerOptions);
+
+            // The first non-empty row is treated as the header
+            $sourceHeaders = $reader->headers();
+            if (empty($sourceHeaders)) {
+                return $summary;
+            }
+
+            // Validate headers provide all required columns, directly or through the mapping
+            $missingHeaders = $mapping->missing($sourceHeaders, $this->required);
+            if (!empty($missingHeaders)) {
+                throw new \RuntimeException(
+                    'File is missing required headers: ' . implode(', ', $missingHeaders)
+                );
+            }
+
+            $this->import?->update(['total_rows' => count($reader)]);
+
+            // Rows come keyed by line number, short rows padded to the header
+            foreach ($reader->records() as $lineNumber => $record) {
                 $summary['total']++;
-                
-                try {
-                    // Combine headers with row values
-                    if (count($headers) !== count($row)) {
-                        throw new \RuntimeException("Column count does not match header count on line {$lineNumber}");
-                    }
-                    
-                    $assoc = array_combine($headers, $row);
-                    
-                    // Validate required columns
-                    foreach ($this->required as $col) {
-                        if (!isset($assoc[$col]) || trim($assoc[$col]) === '') {
-                            throw new \RuntimeException("Missing required value for '{$col}' on line {$lineNumber}");
-                        }
-                    }
-                    
-                    $sku = trim($assoc['sku']);
-                    
-                    // Check for duplicate SKUs within the same file
-                    if (isset($seenSkus[$sku])) {
-                        $summary['duplicates']++;
-                        Log::warning("Duplicate SKU found in import: {$sku} on line {$lineNumber}");
-                        continue;
-                    }
-                    $seenSkus[$sku] = true;
-                    
-                    // Prepare row for database insertion
-                    $rowsBatch[] = [
-                        'sku' => $sku,
-                        'name' => trim($assoc['name']),
-                        'description' => isset($assoc['description']) ? trim($assoc['description']) : null,
-                        'price' => isset($assoc['price']) && is_numeric($assoc['price']) ? (float)$assoc['price'] : null,
-                        'created_at' => now(),
-                        'updated_at' => now()
+
+                // Normalize and validate the row
+                $product = $this->normalize($mapping, $record);
+                $errors = $this->validator->errors($product);
+
+                if (!empty($errors)) {
+                    $summary['invalid']++;
+                    $summary['errors'][] = [
+                        'line' => $lineNumber,
+                        'sku' => $product['sku'] ?? null,
+                        'errors' => $errors,
+                        'record' => $record,
                     ];
-                    
-                    // Process batch if we've reached the batch size
-                    if (count($rowsBatch) >= $this->batchSize) {
-                        $this->processBatch($rowsBatch, $summary);
-                        $rowsBatch = [];
+                    Log::warning("Skipping invalid row at line {$lineNumber}: " . implode('; ', $errors));
+
+                    // A tracked import keeps the rows for its own errors.csv download
+                    if (!$this->import) {
+                        $report ??= $this->openErrorReport($filePath, $sourceHeaders, $summary);
+                        fputcsv($report, array_merge(array_values($record), [implode('; ', $errors)]));
                     }
-                    
-                } catch (\RuntimeException $e) {
-                    $summary['invalid']++;
-                    Log::warning("Skipping invalid row at line {$lineNumber}: " . $e->getMessage());
-                    continue;
+                } elseif (isset($seenSkus[$product['sku']])) {
+                    // Only the first row for a SKU is imported
+                    $summary['duplicates']++;
+                    $summary['duplicate_rows'][] = [
+                        'line' => $lineNumber,
+                        'sku' => $product['sku'],
+                        'first_line' => $seenSkus[$product['sku']],
+                        'record' => $record,
+                    ];
+                    Log::warning("Duplicate SKU found in import: {$product['sku']} on line {$lineNumber}");
+                } else {
+                    $seenSkus[$product['sku']] = $lineNumber;
+                    $rowsBatch[$lineNumber] = $this->productRow($product);
+                    $recordsBatch[$lineNumber] = $record;
+                }
+
+                // Upsert: write the batch once it is full
+                if (count($rowsBatch) >= $this->batchSize) {
+                    $this->processBatch($rowsBatch, $summary, $recordsBatch);
+                    $rowsBatch = $recordsBatch = [];
+                }
+
+                if ($summary['total'] % self::PROGRESS_INTERVAL === 0) {
+                    $this->recordProgress($summary);
                 }
             }
 
             // Process any remaining rows in the final batch
             if (!empty($rowsBatch)) {
-                $this->processBatch($rowsBatch, $summary);
+                $this->processBatch($rowsBatch, $summary, $recordsBatch);
             }
-            
+            $this->recordProgress($summary);
+
             return $summary;
-            
+
         } catch (\Exception $e) {
-            Log::error("Failed to process CSV import: " . $e->getMessage());
-            throw new \RuntimeException("Failed to process CSV import: " . $e->getMessage(), 0, $e);
+            Log::error("Failed to import products: " . $e->getMessage());
+            throw new \RuntimeException("Failed to import products: " . $e->getMessage(), 0, $e);
+        } finally {
+            if ($report) {
+                fclose($report);
+            }
+        }
+    }
+
+    /**
+     * Work out what the import would change without writing anything.
+     *
+     * The summary then lists the change planned for every valid row under
+     * `changes`: the product it would create, the fields it would update
+     * with their old and new values, or that the product is unchanged.
+     *
+     * @param bool $dryRun
+     * @return $this
+     */
+    public function setDryRun(bool $dryRun = true)
+    {
+        $this->dryRun = $dryRun;
+        return $this;
+    }
+
+    /**
+     * Track the run on an import record.
+     *
+     * The record gets its row total up front and its counts as the rows are
+     * processed. Skipped rows are stored as ImportIssue records and, in a dry
+     * run, planned changes as ImportChange records, instead of being kept in
+     * the returned summary. Otherwise the before-state of every product
+     * written goes to the import's history so it can be reverted.
+     *
+     * @param Import $import
+     * @return $this
+     */
+    public function forImport(Import $import)
+    {
+        $this->import = $import;
+        $this->history = new ImportHistory($import);
+        return $this;
+    }
+
+    /**
+     * Use the given validator instead of the rules from config/imports.php.
+     *
+     * @param ProductRowValidator $validator
+     * @return $this
+     */
+    public function setValidator(ProductRowValidator $validator)
+    {
+        $this->validator = $validator;
+        return $this;
+    }
+
+    /**
+     * Map a record from source headers to product fields and clean its values.
+     *
+     * @param ImportColumnMapping $mapping
+     * @param array<string, string|null> $record
+     * @return array<string, mixed>
+     */
+    protected function normalize(ImportColumnMapping $mapping, array $record)
+    {
+        return $this->validator->normalize($mapping->apply($record));
+    }
+
+    /**
+     * Get the database row for a valid product. A new product belongs to
+     * the user who started the import; the upsert leaves the owner of an
+     * existing one alone.
+     *
+     * @param array $product
+     * @return array
+     */
+    protected function productRow(array $product)
+    {
+        return [
+            'user_id' => $this->import?->user_id,
+            'sku' => $product['sku'],
+            'name' => $product['name'],
+            'description' => $product['description'] ?? null,
+            'price' => $product['price'] ?? null,
+            'created_at' => now(),
+            'updated_at' => now(),
+        ];
+    }
+
+    /**
+     * Create the error report for an import file and record its path in
+     * the summary.
+     *
+     * The report sits next to the imported file as "<name>-errors.csv" and
+     * repeats the source header with an extra "error" column, so the rows
+     * can be fixed and uploaded again as they are.
+     *
+     * @param string $filePath
+     * @param array $headers Source headers of the imported file
+     * @param array &$summary
+     * @return resource
+     *
+     * @throws \RuntimeException If the report can't be written
+     */
+    protected function openErrorReport($filePath, array $headers, array &$summary)
+    {
+        $path = dirname($filePath) . '/' . pathinfo($filePath, PATHINFO_FILENAME) . '-errors.csv';
+
+        $handle = @fopen($path, 'w');
+        if (!$handle) {
+            throw new \RuntimeException("Unable to write error report: {$path}");
         }
+        fputcsv($handle, array_merge($headers, ['error']));
+
+        $summary['error_report'] = $path;
+        return $handle;
+    }
+
+    /**
+     * Save the counts of a tracked import, and move the skipped rows and
+     * planned changes found since the last update from the summary to the
+     * database.
+     *
+     * @param array &$summary
+     * @return void
+     */
+    protected function recordProgress(array &$summary)
+    {
+        if (!$this->import) {
+            return;
+        }
+
+        $now = now();
+        $issues = [];
+
+        foreach ($summary['errors'] as $error) {
+            $issues[] = [
+                'type' => ImportIssue::TYPE_INVALID,
+                'line' => $error['line'],
+                'sku' => $error['sku'],
+                'reason' => mb_substr(implode('; ', $error['errors']), 0, 255),
+                'data' => json_encode($error['record']),
+            ];
+        }
+        foreach ($summary['duplicate_rows'] as $duplicate) {
+            $issues[] = [
+                'type' => ImportIssue::TYPE_DUPLICATE,
+                'line' => $duplicate['line'],
+                'sku' => $duplicate['sku'],
+                'reason' => "SKU already appears on line {$duplicate['first_line']}",
+                'data' => json_encode($duplicate['record']),
+            ];
+        }
+        $changes = array_map(fn ($change) => [
+            ...$change,
+            'changes' => $change['changes'] === null ? null : json_encode($change['changes']),
+            'values' => json_encode($change['values']),
+        ], $summary['changes']);
+
+        foreach ([ImportIssue::class => $issues, ImportChange::class => $changes] as $model => $rows) {
+            foreach (array_chunk($rows, 500) as $chunk) {
+                $model::insert(array_map(fn ($row) => $row + [
+                    'import_id' => $this->import->id,
+                    'created_at' => $now,
+                    'updated_at' => $now,
+                ], $chunk));
+            }
+        }
+        $summary['errors'] = $summary['duplicate_rows'] = $summary['changes'] = [];
+
+        $this->import->update([
+            'processed_rows' => $summary['total'],
+            'imported' => $summary['imported'],
+            'updated' => $summary['updated'],
+            'unchanged' => $summary['unchanged'],
+            'invalid' => $summary['invalid'],
+            'duplicates' => $summary['duplicates'],
+        ]);
     }
 
     /**
      * Process a batch of product records.
-     * 
+     *
      * Determines which records are new vs updates and performs a batch upsert.
      * Updates the summary statistics with the results.
+     * In a dry run nothing is written; see diffBatch().
      *
-     * @param array $rowsBatch Batch of product data to process
+     * @param array $rowsBatch Batch of product data to process, keyed by line number
      * @param array &$summary Reference to the summary statistics array
+     * @param array $recordsBatch The rows as read from the file, keyed by line number
      * @return void
      */
-    protected function processBatch(array $rowsBatch, array &$summary)
+    protected function processBatch(array $rowsBatch, array &$summary, array $recordsBatch = [])
     {
+        $this->skipProductsOfOthers($rowsBatch, $recordsBatch, $summary);
+
         if (empty($rowsBatch)) {
             return;
         }
-        
+
+        if ($this->dryRun) {
+            $this->diffBatch($rowsBatch, $summary);
+            return;
+        }
+
         try {
             // Extract SKUs from the batch
             $skus = array_column($rowsBatch, 'sku');
-            
-            // Check which SKUs already exist in the database
-            $existingSkus = Product::whereIn('sku', $skus)
-                ->pluck('sku')
-                ->toArray();
-                
-            $existingMap = array_flip($existingSkus);
-            
+
+            // Check which SKUs already exist in the database, keeping their
+            // values when the import is to be revertible
+            if ($this->history) {
+                $before = $this->history->snapshot($skus);
+                $existingMap = $before;
+            } else {
+                $existingSkus = Product::whereIn('sku', $skus)
+                    ->pluck('sku')
+                    ->toArray();
+                $existingMap = array_flip($existingSkus);
+            }
+
             // Count new vs updated records
             $newCount = 0;
             $updateCount = 0;
-            
+
             foreach ($rowsBatch as $row) {
                 isset($existingMap[$row['sku']]) ? $updateCount++ : $newCount++;
             }
-            
+
             // Perform the batch upsert
             // This is atomic and handles both inserts and updates in a single query
             Product::upsert(
-                $rowsBatch,
+                array_values($rowsBatch),
                 ['sku'], // Unique identifier
                 [        // Columns to update on duplicate key
                     'name',
@@ -205,14 +441,117 @@ protected function processBatch(array $rowsBatch, array &$summary)
                     'updated_at'
                 ]
             );
-            
+
+            $this->history?->record($rowsBatch, $before);
+
             // Update summary statistics
             $summary['imported'] += $newCount;
             $summary['updated'] += $updateCount;
-            
+
         } catch (\Exception $e) {
             Log::error("Failed to process batch: " . $e->getMessage());
             throw new \RuntimeException("Failed to process batch: " . $e->getMessage(), 0, $e);
         }
     }
+
+    /**
+     * Take the rows for existing products the import's user may not edit
+     * (see ProductPolicy) out of a batch, and count them as invalid.
+     *
+     * Only imports started by a user are checked; runs from code may write
+     * to any product.
+     *
+     * @param array &$rowsBatch Batch of product data, keyed by line number
+     * @param array $recordsBatch The rows as read from the file, keyed by line number
+     * @param array &$summary Reference to the summary statistics array
+     * @return void
+     */
+    protected function skipProductsOfOthers(array &$rowsBatch, array $recordsBatch, array &$summary)
+    {
+        $user = $this->import?->user;
+        if (!$user || empty($rowsBatch)) {
+            return;
+        }
+
+        $products = Product::whereIn('sku', array_column($rowsBatch, 'sku'))
+            ->get(['id', 'sku', 'user_id'])
+            ->keyBy('sku');
+
+        foreach ($rowsBatch as $line => $row) {
+            $product = $products->get($row['sku']);
+            if (!$product || $user->can('update', $product)) {
+                continue;
+            }
+
+            unset($rowsBatch[$line]);
+            $summary['invalid']++;
+            $summary['errors'][] = [
+                'line' => $line,
+                'sku' => $row['sku'],
+                'errors' => ["You are not allowed to edit product {$row['sku']}"],
+                'record' => $recordsBatch[$line] ?? $row,
+            ];
+            Log::warning("Skipping row at line {$line}: product {$row['sku']} belongs to another user");
+        }
+    }
+
+    /**
+     * Work out the change each row of a batch would make, for a dry run.
+     *
+     * Compares the rows with the products stored under their SKUs and adds
+     * one entry per row to `$summary['changes']`.
+     *
+     * @param array $rowsBatch Batch of product data, keyed by line number
+     * @param array &$summary Reference to the summary statistics array
+     * @return void
+     */
+    protected function diffBatch(array $rowsBatch, array &$summary)
+    {
+        $existing = Product::whereIn('sku', array_column($rowsBatch, 'sku'))
+            ->get(['sku', 'name', 'description', 'price'])
+            ->keyBy('sku');
+
+        foreach ($rowsBatch as $line => $row) {
+            $values = array_intersect_key($row, array_flip(['sku', 'name', 'description', 'price']));
+            $product = $existing->get($row['sku']);
+            $changes = $product ? $this->changedFields($product, $values) : null;
+
+            if (!$product) {
+                $action = ImportChange::ACTION_CREATE;
+                $summary['imported']++;
+            } elseif ($changes) {
+                $action = ImportChange::ACTION_UPDATE;
+                $summary['updated']++;
+            } else {
+                $action = ImportChange::ACTION_UNCHANGED;
+                $summary['unchanged']++;
+            }
+
+            $summary['changes'][] = [
+                'line' => $line,
+                'sku' => $row['sku'],
+                'action' => $action,
+                'changes' => $changes ?: null,
+                'values' => $values,
+            ];
+        }
+    }
+
+    /**
+     * Get the fields whose value in the file differs from the product's.
+     *
+     * @param Product $product
+     * @param array $values
+     * @return array<string, array{old: mixed, new: mixed}>
+     */
+    protected function changedFields(Product $product, array $values)
+    {
+        $changes = [];
+
+        foreach (ImportHistory::changedFields($product->only(ImportHistory::FIELDS), $values) as $field) {
+            $changes[$field] = ['old' => $product->{$field}, 'new' => $values[$field] ?? null];
+        }
+
+        return $changes;
+    }
 }
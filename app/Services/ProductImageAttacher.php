@@ -0,0 +1,73 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Image;
+use App\Models\Product;
+use App\Models\Upload;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Links the image of a processed upload to a product, optionally as the
+ * product's primary image.
+ *
+ * Used by UploadController::attachToProduct for images attached one by one
+ * and by AttachUploadToProduct for images that came out of a ZIP archive.
+ */
+
+class ProductImageAttacher
+{
+    /**
+     * Get the image of an upload to link to products: the original, or any
+     * variant if the original is missing.
+     *
+     * @param Upload $upload
+     * @return Image|null
+     */
+    public function imageFor(Upload $upload): ?Image
+    {
+        return $upload->images()->where('variant', Image::VARIANT_ORIGINAL)->first()
+            ?? $upload->images()->first();
+    }
+
+    /**
+     * Link an image to a product. Linking it again only updates the primary
+     * flag; making it primary unmarks the product's other images.
+     *
+     * @param Image $image
+     * @param Product $product
+     * @param bool $primary
+     * @return bool Whether the image was newly linked
+     */
+    public function attach(Image $image, Product $product, bool $primary = false): bool
+    {
+        return DB::transaction(function () use ($image, $product, $primary) {
+            $link = fn () => DB::table('product_image')
+                ->where('product_id', $product->id)
+                ->where('image_id', $image->id);
+
+            $exists = $link()->exists();
+            if (!$exists) {
+                DB::table('product_image')->insert([
+                    'product_id' => $product->id,
+                    'image_id' => $image->id,
+                    'is_primary' => $primary,
+                    'created_at' => now(),
+                    'updated_at' => now(),
+                ]);
+            }
+
+            if ($primary) {
+                DB::table('product_image')
+                    ->where('product_id', $product->id)
+                    ->where('image_id', '!=', $image->id)
+                    ->update(['is_primary' => false]);
+                $link()->update(['is_primary' => true]);
+
+                $product->update(['primary_image_id' => $image->id]);
+            }
+
+            return !$exists;
+        });
+    }
+}
@@ -0,0 +1,133 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Facades\Validator;
+
+/**
+ * Normalizes and validates single product rows read from an import file.
+ *
+ * The rules come from config/imports.php. Rows are checked one at a time
+ * and the messages returned, so the importer can skip and report a bad row
+ * instead of aborting the whole file.
+ */
+
+class ProductRowValidator
+{
+    /**
+     * Validation rules per product field.
+     *
+     * @var array<string, array>
+     */
+    protected array $rules;
+
+    /**
+     * Categories whose rows must have a description (lower case).
+     *
+     * @var array<int, string>
+     */
+    protected array $descriptionRequiredCategories;
+
+    /**
+     * Create a new validator.
+     *
+     * @param array<string, array>|null $rules Defaults to imports.rules
+     * @param array<int, string>|null $descriptionRequiredCategories Defaults to imports.description_required_categories
+     */
+    public function __construct(?array $rules = null, ?array $descriptionRequiredCategories = null)
+    {
+        $this->rules = $rules ?? config('imports.rules', []);
+        $this->descriptionRequiredCategories = array_map(
+            'mb_strtolower',
+            $descriptionRequiredCategories ?? config('imports.description_required_categories', [])
+        );
+    }
+
+    /**
+     * Trim the row's values, turn blanks into nulls and parse the price.
+     *
+     * A price that can't be parsed is left as given so validation reports it.
+     *
+     * @param array<string, mixed> $row
+     * @return array<string, mixed>
+     */
+    public function normalize(array $row): array
+    {
+        foreach ($row as $field => $value) {
+            if (is_string($value)) {
+                $value = trim(preg_replace('/\s+/u', ' ', $value));
+                $row[$field] = $value === '' ? null : $value;
+            }
+        }
+
+        if (isset($row['price'])) {
+            $row['price'] = self::parsePrice($row['price']) ?? $row['price'];
+        }
+
+        return $row;
+    }
+
+    /**
+     * Get the validation messages for a normalized row (empty when valid).
+     *
+     * @param array<string, mixed> $row
+     * @return array<int, string>
+     */
+    public function errors(array $row): array
+    {
+        $rules = array_intersect_key($this->rules, array_flip(ImportColumnMapping::FIELDS));
+
+        $category = (string) ($row['category'] ?? '');
+        if ($category !== '' && in_array(mb_strtolower($category), $this->descriptionRequiredCategories, true)) {
+            $rules['description'] = array_merge(['required'], array_diff((array) ($rules['description'] ?? []), ['nullable']));
+        }
+
+        $validator = Validator::make($row, $rules, [
+            'required' => "Missing required value for ':attribute'",
+            'description.required' => "A description is required for products in category \"{$category}\".",
+            'sku.regex' => 'The SKU may only contain letters, digits, dots, dashes, underscores and slashes.',
+            'price.numeric' => 'The price must be a number, e.g. 1299.00 or 1.299,00.',
+        ]);
+
+        return $validator->errors()->all();
+    }
+
+    /**
+     * Parse a price written with either decimal convention.
+     *
+     * The last of "," and "." is the decimal separator when both appear
+     * ("1.299,00", "1,299.00"); a lone "," followed by exactly three digits
+     * is a thousands separator ("1,299"). Currency symbols and spaces are
+     * ignored. Returns null if the value isn't a price.
+     *
+     * @param mixed $value
+     * @return float|null
+     */
+    public static function parsePrice($value): ?float
+    {
+        if (is_int($value) || is_float($value)) {
+            return (float) $value;
+        }
+
+        $value = preg_replace('/[^\d,.\-]/', '', (string) $value);
+        if ($value === '' || !preg_match('/\d/', $value)) {
+            return null;
+        }
+
+        $lastComma = strrpos($value, ',');
+        $lastDot = strrpos($value, '.');
+
+        if ($lastComma !== false && $lastDot !== false) {
+            // Both present: whichever comes last separates the decimals
+            [$thousands, $decimal] = $lastComma > $lastDot ? ['.', ','] : [',', '.'];
+            $value = str_replace([$thousands, $decimal], ['', '.'], $value);
+        } elseif ($lastComma !== false) {
+            $isThousands = substr_count($value, ',') > 1 || preg_match('/^-?\d{1,3}(,\d{3})+$/', $value);
+            $value = $isThousands ? str_replace(',', '', $value) : str_replace(',', '.', $value);
+        } elseif (substr_count($value, '.') > 1) {
+            $value = str_replace('.', '', $value);
+        }
+
+        return is_numeric($value) ? (float) $value : null;
+    }
+}
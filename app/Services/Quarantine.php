@@ -0,0 +1,201 @@
+<?php
+
+namespace App\Services;
+
+use App\Events\UploadStatusUpdated;
+use App\Jobs\ExtractImageArchive;
+use App\Jobs\ProcessUploadJob;
+use App\Models\Upload;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+
+/**
+ * Holds uploads the virus scanner flagged until an admin decides on them.
+ *
+ * A quarantined file is moved to the quarantine directory of the default
+ * disk (config/uploads.php "scanning.quarantine_path"), out of reach of
+ * the processing jobs and the public disk, and its upload gets the
+ * "quarantined" status. Releasing it (a false positive) continues the
+ * upload where the scan stopped it: images and archives are processed,
+ * product files imported with the options they were sent with. Purging
+ * it deletes the file and leaves the upload rejected.
+ */
+
+class Quarantine
+{
+    /**
+     * Move an infected file into quarantine and mark its upload.
+     *
+     * @param Upload $upload
+     * @param string $path The assembled file
+     * @param string $threat What the scanner found
+     * @param string $scanner Driver name of the scanner
+     * @param array $context What releasing the upload needs later, e.g. the import options
+     * @return void
+     *
+     * @throws \RuntimeException If the file can't be moved
+     */
+    public function isolate(Upload $upload, string $path, string $threat, string $scanner, array $context = []): void
+    {
+        $quarantinePath = $this->path($upload);
+        Storage::makeDirectory(dirname($quarantinePath));
+
+        if (!rename($path, Storage::path($quarantinePath))) {
+            throw new \RuntimeException("Failed to move {$path} into quarantine");
+        }
+        // Nobody but the app should read it
+        chmod(Storage::path($quarantinePath), 0600);
+
+        $upload->update([
+            'status' => Upload::STATUS_QUARANTINED,
+            'meta' => [...($upload->meta ?? []), 'quarantine' => [
+                'threat' => $threat,
+                'scanner' => $scanner,
+                'path' => $quarantinePath,
+                'quarantined_at' => now()->toIso8601String(),
+            ] + $context],
+        ]);
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_QUARANTINED, null, $this->message($upload));
+
+        Log::warning('Upload quarantined', ['upload_id' => $upload->id, 'threat' => $threat, 'scanner' => $scanner]);
+    }
+
+    /**
+     * Release a quarantined upload and continue processing it.
+     *
+     * @param Upload $upload
+     * @param int|null $releasedBy The admin releasing it
+     * @return bool False if the upload isn't (or no longer) quarantined
+     */
+    public function release(Upload $upload, ?int $releasedBy = null): bool
+    {
+        $path = $upload->meta['quarantine']['path'] ?? null;
+        if (!$upload->isQuarantined() || !$path || !Storage::exists($path) || !$this->claim($upload, Upload::STATUS_PROCESSING)) {
+            return false;
+        }
+
+        $upload->refresh();
+        $quarantine = $upload->meta['quarantine'] + ['released_at' => now()->toIso8601String(), 'released_by' => $releasedBy];
+        $upload->update(['meta' => [...$upload->meta, 'quarantine' => $quarantine]]);
+
+        Log::info('Quarantined upload released', ['upload_id' => $upload->id, 'released_by' => $releasedBy]);
+
+        if ($upload->isImport()) {
+            $this->startImport($upload, $path, $quarantine);
+            return true;
+        }
+
+        $storagePath = "uploads/{$upload->upload_id}/original";
+        Storage::delete($storagePath);
+        Storage::move($path, $storagePath);
+        chmod(Storage::path($storagePath), 0644);
+
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_PROCESSING);
+
+        dispatch($upload->isArchive()
+            ? new ExtractImageArchive($upload->id, Storage::path($storagePath))
+            : new ProcessUploadJob($upload->id, Storage::path($storagePath), (string) Str::uuid()));
+
+        return true;
+    }
+
+    /**
+     * Delete a quarantined file for good and leave its upload rejected.
+     *
+     * @param Upload $upload
+     * @return bool False if the upload isn't (or no longer) quarantined
+     */
+    public function purge(Upload $upload): bool
+    {
+        if (!$upload->isQuarantined() || !$this->claim($upload, Upload::STATUS_REJECTED)) {
+            return false;
+        }
+
+        $upload->refresh();
+        $quarantine = $upload->meta['quarantine'] ?? [];
+        if (!empty($quarantine['path'])) {
+            Storage::delete($quarantine['path']);
+        }
+
+        $reason = "The file contains {$quarantine['threat']} and was deleted";
+        $upload->update(['meta' => [
+            ...$upload->meta,
+            'rejection_reason' => $reason,
+            'quarantine' => $quarantine + ['purged_at' => now()->toIso8601String()],
+        ]]);
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_REJECTED, null, $reason);
+
+        Log::info('Quarantined upload purged', ['upload_id' => $upload->id]);
+
+        return true;
+    }
+
+    /**
+     * Describe why an upload is in quarantine, for the uploader.
+     *
+     * @param Upload $upload
+     * @return string
+     */
+    public function message(Upload $upload): string
+    {
+        $threat = $upload->meta['quarantine']['threat'] ?? 'a threat';
+
+        return "The file contains {$threat} and was quarantined";
+    }
+
+    /**
+     * Where the quarantined file of an upload is kept on the default disk.
+     *
+     * @param Upload $upload
+     * @return string
+     */
+    public function path(Upload $upload): string
+    {
+        return trim(config('uploads.scanning.quarantine_path', 'quarantine'), '/') . "/{$upload->upload_id}";
+    }
+
+    /**
+     * Hand a released product file to the import, with the options and
+     * the user it was uploaded with.
+     *
+     * @param Upload $upload
+     * @param string $path The quarantined file
+     * @param array $quarantine
+     * @return void
+     */
+    protected function startImport(Upload $upload, string $path, array $quarantine): void
+    {
+        $importPath = ImportLauncher::storagePath($upload->original_filename);
+        $disk = Storage::disk('public');
+        $disk->makeDirectory(dirname($importPath));
+        rename(Storage::path($path), $disk->path($importPath));
+
+        $upload->update(['status' => Upload::STATUS_COMPLETE]);
+
+        $import = app(ImportLauncher::class)->start(
+            $importPath,
+            $upload->original_filename,
+            $quarantine['import_options'] ?? [],
+            $quarantine['user_id'] ?? $quarantine['released_by']
+        );
+
+        $upload->update(['meta' => [...$upload->meta, 'import_id' => $import->id]]);
+        UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_COMPLETE);
+    }
+
+    /**
+     * Move a quarantined upload to its next status, unless someone else
+     * already released or purged it.
+     *
+     * @param Upload $upload
+     * @param string $status
+     * @return bool
+     */
+    protected function claim(Upload $upload, string $status): bool
+    {
+        return (bool) Upload::whereKey($upload->id)
+            ->where('status', Upload::STATUS_QUARANTINED)
+            ->update(['status' => $status]);
+    }
+}
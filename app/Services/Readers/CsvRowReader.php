@@ -0,0 +1,32 @@
+<?php
+
+namespace App\Services\Readers;
+
+use Generator;
+use League\Csv\Reader;
+
+/**
+ * Reads comma or tab separated files.
+ *
+ * The delimiter is a tab for .tsv files and a comma otherwise, unless the
+ * `delimiter` option says different. A byte order mark is skipped.
+ */
+
+class CsvRowReader extends RowReader
+{
+    /**
+     * @inheritDoc
+     */
+    protected function read(): Generator
+    {
+        $csv = Reader::createFromPath($this->path, 'r');
+        $csv->setDelimiter($this->options['delimiter'] ?? (($this->options['format'] ?? null) === 'tsv' ? "\t" : ','));
+
+        // Record offsets count from 0, so offset + 1 is the line number
+        foreach ($csv->getRecords() as $offset => $record) {
+            if (!static::isEmptyRow($record)) {
+                yield $offset + 1 => $record;
+            }
+        }
+    }
+}
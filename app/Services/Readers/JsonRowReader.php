@@ -0,0 +1,216 @@
+<?php
+
+namespace App\Services\Readers;
+
+use Generator;
+use JsonException;
+use RuntimeException;
+
+/**
+ * Reads product feeds in JSON: either one array of objects, or newline
+ * delimited JSON (one object per line, .ndjson / .jsonl).
+ *
+ * The keys of the first object are the column headers; later objects are
+ * lined up with them, so missing keys become null and keys the first
+ * object didn't have are ignored. Nested values are passed on as JSON.
+ * Arrays are parsed one element at a time, so large feeds aren't loaded
+ * into memory whole.
+ */
+
+class JsonRowReader extends RowReader
+{
+    /**
+     * Bytes read from the file at a time.
+     *
+     * @var int
+     */
+    const READ_SIZE = 65536;
+
+    /**
+     * @inheritDoc
+     */
+    protected function read(): Generator
+    {
+        $headers = null;
+
+        foreach ($this->objects() as $number => $object) {
+            if (!is_array($object) || array_is_list($object) && $object !== []) {
+                throw new RuntimeException("Record {$number} is not a JSON object");
+            }
+
+            if ($headers === null) {
+                $headers = array_map('strval', array_keys($object));
+                yield 0 => $headers;
+            }
+
+            $row = array_map(fn ($header) => $this->stringify($object[$header] ?? null), $headers);
+            if (!static::isEmptyRow($row)) {
+                yield $number => $row;
+            }
+        }
+    }
+
+    /**
+     * Yield the decoded objects of the file, keyed by line number for
+     * NDJSON and by position (from 1) in a JSON array.
+     *
+     * @return Generator<int, mixed>
+     */
+    protected function objects(): Generator
+    {
+        $handle = fopen($this->path, 'r');
+        if (!$handle) {
+            throw new RuntimeException("Unable to open JSON file: {$this->path}");
+        }
+
+        try {
+            // A plain .json file holding objects line by line is NDJSON too
+            $start = ltrim(fread($handle, 1024), "\xEF\xBB\xBF \t\r\n");
+            rewind($handle);
+
+            yield from str_starts_with($start, '[') ? $this->arrayElements($handle) : $this->lines($handle);
+        } finally {
+            fclose($handle);
+        }
+    }
+
+    /**
+     * Decode one object per line.
+     *
+     * @param resource $handle
+     * @return Generator<int, mixed>
+     */
+    protected function lines($handle): Generator
+    {
+        $line = 0;
+        while (($text = fgets($handle)) !== false) {
+            $line++;
+            $text = trim($line === 1 ? preg_replace('/^\xEF\xBB\xBF/', '', $text) : $text);
+            if ($text !== '') {
+                yield $line => $this->decode($text, "line {$line}");
+            }
+        }
+    }
+
+    /**
+     * Decode the elements of a top-level JSON array one at a time.
+     *
+     * Scans the text for the commas that separate the array's elements,
+     * keeping track of nesting and strings, and decodes each element on
+     * its own.
+     *
+     * @param resource $handle
+     * @return Generator<int, mixed>
+     */
+    protected function arrayElements($handle): Generator
+    {
+        $depth = 0;           // nesting depth, 1 inside the top-level array
+        $inString = false;
+        $element = '';        // text of the element being read
+        $number = 0;
+        $closed = false;
+        $escaped = false;     // a chunk ended right after a backslash in a string
+
+        while (!$closed && ($chunk = fread($handle, static::READ_SIZE)) !== false && $chunk !== '') {
+            $length = strlen($chunk);
+            $start = 0; // where the unread part of $element begins in $chunk
+
+            for ($i = $escaped ? 1 : 0, $escaped = false; $i < $length; $i++) {
+                // Jump to the next character that matters
+                $i += strcspn($chunk, $inString ? '"\\' : '"[]{},', $i);
+                if ($i >= $length) {
+                    break;
+                }
+
+                $char = $chunk[$i];
+                if ($inString) {
+                    if ($char === '\\') {
+                        $escaped = $i + 1 === $length;
+                        $i++; // skip the escaped character
+                    } else {
+                        $inString = false;
+                    }
+                    continue;
+                }
+
+                switch ($char) {
+                    case '"':
+                        $inString = true;
+                        break;
+                    case '[':
+                    case '{':
+                        if ($depth++ === 0) {
+                            // Elements start after the opening bracket
+                            $element = '';
+                            $start = $i + 1;
+                        }
+                        break;
+                    case ']':
+                    case '}':
+                        if (--$depth === 0) {
+                            $closed = true;
+                        }
+                        // fall through: the closing bracket also ends the last element
+                    case ',':
+                        if ($depth <= 1 && ($char === ',' || $closed)) {
+                            $element .= substr($chunk, $start, $i - $start);
+                            $start = $i + 1;
+
+                            if (trim($element) !== '') {
+                                $number++;
+                                yield $number => $this->decode($element, "record {$number}");
+                            }
+                            $element = '';
+                        }
+                        break;
+                }
+
+                if ($closed) {
+                    break;
+                }
+            }
+
+            if (!$closed && $depth > 0) {
+                $element .= substr($chunk, $start);
+            }
+        }
+
+        if (!$closed) {
+            throw new RuntimeException('JSON array is not closed; the file may be cut off');
+        }
+    }
+
+    /**
+     * Decode a JSON value.
+     *
+     * @param string $json
+     * @param string $where Position for the error message
+     * @return mixed
+     *
+     * @throws RuntimeException
+     */
+    protected function decode(string $json, string $where)
+    {
+        try {
+            return json_decode($json, true, 512, JSON_THROW_ON_ERROR | JSON_BIGINT_AS_STRING);
+        } catch (JsonException $e) {
+            throw new RuntimeException("Invalid JSON at {$where}: " . $e->getMessage(), 0, $e);
+        }
+    }
+
+    /**
+     * Turn a decoded value into the string a CSV cell would hold.
+     *
+     * @param mixed $value
+     * @return string|null
+     */
+    protected function stringify($value): ?string
+    {
+        return match (true) {
+            $value === null => null,
+            is_bool($value) => $value ? '1' : '0',
+            is_array($value) => json_encode($value, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES),
+            default => (string) $value,
+        };
+    }
+}
@@ -0,0 +1,153 @@
+<?php
+
+namespace App\Services\Readers;
+
+use Countable;
+use Generator;
+use RuntimeException;
+
+/**
+ * Streams the rows of a product import file, whatever its format.
+ *
+ * Every reader yields the rows of the file as lists of values keyed by the
+ * line (or record) number a user would look up in the source. The first
+ * row holds the column headers; empty rows are skipped. Use `open()` to
+ * pick the reader for a file:
+ *
+ *     $reader = RowReader::open($path, ['sheet' => 'Products']);
+ *     foreach ($reader->records() as $line => $record) { ... }
+ */
+
+abstract class RowReader implements Countable
+{
+    /**
+     * Reader class for each supported file extension.
+     *
+     * @var array<string, class-string<RowReader>>
+     */
+    public const FORMATS = [
+        'csv' => CsvRowReader::class,
+        'txt' => CsvRowReader::class,
+        'tsv' => CsvRowReader::class,
+        'xlsx' => XlsxRowReader::class,
+        'json' => JsonRowReader::class,
+        'ndjson' => JsonRowReader::class,
+        'jsonl' => JsonRowReader::class,
+    ];
+
+    /**
+     * Create a reader for the given file.
+     *
+     * Options: `format` (a key of FORMATS, defaults to the file extension)
+     * and whatever the reader itself accepts, e.g. `sheet` for workbooks.
+     *
+     * @param string $path
+     * @param array $options
+     * @return RowReader
+     *
+     * @throws RuntimeException If the format isn't supported
+     */
+    public static function open(string $path, array $options = []): RowReader
+    {
+        $format = strtolower($options['format'] ?? pathinfo($path, PATHINFO_EXTENSION));
+        if (!isset(self::FORMATS[$format])) {
+            throw new RuntimeException("Unsupported import file format: .{$format}");
+        }
+
+        $class = self::FORMATS[$format];
+        return new $class($path, ['format' => $format] + $options);
+    }
+
+    /**
+     * Create a new reader.
+     *
+     * @param string $path
+     * @param array $options
+     */
+    public function __construct(protected string $path, protected array $options = [])
+    {
+    }
+
+    /**
+     * Yield the non-empty rows of the file, header first, keyed by line number.
+     *
+     * @return Generator<int, array<int, string|null>>
+     */
+    abstract protected function read(): Generator;
+
+    /**
+     * Get the column headers (the first row), trimmed.
+     *
+     * @return array<int, string>
+     */
+    public function headers(): array
+    {
+        foreach ($this->read() as $row) {
+            return array_map(fn ($header) => trim((string) $header), $row);
+        }
+
+        return [];
+    }
+
+    /**
+     * Yield the data rows as lists of values, keyed by line number.
+     *
+     * Rows may have more or fewer values than there are headers.
+     *
+     * @return Generator<int, array<int, string|null>>
+     */
+    public function rows(): Generator
+    {
+        $rows = $this->read();
+        $rows->next(); // the header
+
+        while ($rows->valid()) {
+            yield $rows->key() => $rows->current();
+            $rows->next();
+        }
+    }
+
+    /**
+     * Yield the data rows keyed by header, keyed by line number. Missing
+     * values are null and values without a header are dropped.
+     *
+     * @return Generator<int, array<string, string|null>>
+     */
+    public function records(): Generator
+    {
+        $headers = $this->headers();
+        $width = count($headers);
+
+        foreach ($this->rows() as $line => $row) {
+            $row = array_slice(array_pad($row, $width, null), 0, $width);
+            yield $line => array_combine($headers, $row);
+        }
+    }
+
+    /**
+     * Count the data rows (reads through the file).
+     *
+     * @return int
+     */
+    public function count(): int
+    {
+        return iterator_count($this->rows());
+    }
+
+    /**
+     * Whether a row has no values at all.
+     *
+     * @param array $row
+     * @return bool
+     */
+    protected static function isEmptyRow(array $row): bool
+    {
+        foreach ($row as $value) {
+            if ($value !== null && trim((string) $value) !== '') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
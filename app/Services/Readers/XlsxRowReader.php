@@ -0,0 +1,268 @@
+<?php
+
+namespace App\Services\Readers;
+
+use DOMElement;
+use Generator;
+use RuntimeException;
+use XMLReader;
+use ZipArchive;
+
+/**
+ * Reads one sheet of an Excel workbook (.xlsx).
+ *
+ * The `sheet` option picks the sheet by name or by position (from 1); the
+ * first sheet is read by default. The sheet is streamed row by row straight
+ * from the archive, and line numbers are the row numbers Excel shows.
+ * Cells hold their stored values: formulas give their last calculated
+ * result, and numbers and dates come through unformatted.
+ */
+
+class XlsxRowReader extends RowReader
+{
+    /**
+     * Namespace of the relationship attributes in workbook.xml.
+     *
+     * @var string
+     */
+    const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    /**
+     * Shared strings of the workbook, loaded on first read.
+     *
+     * @var array<int, string>|null
+     */
+    protected ?array $sharedStrings = null;
+
+    /**
+     * Get the names of the sheets in the workbook, in order.
+     *
+     * @return array<int, string>
+     */
+    public function sheetNames(): array
+    {
+        return array_keys($this->sheets());
+    }
+
+    /**
+     * @inheritDoc
+     */
+    protected function read(): Generator
+    {
+        $sheets = $this->sheets();
+        $names = array_keys($sheets);
+        $sheet = $this->options['sheet'] ?? null;
+
+        if ($sheet === null || $sheet === '') {
+            $entry = reset($sheets);
+        } elseif (isset($sheets[$sheet])) {
+            $entry = $sheets[$sheet];
+        } elseif (ctype_digit((string) $sheet) && isset($names[$sheet - 1])) {
+            $entry = $sheets[$names[$sheet - 1]];
+        } else {
+            throw new RuntimeException("Sheet \"{$sheet}\" not found in workbook");
+        }
+
+        $strings = $this->sharedStrings ??= $this->loadSharedStrings();
+
+        $width = null; // number of header columns
+
+        $xml = $this->openEntry($entry);
+        try {
+            while ($xml->read()) {
+                if ($xml->nodeType !== XMLReader::ELEMENT || $xml->localName !== 'row') {
+                    continue;
+                }
+
+                $line = (int) $xml->getAttribute('r');
+                $row = $this->readRow($xml->expand(), $strings);
+
+                if (static::isEmptyRow($row)) {
+                    continue;
+                }
+
+                // Trailing empty cells aren't stored, so fill rows up to the header's width
+                $width ??= count($row);
+                yield $line => array_pad($row, $width, '');
+            }
+        } finally {
+            $xml->close();
+        }
+    }
+
+    /**
+     * Get the values of a row's cells, with '' for cells left out.
+     *
+     * @param DOMElement $row
+     * @param array<int, string> $strings
+     * @return array<int, string|null>
+     */
+    protected function readRow(DOMElement $row, array $strings): array
+    {
+        $values = [];
+        $column = 0;
+
+        foreach ($row->childNodes as $cell) {
+            if (!$cell instanceof DOMElement || $cell->localName !== 'c') {
+                continue;
+            }
+
+            // Empty cells are usually left out, so place each cell by its reference (e.g. "C7")
+            if (preg_match('/^([A-Z]+)\d*$/', $cell->getAttribute('r'), $match)) {
+                $column = self::columnIndex($match[1]);
+            }
+            $values += array_fill(0, $column, '');
+            $values[$column++] = $this->cellValue($cell, $strings);
+        }
+
+        ksort($values);
+        return $values;
+    }
+
+    /**
+     * Get the stored value of a cell.
+     *
+     * @param DOMElement $cell
+     * @param array<int, string> $strings
+     * @return string
+     */
+    protected function cellValue(DOMElement $cell, array $strings): string
+    {
+        $type = $cell->getAttribute('t');
+
+        if ($type === 'inlineStr') {
+            $is = $cell->getElementsByTagName('is')->item(0);
+            return $is ? self::text($is) : '';
+        }
+
+        $value = $cell->getElementsByTagName('v')->item(0)?->textContent ?? '';
+
+        return match ($type) {
+            's' => $strings[(int) $value] ?? '',
+            'b' => $value === '1' ? '1' : '0',
+            default => $value,
+        };
+    }
+
+    /**
+     * Find the worksheet file of every sheet, by sheet name.
+     *
+     * @return array<string, string> Sheet name => entry in the archive
+     *
+     * @throws RuntimeException If the file isn't a workbook
+     */
+    protected function sheets(): array
+    {
+        $zip = new ZipArchive();
+        if ($zip->open($this->path, ZipArchive::RDONLY) !== true) {
+            throw new RuntimeException("Unable to open workbook: {$this->path}");
+        }
+
+        $workbook = $zip->getFromName('xl/workbook.xml');
+        $relationships = $zip->getFromName('xl/_rels/workbook.xml.rels');
+        $zip->close();
+
+        if ($workbook === false || $relationships === false) {
+            throw new RuntimeException('The file is not an Excel workbook (.xlsx)');
+        }
+
+        // Relationship id => worksheet file, relative to xl/ unless absolute
+        $targets = [];
+        foreach (simplexml_load_string($relationships)->Relationship as $relationship) {
+            $target = (string) $relationship['Target'];
+            $targets[(string) $relationship['Id']] = str_starts_with($target, '/') ? ltrim($target, '/') : 'xl/' . $target;
+        }
+
+        $sheets = [];
+        foreach (simplexml_load_string($workbook)->sheets->sheet as $sheet) {
+            $id = (string) $sheet->attributes(self::RELATIONSHIPS_NS)['id'];
+            if (isset($targets[$id])) {
+                $sheets[(string) $sheet['name']] = $targets[$id];
+            }
+        }
+
+        if (empty($sheets)) {
+            throw new RuntimeException('The workbook has no sheets');
+        }
+
+        return $sheets;
+    }
+
+    /**
+     * Read the workbook's shared strings table.
+     *
+     * @return array<int, string>
+     */
+    protected function loadSharedStrings(): array
+    {
+        $zip = new ZipArchive();
+        $zip->open($this->path, ZipArchive::RDONLY);
+        $exists = $zip->locateName('xl/sharedStrings.xml') !== false;
+        $zip->close();
+
+        if (!$exists) {
+            return [];
+        }
+
+        $strings = [];
+        $xml = $this->openEntry('xl/sharedStrings.xml');
+        while ($xml->read()) {
+            if ($xml->nodeType === XMLReader::ELEMENT && $xml->localName === 'si') {
+                $strings[] = self::text($xml->expand());
+            }
+        }
+        $xml->close();
+
+        return $strings;
+    }
+
+    /**
+     * Open an entry of the archive for streaming.
+     *
+     * @param string $entry
+     * @return XMLReader
+     */
+    protected function openEntry(string $entry): XMLReader
+    {
+        $xml = new XMLReader();
+        if (!$xml->open('zip://' . $this->path . '#' . $entry, null, LIBXML_NONET | LIBXML_COMPACT)) {
+            throw new RuntimeException("Unable to read {$entry} from workbook");
+        }
+
+        return $xml;
+    }
+
+    /**
+     * Join the text runs of a string item, leaving out phonetic hints.
+     *
+     * @param \DOMNode $node
+     * @return string
+     */
+    protected static function text(\DOMNode $node): string
+    {
+        $text = '';
+        foreach ($node->getElementsByTagName('t') as $run) {
+            if ($run->parentNode->localName !== 'rPh') {
+                $text .= $run->textContent;
+            }
+        }
+
+        return $text;
+    }
+
+    /**
+     * Convert a column name ("A", "AB") to a zero-based index.
+     *
+     * @param string $letters
+     * @return int
+     */
+    protected static function columnIndex(string $letters): int
+    {
+        $index = 0;
+        foreach (str_split($letters) as $letter) {
+            $index = $index * 26 + ord($letter) - 64;
+        }
+
+        return $index - 1;
+    }
+}
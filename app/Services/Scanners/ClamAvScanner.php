@@ -0,0 +1,100 @@
+<?php
+
+namespace App\Services\Scanners;
+
+use App\Exceptions\VirusScanFailedException;
+
+/**
+ * Scans files with a ClamAV daemon (clamd), over its unix or TCP socket.
+ *
+ * The file is streamed with the INSTREAM command, so clamd doesn't need
+ * access to the app's storage: each chunk is sent as a 4-byte big-endian
+ * length followed by the data, and a zero length ends the stream. clamd
+ * then answers "stream: OK" or "stream: <threat> FOUND".
+ *
+ * Options: `socket` (e.g. unix:///var/run/clamav/clamd.ctl or
+ * tcp://clamav:3310), `timeout` in seconds and `chunk_size` in bytes.
+ */
+
+class ClamAvScanner extends VirusScanner
+{
+    /**
+     * Scan a file.
+     *
+     * @param string $path
+     * @return string|null The name of the threat found, or null if the file is clean
+     *
+     * @throws VirusScanFailedException If clamd can't be reached or can't scan the file
+     */
+    public function scan(string $path): ?string
+    {
+        $address = $this->options['socket'] ?? 'unix:///var/run/clamav/clamd.ctl';
+        $timeout = (int) ($this->options['timeout'] ?? 60);
+        $chunkSize = max(1, (int) ($this->options['chunk_size'] ?? 1024 * 1024));
+
+        $file = @fopen($path, 'rb');
+        if (!$file) {
+            throw new VirusScanFailedException("Can't open {$path} to scan it");
+        }
+
+        $socket = @stream_socket_client($address, $errno, $error, $timeout);
+        if (!$socket) {
+            fclose($file);
+            throw new VirusScanFailedException("Can't reach clamd at {$address}: {$error}");
+        }
+        stream_set_timeout($socket, $timeout);
+
+        try {
+            // The "z" prefix makes clamd expect and send NUL-terminated commands and replies
+            $sent = $this->write($socket, "zINSTREAM\0");
+            while ($sent && !feof($file)) {
+                $data = fread($file, $chunkSize);
+                if ($data === false || $data === '') {
+                    break;
+                }
+                // clamd stops reading once a stream exceeds its StreamMaxLength and says so in its reply
+                $sent = $this->write($socket, pack('N', strlen($data)) . $data);
+            }
+            if ($sent) {
+                $this->write($socket, pack('N', 0));
+            }
+
+            $reply = trim((string) stream_get_contents($socket), "\0\r\n ");
+            if (stream_get_meta_data($socket)['timed_out']) {
+                throw new VirusScanFailedException("clamd at {$address} didn't answer within {$timeout} seconds");
+            }
+        } finally {
+            fclose($file);
+            fclose($socket);
+        }
+
+        if (preg_match('/^stream: OK$/', $reply)) {
+            return null;
+        }
+        if (preg_match('/^stream: (.+) FOUND$/', $reply, $match)) {
+            return $match[1];
+        }
+
+        throw new VirusScanFailedException('clamd couldn\'t scan the file: ' . ($reply !== '' ? $reply : 'no reply'));
+    }
+
+    /**
+     * Write all of the data to the socket.
+     *
+     * @param resource $socket
+     * @param string $data
+     * @return bool False if clamd closed the connection
+     */
+    protected function write($socket, string $data): bool
+    {
+        while ($data !== '') {
+            $written = @fwrite($socket, $data);
+            if ($written === false || $written === 0) {
+                return false;
+            }
+            $data = substr($data, $written);
+        }
+
+        return true;
+    }
+}
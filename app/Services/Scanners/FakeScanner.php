@@ -0,0 +1,64 @@
+<?php
+
+namespace App\Services\Scanners;
+
+use App\Exceptions\VirusScanFailedException;
+
+/**
+ * A scanner for tests and local development that needs no ClamAV.
+ *
+ * It reports a file as infected when it contains one of its signatures,
+ * the EICAR anti-virus test string by default. With the `unavailable`
+ * option it fails every scan, like a scanner that is down.
+ */
+
+class FakeScanner extends VirusScanner
+{
+    /**
+     * The EICAR test string every virus scanner detects. It is split so
+     * that a scanner looking at this source file doesn't flag it.
+     *
+     * @var string
+     */
+    public const EICAR = 'X5O!P%@AP[4\PZX54(P^)7CC)7}$' . 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+    /**
+     * Scan a file.
+     *
+     * @param string $path
+     * @return string|null The name of the threat found, or null if the file is clean
+     *
+     * @throws VirusScanFailedException If the `unavailable` option is set or the file can't be read
+     */
+    public function scan(string $path): ?string
+    {
+        if (!empty($this->options['unavailable'])) {
+            throw new VirusScanFailedException('The fake scanner is set to be unavailable');
+        }
+
+        $signatures = $this->options['signatures'] ?? ['Eicar-Test-Signature' => self::EICAR];
+        $handle = @fopen($path, 'rb');
+        if (!$handle) {
+            throw new VirusScanFailedException("Can't open {$path} to scan it");
+        }
+
+        // Keep the end of the previous block so signatures across two blocks are found
+        $overlap = max(array_map('strlen', $signatures)) - 1;
+        $tail = '';
+        try {
+            while (!feof($handle)) {
+                $block = $tail . fread($handle, 1024 * 1024);
+                foreach ($signatures as $threat => $signature) {
+                    if (str_contains($block, $signature)) {
+                        return $threat;
+                    }
+                }
+                $tail = $overlap > 0 ? substr($block, -$overlap) : '';
+            }
+        } finally {
+            fclose($handle);
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,80 @@
+<?php
+
+namespace App\Services\Scanners;
+
+use App\Exceptions\VirusScanFailedException;
+use RuntimeException;
+
+/**
+ * Scans an uploaded file for viruses, whatever does the scanning.
+ *
+ * A scanner returns the name of the threat it found, or null for a clean
+ * file, and throws when it can't tell. Use `driver()` to get the scanner
+ * configured in config/uploads.php ("scanning"):
+ *
+ *     $threat = VirusScanner::driver()?->scan($path);
+ */
+
+abstract class VirusScanner
+{
+    /**
+     * Scanner class for each driver name.
+     *
+     * @var array<string, class-string<VirusScanner>>
+     */
+    public const DRIVERS = [
+        'clamav' => ClamAvScanner::class,
+        'fake' => FakeScanner::class,
+    ];
+
+    /**
+     * Create the scanner of a driver, with its options from config/uploads.php.
+     *
+     * @param string|null $driver A key of DRIVERS or "none"; defaults to the configured driver
+     * @return VirusScanner|null Null when scanning is turned off
+     *
+     * @throws RuntimeException If the driver doesn't exist
+     */
+    public static function driver(?string $driver = null): ?VirusScanner
+    {
+        $driver = strtolower($driver ?? (string) config('uploads.scanning.driver', 'none'));
+        if ($driver === 'none' || $driver === '') {
+            return null;
+        }
+        if (!isset(self::DRIVERS[$driver])) {
+            throw new RuntimeException("Unknown virus scanner driver: {$driver}");
+        }
+
+        $class = self::DRIVERS[$driver];
+        return new $class(config("uploads.scanning.{$driver}", []));
+    }
+
+    /**
+     * Create a new scanner.
+     *
+     * @param array $options
+     */
+    public function __construct(protected array $options = [])
+    {
+    }
+
+    /**
+     * Scan a file.
+     *
+     * @param string $path
+     * @return string|null The name of the threat found, or null if the file is clean
+     *
+     * @throws VirusScanFailedException If the file couldn't be scanned
+     */
+    abstract public function scan(string $path): ?string;
+
+    /**
+     * Get the driver name of the scanner, for logs and the quarantine record.
+     *
+     * @return string
+     */
+    public function name(): string
+    {
+        return (string) array_search(static::class, self::DRIVERS, true);
+    }
+}
@@ -0,0 +1,345 @@
+<?php
+
+namespace App\Services;
+
+use App\Events\UploadStatusUpdated;
+use App\Models\Image;
+use App\Models\Upload;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Storage;
+
+/**
+ * Cleans up what interrupted uploads and processing leave behind.
+ *
+ * Upload sessions nobody completes keep their rows in "uploading" and their
+ * chunk_*.part files forever, a request that died while assembling or
+ * scanning leaves its upload stuck, uploaded files stay on the default disk
+ * when their processing fails, and a crashed job or cancellation can
+ * leave image files without an images row (or rows whose file is gone).
+ * collect() finds all of these, and unless it's a dry run, expires or
+ * fails the rows and deletes the files. Anything touched within the TTL is
+ * left alone, so running uploads and jobs aren't cut short.
+ */
+
+class UploadGarbageCollector
+{
+    /**
+     * What collect() looks for, in the order it does.
+     *
+     * @var array<int, string>
+     */
+    public const KINDS = [
+        'expired_sessions',
+        'stuck_uploads',
+        'chunk_directories',
+        'assembled_files',
+        'uploaded_files',
+        'orphaned_files',
+        'missing_files',
+    ];
+
+    /**
+     * Statuses of uploads that may still get or need their chunks.
+     *
+     * @var array<int, string>
+     */
+    protected const LIVE_STATUSES = [Upload::STATUS_UPLOADING, Upload::STATUS_ASSEMBLING, Upload::STATUS_SCANNING];
+
+    /**
+     * Count and size of what was found so far, by kind.
+     *
+     * @var array<string, array{count: int, bytes: int}>
+     */
+    protected array $report = [];
+
+    /**
+     * Upload UUIDs expired or failed in this run (or that would be, in a
+     * dry run); their chunks go too.
+     *
+     * @var array<string, true>
+     */
+    protected array $collected = [];
+
+    /**
+     * Called with (kind, description, bytes) for every item found.
+     *
+     * @var callable|null
+     */
+    protected $onItem;
+
+    /**
+     * Find and clean up stale uploads and files.
+     *
+     * @param int $ttl Minutes since the last change before anything counts as stale
+     * @param bool $dryRun Only report what would be cleaned up
+     * @param callable|null $onItem Called with (kind, description, bytes) for every item found
+     * @return array<string, array{count: int, bytes: int}> Keyed by KINDS
+     */
+    public function collect(int $ttl, bool $dryRun = false, ?callable $onItem = null): array
+    {
+        $this->report = array_fill_keys(self::KINDS, ['count' => 0, 'bytes' => 0]);
+        $this->collected = [];
+        $this->onItem = $onItem;
+        $cutoff = now()->subMinutes($ttl);
+
+        $this->expireSessions($cutoff, $dryRun);
+        $this->failStuckUploads($cutoff, $dryRun);
+        $this->deleteChunkDirectories($cutoff, $dryRun);
+        $this->deleteAssembledFiles($cutoff, $dryRun);
+        $this->deleteUploadedFiles($cutoff, $dryRun);
+        $this->deleteOrphanedFiles($cutoff, $dryRun);
+        $this->deleteMissingFileRows($cutoff, $dryRun);
+
+        Log::info($dryRun ? 'Upload garbage collection dry run' : 'Upload garbage collection', $this->report);
+
+        return $this->report;
+    }
+
+    /**
+     * Mark sessions that stopped getting chunks as expired: past their
+     * expires_at, or untouched for the TTL.
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function expireSessions(Carbon $cutoff, bool $dryRun): void
+    {
+        $sessions = Upload::where('status', Upload::STATUS_UPLOADING)
+            ->where(fn ($query) => $query->where('expires_at', '<', now())->orWhere('updated_at', '<', $cutoff));
+
+        foreach ($sessions->lazyById() as $upload) {
+            $this->collected[$upload->upload_id] = true;
+            $this->found('expired_sessions', "{$upload->upload_id} ({$upload->original_filename})");
+
+            if (!$dryRun) {
+                $upload->update(['status' => Upload::STATUS_EXPIRED]);
+            }
+        }
+    }
+
+    /**
+     * Fail uploads whose completion request died while assembling or
+     * scanning; nothing else will ever move them on.
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function failStuckUploads(Carbon $cutoff, bool $dryRun): void
+    {
+        $stuck = Upload::whereIn('status', [Upload::STATUS_ASSEMBLING, Upload::STATUS_SCANNING])
+            ->where('updated_at', '<', $cutoff);
+
+        foreach ($stuck->lazyById() as $upload) {
+            $this->collected[$upload->upload_id] = true;
+            $this->found('stuck_uploads', "{$upload->upload_id} ({$upload->original_filename}, {$upload->status})");
+            if ($dryRun) {
+                continue;
+            }
+
+            $message = "Stopped while {$upload->status}";
+            $upload->update([
+                'status' => Upload::STATUS_FAILED,
+                'meta' => [...($upload->meta ?? []), 'error' => $message],
+            ]);
+            UploadStatusUpdated::dispatch($upload->upload_id, Upload::STATUS_FAILED, null, $message);
+        }
+    }
+
+    /**
+     * Delete chunk directories nobody is going to complete: of uploads
+     * expired or failed above, finished or unknown ones, and of other
+     * failed ones after the TTL (they are kept that long so completing
+     * them can be retried).
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function deleteChunkDirectories(Carbon $cutoff, bool $dryRun): void
+    {
+        // Where UploadController receives the chunks, one directory per upload
+        $root = storage_path('app/uploads/tmp');
+        if (!File::isDirectory($root)) {
+            return;
+        }
+
+        foreach (array_chunk(File::directories($root), 500) as $directories) {
+            $uploads = Upload::whereIn('upload_id', array_map('basename', $directories))->get()->keyBy('upload_id');
+
+            foreach ($directories as $directory) {
+                $upload = $uploads->get(basename($directory));
+
+                $stale = match (true) {
+                    // Sessions are recorded before any chunk arrives, so this one was deleted or predates them
+                    $upload === null => File::lastModified($directory) < $cutoff->getTimestamp(),
+                    isset($this->collected[$upload->upload_id]) => true,
+                    in_array($upload->status, self::LIVE_STATUSES, true) => false,
+                    $upload->status === Upload::STATUS_FAILED => $upload->updated_at < $cutoff,
+                    default => true,
+                };
+                if (!$stale) {
+                    continue;
+                }
+
+                $this->found('chunk_directories', $directory, $this->directorySize($directory));
+                if (!$dryRun) {
+                    File::deleteDirectory($directory);
+                }
+            }
+        }
+    }
+
+    /**
+     * Delete assembled files a completion request left behind; completing
+     * an upload moves or deletes its assembled file right away.
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function deleteAssembledFiles(Carbon $cutoff, bool $dryRun): void
+    {
+        foreach (File::glob(storage_path('app/uploads/*_assembled')) as $path) {
+            if (File::lastModified($path) >= $cutoff->getTimestamp()) {
+                continue;
+            }
+
+            $this->found('assembled_files', $path, File::size($path));
+            if (!$dryRun) {
+                File::delete($path);
+            }
+        }
+    }
+
+    /**
+     * Delete uploaded files (uploads/{uuid}/original on the default disk)
+     * nothing is going to process any more. Processing deletes the file of
+     * an image once its stripped copy is stored; this catches the files of
+     * uploads that failed, were rejected or cancelled, and of unknown ones.
+     * The file of a quarantined upload lives in the quarantine directory.
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function deleteUploadedFiles(Carbon $cutoff, bool $dryRun): void
+    {
+        $disk = Storage::disk();
+        // The chunk directories are under uploads/tmp, see deleteChunkDirectories()
+        $directories = array_filter($disk->directories('uploads'), fn ($directory) => basename($directory) !== 'tmp');
+
+        foreach (array_chunk($directories, 500) as $directories) {
+            $uploads = Upload::whereIn('upload_id', array_map('basename', $directories))->get()->keyBy('upload_id');
+
+            foreach ($directories as $directory) {
+                // A queued processing or unpacking job (or a retry of one) still reads it
+                $upload = $uploads->get(basename($directory));
+                if ($upload && in_array($upload->status, [...self::LIVE_STATUSES, Upload::STATUS_PROCESSING], true)) {
+                    continue;
+                }
+
+                $files = $disk->allFiles($directory);
+                if (collect($files)->contains(fn ($path) => $disk->lastModified($path) >= $cutoff->getTimestamp())) {
+                    continue;
+                }
+
+                $this->found('uploaded_files', $directory, array_sum(array_map(fn ($path) => $disk->size($path), $files)));
+                if (!$dryRun) {
+                    $disk->deleteDirectory($directory);
+                }
+            }
+        }
+    }
+
+    /**
+     * Delete image files on the public disk that no images row points to.
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function deleteOrphanedFiles(Carbon $cutoff, bool $dryRun): void
+    {
+        $disk = Storage::disk('public');
+
+        foreach ($disk->directories('uploads') as $directory) {
+            $files = $disk->files($directory);
+            $known = Image::whereIn('path', $files)->pluck('path')->all();
+
+            $orphans = 0;
+            foreach (array_diff($files, $known) as $path) {
+                // Processing writes a file just before its row
+                if ($disk->lastModified($path) >= $cutoff->getTimestamp()) {
+                    continue;
+                }
+
+                $orphans++;
+                $this->found('orphaned_files', $path, $disk->size($path));
+                if (!$dryRun) {
+                    $disk->delete($path);
+                }
+            }
+
+            if (!$dryRun && $orphans > 0 && $orphans === count($files)) {
+                $disk->deleteDirectory($directory);
+            }
+        }
+    }
+
+    /**
+     * Delete images rows whose file is gone from the public disk. Their
+     * product links go with them.
+     *
+     * @param Carbon $cutoff
+     * @param bool $dryRun
+     * @return void
+     */
+    protected function deleteMissingFileRows(Carbon $cutoff, bool $dryRun): void
+    {
+        $disk = Storage::disk('public');
+
+        foreach (Image::where('updated_at', '<', $cutoff)->lazyById() as $image) {
+            if ($disk->exists($image->path)) {
+                continue;
+            }
+
+            $this->found('missing_files', "#{$image->id} {$image->path}");
+            if (!$dryRun) {
+                $image->delete();
+            }
+        }
+    }
+
+    /**
+     * Count an item in the report.
+     *
+     * @param string $kind
+     * @param string $description
+     * @param int $bytes Disk space it takes
+     * @return void
+     */
+    protected function found(string $kind, string $description, int $bytes = 0): void
+    {
+        $this->report[$kind]['count']++;
+        $this->report[$kind]['bytes'] += $bytes;
+
+        if ($this->onItem) {
+            ($this->onItem)($kind, $description, $bytes);
+        }
+    }
+
+    /**
+     * Get the total size of the files in a directory.
+     *
+     * @param string $directory
+     * @return int
+     */
+    protected function directorySize(string $directory): int
+    {
+        return array_sum(array_map(fn ($file) => $file->getSize(), File::allFiles($directory)));
+    }
+}
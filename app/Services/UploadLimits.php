@@ -0,0 +1,143 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Upload;
+use App\Services\Readers\RowReader;
+
+/**
+ * Reads the per-target upload limits from config/uploads.php and checks a
+ * file announced to POST /api/upload/init against them.
+ *
+ * A target is what the upload is for (Upload::PURPOSE_*): a product image,
+ * a product file to import or a ZIP archive of images. Each one sets the
+ * largest file it takes, the most chunks it may be sent in and the file
+ * types it allows.
+ */
+
+class UploadLimits
+{
+    /**
+     * The targets an upload can be for.
+     *
+     * @return array<int, string>
+     */
+    public static function targets(): array
+    {
+        return [Upload::PURPOSE_IMAGE, Upload::PURPOSE_IMPORT, Upload::PURPOSE_ARCHIVE];
+    }
+
+    /**
+     * Get the limits of a target.
+     *
+     * @param string $target One of targets()
+     * @return array{max_size: int|null, max_chunks: int|null, chunk_size: int, extensions: array<int, string>, mime_types: array<int, string>|null}
+     */
+    public function for(string $target): array
+    {
+        $limits = config("uploads.targets.{$target}", []);
+
+        return [
+            'max_size' => isset($limits['max_size']) ? (int) $limits['max_size'] : null,
+            'max_chunks' => isset($limits['max_chunks']) ? (int) $limits['max_chunks'] : null,
+            'chunk_size' => max(1, (int) ($limits['chunk_size'] ?? config('uploads.chunk_size', 5 * 1024 * 1024))),
+            // Import files can be anything a row reader can read
+            'extensions' => array_map('strtolower', $limits['extensions'] ?? ($target === Upload::PURPOSE_IMPORT ? array_keys(RowReader::FORMATS) : [])),
+            'mime_types' => $limits['mime_types'] ?? null,
+        ];
+    }
+
+    /**
+     * Check a file against the limits of a target.
+     *
+     * @param string $target One of targets()
+     * @param string $fileName
+     * @param int $fileSize Size in bytes
+     * @param string|null $mimeType The type the browser reported, if any
+     * @return array|null Error response data, or null if the file is allowed
+     */
+    public function check(string $target, string $fileName, int $fileSize, ?string $mimeType = null): ?array
+    {
+        $limits = $this->for($target);
+        $extension = strtolower(pathinfo($fileName, PATHINFO_EXTENSION));
+
+        if ($limits['extensions'] && !in_array($extension, $limits['extensions'], true)) {
+            return [
+                'error' => 'unsupported_file_type',
+                'message' => "Only {$this->describe($limits['extensions'])} files can be uploaded here",
+                'formats' => $limits['extensions'],
+            ];
+        }
+
+        // Browsers leave the type empty for files they don't know, so only a reported type can be wrong
+        if ($mimeType && $limits['mime_types'] !== null && !in_array(strtolower($mimeType), $limits['mime_types'], true)) {
+            return [
+                'error' => 'unsupported_file_type',
+                'message' => "Files of type {$mimeType} can't be uploaded here",
+                'formats' => $limits['extensions'],
+            ];
+        }
+
+        if ($limits['max_size'] !== null && $fileSize > $limits['max_size']) {
+            return [
+                'error' => 'file_too_large',
+                'message' => 'The file is larger than the ' . static::humanSize($limits['max_size']) . ' allowed',
+                'max_size' => $limits['max_size'],
+            ];
+        }
+
+        if ($limits['max_chunks'] !== null && $this->totalChunks($target, $fileSize) > $limits['max_chunks']) {
+            return [
+                'error' => 'too_many_chunks',
+                'message' => "The file would take more than {$limits['max_chunks']} chunks",
+                'max_chunks' => $limits['max_chunks'],
+            ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the number of chunks a file of a target is sent in.
+     *
+     * @param string $target
+     * @param int $fileSize
+     * @return int
+     */
+    public function totalChunks(string $target, int $fileSize): int
+    {
+        return max(1, (int) ceil($fileSize / $this->for($target)['chunk_size']));
+    }
+
+    /**
+     * Format a byte count for messages, e.g. "10 MB".
+     *
+     * @param int|float $bytes
+     * @return string
+     */
+    public static function humanSize(int|float $bytes): string
+    {
+        $units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+        $unit = 0;
+        while ($bytes >= 1024 && $unit < count($units) - 1) {
+            $bytes /= 1024;
+            $unit++;
+        }
+
+        return round($bytes, 1) . " {$units[$unit]}";
+    }
+
+    /**
+     * List file extensions for a message, e.g. "JPG, PNG or GIF".
+     *
+     * @param array<int, string> $extensions
+     * @return string
+     */
+    protected function describe(array $extensions): string
+    {
+        $extensions = array_map('strtoupper', $extensions);
+        $last = array_pop($extensions);
+
+        return $extensions ? implode(', ', $extensions) . " or {$last}" : $last;
+    }
+}
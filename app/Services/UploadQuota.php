@@ -0,0 +1,136 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Upload;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Keeps count of what each user has uploaded and checks a new upload
+ * against the quotas in config/uploads.php.
+ *
+ * Usage is worked out from the uploads table rather than kept in a
+ * counter, so failed, cancelled and cleaned up uploads free their space
+ * without anyone having to remember to give it back. New uploads are
+ * created through reserve(), so two started at once can't both slip
+ * under a limit.
+ */
+
+class UploadQuota
+{
+    /**
+     * Statuses of uploads whose file still takes up space.
+     *
+     * @var array<int, string>
+     */
+    public const COUNTED_STATUSES = [
+        Upload::STATUS_UPLOADING,
+        Upload::STATUS_ASSEMBLING,
+        Upload::STATUS_SCANNING,
+        Upload::STATUS_PROCESSING,
+        Upload::STATUS_COMPLETE,
+        Upload::STATUS_QUARANTINED,
+    ];
+
+    /**
+     * Get the configured quotas; null means no limit.
+     *
+     * @return array{max_bytes: int|null, max_uploads_per_day: int|null}
+     */
+    public function limits(): array
+    {
+        $limit = fn ($value) => $value === null || $value === '' ? null : (int) $value;
+
+        return [
+            'max_bytes' => $limit(config('uploads.quotas.max_bytes')),
+            'max_uploads_per_day' => $limit(config('uploads.quotas.max_uploads_per_day')),
+        ];
+    }
+
+    /**
+     * Get what a user has used of the quotas.
+     *
+     * @param User $user
+     * @return array{bytes: int, uploads_today: int}
+     */
+    public function usage(User $user): array
+    {
+        return [
+            'bytes' => (int) $this->uploads($user)->whereIn('status', self::COUNTED_STATUSES)->sum('file_size'),
+            'uploads_today' => $this->uploads($user)->where('created_at', '>=', now()->startOfDay())->count(),
+        ];
+    }
+
+    /**
+     * Check whether a user may start an upload of the given size.
+     *
+     * @param User $user
+     * @param int $fileSize Size in bytes
+     * @return array|null Error response data, or null if the upload is allowed
+     */
+    public function check(User $user, int $fileSize): ?array
+    {
+        if ($user->isAdmin()) {
+            return null;
+        }
+
+        $limits = $this->limits();
+        $usage = $this->usage($user);
+
+        if ($limits['max_uploads_per_day'] !== null && $usage['uploads_today'] >= $limits['max_uploads_per_day']) {
+            return [
+                'error' => 'daily_upload_limit',
+                'message' => "You can start up to {$limits['max_uploads_per_day']} uploads a day; try again tomorrow",
+                'max_uploads_per_day' => $limits['max_uploads_per_day'],
+            ];
+        }
+
+        if ($limits['max_bytes'] !== null && $usage['bytes'] + $fileSize > $limits['max_bytes']) {
+            $remaining = max(0, $limits['max_bytes'] - $usage['bytes']);
+
+            return [
+                'error' => 'storage_quota_exceeded',
+                'message' => 'The file would take you past your ' . UploadLimits::humanSize($limits['max_bytes'])
+                    . ' upload quota; ' . UploadLimits::humanSize($remaining) . ' is left',
+                'max_bytes' => $limits['max_bytes'],
+                'remaining_bytes' => $remaining,
+            ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a new upload against the quotas and create it if it fits.
+     *
+     * Both happen in one transaction holding a lock on the user's row, so
+     * concurrent starts by the same user are counted one after the other.
+     *
+     * @param User $user
+     * @param int $fileSize Size in bytes
+     * @param callable(): Upload $create Creates the upload
+     * @return Upload|array The upload, or error response data if it doesn't fit
+     */
+    public function reserve(User $user, int $fileSize, callable $create): Upload|array
+    {
+        return DB::transaction(function () use ($user, $fileSize, $create) {
+            User::whereKey($user->id)->lockForUpdate()->first();
+
+            return $this->check($user, $fileSize) ?? $create();
+        });
+    }
+
+    /**
+     * Query the uploads a user started. Images extracted from an archive
+     * are left out, since the archive already counts for them.
+     *
+     * @param User $user
+     * @return Builder
+     */
+    protected function uploads(User $user): Builder
+    {
+        return Upload::where('user_id', $user->id)->whereNull('meta->archive_id');
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Product Row Rules
+    |--------------------------------------------------------------------------
+    |
+    | Laravel validation rules every imported product row must pass. Prices
+    | are parsed before validation, so "1.299,00", "1,299.00" and "€ 12,50"
+    | all arrive here as numbers. Rows that fail are skipped and reported
+    | in the import's errors.csv together with the reason.
+    |
+    */
+
+    'rules' => [
+        'sku' => ['required', 'string', 'max:64', 'regex:' . env('IMPORT_SKU_PATTERN', '/^[A-Za-z0-9][A-Za-z0-9._\/-]*$/')],
+        'name' => ['required', 'string', 'max:255'],
+        'description' => ['nullable', 'string', 'max:10000'],
+        'price' => ['nullable', 'numeric', 'min:0'],
+        'category' => ['nullable', 'string', 'max:255'],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Categories Requiring A Description
+    |--------------------------------------------------------------------------
+    |
+    | Rows whose "category" column holds one of these values (compared case
+    | insensitively) must have a description.
+    |
+    */
+
+    'description_required_categories' => array_filter(
+        array_map('trim', explode(',', env('IMPORT_DESCRIPTION_REQUIRED_CATEGORIES', '')))
+    ),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Image Filename Pattern
+    |--------------------------------------------------------------------------
+    |
+    | How the import page reads a SKU from the name of a dropped image (without
+    | its extension): a JavaScript regular expression whose "sku" group holds
+    | the SKU, e.g. "^IMG-(?<sku>[A-Z0-9]+)". Leave unset for the built-in one,
+    | which reads "SKU123_1.jpg" and "SKU123-front.png" as SKU123. Images
+    | listed in the product file's image column are matched by name first.
+    |
+    */
+
+    'image_filename_pattern' => env('IMPORT_IMAGE_FILENAME_PATTERN'),
+
+];
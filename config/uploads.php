@@ -0,0 +1,219 @@
+<?php
+
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Checksum Algorithms
+    |--------------------------------------------------------------------------
+    |
+    | The algorithms a client may choose to verify chunks and assembled files
+    | with. The algorithm is fixed by the first chunk of an upload and stored
+    | next to the digest. Clients that don't send one get the default, which
+    | stays "md5" so older clients keep working.
+    |
+    | Supported: "md5", "sha256", "crc32c"
+    |
+    */
+
+    'checksum_algorithms' => ['md5', 'sha256', 'crc32c'],
+
+    'default_checksum_algorithm' => env('UPLOAD_CHECKSUM_ALGORITHM', 'md5'),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Upload Sessions
+    |--------------------------------------------------------------------------
+    |
+    | Every chunked upload starts with POST /api/upload/init, which checks the
+    | file against the limits of its target and answers with the chunk size
+    | to use. A session nobody sends chunks to for "session_ttl" minutes
+    | expires; its chunks are then refused.
+    |
+    | Per target: "max_size" in bytes, "max_chunks", the allowed file
+    | "extensions" and "mime_types" (null allows any). Browsers report no or
+    | odd MIME types for some files, so an empty type is never refused on
+    | its own. Import files are also limited to the formats the import
+    | readers support.
+    |
+    | Once a file is assembled its first bytes decide what it really is:
+    | "content_types" lists the types a target takes ("jpeg", "png", "gif",
+    | "webp", "zip" or "text"; see App\Services\FileInspector). A file of
+    | another type, or whose name or MIME type says something else than its
+    | content, is rejected.
+    |
+    */
+
+    'chunk_size' => (int) env('UPLOAD_CHUNK_SIZE', 5 * 1024 * 1024),
+
+    'session_ttl' => (int) env('UPLOAD_SESSION_TTL', 24 * 60),
+
+    'targets' => [
+        'image' => [
+            'max_size' => (int) env('UPLOAD_IMAGE_MAX_SIZE', 10 * 1024 * 1024),
+            'max_chunks' => 100,
+            'extensions' => ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+            'mime_types' => ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+            'content_types' => ['jpeg', 'png', 'gif', 'webp'],
+        ],
+        'import' => [
+            'max_size' => (int) env('UPLOAD_IMPORT_MAX_SIZE', 2 * 1024 * 1024 * 1024),
+            'max_chunks' => 10000,
+            'extensions' => null,
+            'mime_types' => null,
+            // Spreadsheets (.xlsx) are ZIP archives
+            'content_types' => ['text', 'zip'],
+        ],
+        'archive' => [
+            'max_size' => (int) env('UPLOAD_ARCHIVE_MAX_SIZE', 5 * 1024 * 1024 * 1024),
+            'max_chunks' => 10000,
+            'extensions' => ['zip'],
+            'mime_types' => ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip', 'application/octet-stream'],
+            'content_types' => ['zip'],
+        ],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Quotas
+    |--------------------------------------------------------------------------
+    |
+    | Limits on what each user may upload, checked when an upload starts.
+    | "max_bytes" caps the size of a user's uploads that still take up
+    | space (in progress, processed or quarantined; failed, cancelled,
+    | expired and rejected ones don't count). "max_uploads_per_day" caps the
+    | uploads a user may start per calendar day. Images extracted from an
+    | archive count as part of the archive. Null means no limit; admins have
+    | none either way.
+    |
+    */
+
+    'quotas' => [
+        'max_bytes' => env('UPLOAD_QUOTA_BYTES', 20 * 1024 * 1024 * 1024),
+        'max_uploads_per_day' => env('UPLOAD_QUOTA_DAILY', 1000),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Garbage Collection
+    |--------------------------------------------------------------------------
+    |
+    | The uploads:gc command (scheduled hourly) expires abandoned upload
+    | sessions, fails uploads stuck while assembling or scanning, deletes
+    | chunk directories nobody will complete and uploaded files nothing will
+    | process, and removes image files without an images row and images
+    | rows without a file. Anything touched within the last "ttl" minutes
+    | is left alone, so uploads and processing jobs still running aren't
+    | cut short.
+    |
+    */
+
+    'gc' => [
+        'ttl' => (int) env('UPLOAD_GC_TTL', 24 * 60),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Image Sanitizing
+    |--------------------------------------------------------------------------
+    |
+    | Images declaring more than "max_width" x "max_height" or "max_pixels"
+    | pixels are rejected before they are decoded; a few kilobytes can
+    | declare a canvas that takes gigabytes of memory to open.
+    |
+    | Images are turned upright by their EXIF orientation before they are
+    | resized, and the stored original loses its EXIF (GPS position, camera,
+    | dates), XMP, IPTC and comments. With "keep_orientation" the original
+    | keeps its orientation tag, since it isn't rotated itself and would
+    | otherwise display sideways. With "keep_color_profile" the original and
+    | the JPEG variants keep the image's ICC color profile.
+    |
+    */
+
+    'images' => [
+        'max_width' => (int) env('UPLOAD_IMAGE_MAX_WIDTH', 12000),
+        'max_height' => (int) env('UPLOAD_IMAGE_MAX_HEIGHT', 12000),
+        'max_pixels' => (int) env('UPLOAD_IMAGE_MAX_PIXELS', 50 * 1000 * 1000),
+        'keep_orientation' => (bool) env('UPLOAD_KEEP_ORIENTATION', true),
+        'keep_color_profile' => (bool) env('UPLOAD_KEEP_COLOR_PROFILE', true),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Virus Scanning
+    |--------------------------------------------------------------------------
+    |
+    | Every assembled upload that passes the content checks is scanned
+    | before it is processed or imported. "driver" picks the scanner:
+    | "clamav" streams the file to a clamd daemon listening on "socket"
+    | (a unix:// or tcp:// address), "fake" flags files containing the EICAR
+    | test string and is meant for tests, and "none" turns scanning off.
+    |
+    | Infected files are moved to the quarantine directory of the default
+    | disk and wait there until an admin releases or purges them. A file
+    | that can't be scanned (clamd down or timing out) fails its upload.
+    |
+    */
+
+    'scanning' => [
+        'driver' => env('UPLOAD_SCANNER', 'none'),
+        'quarantine_path' => 'quarantine',
+        'clamav' => [
+            'socket' => env('CLAMAV_SOCKET', 'unix:///var/run/clamav/clamd.ctl'),
+            'timeout' => (int) env('CLAMAV_TIMEOUT', 60),
+            // clamd's StreamMaxLength caps the total; this is just the size of each write
+            'chunk_size' => 1024 * 1024,
+        ],
+        'fake' => [
+            'unavailable' => false,
+        ],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Image Variants
+    |--------------------------------------------------------------------------
+    |
+    | The sizes ProcessUploadJob makes of every uploaded image, by name. Each
+    | profile fits the image into "width" x "height" pixels (either may be
+    | null for "contain") and is written once per format in "formats".
+    |
+    | Fit modes: "contain" scales it down to fit inside the box, "cover"
+    | scales it down to fill the box and cuts off what sticks out, "crop"
+    | cuts the middle of the box out without scaling. Images are never
+    | scaled up.
+    |
+    | Formats: "jpeg", "webp", "avif". A format the server's GD can't write
+    | (often AVIF) is skipped. The product pages offer AVIF and WebP to
+    | browsers that take them and fall back to JPEG.
+    |
+    */
+
+    'variants' => [
+        '256' => ['width' => 256, 'height' => 256, 'fit' => 'contain', 'formats' => ['jpeg', 'webp', 'avif'], 'quality' => 85],
+        '512' => ['width' => 512, 'height' => 512, 'fit' => 'contain', 'formats' => ['jpeg', 'webp', 'avif'], 'quality' => 85],
+        '1024' => ['width' => 1024, 'height' => 1024, 'fit' => 'contain', 'formats' => ['jpeg', 'webp', 'avif'], 'quality' => 90],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Image Archives
+    |--------------------------------------------------------------------------
+    |
+    | Limits for ZIP archives of product images. An archive with too many
+    | entries, too much data once unpacked or an entry compressed beyond
+    | "max_compression_ratio" is rejected as a whole before anything is
+    | extracted (a zip bomb). Entries that aren't images of one of the
+    | "image_extensions" or are larger than "max_entry_size" are skipped.
+    |
+    */
+
+    'archive' => [
+        'max_entries' => (int) env('UPLOAD_ARCHIVE_MAX_ENTRIES', 10000),
+        'max_total_size' => (int) env('UPLOAD_ARCHIVE_MAX_TOTAL_SIZE', 5 * 1024 * 1024 * 1024),
+        'max_entry_size' => (int) env('UPLOAD_ARCHIVE_MAX_ENTRY_SIZE', 20 * 1024 * 1024),
+        'max_compression_ratio' => (int) env('UPLOAD_ARCHIVE_MAX_COMPRESSION_RATIO', 100),
+        'image_extensions' => ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+    ],
+
+];
@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Existing digests were all calculated with md5
+        Schema::table('uploads', function (Blueprint $table) {
+            $table->string('checksum_algorithm', 16)->default('md5')->after('file_checksum');
+        });
+
+        Schema::table('images', function (Blueprint $table) {
+            $table->string('checksum_algorithm', 16)->default('md5')->after('checksum');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('uploads', function (Blueprint $table) {
+            $table->dropColumn('checksum_algorithm');
+        });
+
+        Schema::table('images', function (Blueprint $table) {
+            $table->dropColumn('checksum_algorithm');
+        });
+    }
+};
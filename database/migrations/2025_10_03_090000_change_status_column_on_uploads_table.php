@@ -0,0 +1,30 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // The status set keeps growing (cancelled, ...), so store it as a plain
+        // string and keep the allowed values on the Upload model instead
+        Schema::table('uploads', function (Blueprint $table) {
+            $table->string('status', 32)->default('uploading')->change();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('uploads', function (Blueprint $table) {
+            $table->enum('status', ['uploading','assembling','complete','failed'])->default('uploading')->change();
+        });
+    }
+};
@@ -0,0 +1,55 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('imports', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->string('original_filename');
+            $table->string('path')->nullable();
+            $table->string('status', 32)->default('pending');
+            $table->unsignedInteger('total_rows')->default(0);
+            $table->unsignedInteger('processed_rows')->default(0);
+            $table->unsignedInteger('imported')->default(0);
+            $table->unsignedInteger('updated')->default(0);
+            $table->unsignedInteger('invalid')->default(0);
+            $table->unsignedInteger('duplicates')->default(0);
+            $table->text('error')->nullable();
+            $table->timestamp('started_at')->nullable();
+            $table->timestamp('finished_at')->nullable();
+            $table->timestamps();
+        });
+
+        // Rows that were skipped, with their line number in the file
+        Schema::create('import_issues', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('import_id')->constrained()->cascadeOnDelete();
+            $table->string('type', 16); // invalid | duplicate
+            $table->unsignedInteger('line');
+            $table->string('sku')->nullable();
+            $table->string('reason');
+            $table->json('data')->nullable();
+            $table->timestamps();
+
+            $table->index(['import_id', 'type', 'line']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('import_issues');
+        Schema::dropIfExists('imports');
+    }
+};
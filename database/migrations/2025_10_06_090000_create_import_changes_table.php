@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('imports', function (Blueprint $table) {
+            $table->unsignedInteger('unchanged')->default(0)->after('updated');
+        });
+
+        // What a previewed import will do to each product, applied as is later
+        Schema::create('import_changes', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('import_id')->constrained()->cascadeOnDelete();
+            $table->unsignedInteger('line');
+            $table->string('sku');
+            $table->string('action', 16); // create | update | unchanged
+            $table->json('changes')->nullable();
+            $table->json('values');
+            $table->timestamps();
+
+            $table->index(['import_id', 'action', 'line']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('import_changes');
+
+        Schema::table('imports', function (Blueprint $table) {
+            $table->dropColumn('unchanged');
+        });
+    }
+};
@@ -0,0 +1,45 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('imports', function (Blueprint $table) {
+            $table->timestamp('reverted_at')->nullable()->after('finished_at');
+            $table->json('revert_summary')->nullable()->after('reverted_at');
+        });
+
+        // The state of every product an import wrote, before and after, so it can be reverted
+        Schema::create('import_snapshots', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('import_id')->constrained()->cascadeOnDelete();
+            $table->unsignedInteger('line');
+            $table->string('sku');
+            $table->string('action', 16); // created | updated
+            $table->json('before')->nullable();
+            $table->json('after');
+            $table->timestamps();
+
+            $table->unique(['import_id', 'sku']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('import_snapshots');
+
+        Schema::table('imports', function (Blueprint $table) {
+            $table->dropColumn(['reverted_at', 'revert_summary']);
+        });
+    }
+};
@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // One row per file of an uploaded ZIP archive, with what became of it
+        Schema::create('archive_entries', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('upload_id')->constrained()->cascadeOnDelete();
+            $table->unsignedInteger('entry_index');
+            $table->string('name', 1024);
+            $table->unsignedBigInteger('size')->nullable();
+            $table->string('sku')->nullable();
+            $table->foreignId('image_upload_id')->nullable()->constrained('uploads')->nullOnDelete();
+            $table->string('status', 16); // processing | attached | rejected | failed
+            $table->string('reason')->nullable();
+            $table->timestamps();
+
+            $table->unique(['upload_id', 'entry_index']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('archive_entries');
+    }
+};
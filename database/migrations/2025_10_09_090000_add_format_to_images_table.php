@@ -0,0 +1,36 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Resized variants used to be JPEG only; originals keep the format they were uploaded in
+        Schema::table('images', function (Blueprint $table) {
+            $table->string('format', 8)->default('jpeg')->after('variant');
+            $table->index(['upload_id', 'variant', 'format']);
+        });
+
+        foreach (['image/png' => 'png', 'image/gif' => 'gif', 'image/webp' => 'webp'] as $mime => $format) {
+            DB::table('images')->where('mime', $mime)->update(['format' => $format]);
+        }
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('images', function (Blueprint $table) {
+            $table->dropIndex(['upload_id', 'variant', 'format']);
+            $table->dropColumn('format');
+        });
+    }
+};
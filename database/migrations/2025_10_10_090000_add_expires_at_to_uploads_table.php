@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // When an unfinished upload session stops taking chunks; null for uploads made before sessions expired
+        Schema::table('uploads', function (Blueprint $table) {
+            $table->timestamp('expires_at')->nullable()->after('meta');
+            $table->index('expires_at');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('uploads', function (Blueprint $table) {
+            $table->dropIndex(['expires_at']);
+            $table->dropColumn('expires_at');
+        });
+    }
+};
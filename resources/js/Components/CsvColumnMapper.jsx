@@ -0,0 +1,61 @@
+import React from 'react';
+import { PRODUCT_FIELDS } from '@/Utils/csvPreview';
+
+/**
+ * Preview table of the first rows of an import file, with a select above
+ * every column to choose the product field it holds.
+ *
+ * `mapping` is `{ field: header }`; `onChange` receives the updated mapping.
+ */
+export default function CsvColumnMapper({ headers, rows, mapping, onChange, disabled = false }) {
+    const fieldFor = (header) => Object.keys(mapping).find(field => mapping[field] === header) || '';
+
+    const assign = (header, field) => {
+        // A column holds at most one field and a field comes from one column
+        const next = Object.fromEntries(
+            Object.entries(mapping).filter(([key, source]) => source !== header && key !== field)
+        );
+        if (field) next[field] = header;
+        onChange(next);
+    };
+
+    return (
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                    <tr>
+                        {headers.map((header, index) => (
+                            <th key={index} className="px-3 py-2 text-left align-top font-medium text-gray-700">
+                                <div className="truncate" title={header}>{header || <em className="text-gray-400">(no header)</em>}</div>
+                                <select
+                                    value={fieldFor(header)}
+                                    onChange={(e) => assign(header, e.target.value)}
+                                    disabled={disabled || !header}
+                                    className="mt-1 w-full rounded-md border-gray-300 py-1 text-xs shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                >
+                                    <option value="">Don't import</option>
+                                    {PRODUCT_FIELDS.map(field => (
+                                        <option key={field.key} value={field.key}>
+                                            {field.label}{field.required ? ' *' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 bg-white">
+                    {rows.map((row, rowIndex) => (
+                        <tr key={rowIndex}>
+                            {headers.map((_, index) => (
+                                <td key={index} className="max-w-xs truncate px-3 py-1.5 text-gray-600" title={row[index]}>
+                                    {row[index]}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -1,381 +1,285 @@
-import React, { useState, useRef } from 'react';
-import { useForm } from '@inertiajs/react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { useDropzone } from 'react-dropzone';
 import PrimaryButton from '@/Components/PrimaryButton';
-import InputError from '@/Components/InputError';
+import SecondaryButton from '@/Components/SecondaryButton';
 import { toast } from 'react-toastify';
-
-// Generate a UUIDv4 (used as upload session ID)
-const generateUUID = () => {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
-        const r = Math.random() * 16 | 0;
-        const v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
-};
-
-// Generate an MD5 hash of a chunk or file (must match backend's PHP md5)
-const calculateMD5 = async (chunk) => {
-    const buffer = await (chunk instanceof Blob ? chunk.arrayBuffer() : chunk);
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) {
-        binary += String.fromCharCode(bytes[i]);
+import useUploadQueue, { isFinished } from '@/Hooks/useUploadQueue';
+import useUploadStatus from '@/Hooks/useUploadStatus';
+import { formatSpeed } from '@/Utils/chunkScheduler';
+
+// Human readable file size, e.g. "12.4 MB"
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
     }
-    const CryptoJS = await import('crypto-js');
-    return CryptoJS.MD5(CryptoJS.enc.Latin1.parse(binary)).toString();
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
 };
 
-// Chunk size used for splitting large files (5MB)
-const CHUNK_SIZE = 5 * 1024 * 1024;
-
-// Get CSRF token from meta tag
-const getCsrfToken = () => {
-    return document.head.querySelector('meta[name="csrf-token"]')?.content;
+// Remaining time, e.g. "1m 05s"
+const formatEta = (seconds) => {
+    if (seconds === null || !isFinite(seconds)) return '';
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return minutes ? `${minutes}m ${rest}s` : `${seconds}s`;
 };
 
-// 🕐 Poll the backend to wait until image processing finishes
-const waitForImageReady = async (uploadId, timeout = 300000 /* 5 minutes */, interval = 2000) => {
-    const startTime = Date.now();
-    let lastStatus = '';
-
-    while (Date.now() - startTime < timeout) {
-        try {
-            const response = await fetch(`/api/upload/${uploadId}/status`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest',
-                    'X-CSRF-TOKEN': getCsrfToken(),
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                },
-                credentials: 'same-origin'
-            });
-
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(error.message || 'Failed to check image status');
-            }
-
-            const result = await response.json();
-            console.log('Image processing status:', result.status);
-
-            if (result.status === 'complete') {
-                return true; // Image is ready to attach
-            }
-
-            // Update last status and log if it changed
-            if (result.status && result.status !== lastStatus) {
-                lastStatus = result.status;
-                console.log(`Processing status: ${result.status}`);
-                toast.info(`Processing: ${result.status.replace('_', ' ')}`);
-            }
-
-        } catch (error) {
-            console.error('Error during polling:', error);
-            // Don't fail immediately on network errors, only throw if we're out of time
-            if (Date.now() - startTime + 10000 >= timeout) {
-                throw error;
-            }
-        }
-
-        // Wait before checking again
-        await new Promise(resolve => setTimeout(resolve, interval));
-    }
-
-    throw new Error('Image processing took too long. Please try again or use a smaller image.');
+// Label and colour for every queue status
+const STATUS_STYLES = {
+    checking: ['Checking…', 'text-gray-500'],
+    queued: ['Queued', 'text-gray-500'],
+    uploading: ['Uploading', 'text-blue-600'],
+    paused: ['Paused', 'text-yellow-600'],
+    verifying: ['Verifying file…', 'text-blue-600'],
+    processing: ['Processing', 'text-blue-600'],
+    attaching: ['Attaching to product', 'text-blue-600'],
+    complete: ['Complete', 'text-green-600'],
+    error: ['Failed', 'text-red-600'],
+    rejected: ['Rejected', 'text-red-600'],
+    quarantined: ['Quarantined', 'text-red-600'],
+    cancelled: ['Cancelled', 'text-gray-500'],
 };
 
-export default function FileUploader({ onUploadComplete, productSku = '' }) {
-    const [isUploading, setIsUploading] = useState(false);
-    const [progress, setProgress] = useState(0);
-    const [uploadId, setUploadId] = useState(null);
-    const [fileName, setFileName] = useState('');
-    const fileInputRef = useRef(null);
-    const [sku, setSku] = useState(productSku);
-
-    // Form state using Inertia's useForm hook
-    const { data, setData, errors } = useForm({
-        file: null,
-        sku: productSku,
-        is_primary: false,
-    });
-
-    // Handle file selection
-    const handleFileChange = (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-        setFileName(file.name);
-        setData('file', file);
-        setUploadId(null); // Reset previous upload session if any
-    };
-
-    // Upload a single chunk to the backend
-    const uploadChunk = async (chunk, chunkIndex, totalChunks, uploadId = null) => {
-        const currentUploadId = uploadId || generateUUID();
-        const chunkChecksum = await calculateMD5(chunk);
-
-        const formData = new FormData();
-        formData.append('chunk', chunk, fileName);
-        formData.append('upload_id', currentUploadId);
-        formData.append('chunk_index', chunkIndex.toString());
-        formData.append('total_chunks', totalChunks.toString());
-        formData.append('chunk_checksum', chunkChecksum);
-        formData.append('file_name', fileName);
-        formData.append('file_size', chunk.size.toString());
-        formData.append('mime_type', chunk.type || 'application/octet-stream');
-
-        const response = await fetch('/api/upload/chunk', {
-            method: 'POST',
-            headers: {
-                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').content,
-                'Accept': 'application/json',
-            },
-            body: formData,
-        });
-
-        if (!response.ok) throw new Error('Chunk upload failed');
-        return await response.json();
-    };
-
-    // After all chunks are uploaded, tell backend to assemble the file
-    const completeUpload = async (uploadId, checksum) => {
-        const formData = new FormData();
-        formData.append('upload_id', uploadId);
-        formData.append('file_checksum', checksum);
-        formData.append('_token', getCsrfToken());
-
-        const response = await fetch('/api/upload/complete', {
-            method: 'POST',
-            headers: {
-                'X-CSRF-TOKEN': getCsrfToken(),
-                'Accept': 'application/json',
-            },
-            credentials: 'same-origin',
-            body: formData,
-        });
-
-        if (!response.ok) throw new Error('Upload completion failed');
-        console.log(" << === response === >>",response);
-        return await response.json();
-    };
-
-    // Attach uploaded image to a product using SKU with retry logic
-    const attachToProduct = async (uploadId, sku, isPrimary = false, retryCount = 0, maxRetries = 10) => {
-        try {
-            console.log(`Attempting to attach product (attempt ${retryCount + 1}/${maxRetries})`);
-            
-            const response = await fetch('/api/upload/attach-to-product', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-TOKEN': getCsrfToken(),
-                    'Accept': 'application/json',
-                },
-                credentials: 'same-origin',
-                body: JSON.stringify({
-                    upload_id: uploadId,
-                    sku: sku,
-                    is_primary: isPrimary,
-                }),
-            });
-
-            // Handle processing status (202)
-            if (response.status === 202) {
-                const data = await response.json().catch(() => ({}));
-                const processingTime = data.processing_time || 0;
-                
-                if (retryCount >= maxRetries) {
-                    throw new Error('Image processing is taking too long. Please try again later.');
-                }
-                
-                // Show a toast notification for processing status
-                if (retryCount === 0) {
-                    toast.info('🔄 Processing your image. Please wait...', {
-                        autoClose: false,
-                        closeOnClick: false,
-                        draggable: false,
-                    });
-                }
-                
-                // Calculate delay with exponential backoff (max 10 seconds)
-                const baseDelay = 1000; // 1 second
-                const maxDelay = 10000; // 10 seconds
-                const delay = Math.min(
-                    baseDelay * Math.pow(2, retryCount) + Math.random() * 1000, // Add some jitter
-                    maxDelay
-                );
-                
-                console.log(`Processing not complete, retrying in ${Math.round(delay/1000)}s...`);
-                
-                await new Promise(resolve => setTimeout(resolve, delay));
-                
-                // Retry the attachment
-                return attachToProduct(uploadId, sku, isPrimary, retryCount + 1, maxRetries);
-            }
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('Attach to product error:', errorData);
-                throw new Error(errorData.message || 'Failed to attach image to product');
-            }
-
-            // Clear any existing processing toast
-            toast.dismiss();
-            return await response.json();
-            
-        } catch (error) {
-            console.error('Error attaching to product:', error);
-            // Clear any existing processing toast
-            toast.dismiss();
-            throw error;
-        }
-    };
-
-    // Main form submission logic
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        if (!data.file) return;
-
-        setIsUploading(true);
-        setProgress(0);
+// What the server is doing with a processing upload, e.g. "generating 512px version"
+const processingStep = (update) => {
+    if (!update) return null;
+    // Variants are named in config/uploads.php; the default ones after their size
+    if (update.variant) return `generating ${/^\d+$/.test(update.variant) ? `${update.variant}px` : update.variant} version`;
+    if (update.status === 'assembling') return 'assembling file';
+    if (update.status === 'scanning') return 'scanning for viruses';
+    return null;
+};
 
-        try {
-            const file = data.file;
-            const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-            let currentUploadId = uploadId || generateUUID();
-            const fileChecksum = await calculateMD5(file);
+function QueueRow({ item, queue }) {
+    const [label, colour] = STATUS_STYLES[item.status] || [item.status, 'text-gray-500'];
+    const editable = ['checking', 'queued', 'paused', 'error'].includes(item.status);
+    const step = processingStep(useUploadStatus(item.status === 'processing' ? item.uploadId : null));
 
-            setUploadId(currentUploadId); // Save for resume or reference
+    return (
+        <li className="py-3">
+            <div className="flex items-center justify-between gap-4">
+                <div className="min-w-0 flex-1">
+                    <p className="truncate text-sm font-medium text-gray-900" title={item.file.name}>
+                        {item.file.name}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                        {formatBytes(item.file.size)}
+                        {' · '}
+                        <span className={colour}>{label}</span>
+                        {item.status === 'uploading' && item.bytesPerSecond > 0 && (
+                            <> · {formatSpeed(item.bytesPerSecond)} · {formatEta(item.eta)} left</>
+                        )}
+                        {item.verifyProgress !== null && item.status !== 'complete' && (
+                            <> · verifying {item.verifyProgress}%</>
+                        )}
+                        {item.status === 'processing' && step && <> · {step}</>}
+                    </p>
+                    {item.error && <p className="text-xs text-red-600">{item.error}</p>}
+                    {item.resumeSession && editable && (
+                        <p className="text-xs text-blue-700">
+                            Resume upload ({item.resumeSession.percent}% done)
+                            {' · '}
+                            <button type="button" onClick={() => queue.startOver(item.id)} className="underline hover:text-blue-900">
+                                Start over
+                            </button>
+                        </p>
+                    )}
+                </div>
 
-            // Step 1: Upload all chunks sequentially
-            for (let i = 0; i < totalChunks; i++) {
-                const start = i * CHUNK_SIZE;
-                const end = Math.min(file.size, start + CHUNK_SIZE);
-                const chunk = file.slice(start, end, file.type);
+                <input
+                    type="text"
+                    value={item.sku}
+                    onChange={(e) => queue.updateDetails(item.id, { sku: e.target.value.toUpperCase() })}
+                    disabled={!editable}
+                    placeholder="SKU (optional)"
+                    className="w-32 rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+                <label className="flex items-center text-xs text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={item.isPrimary}
+                        onChange={(e) => queue.updateDetails(item.id, { isPrimary: e.target.checked })}
+                        disabled={!editable || !item.sku}
+                        className="mr-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Primary
+                </label>
+
+                <div className="flex shrink-0 gap-2 text-xs">
+                    {['queued', 'uploading'].includes(item.status) && (
+                        <button type="button" onClick={() => queue.pause(item.id)} className="text-gray-600 hover:text-gray-900">Pause</button>
+                    )}
+                    {item.status === 'paused' && (
+                        <button type="button" onClick={() => queue.resume(item.id)} className="text-blue-600 hover:text-blue-800">Resume</button>
+                    )}
+                    {['error', 'cancelled'].includes(item.status) && (
+                        <button type="button" onClick={() => queue.retry(item.id)} className="text-blue-600 hover:text-blue-800">Retry</button>
+                    )}
+                    {!isFinished(item) && (
+                        <button type="button" onClick={() => queue.cancel(item.id)} className="text-red-600 hover:text-red-800">Cancel</button>
+                    )}
+                    {isFinished(item) && (
+                        <button type="button" onClick={() => queue.remove(item.id)} className="text-gray-500 hover:text-gray-700">Remove</button>
+                    )}
+                </div>
+            </div>
+
+            <div className="mt-2 h-1.5 w-full rounded-full bg-gray-200">
+                <div
+                    className={`h-1.5 rounded-full ${['error', 'rejected', 'quarantined'].includes(item.status) ? 'bg-red-500' : item.status === 'complete' ? 'bg-green-500' : 'bg-blue-600'}`}
+                    style={{ width: `${item.progress}%` }}
+                ></div>
+            </div>
+        </li>
+    );
+}
 
-                await uploadChunk(chunk, i, totalChunks, currentUploadId);
+export default function FileUploader({
+    onUploadComplete,
+    productSku = '',
+    concurrency = 3,
+    maxParallelFiles = 2,
+    checksumAlgorithm = 'sha256',
+}) {
+    const [sku, setSku] = useState(productSku);
 
-                // Update progress bar
-                setProgress(Math.round(((i + 1) / totalChunks) * 100));
-                await new Promise(resolve => setTimeout(resolve, 100)); // throttle
+    const queue = useUploadQueue({
+        maxParallelFiles,
+        chunkConcurrency: concurrency,
+        checksumAlgorithm,
+        onItemComplete: (item) => {
+            if (onUploadComplete) {
+                onUploadComplete({ uploadId: item.uploadId, fileName: item.file.name, sku: item.sku });
             }
+        },
+        onItemError: (item, error) => {
+            toast.error(`❌ ${item.file.name}: ${error.message || 'Upload failed'}`);
+        },
+    });
+    const { items, running } = queue;
 
-            // Step 2: Signal server to complete the file assembly
-            await completeUpload(currentUploadId, fileChecksum);
+    // Add dropped or picked files to the queue
+    const onDrop = useCallback((acceptedFiles) => {
+        if (!acceptedFiles.length) return;
+        queue.addFiles(acceptedFiles, { sku: productSku || sku });
+    }, [queue.addFiles, productSku, sku]);
 
-            // Step 3: Wait for image processing to complete before attaching
-            await waitForImageReady(currentUploadId);
+    const { getRootProps, getInputProps, isDragActive } = useDropzone({
+        onDrop,
+        multiple: true,
+    });
 
-            // Step 4: Attach to product (if SKU is given)
-            if (sku) {
-                try {
-                    await attachToProduct(currentUploadId, sku, data.is_primary);
-                    uploadSuccess = true;
-                    toast.success('✅ File uploaded and attached to product!');
-                } catch (error) {
-                    // If attachment fails but upload was successful, show a warning
-                    if (error.message.includes('processing') || error.message.includes('try again')) {
-                        toast.warning(`⚠️ ${error.message}`);
-                    } else {
-                        toast.error(`❌ ${error.message}`);
-                    }
-                    throw error; // Re-throw to be caught by the outer catch
-                }
+    const pendingCount = items.filter(item => !isFinished(item)).length;
+    const activeCount = items.filter(item => ['uploading', 'verifying', 'processing', 'attaching'].includes(item.status)).length;
+    const pausedCount = items.filter(item => item.status === 'paused').length;
+    const failedCount = items.filter(item => ['error', 'rejected', 'quarantined', 'cancelled'].includes(item.status)).length;
+    const completeCount = items.filter(item => item.status === 'complete').length;
+    const finishedCount = items.filter(isFinished).length;
+
+    // Overall progress weighted by file size
+    const totalBytes = items.reduce((sum, item) => sum + item.file.size, 0);
+    const overallProgress = totalBytes
+        ? Math.round(items.reduce((sum, item) => sum + item.file.size * (item.progress / 100), 0) / totalBytes * 100)
+        : 0;
+
+    // Summarise once the queue runs dry
+    const wasBusy = useRef(false);
+    useEffect(() => {
+        if (running && pendingCount > 0) {
+            wasBusy.current = true;
+        } else if (wasBusy.current && pendingCount === 0) {
+            wasBusy.current = false;
+            if (failedCount) {
+                toast.warning(`⚠️ ${completeCount} uploaded, ${failedCount} failed or cancelled`);
             } else {
-                uploadSuccess = true;
-                toast.success('✅ File uploaded successfully!');
-            }
-
-            if (onUploadComplete && uploadSuccess) {
-                onUploadComplete(currentUploadId);
+                toast.success(`✅ ${completeCount} file(s) uploaded successfully!`);
             }
-
-        } catch (error) {
-            console.error('❌ Upload error:', error);
-            toast.error(error.message || 'Upload failed. Please try again.');
-        } finally {
-            setIsUploading(false);
         }
-    };
+    }, [running, pendingCount, failedCount, completeCount]);
 
     return (
         <div className="space-y-4">
-            <form onSubmit={handleSubmit} className="space-y-4">
-                {/* File Picker */}
+            {/* Drop zone */}
+            <div
+                {...getRootProps()}
+                className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+                    isDragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400'
+                }`}
+            >
+                <input {...getInputProps()} />
+                <p className="text-sm text-gray-600">
+                    {isDragActive ? 'Drop the files here ...' : 'Drag & drop files here, or click to select files'}
+                </p>
+            </div>
+
+            {/* Default SKU for newly added files (optional if not passed as prop) */}
+            {!productSku && (
                 <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Upload File
+                        Product SKU for new files (optional)
                     </label>
                     <input
-                        type="file"
-                        ref={fileInputRef}
-                        onChange={handleFileChange}
-                        disabled={isUploading}
-                        className="block w-full text-sm text-gray-500
-                                  file:mr-4 file:py-2 file:px-4
-                                  file:rounded-md file:border-0
-                                  file:text-sm file:font-semibold
-                                  file:bg-blue-50 file:text-blue-700
-                                  hover:file:bg-blue-100"
+                        type="text"
+                        value={sku}
+                        onChange={(e) => setSku(e.target.value.toUpperCase())}
+                        placeholder="Enter product SKU to attach added files"
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
                     />
-                    <InputError message={errors.file} className="mt-1" />
                 </div>
-
-                {/* SKU Field (optional if not passed as prop) */}
-                {!productSku && (
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                            Product SKU (optional)
-                        </label>
-                        <input
-                            type="text"
-                            value={sku}
-                            onChange={(e) => setSku(e.target.value)}
-                            disabled={isUploading}
-                            placeholder="Enter product SKU to attach this file"
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-                        />
+            )}
+
+            {items.length > 0 && (
+                <div className="rounded-lg border border-gray-200 p-4">
+                    {/* Queue summary and bulk controls */}
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                        <p className="text-sm text-gray-700">
+                            {finishedCount} of {items.length} done
+                            {activeCount > 0 && ` · ${activeCount} in progress`}
+                            {pausedCount > 0 && ` · ${pausedCount} paused`}
+                            {failedCount > 0 && ` · ${failedCount} failed or cancelled`}
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                            {!running && pendingCount > pausedCount && (
+                                <PrimaryButton type="button" onClick={queue.startAll}>
+                                    Start uploads
+                                </PrimaryButton>
+                            )}
+                            {running && pendingCount > pausedCount && (
+                                <SecondaryButton onClick={queue.pauseAll}>Pause all</SecondaryButton>
+                            )}
+                            {pausedCount > 0 && (
+                                <SecondaryButton onClick={queue.resumeAll}>Resume all</SecondaryButton>
+                            )}
+                            {failedCount > 0 && (
+                                <SecondaryButton onClick={queue.retryFailed}>Retry failed</SecondaryButton>
+                            )}
+                            {pendingCount > 0 && (
+                                <SecondaryButton onClick={queue.cancelAll}>Cancel all</SecondaryButton>
+                            )}
+                            {finishedCount > 0 && (
+                                <SecondaryButton onClick={queue.clearFinished}>Clear finished</SecondaryButton>
+                            )}
+                        </div>
                     </div>
-                )}
-
-                {/* Primary checkbox */}
-                <div className="flex items-center">
-                    <input
-                        id="is_primary"
-                        name="is_primary"
-                        type="checkbox"
-                        checked={data.is_primary}
-                        onChange={(e) => setData('is_primary', e.target.checked)}
-                        disabled={isUploading || !sku}
-                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                    />
-                    <label htmlFor="is_primary" className="ml-2 block text-sm text-gray-700">
-                        Set as primary image
-                    </label>
-                </div>
 
-                {/* Progress bar */}
-                {isUploading && (
-                    <div className="w-full bg-gray-200 rounded-full h-2.5">
+                    <div className="mt-3 h-2.5 w-full rounded-full bg-gray-200">
                         <div
-                            className="bg-blue-600 h-2.5 rounded-full"
-                            style={{ width: `${progress}%` }}
+                            className="h-2.5 rounded-full bg-blue-600"
+                            style={{ width: `${overallProgress}%` }}
                         ></div>
                     </div>
-                )}
 
-                {/* Upload button */}
-                <div className="flex justify-end">
-                    <PrimaryButton
-                        type="submit"
-                        disabled={isUploading || !data.file}
-                        className="disabled:opacity-50"
-                    >
-                        {isUploading ? 'Uploading...' : 'Upload File'}
-                    </PrimaryButton>
+                    {/* One row per file */}
+                    <ul className="mt-2 divide-y divide-gray-100">
+                        {items.map(item => (
+                            <QueueRow key={item.id} item={item} queue={queue} />
+                        ))}
+                    </ul>
                 </div>
-            </form>
+            )}
         </div>
     );
 }
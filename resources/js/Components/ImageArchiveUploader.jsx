@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { toast } from 'react-toastify';
+import { uploadFile, fetchArchiveEntries } from '@/Utils/chunkedUpload';
+
+// How often to ask the server how far it got with the archive
+const POLL_INTERVAL = 2000;
+
+// Entries the user has to do something about
+const PROBLEM_STATUSES = ['rejected', 'failed'];
+
+const isDone = (report) => report
+    && ['complete', 'failed'].includes(report.status)
+    && !report.counts?.processing;
+
+/**
+ * Uploads a ZIP archive of product images through the chunked upload and
+ * follows the server while it unpacks it, attaching every image to the
+ * product its folder or filename names (SKU123/1.jpg, SKU123_1.jpg).
+ */
+export default function ImageArchiveUploader({ checksumAlgorithm = 'sha256' }) {
+    const [file, setFile] = useState(null);
+    const [uploadProgress, setUploadProgress] = useState(0);
+    const [uploadId, setUploadId] = useState(null);
+    const [report, setReport] = useState(null);
+    const [isUploading, setIsUploading] = useState(false);
+    const [attempt, setAttempt] = useState(0);
+
+    const onDrop = useCallback((accepted) => {
+        if (!accepted.length) {
+            toast.error('Please select a .zip archive');
+            return;
+        }
+        setFile(accepted[0]);
+        setUploadProgress(0);
+        setUploadId(null);
+        setReport(null);
+    }, []);
+
+    const { getRootProps, getInputProps, isDragActive } = useDropzone({
+        onDrop,
+        accept: { 'application/zip': ['.zip'] },
+        multiple: false,
+        disabled: isUploading,
+    });
+
+    const upload = async () => {
+        setIsUploading(true);
+        try {
+            const result = await uploadFile(file, {
+                purpose: 'archive',
+                checksumAlgorithm,
+                onProgress: setUploadProgress,
+            });
+            setUploadId(result.uploadId);
+        } catch (error) {
+            console.error('Archive upload failed:', error);
+            toast.error(error.message || 'Failed to upload the archive');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    // Follow the unpacking until every entry is attached or turned away
+    useEffect(() => {
+        if (!uploadId || isDone(report)) return;
+
+        let stale = false;
+        const timer = setTimeout(async () => {
+            try {
+                const next = await fetchArchiveEntries(uploadId, { status: PROBLEM_STATUSES });
+                if (stale) return;
+                setReport(next);
+                if (isDone(next)) {
+                    next.status === 'failed'
+                        ? toast.error(next.error || 'The archive could not be unpacked')
+                        : toast.success(`${next.counts.attached} image(s) attached from ${file.name}`);
+                }
+            } catch (error) {
+                console.error('Failed to check the archive:', error);
+                if (!stale) setAttempt(n => n + 1);
+            }
+        }, POLL_INTERVAL);
+
+        return () => {
+            stale = true;
+            clearTimeout(timer);
+        };
+    }, [uploadId, report, attempt, file]);
+
+    const problems = report?.entries?.data || [];
+
+    return (
+        <div>
+            <div
+                {...getRootProps()}
+                className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+                    isDragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400'
+                }`}
+            >
+                <input {...getInputProps()} />
+                <p className="text-sm text-gray-600">
+                    {file ? file.name : 'Drag & drop a .zip of images here, or click to select it'}
+                </p>
+                <p className="mt-1 text-xs text-gray-500">
+                    Name folders or files after their SKU (SKU123/1.jpg, SKU123_1.jpg). The products must already exist.
+                </p>
+            </div>
+
+            {file && (
+                <div className="mt-4">
+                    <div className="flex items-center justify-between">
+                        <p className="text-sm text-gray-700">
+                            {isUploading && `Uploading… ${uploadProgress}%`}
+                            {uploadId && !report && 'Unpacking…'}
+                            {report && !isDone(report) && `Unpacking… ${report.processed_entries} of ${report.total_entries ?? '?'} file(s)`}
+                            {isDone(report) && (report.status === 'failed' ? 'The archive could not be unpacked' : 'Done')}
+                        </p>
+                        {!uploadId && (
+                            <button
+                                type="button"
+                                onClick={upload}
+                                disabled={isUploading}
+                                className={`px-4 py-2 rounded-md text-sm font-medium text-white ${
+                                    isUploading ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+                                }`}
+                            >
+                                {isUploading ? 'Uploading...' : 'Upload Archive'}
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="mt-2 h-2 w-full rounded-full bg-gray-200">
+                        <div
+                            className={`h-2 rounded-full ${report?.status === 'failed' ? 'bg-red-500' : isDone(report) ? 'bg-green-500' : 'bg-blue-600'}`}
+                            style={{
+                                width: `${report?.total_entries
+                                    ? Math.round(100 * report.processed_entries / report.total_entries)
+                                    : uploadProgress}%`,
+                            }}
+                        ></div>
+                    </div>
+
+                    {report?.error && <p className="mt-2 text-sm text-red-600">{report.error}</p>}
+
+                    {report?.counts && (
+                        <p className="mt-2 text-xs text-gray-600">
+                            {report.counts.attached} attached · {report.counts.processing} processing
+                            {' · '}{report.counts.rejected} rejected · {report.counts.failed} failed
+                        </p>
+                    )}
+
+                    {problems.length > 0 && (
+                        <ul className="mt-3 max-h-64 divide-y divide-gray-100 overflow-y-auto rounded-md border border-gray-200 text-xs">
+                            {problems.map(entry => (
+                                <li key={entry.index} className="flex justify-between gap-4 px-3 py-1.5">
+                                    <span className="truncate text-gray-800" title={entry.name}>{entry.name}</span>
+                                    <span className="shrink-0 text-red-600">{entry.reason}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {report?.entries?.total > problems.length && (
+                        <p className="mt-1 text-xs text-gray-500">
+                            and {report.entries.total - problems.length} more
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
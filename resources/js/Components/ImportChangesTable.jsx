@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import Pagination from '@/Components/Pagination';
+
+// Filter tabs: label, action filter and the summary count they show
+const FILTERS = [
+    ['All', null, (run) => run.imported + run.updated + run.unchanged],
+    ['New', 'create', (run) => run.imported],
+    ['Changed', 'update', (run) => run.updated],
+    ['Unchanged', 'unchanged', (run) => run.unchanged],
+];
+
+const ACTION_STYLES = {
+    create: ['New product', 'bg-green-100 text-green-800'],
+    update: ['Changed', 'bg-blue-100 text-blue-800'],
+    unchanged: ['Unchanged', 'bg-gray-100 text-gray-600'],
+};
+
+const FIELD_LABELS = { name: 'Name', description: 'Description', price: 'Price' };
+
+const show = (value) => (value === null || value === undefined || value === ''
+    ? <em className="text-gray-400">empty</em>
+    : String(value));
+
+// What applying a row does, e.g. "Price: 10 → 12.5"
+function ChangeDetails({ change }) {
+    if (change.action === 'create') {
+        return (
+            <span className="text-gray-700">
+                {change.values.name}
+                {change.values.price !== null && <> · {change.values.price}</>}
+            </span>
+        );
+    }
+
+    if (change.action === 'unchanged') {
+        return <span className="text-gray-400">No changes</span>;
+    }
+
+    return (
+        <ul className="space-y-0.5">
+            {Object.entries(change.changes || {}).map(([field, { old, new: next }]) => (
+                <li key={field}>
+                    <span className="font-medium text-gray-700">{FIELD_LABELS[field] || field}:</span>{' '}
+                    <span className="text-red-700 line-through decoration-red-300">{show(old)}</span>
+                    {' → '}
+                    <span className="text-green-700">{show(next)}</span>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * Reviewable list of the changes a previewed (dry run) import will make,
+ * one row per line of the file, with an "Apply import" button.
+ */
+export default function ImportChangesTable({ importRun, onApply, onDiscard, applying = false }) {
+    const [filter, setFilter] = useState(null);
+    const [page, setPage] = useState(1);
+    const [changes, setChanges] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+
+        axios.get(route('api.imports.changes', importRun.id), { params: { action: filter, page } })
+            .then(response => {
+                if (!cancelled) setChanges(response.data);
+            })
+            .catch(error => console.error('Could not load import changes:', error))
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [importRun.id, filter, page]);
+
+    const skipped = importRun.invalid + importRun.duplicates;
+    const hasChanges = importRun.imported + importRun.updated > 0;
+
+    return (
+        <div>
+            <p className="text-sm text-gray-600">
+                Applying this import will create <strong>{importRun.imported.toLocaleString()}</strong> and
+                update <strong>{importRun.updated.toLocaleString()}</strong> products;
+                {' '}{importRun.unchanged.toLocaleString()} are unchanged.
+                {skipped > 0 && (
+                    <>
+                        {' '}{skipped.toLocaleString()} row(s) will be skipped ({' '}
+                        <a href={route('imports.errors', importRun.id)} className="text-blue-600 hover:text-blue-800">errors.csv</a>
+                        {importRun.duplicates > 0 && (
+                            <>, <a href={route('imports.issues', { import: importRun.id, type: 'duplicates' })} className="text-blue-600 hover:text-blue-800">duplicates</a></>
+                        )}
+                        {' '}).
+                    </>
+                )}
+            </p>
+
+            <div className="mt-4 flex gap-2 border-b border-gray-200">
+                {FILTERS.map(([label, action, count]) => (
+                    <button
+                        key={label}
+                        type="button"
+                        onClick={() => {
+                            setFilter(action);
+                            setPage(1);
+                        }}
+                        className={`-mb-px border-b-2 px-3 py-2 text-sm ${
+                            filter === action ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                        }`}
+                    >
+                        {label} ({count(importRun).toLocaleString()})
+                    </button>
+                ))}
+            </div>
+
+            <div className={`overflow-x-auto ${loading ? 'opacity-50' : ''}`}>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-2 text-left font-medium text-gray-700">Line</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-700">SKU</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-700">Result</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-700">Details</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {changes?.data.map(change => {
+                            const [label, style] = ACTION_STYLES[change.action];
+                            return (
+                                <tr key={change.id}>
+                                    <td className="px-3 py-2 text-gray-500">{change.line}</td>
+                                    <td className="px-3 py-2 font-mono text-gray-900">{change.sku}</td>
+                                    <td className="px-3 py-2">
+                                        <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${style}`}>{label}</span>
+                                    </td>
+                                    <td className="px-3 py-2"><ChangeDetails change={change} /></td>
+                                </tr>
+                            );
+                        })}
+                        {changes?.data.length === 0 && (
+                            <tr>
+                                <td colSpan={4} className="px-3 py-6 text-center text-gray-500">Nothing here.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+                {changes && changes.last_page > 1 ? (
+                    <Pagination currentPage={changes.current_page} lastPage={changes.last_page} onPageChange={setPage} />
+                ) : <span />}
+                <div className="flex gap-2">
+                    {onDiscard && (
+                        <button
+                            type="button"
+                            onClick={onDiscard}
+                            disabled={applying}
+                            className="px-4 py-2 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                            Discard
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={onApply}
+                        disabled={applying || !hasChanges}
+                        className={`px-6 py-2 rounded-md text-sm font-medium text-white ${
+                            applying || !hasChanges ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+                        }`}
+                    >
+                        {applying ? 'Applying…' : 'Apply import'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
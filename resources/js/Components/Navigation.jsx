@@ -24,6 +24,11 @@ export default function Navigation({ user }) {
                             <NavLink href="/uploads" active={route().current('uploads')}>
                                 File Uploader
                             </NavLink>
+                            {user?.is_admin && (
+                                <NavLink href="/admin/quarantine" active={route().current('quarantine.index')}>
+                                    Quarantine
+                                </NavLink>
+                            )}
                         </div>
                     </div>
 
@@ -102,6 +107,11 @@ export default function Navigation({ user }) {
                     <MobileNavLink href="/uploads" active={route().current('uploads')}>
                         File Uploader
                     </MobileNavLink>
+                    {user?.is_admin && (
+                        <MobileNavLink href="/admin/quarantine" active={route().current('quarantine.index')}>
+                            Quarantine
+                        </MobileNavLink>
+                    )}
                 </div>
                 {user && (
                     <div className="pt-4 pb-3 border-t border-gray-200">
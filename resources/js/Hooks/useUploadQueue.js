@@ -0,0 +1,270 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+    uploadFile,
+    createUploadControl,
+    findResumableSession,
+    discardUploadSession,
+    cancelServerUpload,
+    generateUUID,
+    UploadCancelledError,
+    UploadRejectedError,
+} from '@/Utils/chunkedUpload';
+
+// Statuses in which a file still has work left to do
+const PENDING_STATUSES = ['checking', 'queued', 'uploading', 'verifying', 'processing', 'attaching', 'paused'];
+
+export const isFinished = (item) => !PENDING_STATUSES.includes(item.status);
+
+/**
+ * Manages a queue of files uploaded through the chunked upload protocol.
+ *
+ * Up to `maxParallelFiles` files upload at once, each with `chunkConcurrency`
+ * chunks in flight. Every file can be paused, resumed, cancelled, retried or
+ * removed on its own, and the same actions exist for the whole queue.
+ */
+export default function useUploadQueue({
+    maxParallelFiles = 2,
+    chunkConcurrency = 3,
+    checksumAlgorithm = 'sha256',
+    onItemComplete = () => {},
+    onItemError = () => {},
+} = {}) {
+    const [items, setItems] = useState([]);
+    const [running, setRunning] = useState(false);
+
+    // Upload controls of the files currently being worked on, by item id
+    const controls = useRef(new Map());
+    const itemsRef = useRef(items);
+    itemsRef.current = items;
+
+    const callbacks = useRef({ onItemComplete, onItemError });
+    callbacks.current = { onItemComplete, onItemError };
+
+    const updateItem = useCallback((id, changes) => {
+        setItems(prev => prev.map(item => (
+            item.id === id
+                ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) }
+                : item
+        )));
+    }, []);
+
+    // Check for a saved session so the file continues where it left off, then
+    // let it into the queue (it stays in "checking" until then so it can't start
+    // a fresh upload over the saved one)
+    const lookUpResumeSession = useCallback(async (id, file) => {
+        const session = await findResumableSession(file);
+        updateItem(id, item => (item.status !== 'checking' ? {} : {
+            status: 'queued',
+            resumeSession: session,
+            progress: session ? session.percent : 0,
+        }));
+    }, [updateItem]);
+
+    const addFiles = useCallback((files, defaults = {}) => {
+        const newItems = files.map(file => ({
+            id: generateUUID(),
+            file,
+            sku: defaults.sku || '',
+            isPrimary: false,
+            status: 'checking',
+            progress: 0,
+            uploadedBytes: 0,
+            bytesPerSecond: 0,
+            eta: null,
+            verifyProgress: null,
+            resumeSession: null,
+            uploadId: null,
+            error: null,
+        }));
+
+        setItems(prev => [...prev, ...newItems]);
+        newItems.forEach(item => lookUpResumeSession(item.id, item.file));
+    }, [lookUpResumeSession]);
+
+    const startItem = useCallback((item) => {
+        const control = createUploadControl();
+        controls.current.set(item.id, control);
+        updateItem(item.id, { status: 'uploading', error: null });
+
+        uploadFile(item.file, {
+            sku: item.sku.trim(),
+            isPrimary: item.isPrimary,
+            chunkConcurrency,
+            checksumAlgorithm,
+            resumeSession: item.resumeSession,
+            control,
+            onStatus: (status, { uploadId }) => updateItem(item.id, current => ({
+                // A pause requested mid-flight wins until the user resumes
+                status: control.paused ? current.status : status,
+                uploadId,
+            })),
+            onProgress: ({ uploadedBytes, totalBytes, bytesPerSecond }) => updateItem(item.id, {
+                uploadedBytes,
+                bytesPerSecond,
+                progress: totalBytes ? Math.round((uploadedBytes / totalBytes) * 100) : 100,
+                eta: bytesPerSecond ? Math.ceil((totalBytes - uploadedBytes) / bytesPerSecond) : null,
+            }),
+            onVerifyProgress: (verifyProgress) => updateItem(item.id, { verifyProgress }),
+        })
+            .then(({ uploadId }) => {
+                updateItem(item.id, {
+                    status: 'complete',
+                    uploadId,
+                    progress: 100,
+                    bytesPerSecond: 0,
+                    eta: null,
+                    verifyProgress: null,
+                    resumeSession: null,
+                });
+                callbacks.current.onItemComplete({ ...item, uploadId });
+            })
+            .catch(error => {
+                const cancelled = error instanceof UploadCancelledError;
+                updateItem(item.id, {
+                    // A rejected or quarantined file can't be retried, only removed
+                    status: cancelled ? 'cancelled' : error instanceof UploadRejectedError ? error.status : 'error',
+                    error: cancelled ? null : (error.message || 'Upload failed'),
+                    bytesPerSecond: 0,
+                    eta: null,
+                    verifyProgress: null,
+                    // The server let the session expire; a retry has to start over
+                    ...(error.code === 'upload_expired' ? { resumeSession: null } : {}),
+                });
+                if (cancelled) {
+                    discardUploadSession(item.file);
+                } else {
+                    callbacks.current.onItemError(item, error);
+                }
+            })
+            .finally(() => {
+                controls.current.delete(item.id);
+            });
+    }, [chunkConcurrency, checksumAlgorithm, updateItem]);
+
+    // Start queued files whenever a slot frees up
+    useEffect(() => {
+        if (!running) return;
+
+        const freeSlots = maxParallelFiles - controls.current.size;
+        if (freeSlots <= 0) return;
+
+        items
+            .filter(item => item.status === 'queued' && !controls.current.has(item.id))
+            .slice(0, freeSlots)
+            .forEach(startItem);
+    }, [items, running, maxParallelFiles, startItem]);
+
+    // Only sending chunks can be paused; server-side processing just runs on
+    const pause = useCallback((id) => {
+        const item = itemsRef.current.find(candidate => candidate.id === id);
+        if (!item || !['queued', 'uploading'].includes(item.status)) return;
+
+        controls.current.get(id)?.pause();
+        updateItem(id, { status: 'paused', bytesPerSecond: 0, eta: null });
+    }, [updateItem]);
+
+    const resume = useCallback((id) => {
+        const control = controls.current.get(id);
+        if (control) {
+            control.resume();
+            updateItem(id, { status: 'uploading' });
+        } else {
+            // Paused before it ever started: put it back in line
+            updateItem(id, item => (item.status === 'paused' ? { status: 'queued' } : {}));
+        }
+    }, [updateItem]);
+
+    const cancel = useCallback((id) => {
+        const control = controls.current.get(id);
+        if (control) {
+            control.cancel();
+            return;
+        }
+
+        const item = itemsRef.current.find(candidate => candidate.id === id);
+        if (item && !isFinished(item)) {
+            updateItem(id, { status: 'cancelled' });
+            discardUploadSession(item.file);
+            // A saved partial upload still holds chunks on the server
+            if (item.resumeSession) cancelServerUpload(item.resumeSession.uploadId);
+        }
+    }, [updateItem]);
+
+    const retry = useCallback((id) => {
+        const item = itemsRef.current.find(candidate => candidate.id === id);
+        if (!item || !['error', 'cancelled'].includes(item.status)) return;
+
+        updateItem(id, {
+            status: 'checking',
+            error: null,
+            progress: 0,
+            uploadedBytes: 0,
+            resumeSession: null,
+        });
+        // Chunks that made it before a failure don't need to be sent again
+        lookUpResumeSession(id, item.file);
+    }, [updateItem, lookUpResumeSession]);
+
+    const remove = useCallback((id) => {
+        if (controls.current.has(id)) return;
+
+        setItems(prev => prev.filter(item => item.id !== id));
+    }, []);
+
+    // Throw away a saved partial upload so the file is sent from the beginning
+    const startOver = useCallback((id) => {
+        const item = itemsRef.current.find(candidate => candidate.id === id);
+        if (!item?.resumeSession || controls.current.has(id)) return;
+
+        discardUploadSession(item.file);
+        cancelServerUpload(item.resumeSession.uploadId);
+        updateItem(id, { resumeSession: null, progress: 0 });
+    }, [updateItem]);
+
+    const updateDetails = useCallback((id, changes) => {
+        updateItem(id, item => (['checking', 'queued', 'paused', 'error'].includes(item.status) && !controls.current.has(id) ? changes : {}));
+    }, [updateItem]);
+
+    const startAll = useCallback(() => setRunning(true), []);
+
+    const pauseAll = useCallback(() => {
+        setRunning(false);
+        itemsRef.current.filter(item => !isFinished(item)).forEach(item => pause(item.id));
+    }, [pause]);
+
+    const resumeAll = useCallback(() => {
+        itemsRef.current.filter(item => item.status === 'paused').forEach(item => resume(item.id));
+        setRunning(true);
+    }, [resume]);
+
+    const cancelAll = useCallback(() => {
+        itemsRef.current.filter(item => !isFinished(item)).forEach(item => cancel(item.id));
+    }, [cancel]);
+
+    const retryFailed = useCallback(() => {
+        itemsRef.current.filter(item => item.status === 'error').forEach(item => retry(item.id));
+    }, [retry]);
+
+    const clearFinished = useCallback(() => {
+        setItems(prev => prev.filter(item => !isFinished(item) || item.status === 'error'));
+    }, []);
+
+    return {
+        items,
+        running,
+        addFiles,
+        pause,
+        resume,
+        cancel,
+        retry,
+        remove,
+        startOver,
+        updateDetails,
+        startAll,
+        pauseAll,
+        resumeAll,
+        cancelAll,
+        retryFailed,
+        clearFinished,
+    };
+}
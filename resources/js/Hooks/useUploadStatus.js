@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+import { subscribeToUploadStatus } from '@/Utils/uploadStatusChannel';
+
+/**
+ * Live processing status of one upload as `{ status, variant, message }`,
+ * pushed over the upload's private channel (or polled when there is no
+ * socket). Returns null until the first update; pass a falsy `uploadId` to
+ * stay unsubscribed.
+ */
+export default function useUploadStatus(uploadId) {
+    const [update, setUpdate] = useState(null);
+
+    useEffect(() => {
+        setUpdate(null);
+        if (!uploadId) return undefined;
+
+        return subscribeToUploadStatus(uploadId, setUpdate);
+    }, [uploadId]);
+
+    return update;
+}
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Head, router } from '@inertiajs/react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import AppLayout from '@/Layouts/AppLayout';
+import Pagination from '@/Components/Pagination';
+
+// What each upload was sent for
+const PURPOSE_LABELS = {
+    image: 'Product image',
+    import: 'Product file',
+    archive: 'Image archive',
+};
+
+// Quarantined at, e.g. "6 Oct 2025, 09:14"
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : '');
+
+// Human readable file size, e.g. "12.4 MB"
+const formatBytes = (bytes) => {
+    if (bytes === null || bytes === undefined) return '';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+export default function Quarantine({ auth, uploads }) {
+    const [busy, setBusy] = useState(null);
+
+    const handlePageChange = (page) => {
+        router.get(route('quarantine.index'), { page }, {
+            preserveState: true,
+            preserveScroll: true,
+            only: ['uploads'],
+        });
+    };
+
+    const decide = async (upload, action) => {
+        const confirmed = window.confirm(action === 'release'
+            ? `Release ${upload.original_filename}? The scanner found ${upload.threat} in it. Only release files you know to be safe; they are processed like any other upload.`
+            : `Delete ${upload.original_filename} for good?`);
+        if (!confirmed) return;
+
+        setBusy(upload.id);
+        try {
+            const response = action === 'release'
+                ? await axios.post(route('api.quarantine.release', upload.id))
+                : await axios.delete(route('api.quarantine.purge', upload.id));
+            toast.success(response.data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || `Could not ${action} the file`);
+        } finally {
+            setBusy(null);
+            router.reload({ only: ['uploads'], preserveScroll: true });
+        }
+    };
+
+    return (
+        <AppLayout auth={auth}>
+            <Head title="Quarantine" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
+                    <div className="bg-white overflow-hidden shadow-sm sm:rounded-lg p-6">
+                        <h1 className="text-2xl font-semibold text-gray-900 mb-2">Quarantine</h1>
+                        <p className="text-sm text-gray-500 mb-6">
+                            Uploads the virus scanner flagged. Release a file the scanner got wrong to process it, or purge it.
+                        </p>
+
+                        {uploads.data.length === 0 ? (
+                            <p className="py-12 text-center text-gray-500">No files in quarantine.</p>
+                        ) : (
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-700">File</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-700">Threat</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-700">Quarantined</th>
+                                        <th className="px-3 py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {uploads.data.map(upload => (
+                                        <tr key={upload.id}>
+                                            <td className="px-3 py-2">
+                                                <p className="font-medium text-gray-900">{upload.original_filename}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {PURPOSE_LABELS[upload.purpose] || upload.purpose} · {formatBytes(upload.file_size)}
+                                                </p>
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <span className="text-red-600">{upload.threat}</span>
+                                                {upload.scanner && <p className="text-xs text-gray-500">found by {upload.scanner}</p>}
+                                            </td>
+                                            <td className="px-3 py-2 text-gray-700">{formatDate(upload.quarantined_at)}</td>
+                                            <td className="px-3 py-2 text-right space-x-4">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => decide(upload, 'release')}
+                                                    disabled={busy !== null}
+                                                    className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                                                >
+                                                    Release
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => decide(upload, 'purge')}
+                                                    disabled={busy !== null}
+                                                    className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                                                >
+                                                    {busy === upload.id ? 'Working…' : 'Purge'}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+
+                        {uploads.last_page > 1 && (
+                            <div className="mt-6 flex justify-end">
+                                <Pagination
+                                    currentPage={uploads.current_page}
+                                    lastPage={uploads.last_page}
+                                    onPageChange={handlePageChange}
+                                />
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </AppLayout>
+    );
+}
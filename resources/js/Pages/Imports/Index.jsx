@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { Head, Link, router } from '@inertiajs/react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import AppLayout from '@/Layouts/AppLayout';
+import Pagination from '@/Components/Pagination';
+import { STATUS_LABELS } from '@/Utils/importStatus';
+
+// How often to refresh the list while an import runs or reverts (ms)
+const POLL_INTERVAL = 3000;
+
+const ACTIVE_STATUSES = ['pending', 'processing', 'reverting'];
+
+// Started at, e.g. "6 Oct 2025, 09:14"
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : '');
+
+function RevertResult({ importRun }) {
+    const { restored, deleted, skipped } = importRun.revert_summary || {};
+
+    return (
+        <p className="text-xs text-gray-500">
+            Reverted {formatDate(importRun.reverted_at)}: {restored} restored, {deleted} deleted
+            {skipped > 0 && (
+                <>
+                    , <a href={route('imports.issues', { import: importRun.id, type: 'not-reverted' })} className="text-blue-600 hover:text-blue-800">
+                        {skipped} left alone
+                    </a>
+                </>
+            )}
+        </p>
+    );
+}
+
+export default function ImportsIndex({ imports }) {
+    const [reverting, setReverting] = useState(null);
+    const active = imports.data.some(importRun => ACTIVE_STATUSES.includes(importRun.status));
+
+    // Keep running imports and reverts up to date
+    useEffect(() => {
+        if (!active) return undefined;
+
+        const timer = setInterval(() => {
+            router.reload({ only: ['imports'], preserveScroll: true });
+        }, POLL_INTERVAL);
+
+        return () => clearInterval(timer);
+    }, [active]);
+
+    const handlePageChange = (page) => {
+        router.get(route('imports.index'), { page }, {
+            preserveState: true,
+            preserveScroll: true,
+            only: ['imports'],
+        });
+    };
+
+    const revert = async (importRun) => {
+        const confirmed = window.confirm(
+            `Revert import #${importRun.id}? Products it updated get their old values back and products it created are deleted. ` +
+            'Products changed since the import are left alone.'
+        );
+        if (!confirmed) return;
+
+        setReverting(importRun.id);
+        try {
+            const response = await axios.post(route('api.imports.revert', importRun.id));
+            toast.success(response.data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Could not revert the import');
+        } finally {
+            setReverting(null);
+            router.reload({ only: ['imports'], preserveScroll: true });
+        }
+    };
+
+    return (
+        <AppLayout>
+            <Head title="Import History" />
+
+            <div className="py-12">
+                <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
+                    <div className="bg-white overflow-hidden shadow-sm sm:rounded-lg p-6">
+                        <div className="flex items-baseline justify-between mb-6">
+                            <h1 className="text-2xl font-semibold text-gray-900">Import History</h1>
+                            <Link href={route('products.import')} className="text-sm text-blue-600 hover:text-blue-800">
+                                New import
+                            </Link>
+                        </div>
+
+                        {imports.data.length === 0 ? (
+                            <p className="py-12 text-center text-gray-500">No imports yet.</p>
+                        ) : (
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-700">Import</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-700">Status</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-700">New</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-700">Updated</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-700">Skipped</th>
+                                        <th className="px-3 py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {imports.data.map(importRun => {
+                                        const [label, colour] = STATUS_LABELS[importRun.status] || [importRun.status, 'text-gray-600'];
+                                        return (
+                                            <tr key={importRun.id}>
+                                                <td className="px-3 py-2">
+                                                    <Link href={route('imports.show', importRun.id)} className="font-medium text-gray-900 hover:text-blue-600">
+                                                        #{importRun.id} {importRun.original_filename}
+                                                    </Link>
+                                                    <p className="text-xs text-gray-500">{formatDate(importRun.created_at)}</p>
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <span className={colour}>{label}</span>
+                                                    {importRun.status === 'reverted' && <RevertResult importRun={importRun} />}
+                                                </td>
+                                                <td className="px-3 py-2 text-right">{importRun.imported.toLocaleString()}</td>
+                                                <td className="px-3 py-2 text-right">{importRun.updated.toLocaleString()}</td>
+                                                <td className="px-3 py-2 text-right">{(importRun.invalid + importRun.duplicates).toLocaleString()}</td>
+                                                <td className="px-3 py-2 text-right">
+                                                    {importRun.can_revert && (
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => revert(importRun)}
+                                                            disabled={reverting !== null}
+                                                            className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                                                        >
+                                                            {reverting === importRun.id ? 'Reverting…' : 'Revert this import'}
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        )}
+
+                        {imports.last_page > 1 && (
+                            <div className="mt-6 flex justify-end">
+                                <Pagination
+                                    currentPage={imports.current_page}
+                                    lastPage={imports.last_page}
+                                    onPageChange={handlePageChange}
+                                />
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </AppLayout>
+    );
+}
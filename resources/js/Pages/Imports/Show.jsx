@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import { Head, Link } from '@inertiajs/react';
+import axios from 'axios';
+import AppLayout from '@/Layouts/AppLayout';
+import ImportChangesTable from '@/Components/ImportChangesTable';
+import { STATUS_LABELS } from '@/Utils/importStatus';
+import { toast } from 'react-toastify';
+
+// How often to refresh the counts while the import runs (ms)
+const POLL_INTERVAL = 1500;
+
+function Count({ label, value, colour = 'text-gray-900', children }) {
+    return (
+        <div className="rounded-lg border border-gray-200 p-4">
+            <dt className="text-sm text-gray-500">{label}</dt>
+            <dd className={`mt-1 text-2xl font-semibold ${colour}`}>{value.toLocaleString()}</dd>
+            {children}
+        </div>
+    );
+}
+
+export default function ImportShow({ import: initialImport }) {
+    const [importRun, setImportRun] = useState(initialImport);
+    const [applying, setApplying] = useState(false);
+    const finished = ['complete', 'failed', 'preview', 'reverted'].includes(importRun.status);
+
+    // Follow the job until it is done
+    useEffect(() => {
+        if (finished) return undefined;
+
+        let cancelled = false;
+        const timer = setInterval(async () => {
+            try {
+                const response = await axios.get(route('api.imports.status', importRun.id));
+                if (!cancelled) setImportRun(response.data);
+            } catch (error) {
+                console.warn('Could not refresh import status:', error);
+            }
+        }, POLL_INTERVAL);
+
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [importRun.id, finished]);
+
+    // Commit the previewed changes; polling picks the job up from here
+    const applyPreview = async () => {
+        setApplying(true);
+        try {
+            const response = await axios.post(route('api.imports.apply', importRun.id));
+            toast.success(response.data.message);
+            setImportRun(current => ({ ...current, status: 'pending' }));
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Could not apply the import');
+        } finally {
+            setApplying(false);
+        }
+    };
+
+    const [label, colour] = STATUS_LABELS[importRun.status] || [importRun.status, 'text-gray-600'];
+
+    return (
+        <AppLayout>
+            <Head title={`Import #${importRun.id}`} />
+
+            <div className="py-12">
+                <div className="max-w-4xl mx-auto sm:px-6 lg:px-8">
+                    <div className="bg-white overflow-hidden shadow-sm sm:rounded-lg p-6">
+                        <Link
+                            href={route('products.import')}
+                            className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-6"
+                        >
+                            <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+                            </svg>
+                            Back to Import
+                        </Link>
+                        <Link href={route('imports.index')} className="ml-4 text-sm text-gray-600 hover:text-gray-900">
+                            Import history
+                        </Link>
+
+                        <div className="flex items-baseline justify-between">
+                            <h1 className="text-2xl font-semibold text-gray-900">Import #{importRun.id}</h1>
+                            <span className={`text-sm font-medium ${colour}`}>{label}</span>
+                        </div>
+                        <p className="mt-1 text-sm text-gray-500">{importRun.original_filename}</p>
+
+                        {/* Progress */}
+                        <div className="mt-6">
+                            <div className="flex justify-between text-sm text-gray-600 mb-1">
+                                <span>
+                                    {importRun.processed_rows.toLocaleString()} of {importRun.total_rows.toLocaleString()} rows
+                                </span>
+                                <span>{importRun.progress}%</span>
+                            </div>
+                            <div className="h-2.5 w-full rounded-full bg-gray-200">
+                                <div
+                                    className={`h-2.5 rounded-full ${importRun.status === 'failed' ? 'bg-red-500' : importRun.status === 'complete' ? 'bg-green-500' : 'bg-blue-600'}`}
+                                    style={{ width: `${importRun.progress}%` }}
+                                ></div>
+                            </div>
+                        </div>
+
+                        {importRun.error && (
+                            <div className="mt-6 rounded-md bg-red-50 p-4 text-sm text-red-700">
+                                {importRun.error}
+                            </div>
+                        )}
+
+                        {/* Counts */}
+                        <dl className="mt-6 grid grid-cols-2 gap-4 md:grid-cols-4">
+                            <Count label="New products" value={importRun.imported} colour="text-green-600" />
+                            <Count label="Updated" value={importRun.updated} colour="text-blue-600" />
+                            <Count label="Invalid rows" value={importRun.invalid} colour={importRun.invalid ? 'text-red-600' : 'text-gray-900'}>
+                                {finished && importRun.invalid > 0 && (
+                                    <a href={route('imports.issues', { import: importRun.id, type: 'invalid' })} className="mt-2 inline-block text-xs text-blue-600 hover:text-blue-800">
+                                        Download invalid rows
+                                    </a>
+                                )}
+                                {finished && importRun.invalid > 0 && (
+                                    <a href={route('imports.errors', importRun.id)} className="mt-1 block text-xs text-blue-600 hover:text-blue-800">
+                                        Download errors.csv to fix and re-upload
+                                    </a>
+                                )}
+                            </Count>
+                            <Count label="Duplicate SKUs" value={importRun.duplicates} colour={importRun.duplicates ? 'text-yellow-600' : 'text-gray-900'}>
+                                {finished && importRun.duplicates > 0 && (
+                                    <a href={route('imports.issues', { import: importRun.id, type: 'duplicates' })} className="mt-2 inline-block text-xs text-blue-600 hover:text-blue-800">
+                                        Download duplicate rows
+                                    </a>
+                                )}
+                            </Count>
+                        </dl>
+
+                        {importRun.status === 'preview' && (
+                            <div className="mt-6">
+                                <ImportChangesTable importRun={importRun} onApply={applyPreview} applying={applying} />
+                            </div>
+                        )}
+
+                        {importRun.status === 'reverted' && importRun.revert_summary && (
+                            <p className="mt-6 text-sm text-gray-700">
+                                Reverted: {importRun.revert_summary.restored.toLocaleString()} products restored
+                                and {importRun.revert_summary.deleted.toLocaleString()} deleted.
+                                {importRun.revert_summary.skipped > 0 && (
+                                    <>
+                                        {' '}{importRun.revert_summary.skipped.toLocaleString()} changed since the import and were left alone
+                                        {' '}(<a href={route('imports.issues', { import: importRun.id, type: 'not-reverted' })} className="text-blue-600 hover:text-blue-800">download</a>).
+                                    </>
+                                )}
+                            </p>
+                        )}
+
+                        {importRun.status === 'complete' && (
+                            <p className="mt-6 text-sm text-gray-700">
+                                Imported {importRun.imported.toLocaleString()} new and updated {importRun.updated.toLocaleString()} existing
+                                products from {importRun.processed_rows.toLocaleString()} rows.
+                                {(importRun.invalid > 0 || importRun.duplicates > 0) && ' Skipped rows are listed with their line numbers in the downloads above.'}
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </AppLayout>
+    );
+}
@@ -1,9 +1,16 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { Head, usePage } from '@inertiajs/react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { Head, Link, usePage } from '@inertiajs/react';
 import { useDropzone } from 'react-dropzone';
 import { router } from '@inertiajs/react';
 import axios from 'axios';
 import AppLayout from '@/Layouts/AppLayout';
+import CsvColumnMapper from '@/Components/CsvColumnMapper';
+import ImportChangesTable from '@/Components/ImportChangesTable';
+import ImageArchiveUploader from '@/Components/ImageArchiveUploader';
+import { guessColumnMapping, missingRequiredFields } from '@/Utils/csvPreview';
+import { uploadFile, attachToProduct, findResumableSession, discardUploadSession, cancelServerUpload } from '@/Utils/chunkedUpload';
+import { readImportPreview, readImportColumns, importFormat, IMPORT_ACCEPT, IMPORT_FORMATS } from '@/Utils/importPreview';
+import { guessImageColumn, buildCatalog, matchImage, skusWithoutImages, DEFAULT_IMAGE_PATTERN } from '@/Utils/imageMatching';
 import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -12,7 +19,37 @@ axios.defaults.withCredentials = true;
 axios.defaults.headers.common['X-Requested-With'] = 'XMLHttpRequest';
 axios.defaults.headers.common['Accept'] = 'application/json';
 
-export default function ProductImport({ auth }) {
+// How often to check on a running preview or import (ms)
+const PREVIEW_POLL_INTERVAL = 1500;
+
+// How many images to upload at the same time
+const IMAGE_CONCURRENCY = 3;
+
+// How many SKUs without an image to name before summing up the rest
+const MISSING_SKUS_SHOWN = 10;
+
+// How each image got its SKU, shown under it
+const MATCH_LABELS = {
+    column: 'Listed in the product file',
+    filename: 'Matched by filename',
+    pattern: 'Guessed from filename',
+};
+
+// What happens to each image after "Start Import", shown over it
+const IMAGE_STATUS_LABELS = {
+    uploading: 'Uploading...',
+    processing: 'Making variants...',
+    waiting: 'Waiting for the import',
+    completed: '✓ Attached',
+    error: '✕ Error',
+};
+
+// Get CSRF token from the meta tag or use the one from the document
+const csrfToken = () => document.querySelector('meta[name="csrf-token"]')?.content ||
+    document.head.querySelector('meta[name="csrf-token"]')?.content ||
+    '';
+
+export default function ProductImport({ auth, imageFilenamePattern }) {
     const { flash } = usePage().props || {};
     
     // Set up toast notifications
@@ -45,25 +82,56 @@ export default function ProductImport({ auth }) {
     }
     const [csvFile, setCsvFile] = useState(null);
     const [images, setImages] = useState([]);
-    const [uploadProgress, setUploadProgress] = useState({});
     const [isUploading, setIsUploading] = useState(false);
     const [status, setStatus] = useState('');
+    const [lastImport, setLastImport] = useState(null);
+    const [csvPreview, setCsvPreview] = useState(null);
+    const [columnMapping, setColumnMapping] = useState({});
+    const [preview, setPreview] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [isApplying, setIsApplying] = useState(false);
+    const [resumeSession, setResumeSession] = useState(null);
+    const [fileProgress, setFileProgress] = useState(null);
+    const [imageColumn, setImageColumn] = useState(null);
+    const [catalog, setCatalog] = useState(null);
+    const [isReadingCatalog, setIsReadingCatalog] = useState(false);
+    const imagePattern = imageFilenamePattern || DEFAULT_IMAGE_PATTERN;
+
+    // Show the first rows and guess which columns hold which fields
+    const loadPreview = (file, sheet = null) => {
+        readImportPreview(file, { sheet })
+            .then(preview => {
+                setCsvPreview(preview);
+                setColumnMapping(guessColumnMapping(preview.headers));
+                setImageColumn(guessImageColumn(preview.headers));
+            })
+            .catch(error => {
+                console.error('Failed to read import preview:', error);
+                toast.error(`Could not read the ${IMPORT_FORMATS[importFormat(file)]} file`);
+            });
+    };
 
-    // Handle CSV file selection
+    // Handle product file selection (CSV, TSV, Excel or JSON)
     const handleCsvChange = (e) => {
         const file = e.target.files[0];
         if (file) {
-            if (file.type === 'text/csv' || file.name.endsWith('.csv')) {
+            if (importFormat(file)) {
                 setCsvFile(file);
-                setStatus('CSV file selected: ' + file.name);
+                setCsvPreview(null);
+                setPreview(null);
+                setResumeSession(null);
+                setStatus(`${IMPORT_FORMATS[importFormat(file)]} file selected: ${file.name}`);
+                loadPreview(file);
+                // An earlier upload of this file may have been cut off
+                findResumableSession(file).then(setResumeSession);
             } else {
-                setStatus('Error: Please upload a valid CSV file');
-                toast.error('Please upload a valid CSV file');
+                setStatus('Error: Please upload a CSV, TSV, Excel (.xlsx) or JSON file');
+                toast.error('Please upload a CSV, TSV, Excel (.xlsx) or JSON file');
             }
         }
     };
 
-    // Handle image drop
+    // Handle image drop; each image gets the SKU its name or the product file points to
     const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
         // Handle rejected files
         if (rejectedFiles.length > 0) {
@@ -75,27 +143,23 @@ export default function ProductImport({ auth }) {
         const imageFiles = acceptedFiles.filter(file => 
             file.type.startsWith('image/')
         );
-        
-        // Limit total number of images to 20
-        if (images.length + imageFiles.length > 20) {
-            setStatus('Maximum 20 images can be uploaded at once');
-            toast.warning('Maximum 20 images can be uploaded at once');
-            return;
-        }
-        
-        setImages(prevImages => [
-            ...prevImages,
-            ...imageFiles.map(file => ({
-                file,
-                preview: URL.createObjectURL(file),
-                sku: '',
-                status: 'pending',
-                progress: 0
-            }))
-        ]);
-        
-        setStatus(`Added ${imageFiles.length} image(s). Please enter SKU for each image.`);
-    }, [images.length]);
+        if (imageFiles.length === 0) return;
+
+        const added = imageFiles.map(file => ({
+            file,
+            preview: URL.createObjectURL(file),
+            ...matchImage(file.name, { catalog, pattern: imagePattern }),
+            skuTyped: false,
+            status: 'pending',
+            progress: 0
+        }));
+        setImages(prevImages => [...prevImages, ...added]);
+
+        const unmatched = added.filter(img => !img.sku).length;
+        setStatus(unmatched
+            ? `Added ${added.length} image(s); ${unmatched} could not be matched to a SKU. Please enter their SKU.`
+            : `Added ${added.length} image(s), all matched to a SKU.`);
+    }, [catalog, imagePattern]);
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({
         onDrop,
@@ -103,30 +167,197 @@ export default function ProductImport({ auth }) {
         multiple: true
     });
 
-    // Update SKU for an image
+    // Update SKU for an image; a typed SKU is kept when the matches are worked out again
     const updateImageSku = (index, sku) => {
         setImages(prevImages => 
             prevImages.map((img, i) => 
-                i === index ? { ...img, sku: sku.toUpperCase() } : img
+                i === index ? { ...img, sku: sku.toUpperCase(), matchedBy: null, skuTyped: sku !== '' } : img
             )
         );
     };
 
-    // Clean up object URLs
+    const removeImage = (index) => {
+        URL.revokeObjectURL(images[index].preview);
+        setImages(prevImages => prevImages.filter((img, i) => i !== index));
+    };
+
+    // Read every SKU (and the images each row lists) from the product file, to
+    // match images against and to find products that get no image
     useEffect(() => {
+        setCatalog(null);
+        setIsReadingCatalog(false);
+        if (!csvFile || !columnMapping.sku) return;
+
+        let stale = false;
+        setIsReadingCatalog(true);
+        readImportColumns(csvFile, [columnMapping.sku, imageColumn].filter(Boolean), { sheet: csvPreview?.sheet })
+            .then(columns => {
+                if (!stale) setCatalog(buildCatalog(columns[columnMapping.sku], imageColumn ? columns[imageColumn] : []));
+            })
+            .catch(error => {
+                console.error('Failed to read SKUs from the product file:', error);
+                if (!stale) toast.warning('Could not read the SKUs of the product file. Images are matched by filename only.');
+            })
+            .finally(() => {
+                if (!stale) setIsReadingCatalog(false);
+            });
+
         return () => {
-            images.forEach(image => URL.revokeObjectURL(image.preview));
+            stale = true;
         };
-    }, [images]);
+    }, [csvFile, csvPreview?.sheet, columnMapping.sku, imageColumn]);
+
+    // Match the images again once the file's SKUs are known
+    useEffect(() => {
+        setImages(prevImages => prevImages.map(img => (
+            img.skuTyped ? img : { ...img, ...matchImage(img.file.name, { catalog, pattern: imagePattern }) }
+        )));
+    }, [catalog, imagePattern]);
+
+    // Clean up object URLs when leaving the page
+    const imagesRef = useRef(images);
+    imagesRef.current = images;
+    useEffect(() => () => {
+        imagesRef.current.forEach(image => URL.revokeObjectURL(image.preview));
+    }, []);
+
+    const unmatchedImages = images.filter(img => !img.sku.trim()).length;
+    const missingSkus = useMemo(
+        () => (images.length > 0 ? skusWithoutImages(catalog, images.map(img => img.sku)) : []),
+        [catalog, images]
+    );
+
+    // Make sure a product file is chosen and every required field has a column
+    const productFileReady = () => {
+        if (!csvFile) {
+            setStatus('Please select a product file');
+            toast.error('Please select a product file');
+            return false;
+        }
+
+        const unmapped = missingRequiredFields(columnMapping);
+        if (unmapped.length > 0) {
+            const fields = unmapped.map(field => field.label).join(', ');
+            setStatus(`Please choose the column for: ${fields}`);
+            toast.error(`Please choose the column for: ${fields}`);
+            return false;
+        }
+
+        return true;
+    };
+
+    // Send the product file in chunks and start the import job with its column
+    // mapping. An interrupted upload of the same file continues where it stopped.
+    const uploadProductFile = async ({ dryRun = false } = {}) => {
+        const fields = {};
+        // Tell the importer which column holds which product field
+        Object.entries(columnMapping).forEach(([field, header]) => {
+            fields[`mapping[${field}]`] = header;
+        });
+        // The workbook sheet the preview showed
+        if (csvPreview?.sheet) {
+            fields.sheet = csvPreview.sheet;
+        }
+        if (dryRun) {
+            fields.dry_run = '1';
+        }
+
+        setStatus(resumeSession ? `Resuming upload (${resumeSession.percent}% done)...` : 'Uploading product file...');
+        setFileProgress(resumeSession?.percent || 0);
+
+        try {
+            const { importId, importUrl } = await uploadFile(csvFile, {
+                purpose: 'import',
+                completeFields: fields,
+                resumeSession,
+                onProgress: ({ uploadedBytes, totalBytes }) => {
+                    const progress = totalBytes ? Math.round((uploadedBytes * 100) / totalBytes) : 100;
+                    setFileProgress(progress);
+                    setStatus(`Uploading product file: ${progress}%`);
+                },
+                onStatus: (phase) => {
+                    if (phase === 'verifying') setStatus('Verifying product file...');
+                },
+            });
+            setResumeSession(null);
+
+            return { importId, importUrl };
+        } catch (error) {
+            // The chunks that made it stay on the server, so trying again only sends the rest
+            setResumeSession(await findResumableSession(csvFile));
+            throw error;
+        } finally {
+            setFileProgress(null);
+        }
+    };
+
+    // Throw away the interrupted upload of the chosen file and send it from the beginning
+    const startOver = () => {
+        discardUploadSession(csvFile);
+        cancelServerUpload(resumeSession.uploadId);
+        setResumeSession(null);
+    };
+
+    // Run the import without writing anything and show what it would change
+    const previewChanges = async () => {
+        if (!productFileReady()) return;
+
+        setIsPreviewing(true);
+        setPreview(null);
+        setLastImport(null);
+
+        try {
+            const { importId } = await uploadProductFile({ dryRun: true });
+            setStatus('Comparing the file with your products...');
+
+            let importRun;
+            do {
+                await new Promise(resolve => setTimeout(resolve, PREVIEW_POLL_INTERVAL));
+                importRun = (await axios.get(route('api.imports.status', importId))).data;
+            } while (!['preview', 'failed'].includes(importRun.status));
+
+            if (importRun.status === 'failed') {
+                throw new Error(importRun.error || 'The preview failed');
+            }
+
+            setPreview(importRun);
+            setStatus('Review the changes below, then apply the import.');
+        } catch (error) {
+            console.error('Preview failed:', error);
+            const errorMessage = error.response?.data?.message || error.message || 'Preview failed. Please try again.';
+            setStatus(`Error: ${errorMessage}`);
+            toast.error(errorMessage);
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    // Commit exactly the changes that were previewed
+    const applyPreview = async () => {
+        setIsApplying(true);
+
+        try {
+            const response = await axios.post(route('api.imports.apply', preview.id), {}, {
+                headers: { 'X-CSRF-TOKEN': csrfToken() }
+            });
+            setLastImport({ id: response.data.import_id, url: response.data.import_url });
+            setPreview(null);
+            setStatus('Applying the previewed changes...');
+            toast.success(response.data.message);
+        } catch (error) {
+            console.error('Apply failed:', error);
+            const errorMessage = error.response?.data?.message || 'Could not apply the import. Please try again.';
+            setStatus(`Error: ${errorMessage}`);
+            toast.error(errorMessage);
+        } finally {
+            setIsApplying(false);
+        }
+    };
 
     // Upload files in chunks
     const uploadFiles = async () => {
         // Validate inputs
-        if (!csvFile) {
-            setStatus('Please select a CSV file');
-            toast.error('Please select a CSV file');
-            return;
-        }
+        if (!productFileReady()) return;
 
         if (images.length === 0) {
             setStatus('Please add at least one image');
@@ -135,10 +366,9 @@ export default function ProductImport({ auth }) {
         }
 
         // Check if all images have SKUs
-        const imagesWithoutSku = images.filter(img => !img.sku.trim());
-        if (imagesWithoutSku.length > 0) {
-            setStatus('Please enter SKU for all images');
-            toast.error(`Please enter SKU for ${imagesWithoutSku.length} image(s)`);
+        if (unmatchedImages > 0) {
+            setStatus(`${unmatchedImages} image(s) match no SKU. Enter their SKU or remove them.`);
+            toast.error(`Please enter SKU for ${unmatchedImages} image(s)`);
             return;
         }
 
@@ -147,104 +377,95 @@ export default function ProductImport({ auth }) {
         toast.info('Starting upload process...');
 
         try {
-            // First upload CSV
-            setStatus('Uploading CSV file...');
-            const csvFormData = new FormData();
-            csvFormData.append('csv', csvFile);
-            
-            // Get CSRF token from the meta tag or use the one from the document
-            const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content || 
-                             document.head.querySelector('meta[name="csrf-token"]')?.content ||
-                             '';
-            
-            const headers = {
-                'Content-Type': 'multipart/form-data'
-            };
-            
-            // Only add CSRF token if it exists
-            if (csrfToken) {
-                headers['X-CSRF-TOKEN'] = csrfToken;
-            } else {
-                console.warn('CSRF token not found. Make sure you have a meta tag with name="csrf-token" in your HTML head.');
-            }
-            
-            const csvResponse = await axios.post(route('api.products.import.csv'), csvFormData, {
-                headers,
-                onUploadProgress: (progressEvent) => {
-                    const progress = Math.round((progressEvent.loaded * 100) / (progressEvent.total || 1));
-                    setStatus(`Uploading CSV: ${progress}%`);
-                }
-            });
-
-            if (csvResponse.status !== 200) {
-                throw new Error(csvResponse.data.message || 'Failed to upload CSV');
-            }
+            // First upload the product file
+            const { importId, importUrl } = await uploadProductFile();
+            setPreview(null);
+            setLastImport({ id: importId, url: importUrl });
+            const batch = images;
+            const updateImage = (index, changes) => setImages(prev => prev.map((item, i) =>
+                i === index ? { ...item, ...changes } : item
+            ));
 
-            // Then upload images in chunks
-            const chunkSize = 3; // Number of images to upload simultaneously
+            // Then send the images through the chunked upload; their variants are made while the import runs
             setStatus('Uploading images...');
-            
-            for (let i = 0; i < images.length; i += chunkSize) {
-                const chunk = images.slice(i, i + chunkSize);
-                
-                await Promise.all(chunk.map(async (img, idx) => {
-                    const currentIndex = i + idx;
-                    
+            const processed = [];
+
+            for (let i = 0; i < batch.length; i += IMAGE_CONCURRENCY) {
+                await Promise.all(batch.slice(i, i + IMAGE_CONCURRENCY).map(async (img, offset) => {
+                    const index = i + offset;
+                    // Attached by an earlier attempt
+                    if (img.status === 'completed') return;
+                    updateImage(index, { status: 'uploading', progress: 0, error: null });
+
                     try {
-                        // Update status to uploading
-                        setImages(prev => prev.map((item, i) => 
-                            i === currentIndex ? { ...item, status: 'uploading', progress: 0 } : item
-                        ));
-
-                        const formData = new FormData();
-                        formData.append('image', img.file);
-                        formData.append('sku', img.sku);
-                        
-                        await axios.post(route('api.products.upload.image'), formData, {
-                            headers: {
-                                'Content-Type': 'multipart/form-data',
-                                ...(csrfToken && { 'X-CSRF-TOKEN': csrfToken })
+                        const { uploadId } = await uploadFile(img.file, {
+                            onProgress: ({ uploadedBytes, totalBytes }) => updateImage(index, {
+                                progress: totalBytes ? Math.round((uploadedBytes * 100) / totalBytes) : 100,
+                            }),
+                            onStatus: (phase) => {
+                                if (phase === 'processing') updateImage(index, { status: 'processing' });
                             },
-                            onUploadProgress: (progressEvent) => {
-                                const progress = Math.round((progressEvent.loaded * 100) / (progressEvent.total || 1));
-                                setImages(prev => prev.map((item, i) => 
-                                    i === currentIndex ? { ...item, progress } : item
-                                ));
-                            }
                         });
-
-                        // Update status to completed
-                        setImages(prev => prev.map((item, i) => 
-                            i === currentIndex ? { ...item, status: 'completed', progress: 100 } : item
-                        ));
-                        
-                        toast.success(`Image ${currentIndex + 1} uploaded successfully`);
-                        
+                        updateImage(index, { status: 'waiting', progress: 100 });
+                        processed.push({ index, uploadId });
                     } catch (error) {
                         console.error('Error uploading image:', error);
-                        setImages(prev => prev.map((item, i) => 
-                            i === currentIndex ? { 
-                                ...item, 
-                                status: 'error',
-                                error: error.response?.data?.message || 'Upload failed'
-                            } : item
-                        ));
-                        toast.error(`Failed to upload image ${currentIndex + 1}`);
+                        updateImage(index, { status: 'error', error: error.message || 'Upload failed' });
+                        toast.error(`Failed to upload ${img.file.name}`);
                     }
                 }));
             }
 
+            // New SKUs only exist once the import has saved them
+            setStatus('Waiting for the import to finish...');
+            let importRun = (await axios.get(route('api.imports.status', importId))).data;
+            while (['pending', 'processing'].includes(importRun.status)) {
+                await new Promise(resolve => setTimeout(resolve, PREVIEW_POLL_INTERVAL));
+                importRun = (await axios.get(route('api.imports.status', importId))).data;
+            }
+
+            if (importRun.status === 'failed') {
+                throw new Error(`The import failed, so no images were attached: ${importRun.error || 'unknown error'}`);
+            }
+
+            // The first image of each SKU becomes the product's primary image
+            setStatus('Attaching images to products...');
+            const primaryTaken = new Set();
+            let failed = batch.filter(img => img.status !== 'completed').length - processed.length;
+
+            for (const { index, uploadId } of processed.sort((a, b) => a.index - b.index)) {
+                const sku = batch[index].sku.trim();
+                const isPrimary = !primaryTaken.has(sku.toUpperCase());
+                primaryTaken.add(sku.toUpperCase());
+
+                try {
+                    await attachToProduct(uploadId, sku, isPrimary);
+                    updateImage(index, { status: 'completed' });
+                } catch (error) {
+                    console.error('Error attaching image:', error);
+                    updateImage(index, { status: 'error', error: error.message || 'Could not attach the image' });
+                    failed++;
+                }
+            }
+
+            if (failed > 0) {
+                setStatus(`Import finished, but ${failed} image(s) failed. They are marked below.`);
+                toast.warning(`${failed} image(s) could not be uploaded or attached`);
+                return;
+            }
+
             setStatus('Upload completed successfully!');
             toast.success('All files uploaded successfully!');
             
             // Reset form after successful upload
             setCsvFile(null);
+            setCsvPreview(null);
+            setColumnMapping({});
             setImages([]);
-            setUploadProgress({});
             
         } catch (error) {
             console.error('Upload failed:', error);
-            const errorMessage = error.response?.data?.message || 'Upload failed. Please try again.';
+            const errorMessage = error.response?.data?.message || error.message || 'Upload failed. Please try again.';
             setStatus(`Error: ${errorMessage}`);
             toast.error(errorMessage);
         } finally {
@@ -267,32 +488,135 @@ export default function ProductImport({ auth }) {
                 <div className="text-center mb-8">
                     <h1 className="text-3xl font-bold text-gray-900">Bulk Product Import</h1>
                     <p className="mt-2 text-sm text-gray-600">
-                        Upload your CSV file and product images to import multiple products at once
+                        Upload your product file and images to import multiple products at once
                     </p>
+                    <Link href={route('imports.index')} className="mt-1 inline-block text-sm text-blue-600 hover:text-blue-800">
+                        Import history
+                    </Link>
                 </div>
 
-                {/* CSV Upload Section */}
+                {/* Product File Upload Section */}
                 <div className="bg-white shadow rounded-lg p-6 mb-8">
-                    <h2 className="text-lg font-medium text-gray-900 mb-4">1. Upload Product CSV</h2>
+                    <h2 className="text-lg font-medium text-gray-900 mb-4">1. Upload Product File</h2>
                     <div className="mt-1 flex items-center">
                         <label className="w-full flex flex-col items-center px-4 py-6 bg-white text-blue-500 rounded-lg shadow-lg tracking-wide uppercase border border-blue-500 cursor-pointer hover:bg-blue-50">
                             <svg className="w-8 h-8" fill="currentColor" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
                                 <path d="M16.88 9.1A4 4 0 0 1 16 17H5a5 5 0 0 1-1-9.9V7a3 3 0 0 1 4.52-2.59A4.98 4.98 0 0 1 17 8c0 .38-.04.74-.12 1.1zM11 11h3l-4-4-4 4h3v3h2v-3z" />
                             </svg>
                             <span className="mt-2 text-base leading-normal">
-                                {csvFile ? csvFile.name : 'Select a CSV file'}
+                                {csvFile ? csvFile.name : 'Select a CSV, Excel or JSON file'}
                             </span>
                             <input 
                                 type="file" 
                                 className="hidden" 
-                                accept="text/csv,application/csv"
+                                accept={IMPORT_ACCEPT}
                                 onChange={handleCsvChange}
                             />
                         </label>
                     </div>
                     <p className="mt-2 text-sm text-gray-500">
-                        Upload a CSV file containing product details with SKU, name, description, etc.
+                        Upload a CSV, TSV, Excel (.xlsx) or JSON / NDJSON file containing product details with SKU, name, description, etc.
+                        Files of any size are sent in parts, and an interrupted upload continues where it stopped.
                     </p>
+                    {resumeSession && fileProgress === null && (
+                        <p className="mt-2 text-sm text-blue-700">
+                            Resume upload ({resumeSession.percent}% done)
+                            {' · '}
+                            <button type="button" onClick={startOver} className="underline hover:text-blue-900">
+                                Start over
+                            </button>
+                        </p>
+                    )}
+                    {fileProgress !== null && (
+                        <div className="mt-3 h-2 w-full rounded-full bg-gray-200">
+                            <div className="h-2 rounded-full bg-blue-600" style={{ width: `${fileProgress}%` }}></div>
+                        </div>
+                    )}
+
+                    {/* Preview and column mapping */}
+                    {csvPreview && (
+                        <div className="mt-6">
+                            <div className="flex items-center justify-between">
+                                <h3 className="text-md font-medium text-gray-900">Preview</h3>
+                                {csvPreview.sheets?.length > 1 && (
+                                    <label className="text-sm text-gray-700">
+                                        Sheet{' '}
+                                        <select
+                                            value={csvPreview.sheet}
+                                            onChange={(e) => {
+                                                setPreview(null);
+                                                loadPreview(csvFile, e.target.value);
+                                            }}
+                                            disabled={isUploading || isPreviewing}
+                                            className="ml-1 rounded-md border-gray-300 py-1 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        >
+                                            {csvPreview.sheets.map(name => (
+                                                <option key={name} value={name}>{name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                )}
+                            </div>
+                            <p className="mb-3 text-sm text-gray-500">
+                                First {csvPreview.rows.length} row(s). Choose which product field each column holds; fields marked * are required.
+                            </p>
+                            {csvPreview.headers.length > 0 ? (
+                                <CsvColumnMapper
+                                    headers={csvPreview.headers}
+                                    rows={csvPreview.rows}
+                                    mapping={columnMapping}
+                                    onChange={setColumnMapping}
+                                    disabled={isUploading || isPreviewing}
+                                />
+                            ) : (
+                                <p className="text-sm text-red-600">The file looks empty.</p>
+                            )}
+                            {missingRequiredFields(columnMapping).length > 0 && (
+                                <p className="mt-2 text-sm text-red-600">
+                                    No column chosen for: {missingRequiredFields(columnMapping).map(field => field.label).join(', ')}
+                                </p>
+                            )}
+                            {csvPreview.headers.length > 0 && (
+                                <label className="mt-3 block text-sm text-gray-700">
+                                    Column listing each product's image files{' '}
+                                    <select
+                                        value={imageColumn || ''}
+                                        onChange={(e) => setImageColumn(e.target.value || null)}
+                                        disabled={isUploading || isPreviewing}
+                                        className="ml-1 rounded-md border-gray-300 py-1 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    >
+                                        <option value="">None</option>
+                                        {csvPreview.headers.map(header => (
+                                            <option key={header} value={header}>{header}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
+                            <div className="mt-4 flex justify-end">
+                                <button
+                                    type="button"
+                                    onClick={previewChanges}
+                                    disabled={isUploading || isPreviewing || isApplying}
+                                    className="px-4 py-2 rounded-md border border-blue-600 text-sm font-medium text-blue-600 hover:bg-blue-50 disabled:cursor-not-allowed disabled:border-gray-300 disabled:text-gray-400"
+                                >
+                                    {isPreviewing ? 'Comparing…' : 'Preview changes'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* What applying the file would change */}
+                    {preview && (
+                        <div className="mt-6">
+                            <h3 className="text-md font-medium text-gray-900 mb-2">Changes</h3>
+                            <ImportChangesTable
+                                importRun={preview}
+                                onApply={applyPreview}
+                                onDiscard={() => setPreview(null)}
+                                applying={isApplying}
+                            />
+                        </div>
+                    )}
                 </div>
 
                 {/* Image Upload Section */}
@@ -329,7 +653,7 @@ export default function ProductImport({ auth }) {
                                 )}
                             </div>
                             <p className="text-xs text-gray-500">
-                                PNG, JPG, GIF up to 10MB
+                                PNG, JPG, GIF up to 10MB. Images named after their SKU (SKU123_1.jpg, SKU123-front.png) are matched automatically.
                             </p>
                         </div>
                     </div>
@@ -338,9 +662,30 @@ export default function ProductImport({ auth }) {
                     {images.length > 0 && (
                         <div className="mt-6">
                             <h3 className="text-md font-medium text-gray-900 mb-3">Selected Images</h3>
+
+                            {/* What couldn't be matched, before anything is uploaded */}
+                            <div className="mb-4 rounded-md border border-gray-200 bg-gray-50 p-3 text-sm">
+                                <p className="text-gray-700">
+                                    {images.length - unmatchedImages} of {images.length} image(s) matched to a SKU
+                                    {isReadingCatalog && ' · reading SKUs from the product file…'}
+                                </p>
+                                {unmatchedImages > 0 && (
+                                    <p className="mt-1 text-red-600">
+                                        {unmatchedImages} image(s) match no SKU. Enter their SKU or remove them.
+                                    </p>
+                                )}
+                                {missingSkus.length > 0 && (
+                                    <p className="mt-1 text-yellow-700">
+                                        {missingSkus.length} SKU(s) in the product file have no image:{' '}
+                                        {missingSkus.slice(0, MISSING_SKUS_SHOWN).join(', ')}
+                                        {missingSkus.length > MISSING_SKUS_SHOWN && ` and ${missingSkus.length - MISSING_SKUS_SHOWN} more`}
+                                    </p>
+                                )}
+                            </div>
+
                             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
                                 {images.map((img, index) => (
-                                    <div key={index} className="border rounded-lg overflow-hidden bg-gray-50">
+                                    <div key={img.preview} className={`border rounded-lg overflow-hidden bg-gray-50 ${img.sku.trim() ? '' : 'border-red-400 ring-1 ring-red-400'}`}>
                                         <div className="relative pb-full">
                                             <img 
                                                 src={img.preview} 
@@ -349,9 +694,7 @@ export default function ProductImport({ auth }) {
                                             />
                                             <div className="absolute inset-0 bg-black bg-opacity-30 flex items-center justify-center opacity-0 hover:opacity-100 transition-opacity">
                                                 <span className="text-white text-sm font-medium">
-                                                    {img.status === 'uploading' ? 'Uploading...' : 
-                                                     img.status === 'completed' ? '✓ Uploaded' :
-                                                     img.status === 'error' ? '✕ Error' : 'Ready'}
+                                                    {IMAGE_STATUS_LABELS[img.status] || 'Ready'}
                                                 </span>
                                             </div>
                                         </div>
@@ -362,13 +705,30 @@ export default function ProductImport({ auth }) {
                                                 onChange={(e) => updateImageSku(index, e.target.value)}
                                                 placeholder="Enter SKU"
                                                 className="w-full px-2 py-1 text-sm border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                                                disabled={img.status === 'uploading'}
+                                                disabled={isUploading || img.status === 'completed'}
                                             />
-                                            {uploadProgress[img.file.name] > 0 && (
+                                            <div className="mt-1 flex items-center justify-between text-xs">
+                                                {img.sku.trim() ? (
+                                                    <span className="text-gray-500">
+                                                        {catalog && !catalog.skus.has(img.sku.trim().toUpperCase())
+                                                            ? <span className="text-yellow-700">Not in the product file</span>
+                                                            : MATCH_LABELS[img.matchedBy] || 'Entered by hand'}
+                                                    </span>
+                                                ) : (
+                                                    <span className="text-red-600">No matching SKU</span>
+                                                )}
+                                                {!isUploading && (
+                                                    <button type="button" onClick={() => removeImage(index)} className="text-gray-500 hover:text-red-600">
+                                                        Remove
+                                                    </button>
+                                                )}
+                                            </div>
+                                            {img.error && <p className="mt-1 text-xs text-red-600">{img.error}</p>}
+                                            {img.progress > 0 && (
                                                 <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
                                                     <div 
-                                                        className="bg-blue-600 h-2 rounded-full" 
-                                                        style={{ width: `${uploadProgress[img.file.name]}%` }}
+                                                        className={`h-2 rounded-full ${img.status === 'error' ? 'bg-red-500' : img.status === 'completed' ? 'bg-green-500' : 'bg-blue-600'}`}
+                                                        style={{ width: `${img.progress}%` }}
                                                     ></div>
                                                 </div>
                                             )}
@@ -380,6 +740,12 @@ export default function ProductImport({ auth }) {
                     )}
                 </div>
 
+                {/* ZIP Archive Section */}
+                <div className="bg-white shadow rounded-lg p-6 mb-8">
+                    <h2 className="text-lg font-medium text-gray-900 mb-4">3. Or Attach Images from a ZIP Archive</h2>
+                    <ImageArchiveUploader />
+                </div>
+
                 {/* Status and Actions */}
                 <div className="bg-white shadow rounded-lg p-6">
                     <div className="flex justify-between items-center">
@@ -391,6 +757,11 @@ export default function ProductImport({ auth }) {
                                     {status}
                                 </p>
                             )}
+                            {lastImport && (
+                                <Link href={lastImport.url} className="text-sm text-blue-600 hover:text-blue-800">
+                                    View progress of import #{lastImport.id}
+                                </Link>
+                            )}
                         </div>
                         <button
                             onClick={uploadFiles}
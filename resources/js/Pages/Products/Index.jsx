@@ -50,17 +50,26 @@ export default function ProductsIndex({ products, filters }) {
                                             <Link href={`/products/${product.sku}`} className="block">
                                                 {product.primary_image ? (
                                                     <div className="relative h-48 bg-gray-100 overflow-hidden group">
-                                                        <img
-                                                            // src={`${product.primary_image?.path?.replace(/\/original$/, '_orig')}`}
-                                                            src={`${product.primary_image?.path}`}
-                                                            alt={product.primary_image.alt || product.name}
-                                                            data-testid={product.primary_image.path}
-                                                            className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
-                                                            srcSet={Object.entries(product.primary_image.variants || {})
-                                                                .map(([variant, data]) => `${data.url} ${variant.replace(/\D/g, '')}w`)
-                                                                .join(', ')}
-                                                            sizes="(max-width: 768px) 100vw, 33vw"
-                                                        />
+                                                        <picture>
+                                                            {/* AVIF and WebP for browsers that take them, JPEG otherwise */}
+                                                            {(product.primary_image.sources || []).map(source => (
+                                                                <source
+                                                                    key={source.type}
+                                                                    type={source.type}
+                                                                    srcSet={source.srcset}
+                                                                    sizes="(max-width: 768px) 100vw, 33vw"
+                                                                />
+                                                            ))}
+                                                            <img
+                                                                src={product.primary_image.url}
+                                                                alt={product.primary_image.alt || product.name}
+                                                                data-testid={product.primary_image.url}
+                                                                className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
+                                                                srcSet={product.primary_image.srcset}
+                                                                sizes="(max-width: 768px) 100vw, 33vw"
+                                                                loading="lazy"
+                                                            />
+                                                        </picture>
                                                         {product.primary_image.variants && (
                                                             <div className="absolute bottom-2 left-2 bg-black bg-opacity-50 text-white text-xs px-2 py-1 rounded">
                                                                 {Object.keys(product.primary_image.variants).join(' / ')}
@@ -10,22 +10,23 @@ export default function ProductShow({ product }) {
             return {
                 ...img,
                 variants: variants,
-                // Use the largest available variant by default
-                mainVariant: variants['1024'] ||
-                           variants['512'] ||
-                           variants['256'] ||
+                // Use the largest resized variant by default
+                mainVariant: Object.entries(variants)
+                    .filter(([name]) => name !== 'original')
+                    .map(([, variant]) => variant)
+                    .sort((a, b) => b.width - a.width)[0] ||
                            variants['original'] ||
-                           { url: img.path || '', width: 0, height: 0 }
+                           { url: img.url || '', width: 0, height: 0 }
             };
         });
     }, [product.images]);
 
     const [selectedImageIndex, setSelectedImageIndex] = useState(0);
-    const [selectedVariant, setSelectedVariant] = useState('1024');
+    // null lets the browser pick a size from the image's srcset
+    const [selectedVariant, setSelectedVariant] = useState(null);
 
     const currentImage = allImages[selectedImageIndex];
-    const currentVariant = currentImage?.variants[selectedVariant] || currentImage?.mainVariant;
-    // currentVariant.url = currentVariant?.url.replace(/\/original$/, '_orig');
+    const currentVariant = (selectedVariant && currentImage?.variants[selectedVariant]) || currentImage?.mainVariant;
 
     return (
         <AppLayout>
@@ -52,18 +53,42 @@ export default function ProductShow({ product }) {
                             <div className="w-full md:w-2/3">
                                 {currentImage && currentVariant ? (
                                     <div className="relative">
-                                        <img
-                                            src={currentVariant.url}
-                                            alt={product.name}
-                                            className="w-full h-auto rounded-lg shadow-lg"
-                                            style={{
-                                                maxHeight: '70vh',
-                                                objectFit: 'contain'
-                                            }}
-                                        />
+                                        <picture>
+                                            {/* AVIF and WebP for browsers that take them, JPEG otherwise */}
+                                            {!selectedVariant && (currentImage.sources || []).map(source => (
+                                                <source
+                                                    key={source.type}
+                                                    type={source.type}
+                                                    srcSet={source.srcset}
+                                                    sizes="(max-width: 768px) 100vw, 66vw"
+                                                />
+                                            ))}
+                                            <img
+                                                src={currentVariant.url}
+                                                srcSet={selectedVariant ? undefined : currentImage.srcset}
+                                                sizes="(max-width: 768px) 100vw, 66vw"
+                                                alt={product.name}
+                                                className="w-full h-auto rounded-lg shadow-lg"
+                                                style={{
+                                                    maxHeight: '70vh',
+                                                    objectFit: 'contain'
+                                                }}
+                                            />
+                                        </picture>
 
                                         {/* Variant selector */}
                                         <div className="mt-4 flex flex-wrap gap-2">
+                                            <button
+                                                onClick={() => setSelectedVariant(null)}
+                                                className={`px-3 py-1 text-xs rounded-md ${
+                                                    selectedVariant === null
+                                                        ? 'bg-blue-600 text-white'
+                                                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                                }`}
+                                                title="Size chosen by the browser"
+                                            >
+                                                auto
+                                            </button>
                                             {Object.entries(currentImage.variants).map(([variant, data]) => (
                                                 <button
                                                     key={variant}
@@ -73,7 +98,7 @@ export default function ProductShow({ product }) {
                                                             ? 'bg-blue-600 text-white'
                                                             : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                                                     }`}
-                                                    title={`${variant} (${data.width}×${data.height})`}
+                                                    title={`${variant} (${data.width}×${data.height}; ${Object.keys(data.formats || {}).join(', ')})`}
                                                 >
                                                     {variant}
                                                 </button>
@@ -90,23 +115,14 @@ export default function ProductShow({ product }) {
                             <div className="w-full md:w-1/3 mt-4 md:mt-0 md:pl-4">
                                 <div className="grid grid-cols-4 gap-2 md:grid-cols-1 max-h-[70vh] overflow-y-auto">
                                     {allImages.map((image, index) => {
-                                        const variant = image.variants['256'] || image.variants['512'] || image.mainVariant;
+                                        const variant = Object.values(image.variants).sort((a, b) => a.width - b.width)[0] || image.mainVariant;
                                         return (
                                             <button
                                                 key={index}
                                                 onClick={() => {
                                                     setSelectedImageIndex(index);
-                                                    // Reset to the largest available variant when changing images
-                                                    const availableVariants = Object.keys(image.variants);
-                                                    if (availableVariants.includes('1024')) {
-                                                        setSelectedVariant('1024');
-                                                    } else if (availableVariants.includes('512')) {
-                                                        setSelectedVariant('512');
-                                                    } else if (availableVariants.includes('256')) {
-                                                        setSelectedVariant('256');
-                                                    } else if (availableVariants.includes('original')) {
-                                                        setSelectedVariant('original');
-                                                    }
+                                                    // Back to the browser's choice when changing images
+                                                    setSelectedVariant(null);
                                                 }}
                                                 className={`relative rounded-md overflow-hidden border-2 ${
                                                     selectedImageIndex === index
@@ -118,7 +134,13 @@ export default function ProductShow({ product }) {
                                                     src={variant.url}
                                                     alt={`${product.name} - ${index + 1}`}
                                                     className="w-full h-20 object-cover"
+                                                    loading="lazy"
                                                 />
+                                                {image.is_primary && (
+                                                    <span className="absolute top-1 left-1 bg-blue-600 text-white text-[10px] px-1.5 py-0.5 rounded">
+                                                        Primary
+                                                    </span>
+                                                )}
                                                 <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-50 text-white text-xs p-1 text-center">
                                                     {Object.keys(image.variants).join(', ')}
                                                 </div>
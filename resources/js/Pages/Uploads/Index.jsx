@@ -1,23 +1,42 @@
+import { useState } from 'react';
 import AppLayout from '@/Layouts/AppLayout';
 import { Head } from '@inertiajs/react';
 import FileUploader from '@/Components/FileUploader';
 
 export default function Uploads() {
+    const [completed, setCompleted] = useState([]);
+
     return (
         <AppLayout>
             <Head title="File Uploader" />
-            
+
             <div className="py-12">
                 <div className="max-w-7xl mx-auto sm:px-6 lg:px-8">
                     <div className="bg-white overflow-hidden shadow-sm sm:rounded-lg">
                         <div className="p-6 bg-white border-b border-gray-200">
                             <h1 className="text-2xl font-semibold text-gray-900 mb-6">File Uploader</h1>
                             <div className="max-w-3xl mx-auto">
-                                <FileUploader 
+                                <FileUploader
                                     onUploadComplete={(result) => {
-                                        console.log('Upload completed:', result);
+                                        setCompleted(prev => [result, ...prev]);
                                     }}
                                 />
+
+                                {completed.length > 0 && (
+                                    <div className="mt-8">
+                                        <h2 className="text-lg font-medium text-gray-900 mb-2">Uploaded this session</h2>
+                                        <ul className="divide-y divide-gray-100 text-sm">
+                                            {completed.map(upload => (
+                                                <li key={upload.uploadId} className="py-2 flex justify-between">
+                                                    <span className="truncate text-gray-900">{upload.fileName}</span>
+                                                    <span className="text-gray-500">
+                                                        {upload.sku ? `attached to ${upload.sku}` : upload.uploadId}
+                                                    </span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
                             </div>
                         </div>
                     </div>
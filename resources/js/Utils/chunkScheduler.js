@@ -0,0 +1,108 @@
+// Uploads chunks through a fixed-size pool of concurrent requests, retrying
+// failed chunks with exponential backoff and reporting aggregate throughput.
+
+// How far back the throughput estimate looks (ms)
+const SPEED_WINDOW = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, capped at maxDelay
+export const backoffDelay = (attempt, baseDelay = 500, maxDelay = 10000) => {
+    return Math.min(baseDelay * Math.pow(2, attempt) + Math.random() * baseDelay, maxDelay);
+};
+
+// Tracks uploaded bytes over a sliding window to estimate bytes per second
+const createSpeedMeter = () => {
+    const samples = [];
+
+    return {
+        add(bytes) {
+            samples.push({ time: Date.now(), bytes });
+        },
+        bytesPerSecond() {
+            const now = Date.now();
+            while (samples.length && now - samples[0].time > SPEED_WINDOW) {
+                samples.shift();
+            }
+            if (!samples.length) return 0;
+
+            const bytes = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+            const elapsed = Math.max(now - samples[0].time, 1000);
+            return Math.round((bytes / elapsed) * 1000);
+        },
+    };
+};
+
+/**
+ * Upload the given chunk indexes with at most `concurrency` requests in flight.
+ *
+ * `sendChunk(index)` must upload one chunk and resolve with the number of bytes
+ * sent. A chunk is retried up to `maxRetries` times before the whole run fails;
+ * chunks already in flight are allowed to settle, but no new ones are started.
+ * `beforeChunk()` is awaited before each chunk starts, which lets the caller
+ * hold the pool while paused or stop it by throwing.
+ */
+export const runChunkPool = async ({
+    chunkIndexes,
+    sendChunk,
+    concurrency = 3,
+    maxRetries = 3,
+    beforeChunk = async () => {},
+    onChunkComplete = () => {},
+    onProgress = () => {},
+}) => {
+    const queue = [...chunkIndexes];
+    const speed = createSpeedMeter();
+    let uploadedBytes = 0;
+    let failure = null;
+
+    const sendWithRetry = async (index) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await sendChunk(index);
+            } catch (error) {
+                if (attempt >= maxRetries || error.retryable === false) throw error;
+
+                const delay = backoffDelay(attempt);
+                console.warn(`Chunk ${index} failed (attempt ${attempt + 1}), retrying in ${Math.round(delay)}ms`, error);
+                await sleep(delay);
+            }
+        }
+    };
+
+    const worker = async () => {
+        while (queue.length && !failure) {
+            const index = queue.shift();
+            try {
+                await beforeChunk();
+                if (failure) break;
+
+                const bytes = await sendWithRetry(index);
+                uploadedBytes += bytes;
+                speed.add(bytes);
+                await onChunkComplete(index, bytes);
+                onProgress({ uploadedBytes, bytesPerSecond: speed.bytesPerSecond() });
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker);
+    await Promise.all(workers);
+
+    if (failure) throw failure;
+    return { uploadedBytes };
+};
+
+// Human readable transfer rate, e.g. "4.2 MB/s"
+export const formatSpeed = (bytesPerSecond) => {
+    const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
+    let value = bytesPerSecond;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
@@ -0,0 +1,525 @@
+// Client side of the chunked upload protocol in UploadController: uploads one
+// file chunk by chunk, completes it, waits for image processing and attaches
+// it to a product. Used by the upload queue for every file it handles, and by
+// the product import page for the product file (purpose "import").
+import {
+    fileFingerprint,
+    getUploadSession,
+    saveUploadSession,
+    markChunkCompleted,
+    deleteUploadSession,
+} from '@/Utils/uploadSessions';
+import { runChunkPool } from '@/Utils/chunkScheduler';
+import { hashBlobIncrementally } from '@/Utils/incrementalHash';
+import { hashFileInWorker } from '@/Utils/fileChecksum';
+import { subscribeToUploadStatus } from '@/Utils/uploadStatusChannel';
+
+// Generate a UUIDv4 (used for client-side IDs, e.g. of upload queue items)
+export const generateUUID = () => {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+        const r = Math.random() * 16 | 0;
+        const v = c === 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+};
+
+// Get CSRF token from meta tag
+export const getCsrfToken = () => {
+    return document.head.querySelector('meta[name="csrf-token"]')?.content;
+};
+
+// Hash a chunk with the session's algorithm (must match backend's PHP hash())
+const calculateChecksum = (chunk, algorithm) => hashBlobIncrementally(chunk, { algorithm });
+
+// Thrown when an upload is cancelled through its control
+export class UploadCancelledError extends Error {
+    constructor(message = 'Upload cancelled') {
+        super(message);
+        this.name = 'UploadCancelledError';
+        this.retryable = false;
+    }
+}
+
+// Thrown when the server refuses a file for its content (wrong type, too many
+// pixels) or quarantines it for a virus; the message says why and `status`
+// which of the two. Sending it again won't help.
+export class UploadRejectedError extends Error {
+    constructor(message = 'The file was rejected', status = 'rejected') {
+        super(message);
+        this.name = 'UploadRejectedError';
+        this.status = status;
+        this.retryable = false;
+    }
+}
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// Pause/resume/cancel switch for one running upload. The upload checks in at
+// checkpoint() before every chunk; requests in flight are aborted through
+// `signal`, which pause() and cancel() abort. `cancelSignal` only aborts on
+// cancel, for work that should survive a pause (hashing, status polling).
+export const createUploadControl = () => {
+    let paused = false;
+    let cancelled = false;
+    let waiters = [];
+    let requests = new AbortController();
+    const cancellation = new AbortController();
+
+    const release = () => {
+        waiters.forEach(resolve => resolve());
+        waiters = [];
+    };
+
+    return {
+        get paused() {
+            return paused;
+        },
+        get cancelled() {
+            return cancelled;
+        },
+        get signal() {
+            return requests.signal;
+        },
+        get cancelSignal() {
+            return cancellation.signal;
+        },
+        pause() {
+            if (paused || cancelled) return;
+            paused = true;
+            // Stop the chunks in flight; they are sent again after resume()
+            requests.abort();
+            requests = new AbortController();
+        },
+        resume() {
+            paused = false;
+            release();
+        },
+        cancel() {
+            cancelled = true;
+            requests.abort();
+            cancellation.abort();
+            release();
+        },
+        async checkpoint() {
+            while (paused && !cancelled) {
+                await new Promise(resolve => waiters.push(resolve));
+            }
+            if (cancelled) throw new UploadCancelledError();
+        },
+    };
+};
+
+// Ask the backend which chunks of an upload it already has (null if the session is gone)
+export const fetchReceivedChunks = async (uploadId) => {
+    const response = await fetch(`/api/upload/${uploadId}/chunks`, {
+        method: 'GET',
+        headers: {
+            'Accept': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken(),
+            'Cache-Control': 'no-cache',
+        },
+        credentials: 'same-origin'
+    });
+
+    // A session started by someone else who used this browser can't be resumed either
+    if ([403, 404].includes(response.status)) return null;
+    if (!response.ok) throw new Error('Failed to check uploaded chunks');
+    return await response.json();
+};
+
+// Look for an unfinished upload of the same file and ask the server how far it got
+export const findResumableSession = async (file) => {
+    const fingerprint = fileFingerprint(file);
+    const session = await getUploadSession(fingerprint);
+    if (!session) return null;
+
+    try {
+        const serverState = await fetchReceivedChunks(session.uploadId);
+        const expired = serverState?.expires_at && Date.parse(serverState.expires_at) <= Date.now();
+        if (!serverState || serverState.status !== 'uploading' || expired) {
+            await deleteUploadSession(fingerprint);
+            return null;
+        }
+
+        // The server is the source of truth for which chunks actually arrived
+        const receivedChunks = serverState.received_chunks
+            .filter(index => index < session.totalChunks);
+
+        return {
+            ...session,
+            checksumAlgorithm: serverState.checksum_algorithm || session.checksumAlgorithm,
+            chunkSize: serverState.chunk_size || session.chunkSize,
+            receivedChunks,
+            percent: Math.floor((receivedChunks.length / session.totalChunks) * 100),
+        };
+    } catch (error) {
+        console.warn('Could not check resumable upload:', error);
+        return null;
+    }
+};
+
+// Forget the saved session of a file so its next upload starts from scratch
+export const discardUploadSession = (file) => deleteUploadSession(fileFingerprint(file));
+
+// Tell the backend to drop an unfinished upload (chunks, files and pending processing)
+export const cancelServerUpload = async (uploadId) => {
+    try {
+        const response = await fetch(`/api/upload/${uploadId}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': getCsrfToken(),
+            },
+            credentials: 'same-origin'
+        });
+
+        // 404: never reached the server; 409: already finished
+        if (!response.ok && ![404, 409].includes(response.status)) {
+            console.warn(`Failed to cancel upload ${uploadId} on the server (HTTP ${response.status})`);
+        }
+    } catch (error) {
+        console.warn('Failed to cancel upload on the server:', error);
+    }
+};
+
+// 🕐 Wait until the backend has finished processing the image, following the
+// upload's status channel (or polling without a socket)
+export const waitForImageReady = (uploadId, { timeout = 300000 /* 5 minutes */, signal } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new UploadCancelledError());
+            return;
+        }
+
+        let unsubscribe = () => {};
+        let timer = null;
+        const onAbort = () => settle(reject, new UploadCancelledError());
+
+        function settle(callback, value) {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            unsubscribe();
+            callback(value);
+        }
+
+        timer = setTimeout(() => {
+            settle(reject, new Error('Image processing took too long. Please try again or use a smaller image.'));
+        }, timeout);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        unsubscribe = subscribeToUploadStatus(uploadId, (update) => {
+            if (update.status === 'complete') {
+                settle(resolve, true); // Image is ready to attach
+            } else if (['rejected', 'quarantined'].includes(update.status)) {
+                settle(reject, new UploadRejectedError(update.message || undefined, update.status));
+            } else if (update.status === 'failed') {
+                settle(reject, new Error(update.message || 'Image processing failed'));
+            } else if (update.status === 'cancelled') {
+                settle(reject, new UploadCancelledError());
+            }
+        });
+    });
+};
+
+// Start an upload session. The server checks the file against the limits of
+// its purpose and answers with the upload ID, chunk size and chunk count to use.
+export const initUpload = async (file, { purpose = 'image', algorithm, signal } = {}) => {
+    const response = await fetch('/api/upload/init', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken(),
+            'Accept': 'application/json',
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify({
+            file_name: file.name,
+            file_size: file.size,
+            mime_type: file.type || null,
+            checksum_algorithm: algorithm,
+            purpose,
+        }),
+        signal,
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.message || 'Could not start the upload');
+        error.code = body.error;
+        // A file over the limits or the user's quota, of the wrong type or sent
+        // while logged out won't be accepted on retry either
+        error.retryable = ![401, 403, 422].includes(response.status);
+        throw error;
+    }
+    return await response.json();
+};
+
+// Upload a single chunk to the backend
+export const uploadChunk = async ({ chunk, chunkIndex, totalChunks, uploadId, algorithm, file, signal }) => {
+    const chunkChecksum = await calculateChecksum(chunk, algorithm);
+
+    const formData = new FormData();
+    formData.append('chunk', chunk, file.name);
+    formData.append('upload_id', uploadId);
+    formData.append('chunk_index', chunkIndex.toString());
+    formData.append('total_chunks', totalChunks.toString());
+    formData.append('chunk_checksum', chunkChecksum);
+    formData.append('checksum_algorithm', algorithm);
+
+    const response = await fetch('/api/upload/chunk', {
+        method: 'POST',
+        headers: {
+            'X-CSRF-TOKEN': getCsrfToken(),
+            'Accept': 'application/json',
+        },
+        credentials: 'same-origin',
+        body: formData,
+        signal,
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        if (body.error === 'upload_cancelled') throw new UploadCancelledError();
+
+        const error = new Error(['upload_expired', 'forbidden', 'upload_not_in_progress'].includes(body.error) ? body.message : 'Chunk upload failed');
+        error.code = body.error;
+        // Validation errors other than a checksum mismatch won't fix themselves
+        // on retry, and neither does a lost login (401), someone else's upload
+        // (403), an unknown (404), completed (409) or expired (410) session
+        error.retryable = ![401, 403, 404, 409, 410, 422].includes(response.status) || body.error === 'chunk checksum mismatch';
+        throw error;
+    }
+    return await response.json();
+};
+
+// After all chunks are uploaded, tell backend to assemble the file. `fields`
+// are sent along as is, e.g. the column mapping of an import.
+export const completeUpload = async (uploadId, checksum, algorithm, { signal, fields = {} } = {}) => {
+    const formData = new FormData();
+    formData.append('upload_id', uploadId);
+    formData.append('file_checksum', checksum);
+    formData.append('checksum_algorithm', algorithm);
+    formData.append('_token', getCsrfToken());
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+    const response = await fetch('/api/upload/complete', {
+        method: 'POST',
+        headers: {
+            'X-CSRF-TOKEN': getCsrfToken(),
+            'Accept': 'application/json',
+        },
+        credentials: 'same-origin',
+        body: formData,
+        signal,
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        // 409 also answers an upload that was completed already
+        if (response.status === 409 && body.error !== 'upload_not_in_progress') throw new UploadCancelledError();
+        if (body.error === 'upload_rejected') throw new UploadRejectedError(body.message);
+        if (body.error === 'upload_quarantined') throw new UploadRejectedError(body.message, 'quarantined');
+        throw new Error(body.message || 'Upload completion failed');
+    }
+    return await response.json();
+};
+
+// What became of the files of an uploaded ZIP archive so far; `status` limits
+// the listed entries, e.g. ['rejected', 'failed']
+export const fetchArchiveEntries = async (uploadId, { status = [], page = 1 } = {}) => {
+    const query = new URLSearchParams({ page: String(page) });
+    if (status.length) query.set('status', status.join(','));
+
+    const response = await fetch(`/api/upload/${uploadId}/entries?${query}`, {
+        method: 'GET',
+        headers: {
+            'Accept': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken(),
+            'Cache-Control': 'no-cache',
+        },
+        credentials: 'same-origin'
+    });
+
+    if (!response.ok) throw new Error('Failed to check the archive');
+    return await response.json();
+};
+
+// Attach a processed image to a product using SKU
+export const attachToProduct = async (uploadId, sku, isPrimary = false, { signal } = {}) => {
+    const response = await fetch('/api/upload/attach-to-product', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken(),
+            'Accept': 'application/json',
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify({
+            upload_id: uploadId,
+            sku: sku,
+            is_primary: isPrimary,
+        }),
+        signal,
+    });
+
+    // 202: still processing, which waitForImageReady should have ruled out
+    if (response.status === 202) {
+        throw new Error('Image is still being processed. Please try again later.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('Attach to product error:', errorData);
+        throw new Error(errorData.message || 'Failed to attach image to product');
+    }
+
+    return await response.json();
+};
+
+/**
+ * Run the whole upload of one file: chunks (resuming a saved session when
+ * given one), completion, image processing and the optional product attach.
+ * The server starts the session and picks the chunk size, refusing files
+ * over the limits of `purpose` before anything is sent.
+ * With `purpose: 'import'` the server hands the file to a product import
+ * instead (`completeFields` carry its options) and the upload ends there,
+ * resolving with `{ uploadId, importId, importUrl }`. A ZIP archive of images
+ * (`purpose: 'archive'`) likewise resolves once the server starts unpacking it.
+ *
+ * Progress is reported through `onProgress({ uploadedBytes, totalBytes,
+ * bytesPerSecond })`, phase changes through `onStatus(status, { uploadId })`
+ * and the background checksum through `onVerifyProgress(percent)`. Resolves
+ * with `{ uploadId }`, or `{ uploadId, importId, importUrl }` for an import.
+ * Pausing `control` aborts the chunks in flight and sends them again on
+ * resume; cancelling it aborts everything, asks the server to drop the
+ * upload and rejects with UploadCancelledError.
+ */
+export const uploadFile = async (file, {
+    sku = '',
+    isPrimary = false,
+    purpose = 'image',
+    completeFields = {},
+    chunkConcurrency = 3,
+    checksumAlgorithm = 'sha256',
+    resumeSession = null,
+    control = createUploadControl(),
+    onProgress = () => {},
+    onStatus = () => {},
+    onVerifyProgress = () => {},
+} = {}) => {
+    const fingerprint = fileFingerprint(file);
+    // A resumed session keeps the chunk size and algorithm it was started with
+    let chunkSize = resumeSession?.chunkSize;
+    let totalChunks = resumeSession?.totalChunks;
+    let uploadId = resumeSession?.uploadId || null;
+    const algorithm = resumeSession?.checksumAlgorithm || checksumAlgorithm;
+    const receivedChunks = new Set(resumeSession?.receivedChunks || []);
+
+    const uploadedBytes = () => Math.min(file.size, receivedChunks.size * chunkSize);
+
+    try {
+        if (!resumeSession) {
+            await control.checkpoint();
+            const session = await initUpload(file, { purpose, algorithm, signal: control.cancelSignal });
+            uploadId = session.upload_id;
+            chunkSize = session.chunk_size;
+            totalChunks = session.total_chunks;
+        }
+
+        // Hash the whole file in a worker while the chunks upload
+        const fileChecksumPromise = hashFileInWorker(file, {
+            algorithm,
+            signal: control.cancelSignal,
+            onProgress: (loaded, total) => onVerifyProgress(Math.floor((loaded / total) * 100)),
+        });
+        fileChecksumPromise.catch(() => {}); // awaited below; don't report it as unhandled meanwhile
+
+        if (!resumeSession) {
+            await saveUploadSession({
+                fingerprint,
+                uploadId,
+                fileName: file.name,
+                fileSize: file.size,
+                chunkSize,
+                totalChunks,
+                checksumAlgorithm: algorithm,
+                completedChunks: [],
+            });
+        }
+
+        onStatus('uploading', { uploadId });
+        onProgress({ uploadedBytes: uploadedBytes(), totalBytes: file.size, bytesPerSecond: 0 });
+
+        // Step 1: Upload the missing chunks, several at a time
+        const missingChunks = Array.from({ length: totalChunks }, (_, i) => i)
+            .filter(i => !receivedChunks.has(i));
+
+        await runChunkPool({
+            chunkIndexes: missingChunks,
+            concurrency: chunkConcurrency,
+            beforeChunk: () => control.checkpoint(),
+            sendChunk: async (i) => {
+                const start = i * chunkSize;
+                const end = Math.min(file.size, start + chunkSize);
+                const chunk = file.slice(start, end, file.type);
+
+                for (;;) {
+                    await control.checkpoint();
+                    try {
+                        await uploadChunk({ chunk, chunkIndex: i, totalChunks, uploadId, algorithm, file, signal: control.signal });
+                        return chunk.size;
+                    } catch (error) {
+                        // Aborted by a pause: send it again once resumed
+                        if (!isAbortError(error) || !(control.paused || control.cancelled)) throw error;
+                    }
+                }
+            },
+            onChunkComplete: async (i) => {
+                receivedChunks.add(i);
+                await markChunkCompleted(fingerprint, i);
+            },
+            onProgress: ({ bytesPerSecond }) => {
+                onProgress({ uploadedBytes: uploadedBytes(), totalBytes: file.size, bytesPerSecond });
+            },
+        });
+
+        // Step 2: Signal server to complete the file assembly
+        await control.checkpoint();
+        onStatus('verifying', { uploadId });
+        const fileChecksum = await fileChecksumPromise;
+        const completed = await completeUpload(uploadId, fileChecksum, algorithm, {
+            signal: control.cancelSignal,
+            fields: completeFields,
+        });
+        await deleteUploadSession(fingerprint);
+
+        // An import file is processed by the import job, which has its own status page
+        if (purpose === 'import') {
+            return { uploadId, importId: completed.import_id, importUrl: completed.import_url };
+        }
+        // An archive is unpacked on the server; follow it with fetchArchiveEntries()
+        if (purpose === 'archive') {
+            return { uploadId };
+        }
+
+        // Step 3: Wait for image processing to complete before attaching
+        onStatus('processing', { uploadId });
+        await waitForImageReady(uploadId, { signal: control.cancelSignal });
+
+        // Step 4: Attach to product (if SKU is given)
+        if (sku) {
+            onStatus('attaching', { uploadId });
+            await attachToProduct(uploadId, sku, isPrimary, { signal: control.cancelSignal });
+        }
+
+        return { uploadId };
+    } catch (error) {
+        // An expired session can't be resumed, so the next attempt starts over
+        if (error.code === 'upload_expired') await deleteUploadSession(fingerprint);
+        if (!control.cancelled) throw error;
+
+        // Whatever was in flight when the user cancelled, drop the upload server-side too
+        if (uploadId) await cancelServerUpload(uploadId);
+        throw error instanceof UploadCancelledError ? error : new UploadCancelledError();
+    }
+};
@@ -0,0 +1,157 @@
+// Reads the start of a CSV file in the browser so the import page can show a
+// preview and let the user map the file's columns to product fields before
+// anything is uploaded.
+
+// How much of the file to read for the preview (256KB)
+const PREVIEW_BYTES = 256 * 1024;
+
+// Product fields a column can be mapped to, with header names recognised automatically
+export const PRODUCT_FIELDS = [
+    { key: 'sku', label: 'SKU', required: true, aliases: ['sku', 'item code', 'item number', 'product code', 'code', 'article number'] },
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'title', 'product name', 'item name'] },
+    { key: 'description', label: 'Description', required: false, aliases: ['description', 'desc', 'details', 'long description'] },
+    { key: 'price', label: 'Price', required: false, aliases: ['price', 'cost', 'amount', 'unit price'] },
+    { key: 'category', label: 'Category', required: false, aliases: ['category', 'product category', 'group', 'product group'] },
+];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-\s]+/g, ' ').trim();
+
+/**
+ * Incremental CSV parser (RFC 4180: quoted fields may contain delimiters,
+ * doubled quotes and line breaks) for text that arrives in pieces. Every
+ * complete row is passed to `onRow`; returning false from it stops parsing.
+ */
+export const createCsvParser = ({ delimiter = ',', onRow }) => {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let stopped = false;
+    // A quote or carriage return at the end of a piece, decided by the next one
+    let pendingQuote = false;
+    let pendingReturn = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (onRow(row) === false) stopped = true;
+        row = [];
+        field = '';
+    };
+
+    const push = (text) => {
+        for (let i = 0; i < text.length && !stopped; i++) {
+            const char = text[i];
+
+            if (pendingReturn) {
+                pendingReturn = false;
+                if (char === '\n') continue;
+            }
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    pendingQuote = true;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                pendingReturn = char === '\r';
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+    };
+
+    return {
+        push,
+        // The last row needs no line break after it
+        end: () => {
+            if (!stopped && (field !== '' || row.length || pendingQuote)) endRow();
+        },
+    };
+};
+
+/**
+ * Parse CSV text into rows of fields. Stops after `maxRows` rows.
+ */
+export const parseCsv = (text, { delimiter = ',', maxRows = Infinity } = {}) => {
+    const rows = [];
+    const parser = createCsvParser({
+        delimiter,
+        onRow: (row) => rows.push(row) < maxRows,
+    });
+    if (maxRows > 0) {
+        parser.push(text);
+        parser.end();
+    }
+
+    // Blank lines aren't rows
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read the header and the first `rows` data rows of a CSV file (pass
+ * `delimiter: '\t'` for TSV). Resolves with `{ headers, rows }`.
+ */
+export const readCsvPreview = async (file, { rows = 10, delimiter = ',' } = {}) => {
+    const text = await readTextPreview(file);
+    const [headers = [], ...dataRows] = parseCsv(text, { delimiter, maxRows: rows + 1 });
+
+    return {
+        headers: headers.map(header => header.trim()),
+        rows: dataRows,
+    };
+};
+
+/**
+ * Read the start of a text file, without a byte order mark and, if the file
+ * is longer than the preview, without the possibly cut off last line (unless
+ * `wholeLines` is false).
+ */
+export const readTextPreview = async (file, { wholeLines = true } = {}) => {
+    const partial = file.size > PREVIEW_BYTES;
+    let text = await file.slice(0, PREVIEW_BYTES).text();
+    text = text.replace(/^\uFEFF/, ''); // byte order mark
+
+    // The last line of a partial read may be cut off
+    if (partial && wholeLines) {
+        text = text.slice(0, Math.max(text.lastIndexOf('\n'), 0));
+    }
+
+    return text;
+};
+
+/**
+ * Guess which column holds each product field from the header names.
+ * Returns `{ field: header }` for every field that could be matched.
+ */
+export const guessColumnMapping = (headers) => {
+    const mapping = {};
+    const normalized = headers.map(normalizeHeader);
+
+    PRODUCT_FIELDS.forEach(({ key, aliases }) => {
+        const alias = aliases.find(candidate => normalized.includes(candidate));
+        if (alias) {
+            const header = headers[normalized.indexOf(alias)];
+            if (!Object.values(mapping).includes(header)) mapping[key] = header;
+        }
+    });
+
+    return mapping;
+};
+
+// Required product fields that no column is mapped to
+export const missingRequiredFields = (mapping) =>
+    PRODUCT_FIELDS.filter(field => field.required && !mapping[field.key]);
@@ -0,0 +1,46 @@
+// Whole-file hashing in a dedicated Web Worker so checksumming a large file
+// doesn't block the page.
+import { hashBlobIncrementally } from '@/Utils/incrementalHash';
+
+// Hash a whole file in a dedicated worker, falling back to the main thread
+// (still slice by slice) where workers are unavailable. Aborting `signal`
+// stops the worker and rejects with an AbortError.
+export const hashFileInWorker = (file, { algorithm = 'md5', onProgress = () => {}, signal } = {}) => {
+    if (typeof Worker === 'undefined') {
+        return hashBlobIncrementally(file, { algorithm, onProgress });
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Checksum calculation aborted', 'AbortError'));
+            return;
+        }
+
+        const worker = new Worker(new URL('../Workers/checksum.worker.js', import.meta.url), { type: 'module' });
+
+        signal?.addEventListener('abort', () => {
+            worker.terminate();
+            reject(new DOMException('Checksum calculation aborted', 'AbortError'));
+        }, { once: true });
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                onProgress(data.loaded, data.total);
+                return;
+            }
+
+            worker.terminate();
+            if (data.type === 'done') {
+                resolve(data.checksum);
+            } else {
+                reject(new Error(data.message || 'Failed to calculate file checksum'));
+            }
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Checksum worker crashed'));
+        };
+
+        worker.postMessage({ file, algorithm });
+    });
+};
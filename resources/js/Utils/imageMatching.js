@@ -0,0 +1,124 @@
+// Works out which product each dropped image belongs to, so nobody has to type
+// a SKU under every image. An image is matched, in this order, by a row of the
+// product file that lists it in its image column, by a SKU of the file its
+// name starts with (SKU123_1.jpg, SKU123-front.png), or, when the file's SKUs
+// aren't known, by the filename pattern alone.
+
+// Used when the server doesn't configure one (imports.image_filename_pattern)
+export const DEFAULT_IMAGE_PATTERN = '^(?<sku>[^_]+?)(?:[_-][A-Za-z0-9]+)?$';
+
+// Header names recognised as a column listing each row's images
+const IMAGE_COLUMN_ALIASES = ['image filenames', 'image filename', 'image urls', 'image url', 'images', 'image', 'photos'];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-\s]+/g, ' ').trim();
+
+/**
+ * Find the column of the product file that lists each row's images, if any.
+ */
+export const guessImageColumn = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+    const alias = IMAGE_COLUMN_ALIASES.find(candidate => normalized.includes(candidate));
+
+    return alias ? headers[normalized.indexOf(alias)] : null;
+};
+
+// "https://cdn.example.com/img/SKU123-front.png?v=2" => "sku123-front.png"
+const fileKey = (nameOrUrl) => nameOrUrl.trim().replace(/[?#].*$/, '').replace(/^.*[\\/]/, '').toLowerCase();
+
+const withoutExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+/**
+ * Split an image column cell into file names: "a.jpg|b.jpg", "a.jpg; b.jpg"
+ * and "a.jpg, b.jpg" all list two images.
+ */
+export const splitImageList = (value) => (value || '')
+    .split(/\s*[|;,\n]\s*/)
+    .map(fileKey)
+    .filter(Boolean);
+
+// The `sku` group (or first group) of the filename pattern, '' if it doesn't match
+const patternSku = (name, pattern) => {
+    let match;
+    try {
+        match = new RegExp(pattern, 'i').exec(name);
+    } catch (error) {
+        console.warn(`Invalid image filename pattern ${pattern}:`, error);
+        return '';
+    }
+
+    return match ? (match.groups?.sku ?? match[1] ?? '').trim() : '';
+};
+
+const baseName = (fileName) => withoutExtension(fileName.replace(/^.*[\\/]/, '')).trim();
+
+/**
+ * SKUs an image's name may stand for: the pattern's `sku` group, the whole
+ * name, then the name with each trailing "_part" or "-part" cut off in turn.
+ */
+export const skuCandidates = (fileName, pattern = DEFAULT_IMAGE_PATTERN) => {
+    const name = baseName(fileName);
+    const candidates = [patternSku(name, pattern)];
+
+    for (let prefix = name; prefix; prefix = prefix.replace(/[_\-\s]*[^_\-\s]*$/, '')) {
+        candidates.push(prefix);
+    }
+
+    return [...new Set(candidates.filter(Boolean))];
+};
+
+/**
+ * Index the product file's SKU and image columns for matchImage():
+ * `{ skus: Map(upper-cased SKU => SKU), images: Map(file name => SKU) }`.
+ */
+export const buildCatalog = (skus, imageLists = []) => {
+    const catalog = { skus: new Map(), images: new Map() };
+
+    skus.forEach((sku, row) => {
+        const value = sku.trim();
+        if (!value) return;
+
+        catalog.skus.set(value.toUpperCase(), value);
+        splitImageList(imageLists[row]).forEach(key => {
+            if (!catalog.images.has(key)) catalog.images.set(key, value);
+        });
+    });
+
+    return catalog;
+};
+
+/**
+ * Match one image to a SKU. Returns `{ sku, matchedBy }`, where
+ * `matchedBy` is 'column', 'filename' or 'pattern' ('pattern' when no
+ * catalog was read, so the SKU is only a guess), or `{ sku: '', matchedBy:
+ * null }` when nothing fits.
+ */
+export const matchImage = (fileName, { catalog = null, pattern = DEFAULT_IMAGE_PATTERN } = {}) => {
+    if (catalog?.images.has(fileKey(fileName))) {
+        return { sku: catalog.images.get(fileKey(fileName)), matchedBy: 'column' };
+    }
+
+    if (catalog?.skus.size) {
+        // "AB-123_2.jpg" is AB-123 rather than AB when the file has both
+        const known = skuCandidates(fileName, pattern)
+            .filter(candidate => catalog.skus.has(candidate.toUpperCase()))
+            .sort((a, b) => b.length - a.length)[0];
+        return known
+            ? { sku: catalog.skus.get(known.toUpperCase()), matchedBy: 'filename' }
+            : { sku: '', matchedBy: null };
+    }
+
+    const guess = patternSku(baseName(fileName), pattern);
+    return guess
+        ? { sku: guess.toUpperCase(), matchedBy: 'pattern' }
+        : { sku: '', matchedBy: null };
+};
+
+/**
+ * SKUs of the catalog that none of the given SKUs (the images' ones) cover.
+ */
+export const skusWithoutImages = (catalog, imageSkus) => {
+    if (!catalog) return [];
+
+    const covered = new Set(imageSkus.filter(Boolean).map(sku => sku.toUpperCase()));
+    return [...catalog.skus].filter(([key]) => !covered.has(key)).map(([, sku]) => sku);
+};
@@ -0,0 +1,484 @@
+// Previews every kind of file the product importer reads: CSV and TSV (see
+// csvPreview.js), Excel workbooks and JSON / NDJSON feeds. Each preview is
+// `{ headers, rows }` like the CSV one, so the column mapper works the same
+// for all of them.
+import { Unzip, UnzipInflate } from 'fflate';
+import { readCsvPreview, readTextPreview, createCsvParser } from '@/Utils/csvPreview';
+
+// Formats by file extension (kept in line with RowReader::FORMATS on the server)
+export const IMPORT_FORMATS = {
+    csv: 'CSV',
+    txt: 'CSV',
+    tsv: 'TSV',
+    xlsx: 'Excel',
+    json: 'JSON',
+    ndjson: 'NDJSON',
+    jsonl: 'NDJSON',
+};
+
+// Value for the file input's `accept` attribute
+export const IMPORT_ACCEPT = Object.keys(IMPORT_FORMATS).map(extension => `.${extension}`).join(',');
+
+// How much of a workbook's sheet to parse for the preview (1MB of XML)
+const SHEET_PREVIEW_BYTES = 1024 * 1024;
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Get the import format of a file from its extension, or null if the
+ * importer can't read it.
+ */
+export const importFormat = (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return IMPORT_FORMATS[extension] ? extension : null;
+};
+
+/**
+ * Read the header and the first `rows` data rows of an import file.
+ *
+ * Resolves with `{ headers, rows }`; workbooks also give `sheets` (the sheet
+ * names) and `sheet` (the one shown, `sheet` option or the first).
+ */
+export const readImportPreview = async (file, { rows = 10, sheet = null } = {}) => {
+    switch (importFormat(file)) {
+        case 'csv':
+        case 'txt':
+            return readCsvPreview(file, { rows });
+        case 'tsv':
+            return readCsvPreview(file, { rows, delimiter: '\t' });
+        case 'xlsx':
+            return readXlsxPreview(file, { rows, sheet });
+        case 'json':
+        case 'ndjson':
+        case 'jsonl':
+            return readJsonPreview(file, { rows });
+        default:
+            throw new Error(`Unsupported file type: ${file.name}`);
+    }
+};
+
+// Line objects up by the keys of the first one, as the server does
+const objectsToPreview = (objects) => {
+    const headers = Object.keys(objects[0] || {});
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+
+    return {
+        headers,
+        rows: objects.map(object => headers.map(header => cell(object?.[header]))),
+    };
+};
+
+/**
+ * Split the text of a JSON array, pushed piece by piece, into the texts of
+ * its elements. Calls `onElement(text)` for every complete element; return
+ * false from it to stop. Only the element being read is held in memory.
+ */
+export const createJsonArraySplitter = (onElement) => {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let element = null; // Text of the current element so far; null before the array starts
+    let stopped = false;
+
+    const push = (text) => {
+        let start = 0;
+
+        for (let i = 0; i < text.length && !stopped; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '[' || char === '{') {
+                if (depth++ === 0) {
+                    element = '';
+                    start = i + 1;
+                }
+            } else if (char === ',' || char === ']' || char === '}') {
+                if (char !== ',') depth--;
+                if ((char === ',' && depth === 1) || depth === 0) {
+                    const item = (element + text.slice(start, i)).trim();
+                    if (item && onElement(item) === false) stopped = true;
+                    element = '';
+                    start = i + 1;
+                }
+                if (depth === 0) stopped = true;
+            }
+        }
+
+        if (element !== null && !stopped) element += text.slice(start);
+    };
+
+    return { push };
+};
+
+/**
+ * Split the complete elements off the start of a JSON array's text, which
+ * may be cut off anywhere. Returns at most `max` element texts.
+ */
+export const splitJsonArray = (text, max = Infinity) => {
+    const elements = [];
+    if (max > 0) {
+        createJsonArraySplitter(element => elements.push(element) < max).push(text);
+    }
+    return elements;
+};
+
+const readJsonPreview = async (file, { rows }) => {
+    const text = await readTextPreview(file, { wholeLines: false });
+    const isArray = text.trimStart().startsWith('[');
+
+    // One object per line, unless the file is a JSON array
+    const texts = isArray
+        ? splitJsonArray(text, rows)
+        : text.split(/\r?\n/).filter(line => line.trim()).slice(0, rows);
+
+    // The last line of a partial NDJSON read may be cut off
+    const objects = [];
+    for (const item of texts) {
+        try {
+            objects.push(JSON.parse(item));
+        } catch (error) {
+            if (objects.length === 0) throw error;
+            break;
+        }
+    }
+
+    return objectsToPreview(objects);
+};
+
+// Text of a shared or inline string, without phonetic hints
+const stringText = (node) => Array.from(node.getElementsByTagNameNS(SPREADSHEET_NS, 't'))
+    .filter(run => run.parentNode.localName !== 'rPh')
+    .map(run => run.textContent)
+    .join('');
+
+// "AB" => 27
+const columnIndex = (letters) => [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// Complete <row> and <si> elements at the start of a piece of XML
+const ROW_PATTERN = /<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g;
+const SHARED_STRING_PATTERN = /<si\b[^>]*?(?:\/>|>[\s\S]*?<\/si>)/g;
+
+// Stream a ZIP file, inflating only the entries `pick(name)` returns a
+// receiver for. The receiver gets the entry's text piece by piece
+// (`final` on the last one) and returns false once nothing more of the
+// file is needed; the rest of the file is then not read.
+const streamZip = async (file, pick) => {
+    const reader = file.stream().getReader();
+    let stopped = false;
+
+    const unzip = new Unzip((entry) => {
+        const receive = pick(entry.name);
+        if (!receive) return;
+
+        const decoder = new TextDecoder();
+        entry.ondata = (error, chunk, final) => {
+            if (error) throw error;
+            if (stopped) return;
+            if (receive(decoder.decode(chunk, { stream: !final }), final) === false) {
+                stopped = true;
+                entry.terminate();
+            }
+        };
+        entry.start();
+    });
+    unzip.register(UnzipInflate);
+
+    try {
+        while (!stopped) {
+            const { done, value } = await reader.read();
+            if (done) {
+                unzip.push(new Uint8Array(0), true);
+                break;
+            }
+            unzip.push(value);
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+};
+
+// Sheet names with the files they are stored in, the chosen sheet (the
+// `sheet` option or the first) and the file holding the shared strings
+const readWorkbook = async (file, sheet) => {
+    const parts = { 'xl/workbook.xml': null, 'xl/_rels/workbook.xml.rels': null };
+
+    await streamZip(file, (name) => {
+        if (!(name in parts)) return null;
+        let text = '';
+        return (piece, final) => {
+            text += piece;
+            if (final) parts[name] = text;
+            return Object.values(parts).some(part => part === null);
+        };
+    });
+    if (parts['xl/workbook.xml'] === null || parts['xl/_rels/workbook.xml.rels'] === null) {
+        throw new Error('The file is not an Excel workbook');
+    }
+
+    const targets = {};
+    let sharedStrings = null;
+    Array.from(parseXml(parts['xl/_rels/workbook.xml.rels']).getElementsByTagName('Relationship')).forEach(relationship => {
+        const target = relationship.getAttribute('Target');
+        const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        targets[relationship.getAttribute('Id')] = path;
+        if ((relationship.getAttribute('Type') || '').endsWith('/sharedStrings')) sharedStrings = path;
+    });
+    const sheets = Array.from(parseXml(parts['xl/workbook.xml']).getElementsByTagNameNS(SPREADSHEET_NS, 'sheet'))
+        .map(node => ({ name: node.getAttribute('name'), path: targets[node.getAttributeNS(RELATIONSHIPS_NS, 'id')] }))
+        .filter(({ path }) => path);
+
+    const chosen = sheets.find(({ name }) => name === sheet) || sheets[0];
+    if (!chosen) throw new Error('The workbook has no sheets');
+
+    return { sheets, chosen, sharedStrings: sharedStrings ?? 'xl/sharedStrings.xml' };
+};
+
+// Cell values of a <row>; shared strings come as `{ s: index }`, since
+// Excel stores them after the sheets
+const rowCells = (row) => {
+    const cells = [];
+    let column = 0;
+
+    Array.from(row.getElementsByTagNameNS(SPREADSHEET_NS, 'c')).forEach(cell => {
+        const ref = /^([A-Z]+)/.exec(cell.getAttribute('r') || '');
+        if (ref) column = columnIndex(ref[1]);
+
+        const type = cell.getAttribute('t');
+        const value = cell.getElementsByTagNameNS(SPREADSHEET_NS, 'v')[0]?.textContent ?? '';
+        while (cells.length < column) cells.push('');
+        cells[column++] = type === 's' ? { s: Number(value) }
+            : type === 'inlineStr' ? stringText(cell)
+            : value;
+    });
+
+    return cells;
+};
+
+const isBlankRow = (cells) => !cells.some(value => typeof value !== 'string' || value.trim() !== '');
+
+// Call `onRow(cells)` for every row of a sheet that isn't blank, in order,
+// until it returns false or `maxBytes` of the sheet's XML have been read
+const streamSheetRows = async (file, path, { onRow, maxBytes = Infinity }) => {
+    let xml = '';
+    let bytes = 0;
+
+    await streamZip(file, (name) => name === path && ((piece, final) => {
+        xml += piece;
+        bytes += piece.length;
+
+        let end = 0;
+        const rows = [];
+        for (const match of xml.matchAll(ROW_PATTERN)) {
+            rows.push(match[0]);
+            end = match.index + match[0].length;
+        }
+        xml = xml.slice(end);
+
+        if (rows.length) {
+            const sheetData = parseXml(`<sheetData xmlns="${SPREADSHEET_NS}">${rows.join('')}</sheetData>`);
+            for (const row of sheetData.getElementsByTagNameNS(SPREADSHEET_NS, 'row')) {
+                const cells = rowCells(row);
+                if (!isBlankRow(cells) && onRow(cells) === false) return false;
+            }
+        }
+
+        return !final && bytes < maxBytes;
+    }));
+};
+
+// The shared strings at the given indexes, by index
+const readSharedStrings = async (file, path, indexes) => {
+    const strings = new Map();
+    if (!indexes.size) return strings;
+
+    const last = [...indexes].reduce((max, index) => Math.max(max, index), 0);
+    let xml = '';
+    let index = 0;
+
+    await streamZip(file, (name) => name === path && ((piece, final) => {
+        xml += piece;
+
+        let end = 0;
+        for (const match of xml.matchAll(SHARED_STRING_PATTERN)) {
+            if (indexes.has(index)) {
+                strings.set(index, stringText(parseXml(`<sst xmlns="${SPREADSHEET_NS}">${match[0]}</sst>`).documentElement));
+            }
+            index++;
+            end = match.index + match[0].length;
+        }
+        xml = xml.slice(end);
+
+        return !final && index <= last;
+    }));
+
+    return strings;
+};
+
+// Shared string indexes used by some rows of cells
+const sharedIndexes = (rows) => new Set(rows.flat().filter(cell => typeof cell !== 'string').map(cell => cell.s));
+
+const cellText = (cell, strings) => (typeof cell === 'string' ? cell : strings.get(cell.s) ?? '');
+
+// Workbooks are streamed: only the sheet shown and the shared strings it
+// uses are inflated, and only up to the rows needed
+const readXlsxPreview = async (file, { rows, sheet, maxBytes = SHEET_PREVIEW_BYTES }) => {
+    const { sheets, chosen, sharedStrings } = await readWorkbook(file, sheet);
+
+    const values = [];
+    await streamSheetRows(file, chosen.path, {
+        maxBytes,
+        onRow: (cells) => values.push(cells) <= rows,
+    });
+
+    const strings = await readSharedStrings(file, sharedStrings, sharedIndexes(values));
+    const [headers = [], ...dataRows] = values.map(cells => cells.map(cell => cellText(cell, strings)));
+
+    return {
+        headers: headers.map(header => header.trim()),
+        rows: dataRows.map(row => [...row, ...Array(Math.max(headers.length - row.length, 0)).fill('')]),
+        sheets: sheets.map(({ name }) => name),
+        sheet: chosen.name,
+    };
+};
+
+// Call `onText` with a text file's contents piece by piece, without a byte order mark
+const streamText = async (file, onText) => {
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    let first = true;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        onText(first ? value.replace(/^\uFEFF/, '') : value);
+        first = false;
+    }
+};
+
+const readCsvColumns = async (file, wanted, delimiter) => {
+    const columns = Object.fromEntries(wanted.map(header => [header, []]));
+    let indexes = null;
+
+    const parser = createCsvParser({
+        delimiter,
+        onRow: (row) => {
+            if (!row.some(value => value.trim() !== '')) return;
+            if (!indexes) {
+                const headers = row.map(header => header.trim());
+                indexes = wanted.map(header => headers.indexOf(header));
+                return;
+            }
+            wanted.forEach((header, i) => columns[header].push(row[indexes[i]] ?? ''));
+        },
+    });
+    await streamText(file, text => parser.push(text));
+    parser.end();
+
+    return columns;
+};
+
+// Add the wanted values of a JSON object to `columns`
+const addObjectValues = (columns, wanted, object) => {
+    const { headers, rows: [row] } = objectsToPreview([object]);
+    wanted.forEach(header => columns[header].push(row[headers.indexOf(header)] ?? ''));
+};
+
+const readNdjsonColumns = async (file, wanted) => {
+    const columns = Object.fromEntries(wanted.map(header => [header, []]));
+    const addLine = (line) => {
+        if (line.trim()) addObjectValues(columns, wanted, JSON.parse(line));
+    };
+
+    let rest = '';
+    await streamText(file, (text) => {
+        const lines = (rest + text).split(/\r?\n/);
+        rest = lines.pop();
+        lines.forEach(addLine);
+    });
+    addLine(rest);
+
+    return columns;
+};
+
+const readJsonArrayColumns = async (file, wanted) => {
+    const columns = Object.fromEntries(wanted.map(header => [header, []]));
+    const splitter = createJsonArraySplitter(item => addObjectValues(columns, wanted, JSON.parse(item)));
+
+    await streamText(file, text => splitter.push(text));
+
+    return columns;
+};
+
+// The header row is read first to find the wanted columns; then only their
+// cells are kept, and only the shared strings among them are looked up
+const readXlsxColumns = async (file, wanted, sheet) => {
+    const { chosen, sharedStrings } = await readWorkbook(file, sheet);
+
+    let header = null;
+    await streamSheetRows(file, chosen.path, {
+        onRow: (cells) => {
+            header = cells;
+            return false;
+        },
+    });
+
+    const headerStrings = await readSharedStrings(file, sharedStrings, sharedIndexes([header ?? []]));
+    const headers = (header ?? []).map(cell => cellText(cell, headerStrings).trim());
+    const indexes = wanted.map(name => headers.indexOf(name));
+
+    const cells = Object.fromEntries(wanted.map(name => [name, []]));
+    let first = true;
+    await streamSheetRows(file, chosen.path, {
+        onRow: (row) => {
+            if (first) {
+                first = false;
+                return;
+            }
+            wanted.forEach((name, i) => cells[name].push(row[indexes[i]] ?? ''));
+        },
+    });
+
+    const strings = await readSharedStrings(file, sharedStrings, sharedIndexes(Object.values(cells)));
+
+    return Object.fromEntries(wanted.map(name => [name, cells[name].map(cell => cellText(cell, strings))]));
+};
+
+/**
+ * Read whole columns of an import file, e.g. every SKU, so rows can be
+ * checked against other files before the import starts.
+ *
+ * Resolves with `{ header: values }`, one value per data row ('' where the
+ * row has none). Every format is streamed, so only the wanted columns are
+ * held in memory.
+ */
+export const readImportColumns = async (file, headers, { sheet = null } = {}) => {
+    const format = importFormat(file);
+    if (format === 'csv' || format === 'txt' || format === 'tsv') {
+        return readCsvColumns(file, headers, format === 'tsv' ? '\t' : ',');
+    }
+
+    // A .json file may hold one object per line as well
+    const start = (await file.slice(0, 1024).text()).replace(/^\uFEFF/, '').trimStart();
+    if (format === 'ndjson' || format === 'jsonl' || (format === 'json' && !start.startsWith('['))) {
+        return readNdjsonColumns(file, headers);
+    }
+
+    if (format === 'xlsx') {
+        return readXlsxColumns(file, headers, sheet);
+    }
+    if (format === 'json') {
+        return readJsonArrayColumns(file, headers);
+    }
+
+    throw new Error(`Unsupported file type: ${file.name}`);
+};
@@ -0,0 +1,10 @@
+// Label and colour for every import status
+export const STATUS_LABELS = {
+    pending: ['Waiting to start', 'text-gray-600'],
+    processing: ['Importing…', 'text-blue-600'],
+    preview: ['Preview ready – not applied yet', 'text-yellow-600'],
+    complete: ['Finished', 'text-green-600'],
+    failed: ['Failed', 'text-red-600'],
+    reverting: ['Reverting…', 'text-blue-600'],
+    reverted: ['Reverted', 'text-gray-600'],
+};
@@ -0,0 +1,78 @@
+// Incremental hashing of a Blob, reading it slice by slice so large files are
+// never held in memory at once. Shared by the checksum worker and its fallback.
+// Digests are lowercase hex and match PHP's hash() for the same algorithm.
+import CryptoJS from 'crypto-js';
+
+// Size of each slice read while hashing (8MB)
+const SLICE_SIZE = 8 * 1024 * 1024;
+
+// Algorithms the upload protocol understands
+export const CHECKSUM_ALGORITHMS = ['md5', 'sha256', 'crc32c'];
+
+// CRC-32C (Castagnoli) lookup table, reflected polynomial 0x82F63B78
+const CRC32C_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0x82F63B78 : crc >>> 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+const createCrc32cHasher = () => {
+    let crc = 0xFFFFFFFF;
+
+    return {
+        update(bytes) {
+            for (let i = 0; i < bytes.length; i++) {
+                crc = CRC32C_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+        },
+        digest() {
+            return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+        },
+    };
+};
+
+const createCryptoJsHasher = (algorithm) => {
+    const hasher = algorithm.create();
+
+    return {
+        update(bytes) {
+            hasher.update(CryptoJS.lib.WordArray.create(bytes));
+        },
+        digest() {
+            return hasher.finalize().toString();
+        },
+    };
+};
+
+// Create an incremental hasher exposing update(Uint8Array) and digest()
+export const createHasher = (algorithm = 'md5') => {
+    switch (algorithm) {
+        case 'md5':
+            return createCryptoJsHasher(CryptoJS.algo.MD5);
+        case 'sha256':
+            return createCryptoJsHasher(CryptoJS.algo.SHA256);
+        case 'crc32c':
+            return createCrc32cHasher();
+        default:
+            throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+    }
+};
+
+// Hash a Blob slice by slice, reporting how many bytes have been processed
+export const hashBlobIncrementally = async (blob, { algorithm = 'md5', sliceSize = SLICE_SIZE, onProgress = () => {} } = {}) => {
+    const hasher = createHasher(algorithm);
+
+    for (let offset = 0; offset < blob.size; offset += sliceSize) {
+        const buffer = await blob.slice(offset, offset + sliceSize).arrayBuffer();
+        hasher.update(new Uint8Array(buffer));
+        onProgress(Math.min(offset + sliceSize, blob.size), blob.size);
+    }
+
+    return hasher.digest();
+};
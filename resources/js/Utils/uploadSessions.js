@@ -0,0 +1,106 @@
+// Persists in-flight chunked upload sessions in IndexedDB so an upload can be
+// resumed after a page reload or browser crash.
+
+const DB_NAME = 'chunked-uploads';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+let dbPromise = null;
+
+// Open (and lazily create) the sessions database
+const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'fingerprint' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+
+    return dbPromise;
+};
+
+// Run a single request against the sessions store
+const withStore = async (mode, callback) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// Identify a file across page loads without reading its contents
+export const fileFingerprint = (file) => {
+    return [file.name, file.size, file.lastModified, file.type].join(':');
+};
+
+// Get the saved session for a file, or null when there is none
+export const getUploadSession = async (fingerprint) => {
+    try {
+        return (await withStore('readonly', (store) => store.get(fingerprint))) || null;
+    } catch (error) {
+        console.warn('Could not read upload session:', error);
+        return null;
+    }
+};
+
+// Create or replace the saved session for a file
+export const saveUploadSession = async (session) => {
+    try {
+        await withStore('readwrite', (store) => store.put({ ...session, updatedAt: Date.now() }));
+    } catch (error) {
+        console.warn('Could not save upload session:', error);
+    }
+};
+
+// Record one more completed chunk for a saved session
+export const markChunkCompleted = async (fingerprint, chunkIndex) => {
+    try {
+        // Read and write in one transaction so concurrent chunk completions don't race
+        await withStore('readwrite', (store) => {
+            const request = store.get(fingerprint);
+            request.onsuccess = () => {
+                const session = request.result;
+                if (!session || session.completedChunks.includes(chunkIndex)) return;
+
+                store.put({
+                    ...session,
+                    completedChunks: [...session.completedChunks, chunkIndex],
+                    updatedAt: Date.now(),
+                });
+            };
+            return request;
+        });
+    } catch (error) {
+        console.warn('Could not update upload session:', error);
+    }
+};
+
+// Forget a session once its upload has completed or been abandoned
+export const deleteUploadSession = async (fingerprint) => {
+    try {
+        await withStore('readwrite', (store) => store.delete(fingerprint));
+    } catch (error) {
+        console.warn('Could not delete upload session:', error);
+    }
+};
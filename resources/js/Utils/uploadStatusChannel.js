@@ -0,0 +1,153 @@
+// Live processing status of uploads. Listens on the private "uploads.{id}"
+// channel when Laravel Echo is set up (see bootstrap.js) and polls
+// /api/upload/{id}/status until the socket delivers, or whenever no socket is
+// available or the connection drops. Subscribers of the same upload share one
+// channel listener and poller.
+
+// How often to poll without a socket (ms)
+const POLL_INTERVAL = 2000;
+
+// Broadcast name of App\Events\UploadStatusUpdated
+const STATUS_EVENT = '.upload.status';
+
+const FINAL_STATUSES = ['complete', 'failed', 'cancelled', 'rejected', 'quarantined'];
+
+// Active subscriptions by upload ID
+const subscriptions = new Map();
+
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+export const socketAvailable = () => typeof window !== 'undefined' && Boolean(window.Echo);
+
+// Fetch the current status of an upload from the backend
+export const fetchUploadStatus = async (uploadId) => {
+    const response = await fetch(`/api/upload/${uploadId}/status`, {
+        method: 'GET',
+        headers: {
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+            'Cache-Control': 'no-cache',
+            'Pragma': 'no-cache'
+        },
+        credentials: 'same-origin'
+    });
+
+    if (!response.ok) throw new Error('Failed to check upload status');
+    return await response.json();
+};
+
+// Start following one upload, calling notify(update) for every status
+// update; returns a function that stops it
+const follow = (uploadId, notify) => {
+    let stopped = false;
+    let polling = false;
+    // Bumped to end the current polling loop, so a request still in flight
+    // when a pushed update arrives is dropped
+    let generation = 0;
+    let timer = null;
+
+    const stopPolling = () => {
+        generation++;
+        polling = false;
+        clearTimeout(timer);
+    };
+
+    const deliver = (update) => {
+        if (stopped) return;
+        notify(update);
+        if (isFinalStatus(update.status)) {
+            stopped = true;
+            stopPolling();
+        }
+    };
+
+    const startPolling = () => {
+        if (polling || stopped) return;
+        polling = true;
+        const current = ++generation;
+
+        const poll = async () => {
+            try {
+                const update = await fetchUploadStatus(uploadId);
+                // A pushed update is newer than whatever this request saw
+                if (current !== generation) return;
+                deliver(update);
+            } catch (error) {
+                console.warn(`Could not check status of upload ${uploadId}:`, error);
+            }
+
+            if (current === generation && !stopped) {
+                timer = setTimeout(poll, POLL_INTERVAL);
+            }
+        };
+        poll();
+    };
+
+    let leave = () => {};
+
+    if (socketAvailable()) {
+        const channelName = `uploads.${uploadId}`;
+        const connection = window.Echo.connector?.pusher?.connection;
+        // Updates broadcast while the socket is down are gone, so poll until it delivers again
+        const onStateChange = ({ current }) => {
+            if (current !== 'connected') startPolling();
+        };
+
+        window.Echo.private(channelName)
+            .listen(STATUS_EVENT, (update) => {
+                stopPolling();
+                deliver(update);
+            })
+            .error(() => startPolling());
+        connection?.bind('state_change', onStateChange);
+
+        leave = () => {
+            connection?.unbind('state_change', onStateChange);
+            window.Echo.leave(channelName);
+        };
+    }
+
+    // Updates broadcast before we subscribed are gone, and the socket may
+    // never connect: poll until the first pushed update arrives
+    startPolling();
+
+    return () => {
+        stopped = true;
+        stopPolling();
+        leave();
+    };
+};
+
+/**
+ * Call `onUpdate({ status, variant, message })` whenever the processing
+ * status of an upload changes. A late subscriber immediately gets the last
+ * known update. Returns an unsubscribe function.
+ */
+export const subscribeToUploadStatus = (uploadId, onUpdate) => {
+    let subscription = subscriptions.get(uploadId);
+
+    if (!subscription) {
+        const listeners = new Set();
+        subscription = { listeners, last: null, stop: null };
+        subscriptions.set(uploadId, subscription);
+
+        const current = subscription;
+        current.stop = follow(uploadId, (update) => {
+            current.last = update;
+            listeners.forEach(listener => listener(update));
+        });
+    } else if (subscription.last) {
+        onUpdate(subscription.last);
+    }
+
+    const current = subscription;
+    current.listeners.add(onUpdate);
+
+    return () => {
+        current.listeners.delete(onUpdate);
+        if (!current.listeners.size && subscriptions.get(uploadId) === current) {
+            current.stop();
+            subscriptions.delete(uploadId);
+        }
+    };
+};
@@ -0,0 +1,15 @@
+// Calculates the checksum of a File off the main thread.
+// Receives { file, algorithm } and posts progress, then a single done or error message.
+import { hashBlobIncrementally } from '@/Utils/incrementalHash';
+
+self.onmessage = async ({ data }) => {
+    try {
+        const checksum = await hashBlobIncrementally(data.file, {
+            algorithm: data.algorithm,
+            onProgress: (loaded, total) => self.postMessage({ type: 'progress', loaded, total }),
+        });
+        self.postMessage({ type: 'done', checksum });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
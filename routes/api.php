@@ -1,59 +1,21 @@
 <?php
 
 use App\Http\Controllers\UploadController;
-use App\Jobs\ProcessUploadJob;
-use App\Models\Upload;
 use Illuminate\Support\Facades\Route;
-use Illuminate\Support\Facades\Log;
-use Illuminate\Support\Facades\Storage;
 
-// Test route to manually trigger the ProcessUploadJob
-Route::get('test-upload-job', function () {
-    // Create a test upload record
-    $upload = Upload::create([
-        'status' => 'uploading',
-        'original_filename' => 'test-image.jpg',
-        'file_size' => 0,
-        'file_checksum' => '',
-        'meta' => []
-    ]);
-    
-    // Path to a test image (you may need to adjust this path)
-    $testImagePath = storage_path('app/public/test-image.jpg');
-    
-    if (!file_exists($testImagePath)) {
-        // Create a simple test image if it doesn't exist
-        $image = imagecreatetruecolor(100, 100);
-        $bgColor = imagecolorallocate($image, 255, 0, 0); // Red background
-        imagefill($image, 0, 0, $bgColor);
-        imagejpeg($image, $testImagePath, 90);
-        imagedestroy($image);
-    }
-    
-    // Log the test job dispatch
-    Log::info('Dispatching test ProcessUploadJob', [
-        'upload_id' => $upload->id,
-        'test_image_path' => $testImagePath,
-        'file_exists' => file_exists($testImagePath) ? 'yes' : 'no'
-    ]);
-    
-    // Dispatch the job
-    ProcessUploadJob::dispatch($upload->id, $testImagePath);
-    
-    return response()->json([
-        'message' => 'Test job dispatched',
-        'upload_id' => $upload->id,
-        'test_image_path' => $testImagePath
-    ]);
-});
-
-// File Upload Routes - Using web middleware for CSRF protection and session
-Route::middleware('web')->group(function () {
+// File Upload Routes - Using web middleware for CSRF protection and session;
+// uploads belong to the logged-in user who started them (see UploadPolicy)
+Route::middleware(['web', 'auth'])->group(function () {
     Route::prefix('upload')->group(function () {
+        Route::post('/init', [UploadController::class, 'initUpload']); // Start a session: checks the file and picks the chunk size
+        Route::get('/quota', [UploadController::class, 'quota']); // The user's upload quotas and how much of them is used
         Route::post('/chunk', [UploadController::class, 'uploadChunk']);
         Route::post('/complete', [UploadController::class, 'completeUpload']);
         Route::post('/attach-to-product', [UploadController::class, 'attachToProduct']);
         Route::get('/{uploadId}/status', [UploadController::class, 'uploadStatus']); // Main status endpoint
+        Route::get('/{uploadId}/chunks', [UploadController::class, 'receivedChunks']); // Chunks already stored, for resuming
         Route::get('/{uploadId}/ready', [UploadController::class, 'checkImageReady']); // Separate endpoint for image ready check
+        Route::get('/{uploadId}/entries', [UploadController::class, 'archiveEntries']); // Files of a ZIP archive and what became of them
+        Route::delete('/{uploadId}', [UploadController::class, 'cancelUpload']); // Cancel and clean up an unfinished upload
     });
 });
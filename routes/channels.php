@@ -0,0 +1,13 @@
+<?php
+
+use App\Models\Upload;
+use App\Models\User;
+use Illuminate\Support\Facades\Broadcast;
+
+// Processing status of a single upload (see App\Events\UploadStatusUpdated),
+// for whoever may see the upload
+Broadcast::channel('uploads.{uploadId}', function (User $user, string $uploadId) {
+    $upload = Upload::where('upload_id', $uploadId)->first();
+
+    return $upload !== null && $user->can('view', $upload);
+});
@@ -2,39 +2,29 @@
 
 use App\Http\Controllers\ProfileController;
 use Illuminate\Foundation\Application;
-use Illuminate\Support\Facades\File;
-use Illuminate\Support\Facades\Response;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
 use App\Http\Controllers\ProductImportController;
 use App\Http\Controllers\ProductController;
-
-Route::get('/uploads/{filename}', function ($filename) {
-    $path = storage_path('app/uploads/' . $filename);
-
-    if (!File::exists($path)) {
-        abort(404, "File not found: " . $path);
-    }
-
-    if (!is_readable($path)) {
-        abort(403, "Cannot access file. Check permissions for: " . $path);
-    }
-
-    $file = File::get($path);
-    $type = File::mimeType($path);
-
-    return Response::make($file, 200, [
-        'Content-Type' => $type,
-        'Content-Disposition' => 'inline'
-    ]);
-})->where('filename', '.*');
+use App\Http\Controllers\ImportController;
+use App\Http\Controllers\QuarantineController;
 
 // Product Import Routes
 Route::middleware(['auth', 'verified'])->group(function () {
     // Product import
     Route::get('/products/import', [ProductImportController::class, 'showImportForm'])->name('products.import');
-    Route::post('/api/products/import/csv', [ProductImportController::class, 'importCsv'])->name('api.products.import.csv');
-    Route::post('/api/products/upload-image', [ProductImportController::class, 'uploadImage'])->name('api.products.upload.image');
+
+    // Import history, progress and results
+    Route::get('/imports', [ImportController::class, 'index'])->name('imports.index');
+    Route::get('/imports/{import}', [ImportController::class, 'show'])->name('imports.show');
+    Route::get('/api/imports/{import}', [ImportController::class, 'status'])->name('api.imports.status');
+    Route::get('/api/imports/{import}/changes', [ImportController::class, 'changes'])->name('api.imports.changes');
+    Route::post('/api/imports/{import}/apply', [ImportController::class, 'apply'])->name('api.imports.apply');
+    Route::post('/api/imports/{import}/revert', [ImportController::class, 'revert'])->name('api.imports.revert');
+    Route::get('/imports/{import}/{type}.csv', [ImportController::class, 'downloadIssues'])
+        ->whereIn('type', ['invalid', 'duplicates', 'not-reverted'])
+        ->name('imports.issues');
+    Route::get('/imports/{import}/errors.csv', [ImportController::class, 'downloadErrors'])->name('imports.errors');
 
     // File Uploader
     Route::get('/uploads', function () {
@@ -42,6 +32,13 @@
     })->name('uploads');
 });
 
+// Admin: uploads held by the virus scanner
+Route::middleware(['auth', 'verified', 'can:admin'])->group(function () {
+    Route::get('/admin/quarantine', [QuarantineController::class, 'index'])->name('quarantine.index');
+    Route::post('/api/quarantine/{upload}/release', [QuarantineController::class, 'release'])->name('api.quarantine.release');
+    Route::delete('/api/quarantine/{upload}', [QuarantineController::class, 'purge'])->name('api.quarantine.purge');
+});
+
 // Product routes
 Route::get('/products', [ProductController::class, 'index'])->name('products.index');
 Route::get('/products/{sku}', [ProductController::class, 'show'])->name('products.show');
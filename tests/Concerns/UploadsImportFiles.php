@@ -0,0 +1,49 @@
+<?php
+
+namespace Tests\Concerns;
+
+use App\Models\Upload;
+use Illuminate\Http\UploadedFile;
+
+/**
+ * Sends product files to the import the way the import page does: as a
+ * chunked upload with `purpose=import`.
+ */
+
+trait UploadsImportFiles
+{
+    /**
+     * Upload a product file in one chunk as the current user and complete
+     * it with the given import options. The import job runs synchronously.
+     *
+     * @param string $fileName
+     * @param string $contents
+     * @param array $options Import options sent on completion: mapping, sheet, dry_run
+     * @return \Illuminate\Testing\TestResponse The completion response, or the init response if the upload was refused
+     */
+    protected function uploadImportFile(string $fileName, string $contents, array $options = [])
+    {
+        $init = $this->postJson('/api/upload/init', [
+            'purpose' => Upload::PURPOSE_IMPORT,
+            'file_name' => $fileName,
+            'file_size' => strlen($contents),
+            'mime_type' => '',
+        ]);
+        if (!$init->isSuccessful()) {
+            return $init;
+        }
+
+        $this->post('/api/upload/chunk', [
+            'upload_id' => $init->json('upload_id'),
+            'chunk_index' => 0,
+            'total_chunks' => 1,
+            'chunk' => UploadedFile::fake()->createWithContent($fileName, $contents),
+            'chunk_checksum' => md5($contents),
+        ], ['Accept' => 'application/json'])->assertOk();
+
+        return $this->postJson('/api/upload/complete', [
+            'upload_id' => $init->json('upload_id'),
+            'file_checksum' => md5($contents),
+        ] + $options);
+    }
+}
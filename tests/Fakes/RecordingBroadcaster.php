@@ -0,0 +1,95 @@
+<?php
+
+namespace Tests\Fakes;
+
+use Illuminate\Broadcasting\Broadcasters\Broadcaster;
+use Illuminate\Support\Facades\Broadcast;
+
+/**
+ * Broadcaster stand-in that keeps every broadcast in memory so tests can
+ * assert on what would have been sent over the socket.
+ */
+
+class RecordingBroadcaster extends Broadcaster
+{
+    /**
+     * The broadcasts sent so far.
+     *
+     * @var array<int, array{channels: array<int, string>, event: string, payload: array}>
+     */
+    public array $broadcasts = [];
+
+    /**
+     * Register the recorder as the default broadcast connection.
+     *
+     * @return static
+     */
+    public static function register(): static
+    {
+        $broadcaster = new static;
+
+        Broadcast::extend('recording', fn () => $broadcaster);
+        config([
+            'broadcasting.default' => 'recording',
+            'broadcasting.connections.recording' => ['driver' => 'recording'],
+        ]);
+
+        return $broadcaster;
+    }
+
+    /**
+     * Authenticate the incoming request for a given channel.
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return mixed
+     */
+    public function auth($request)
+    {
+        return $this->verifyUserCanAccessChannel($request, $request->channel_name);
+    }
+
+    /**
+     * Return the valid authentication response.
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @param  mixed  $result
+     * @return mixed
+     */
+    public function validAuthenticationResponse($request, $result)
+    {
+        return $result;
+    }
+
+    /**
+     * Record the given event instead of broadcasting it.
+     *
+     * @param  array  $channels
+     * @param  string  $event
+     * @param  array  $payload
+     * @return void
+     */
+    public function broadcast(array $channels, $event, array $payload = [])
+    {
+        $this->broadcasts[] = [
+            'channels' => $this->formatChannels($channels),
+            'event' => $event,
+            'payload' => $payload,
+        ];
+    }
+
+    /**
+     * Get the payloads broadcast as the given event on the given channel.
+     *
+     * @param  string  $channel
+     * @param  string  $event
+     * @return array<int, array>
+     */
+    public function payloads(string $channel, string $event): array
+    {
+        return array_values(array_map(
+            fn ($broadcast) => $broadcast['payload'],
+            array_filter($this->broadcasts, fn ($broadcast) => $broadcast['event'] === $event
+                && in_array($channel, $broadcast['channels'], true))
+        ));
+    }
+}
@@ -0,0 +1,675 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ExtractImageArchive;
+use App\Jobs\ProcessUploadJob;
+use App\Models\ArchiveEntry;
+use App\Models\Import;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Models\User;
+use App\Services\ImageVariants;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+use ZipArchive;
+
+/**
+ * Feature tests for the chunked upload endpoints in UploadController.
+ */
+
+class ChunkedUploadTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * The upload session used by the current test.
+     *
+     * @var string
+     */
+    protected $uploadId;
+
+    /**
+     * The logged-in user sending the uploads.
+     *
+     * @var User
+     */
+    protected $user;
+
+    /**
+     * Set up the test environment.
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->uploadId = (string) Str::uuid();
+        $this->actingAs($this->user = User::factory()->create());
+    }
+
+    /**
+     * Clean up chunk files written during the test.
+     */
+    protected function tearDown(): void
+    {
+        File::deleteDirectory(storage_path("app/uploads/tmp/{$this->uploadId}"));
+        File::delete(storage_path("app/uploads/{$this->uploadId}_assembled"));
+
+        parent::tearDown();
+    }
+
+    /**
+     * Start an upload session for a file made of the given chunks and make
+     * it the current one. The chunk size is set to the largest chunk, so the
+     * server splits the file the same way.
+     *
+     * @param array<int, string> $chunks
+     * @param array $fields Extra request fields, e.g. the purpose of the upload
+     * @return \Illuminate\Testing\TestResponse
+     */
+    protected function startUpload(array $chunks, array $fields = [])
+    {
+        config(['uploads.chunk_size' => max(array_map('strlen', $chunks))]);
+
+        $response = $this->postJson('/api/upload/init', $fields + [
+            'file_name' => 'photo.jpg',
+            'file_size' => strlen(implode('', $chunks)),
+            'mime_type' => 'image/jpeg',
+        ]);
+        $this->uploadId = $response->json('upload_id') ?? $this->uploadId;
+
+        return $response;
+    }
+
+    /**
+     * Send a single chunk for the current upload session.
+     *
+     * @param int $index
+     * @param int $totalChunks
+     * @param string $contents
+     * @param string|null $algorithm
+     * @return \Illuminate\Testing\TestResponse
+     */
+    protected function sendChunk(int $index, int $totalChunks, string $contents, ?string $algorithm = null)
+    {
+        $payload = [
+            'upload_id' => $this->uploadId,
+            'chunk_index' => $index,
+            'total_chunks' => $totalChunks,
+            'chunk' => UploadedFile::fake()->createWithContent('photo.jpg', $contents),
+            'chunk_checksum' => hash($algorithm ?? 'md5', $contents),
+        ];
+
+        if ($algorithm) {
+            $payload['checksum_algorithm'] = $algorithm;
+        }
+
+        return $this->post('/api/upload/chunk', $payload, ['Accept' => 'application/json']);
+    }
+
+    /**
+     * The contents of a small JPEG image.
+     *
+     * @return string
+     */
+    protected function jpeg(): string
+    {
+        return UploadedFile::fake()->image('photo.jpg', 20, 20)->getContent();
+    }
+
+    /**
+     * Build a ZIP archive in a temporary file.
+     *
+     * @param array<string, string> $files Contents by entry name
+     * @return string Path to the archive
+     */
+    protected function makeArchive(array $files): string
+    {
+        $path = tempnam(sys_get_temp_dir(), 'archive');
+        $zip = new ZipArchive();
+        $zip->open($path, ZipArchive::OVERWRITE);
+        foreach ($files as $name => $contents) {
+            $zip->addFromString($name, $contents);
+        }
+        $zip->close();
+
+        return $path;
+    }
+
+    /**
+     * The received chunks endpoint reports exactly which parts are on disk,
+     * so an interrupted upload can resume with only the missing ones.
+     *
+     * @return void
+     */
+    public function test_received_chunks_lists_stored_chunk_indices()
+    {
+        $this->startUpload(['first', 'second', 'third'])->assertCreated();
+        $this->sendChunk(0, 3, 'first')->assertOk();
+        $this->sendChunk(2, 3, 'third')->assertOk();
+
+        $this->getJson("/api/upload/{$this->uploadId}/chunks")
+            ->assertOk()
+            ->assertJson([
+                'upload_id' => $this->uploadId,
+                'status' => 'uploading',
+                'total_chunks' => 3,
+                'chunk_size' => 6,
+                'received_chunks' => [0, 2],
+            ]);
+    }
+
+    /**
+     * A session is only started for files within the limits of their
+     * target, and says how to send the file.
+     *
+     * @return void
+     */
+    public function test_init_enforces_the_limits_of_the_target()
+    {
+        config([
+            'uploads.chunk_size' => 4,
+            'uploads.targets.image.max_size' => 10,
+            'uploads.targets.image.max_chunks' => 2,
+        ]);
+        $init = fn (array $fields) => $this->postJson('/api/upload/init', $fields + [
+            'file_name' => 'photo.jpg',
+            'file_size' => 8,
+            'mime_type' => 'image/jpeg',
+        ]);
+
+        $init(['file_name' => 'photo.svg'])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'unsupported_file_type', 'formats' => ['jpg', 'jpeg', 'png', 'gif', 'webp']]);
+        $init(['mime_type' => 'text/html'])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'unsupported_file_type']);
+        $init(['file_size' => 11])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'file_too_large', 'max_size' => 10]);
+        $init(['file_size' => 9])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'too_many_chunks', 'max_chunks' => 2]);
+        $this->assertSame(0, Upload::count());
+
+        $response = $init([])
+            ->assertCreated()
+            ->assertJson(['chunk_size' => 4, 'total_chunks' => 2, 'checksum_algorithm' => 'md5']);
+
+        $upload = Upload::where('upload_id', $response->json('upload_id'))->firstOrFail();
+        $this->assertSame(Upload::STATUS_UPLOADING, $upload->status);
+        $this->assertSame(8, $upload->file_size);
+        $this->assertSame(Upload::PURPOSE_IMAGE, $upload->meta['purpose']);
+        $this->assertEqualsWithDelta(now()->addMinutes(config('uploads.session_ttl'))->timestamp, $upload->expires_at->timestamp, 1);
+    }
+
+    /**
+     * Chunks are only taken for a started session, within the split it
+     * settled on, while the session hasn't expired. Every chunk pushes the
+     * expiry back.
+     *
+     * @return void
+     */
+    public function test_chunks_need_a_live_session()
+    {
+        $this->sendChunk(0, 1, 'first')
+            ->assertNotFound()
+            ->assertJson(['error' => 'unknown_upload']);
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$this->uploadId}"));
+
+        config(['uploads.session_ttl' => 60]);
+        $this->startUpload(['first', 'second', 'third'])->assertCreated();
+
+        $this->sendChunk(3, 3, 'extra')
+            ->assertStatus(422)
+            ->assertJson(['error' => 'chunk_out_of_range']);
+        $this->sendChunk(0, 3, 'firstfirst')
+            ->assertStatus(422)
+            ->assertJson(['error' => 'chunk_too_large', 'chunk_size' => 6]);
+
+        $this->travel(50)->minutes();
+        $this->sendChunk(0, 3, 'first')->assertOk();
+        $this->travel(50)->minutes();
+        $this->sendChunk(1, 3, 'second')->assertOk();
+
+        $this->travel(61)->minutes();
+        $this->sendChunk(2, 3, 'third')
+            ->assertStatus(410)
+            ->assertJson(['error' => 'upload_expired']);
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5('firstsecondthird'),
+        ])->assertStatus(410);
+    }
+
+    /**
+     * Unknown upload sessions cannot be resumed.
+     *
+     * @return void
+     */
+    public function test_received_chunks_returns_not_found_for_unknown_upload()
+    {
+        $this->getJson("/api/upload/{$this->uploadId}/chunks")
+            ->assertNotFound()
+            ->assertJson(['status' => 'not_found']);
+    }
+
+    /**
+     * Chunks sent out of order are assembled by index, not arrival order.
+     *
+     * @return void
+     */
+    public function test_complete_assembles_chunks_received_out_of_order()
+    {
+        Queue::fake();
+        Storage::fake();
+
+        $jpeg = $this->jpeg();
+        $chunks = str_split($jpeg, (int) ceil(strlen($jpeg) / 3));
+
+        $this->startUpload($chunks)->assertCreated()->assertJson(['total_chunks' => 3]);
+        $this->sendChunk(2, 3, $chunks[2])->assertOk();
+        $this->sendChunk(0, 3, $chunks[0])->assertOk();
+        $this->sendChunk(1, 3, $chunks[1])->assertOk();
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($jpeg),
+        ])->assertOk()->assertJson(['status' => 'assembled']);
+
+        $this->assertSame($jpeg, Storage::get("uploads/{$this->uploadId}/original"));
+        Queue::assertPushed(ProcessUploadJob::class, 1);
+    }
+
+    /**
+     * A completed upload takes no more chunks, and completing it again
+     * doesn't queue its processing a second time.
+     *
+     * @return void
+     */
+    public function test_completed_upload_takes_no_more_chunks_or_completions()
+    {
+        Queue::fake();
+        Storage::fake();
+
+        $jpeg = $this->jpeg();
+        $this->startUpload([$jpeg])->assertCreated();
+        $this->sendChunk(0, 1, $jpeg)->assertOk();
+        $complete = fn () => $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($jpeg),
+        ]);
+
+        $complete()->assertOk();
+        $complete()
+            ->assertStatus(409)
+            ->assertJson(['error' => 'upload_not_in_progress', 'status' => Upload::STATUS_PROCESSING]);
+        $this->sendChunk(0, 1, $jpeg)
+            ->assertStatus(409)
+            ->assertJson(['error' => 'upload_not_in_progress']);
+
+        Queue::assertPushed(ProcessUploadJob::class, 1);
+        $this->assertDatabaseHas('uploads', ['upload_id' => $this->uploadId, 'status' => 'processing']);
+    }
+
+    /**
+     * Completing an upload with a gap fails and names the missing indices.
+     *
+     * @return void
+     */
+    public function test_complete_reports_missing_chunk_indices()
+    {
+        $this->startUpload(['first', 'second', 'third'])->assertCreated();
+        $this->sendChunk(0, 3, 'first')->assertOk();
+        $this->sendChunk(2, 3, 'third')->assertOk();
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5('firstsecondthird'),
+        ])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'missing_chunks', 'missing_chunks' => [1]]);
+    }
+
+    /**
+     * An assembled file is judged by its content: a PNG named .jpg, or text
+     * sent as an image, is rejected with a reason and its chunks dropped.
+     *
+     * @return void
+     */
+    public function test_complete_rejects_content_that_is_not_what_it_claims()
+    {
+        Queue::fake();
+        $png = UploadedFile::fake()->image('photo.png', 20, 20)->getContent();
+
+        $this->startUpload([$png])->assertCreated();
+        $this->sendChunk(0, 1, $png)->assertOk();
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($png),
+        ])
+            ->assertStatus(422)
+            ->assertJson([
+                'error' => 'upload_rejected',
+                'message' => 'The file content is a PNG image, but its name ends in .jpg',
+                'status' => 'rejected',
+            ]);
+
+        $upload = Upload::where('upload_id', $this->uploadId)->firstOrFail();
+        $this->assertTrue($upload->isRejected());
+        $this->assertStringContainsString('PNG image', $upload->meta['rejection_reason']);
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$this->uploadId}"));
+        $this->getJson("/api/upload/{$this->uploadId}/status")
+            ->assertJson(['status' => 'rejected', 'message' => $upload->meta['rejection_reason']]);
+
+        $this->startUpload(['<?php echo 1;'])->assertCreated();
+        $this->sendChunk(0, 1, '<?php echo 1;')->assertOk();
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5('<?php echo 1;'),
+        ])
+            ->assertStatus(422)
+            ->assertJson(['message' => "The file content is text, which can't be uploaded here"]);
+
+        Queue::assertNotPushed(ProcessUploadJob::class);
+    }
+
+    /**
+     * Images declaring more pixels than allowed are rejected before they
+     * are decoded.
+     *
+     * @return void
+     */
+    public function test_complete_rejects_images_with_too_many_pixels()
+    {
+        Queue::fake();
+        config(['uploads.images.max_pixels' => 300]);
+        $jpeg = $this->jpeg();
+
+        $this->startUpload([$jpeg])->assertCreated();
+        $this->sendChunk(0, 1, $jpeg)->assertOk();
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($jpeg),
+        ])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'upload_rejected', 'message' => 'The image has 400 pixels, more than the 300 allowed']);
+
+        Queue::assertNotPushed(ProcessUploadJob::class);
+    }
+
+    /**
+     * An upload verified with sha256 keeps that algorithm for every chunk
+     * and for the assembled file.
+     *
+     * @return void
+     */
+    public function test_sha256_upload_is_verified_and_recorded()
+    {
+        Queue::fake();
+        Storage::fake();
+
+        $jpeg = $this->jpeg();
+        [$first, $second] = str_split($jpeg, (int) ceil(strlen($jpeg) / 2));
+
+        $this->startUpload([$first, $second], ['checksum_algorithm' => 'sha256'])
+            ->assertCreated()
+            ->assertJson(['checksum_algorithm' => 'sha256', 'total_chunks' => 2]);
+        $this->sendChunk(0, 2, $first, 'sha256')->assertOk();
+        $this->sendChunk(1, 2, $second, 'md5')
+            ->assertStatus(422)
+            ->assertJson(['error' => 'checksum algorithm mismatch', 'checksum_algorithm' => 'sha256']);
+        $this->sendChunk(1, 2, $second, 'sha256')->assertOk();
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => hash('sha256', $jpeg),
+            'checksum_algorithm' => 'sha256',
+        ])->assertOk();
+
+        $this->assertDatabaseHas('uploads', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => hash('sha256', $jpeg),
+            'checksum_algorithm' => 'sha256',
+        ]);
+    }
+
+    /**
+     * Cancelling removes the received chunks and shuts the session for
+     * chunks and completion requests that arrive afterwards.
+     *
+     * @return void
+     */
+    public function test_cancel_removes_chunks_and_rejects_later_requests()
+    {
+        Queue::fake();
+
+        $this->startUpload(['first', 'second'])->assertCreated();
+        $this->sendChunk(0, 2, 'first')->assertOk();
+
+        $this->deleteJson("/api/upload/{$this->uploadId}")
+            ->assertOk()
+            ->assertJson(['status' => 'cancelled', 'upload_id' => $this->uploadId]);
+
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$this->uploadId}"));
+        $this->assertDatabaseHas('uploads', ['upload_id' => $this->uploadId, 'status' => 'cancelled']);
+
+        $this->sendChunk(1, 2, 'second')
+            ->assertStatus(409)
+            ->assertJson(['error' => 'upload_cancelled']);
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$this->uploadId}"));
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5('firstsecond'),
+        ])->assertStatus(409);
+
+        Queue::assertNotPushed(ProcessUploadJob::class);
+    }
+
+    /**
+     * Only uploads that exist and haven't finished can be cancelled.
+     *
+     * @return void
+     */
+    public function test_cancel_rejects_unknown_and_completed_uploads()
+    {
+        $this->deleteJson("/api/upload/{$this->uploadId}")->assertNotFound();
+
+        Upload::create([
+            'user_id' => $this->user->id,
+            'upload_id' => $this->uploadId,
+            'original_filename' => 'photo.jpg',
+            'status' => Upload::STATUS_COMPLETE,
+        ]);
+
+        $this->deleteJson("/api/upload/{$this->uploadId}")->assertStatus(409);
+        $this->assertDatabaseHas('uploads', ['upload_id' => $this->uploadId, 'status' => 'complete']);
+    }
+
+    /**
+     * A processing job queued before the cancel leaves the upload alone.
+     *
+     * @return void
+     */
+    public function test_processing_job_skips_cancelled_upload()
+    {
+        $upload = Upload::create([
+            'upload_id' => $this->uploadId,
+            'original_filename' => 'photo.jpg',
+            'status' => Upload::STATUS_CANCELLED,
+        ]);
+
+        (new ProcessUploadJob($upload->id, storage_path("app/uploads/{$this->uploadId}/original")))->handle(new ImageVariants());
+
+        $this->assertSame(Upload::STATUS_CANCELLED, $upload->fresh()->status);
+        $this->assertSame(0, $upload->images()->count());
+    }
+
+    /**
+     * A product file sent in chunks goes straight to the import job with
+     * the column mapping given on completion, not to image processing.
+     *
+     * @return void
+     */
+    public function test_import_file_is_assembled_and_imported()
+    {
+        Storage::fake('public');
+        $this->startUpload(["Item,Title,Cost\nC1,Chair,", "40\nC2,Desk,120\n"], [
+            'purpose' => Upload::PURPOSE_IMPORT,
+            'file_name' => 'catalog.csv',
+            'mime_type' => 'text/csv',
+        ])->assertCreated();
+
+        $this->sendChunk(0, 2, "Item,Title,Cost\nC1,Chair,")->assertOk();
+        $this->sendChunk(1, 2, "40\nC2,Desk,120\n")->assertOk();
+
+        $response = $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5("Item,Title,Cost\nC1,Chair,40\nC2,Desk,120\n"),
+            'mapping' => ['sku' => 'Item', 'name' => 'Title', 'price' => 'Cost'],
+        ]);
+
+        $response->assertOk()->assertJson(['upload_id' => $this->uploadId]);
+        $run = Import::findOrFail($response->json('import_id'));
+        $this->assertSame(Import::STATUS_COMPLETE, $run->status);
+        $this->assertSame('catalog.csv', $run->original_filename);
+        $this->assertSame(2, $run->imported);
+        $this->assertEquals(120, Product::where('sku', 'C2')->value('price'));
+
+        $upload = Upload::where('upload_id', $this->uploadId)->firstOrFail();
+        $this->assertSame(Upload::STATUS_COMPLETE, $upload->status);
+        $this->assertSame($run->id, $upload->meta['import_id']);
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$this->uploadId}"));
+        $this->assertSame(0, $upload->images()->count());
+
+        // Sending the completion again doesn't import the file twice
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5("Item,Title,Cost\nC1,Chair,40\nC2,Desk,120\n"),
+            'mapping' => ['sku' => 'Item', 'name' => 'Title', 'price' => 'Cost'],
+        ])->assertStatus(409);
+        $this->assertSame(1, Import::count());
+    }
+
+    /**
+     * Import uploads must be a readable product file and completed by a
+     * logged-in user.
+     *
+     * @return void
+     */
+    public function test_import_upload_rejects_unknown_formats_and_guests()
+    {
+        Queue::fake();
+
+        $this->startUpload(['MZ'], ['purpose' => Upload::PURPOSE_IMPORT, 'file_name' => 'catalog.exe', 'mime_type' => ''])
+            ->assertStatus(422)
+            ->assertJson(['error' => 'unsupported_file_type']);
+
+        $this->startUpload(["sku,name\nA1,Lamp\n"], ['purpose' => Upload::PURPOSE_IMPORT, 'file_name' => 'catalog.csv', 'mime_type' => ''])
+            ->assertCreated();
+        $this->sendChunk(0, 1, "sku,name\nA1,Lamp\n")->assertOk();
+
+        // Logged out since starting the upload
+        $this->app['auth']->forgetGuards();
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5("sku,name\nA1,Lamp\n"),
+        ])->assertUnauthorized();
+
+        $this->assertDatabaseHas('uploads', ['upload_id' => $this->uploadId, 'status' => 'uploading']);
+        $this->assertSame(0, Import::count());
+    }
+
+    /**
+     * Every image of an uploaded archive is processed and attached to the
+     * product its folder or filename names; everything else is rejected
+     * with a reason.
+     *
+     * @return void
+     */
+    public function test_archive_images_are_extracted_and_attached_by_sku()
+    {
+        Storage::fake();
+        Storage::fake('public');
+        $product = Product::create(['user_id' => $this->user->id, 'sku' => 'SKU123', 'name' => 'Lamp', 'price' => 10]);
+        $photo = UploadedFile::fake()->image('photo.jpg', 40, 40)->getContent();
+
+        $archive = $this->makeArchive([
+            'SKU123/1.jpg' => $photo,
+            'notes.txt' => 'not an image',
+            'UNKNOWN_1.jpg' => $photo,
+        ]);
+        $contents = file_get_contents($archive);
+        unlink($archive);
+
+        $this->startUpload([$contents], [
+            'purpose' => Upload::PURPOSE_ARCHIVE,
+            'file_name' => 'images.zip',
+            'mime_type' => 'application/zip',
+        ])->assertCreated();
+        $this->sendChunk(0, 1, $contents)->assertOk();
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($contents),
+        ])->assertOk();
+
+        $upload = Upload::where('upload_id', $this->uploadId)->firstOrFail();
+        $this->assertSame(Upload::STATUS_COMPLETE, $upload->status);
+        $this->assertSame(3, $upload->meta['total_entries']);
+
+        $entries = $upload->archiveEntries()->get()->keyBy('name');
+        $this->assertSame(ArchiveEntry::STATUS_ATTACHED, $entries['SKU123/1.jpg']->status);
+        $this->assertSame('SKU123', $entries['SKU123/1.jpg']->sku);
+        $this->assertSame('Not an image file', $entries['notes.txt']->reason);
+        $this->assertSame('No product with a matching SKU', $entries['UNKNOWN_1.jpg']->reason);
+
+        $image = $entries['SKU123/1.jpg']->imageUpload->images()->where('variant', 'original')->firstOrFail();
+        $this->assertDatabaseHas('product_image', ['product_id' => $product->id, 'image_id' => $image->id, 'is_primary' => true]);
+        $this->assertSame($image->id, $product->fresh()->primary_image_id);
+
+        $this->getJson("/api/upload/{$this->uploadId}/entries?status=rejected")
+            ->assertOk()
+            ->assertJsonPath('counts.attached', 1)
+            ->assertJsonPath('counts.rejected', 2)
+            ->assertJsonCount(2, 'entries.data');
+    }
+
+    /**
+     * An archive whose entries unpack to far more than they take up is
+     * refused before anything is extracted.
+     *
+     * @return void
+     */
+    public function test_archive_that_looks_like_a_zip_bomb_fails()
+    {
+        Storage::fake();
+        $path = $this->makeArchive(['SKU123/huge.jpg' => str_repeat("\0", 8 * 1024 * 1024)]);
+        $upload = Upload::create([
+            'upload_id' => $this->uploadId,
+            'original_filename' => 'images.zip',
+            'status' => Upload::STATUS_PROCESSING,
+            'meta' => ['purpose' => Upload::PURPOSE_ARCHIVE],
+        ]);
+
+        try {
+            (new ExtractImageArchive($upload->id, $path))->handle();
+            $this->fail('The zip bomb was extracted');
+        } catch (\Exception $e) {
+            $this->assertStringContainsString('zip bomb', $e->getMessage());
+        } finally {
+            unlink($path);
+        }
+
+        $upload->refresh();
+        $this->assertSame(Upload::STATUS_FAILED, $upload->status);
+        $this->assertStringContainsString('zip bomb', $upload->meta['error']);
+        $this->assertSame(0, $upload->archiveEntries()->count());
+    }
+}
@@ -0,0 +1,106 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ProcessUploadJob;
+use App\Models\Image;
+use App\Models\Upload;
+use App\Services\ImageMetadata;
+use App\Services\ImageVariants;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+use Tests\Unit\ImageMetadataTest;
+
+/**
+ * Feature tests for the checks and clean-up ProcessUploadJob applies to
+ * uploaded images.
+ */
+
+class ImageSanitizingTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Set up the test environment with a single JPEG variant profile.
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake();
+        Storage::fake('public');
+        config(['uploads.variants' => ['256' => ['width' => 256, 'height' => 256, 'fit' => 'contain', 'formats' => ['jpeg']]]]);
+    }
+
+    /**
+     * Store an image as the original of a new upload.
+     *
+     * @param string $contents
+     * @return array{0: Upload, 1: string} The upload and the full path of its file
+     */
+    protected function storedUpload(string $contents): array
+    {
+        $upload = Upload::create([
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'status' => Upload::STATUS_PROCESSING,
+        ]);
+        $path = "uploads/{$upload->upload_id}/original";
+        Storage::put($path, $contents);
+
+        return [$upload, Storage::path($path)];
+    }
+
+    /**
+     * A photo taken sideways is turned upright, and its public original
+     * keeps the orientation and color profile but not the GPS position.
+     *
+     * @return void
+     */
+    public function test_images_are_turned_upright_and_lose_their_exif()
+    {
+        $source = ImageMetadataTest::jpegWithMetadata(6);
+        [$upload, $path] = $this->storedUpload(file_get_contents($source));
+        unlink($source);
+
+        (new ProcessUploadJob($upload->id, $path))->handle(new ImageVariants());
+
+        $original = $upload->images()->where('variant', Image::VARIANT_ORIGINAL)->firstOrFail();
+        $this->assertSame([20, 40], [$original->width, $original->height]);
+        $stored = Storage::disk('public')->path($original->path);
+        $this->assertStringNotContainsString('GPS-52.37N', file_get_contents($stored));
+        $this->assertSame(6, (new ImageMetadata())->orientation($stored));
+        $this->assertSame(6, $upload->fresh()->meta['orientation']);
+        // The uploaded file with the GPS position in it is gone
+        Storage::assertMissing("uploads/{$upload->upload_id}/original");
+
+        $variant = $upload->images()->where('variant', '256')->firstOrFail();
+        $this->assertSame([20, 40], [$variant->width, $variant->height]);
+        $variantPath = Storage::disk('public')->path($variant->path);
+        $this->assertNull((new ImageMetadata())->orientation($variantPath));
+        $this->assertSame('sRGB-profile', (new ImageMetadata())->colorProfile($variantPath));
+    }
+
+    /**
+     * An image over the pixel limit is rejected without being decoded.
+     *
+     * @return void
+     */
+    public function test_images_over_the_pixel_limit_are_rejected()
+    {
+        config(['uploads.images.max_pixels' => 100]);
+        $source = ImageMetadataTest::jpegWithMetadata();
+        [$upload, $path] = $this->storedUpload(file_get_contents($source));
+        unlink($source);
+
+        (new ProcessUploadJob($upload->id, $path))->handle(new ImageVariants());
+
+        $upload->refresh();
+        $this->assertSame(Upload::STATUS_REJECTED, $upload->status);
+        $this->assertSame('The image has 800 pixels, more than the 100 allowed', $upload->meta['rejection_reason']);
+        $this->assertSame(0, $upload->images()->count());
+        $this->assertFileDoesNotExist($path);
+    }
+}
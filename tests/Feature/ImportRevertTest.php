@@ -0,0 +1,151 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Import;
+use App\Models\ImportSnapshot;
+use App\Models\Product;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\Concerns\UploadsImportFiles;
+use Tests\TestCase;
+
+/**
+ * Reverting a finished product import from the history page and the
+ * imports:revert command.
+ */
+class ImportRevertTest extends TestCase
+{
+    use RefreshDatabase, UploadsImportFiles;
+
+    /**
+     * Upload a CSV to the import as a new user (the job runs synchronously).
+     *
+     * @param string $contents
+     * @return Import
+     */
+    protected function importCsv(string $contents): Import
+    {
+        Storage::fake('public');
+
+        $response = $this->actingAs(User::factory()->create())->uploadImportFile('products.csv', $contents);
+
+        $response->assertOk();
+
+        return Import::findOrFail($response->json('import_id'));
+    }
+
+    /**
+     * The import records the before and after state of each product it changed.
+     *
+     * @return void
+     */
+    public function test_import_records_snapshots_of_changed_products()
+    {
+        Product::create(['sku' => 'R1', 'name' => 'Original', 'price' => 10]);
+        Product::create(['sku' => 'R2', 'name' => 'Untouched', 'price' => 4]);
+
+        $import = $this->importCsv("sku,name,price\nR1,Overwritten,12\nR2,Untouched,4\nR3,Created,3\n");
+
+        $snapshots = $import->snapshots()->orderBy('line')->get()->keyBy('sku');
+        $this->assertSame(['R1', 'R3'], $snapshots->keys()->all());
+        $this->assertSame(ImportSnapshot::ACTION_UPDATED, $snapshots['R1']->action);
+        $this->assertSame('Original', $snapshots['R1']->before['name']);
+        $this->assertSame('Overwritten', $snapshots['R1']->after['name']);
+        $this->assertSame(ImportSnapshot::ACTION_CREATED, $snapshots['R3']->action);
+        $this->assertNull($snapshots['R3']->before);
+        $this->assertTrue($import->canRevert());
+
+        // Created products belong to the importer; updated ones keep their owner
+        $this->assertSame($import->user_id, Product::where('sku', 'R3')->value('user_id'));
+        $this->assertNull(Product::where('sku', 'R1')->value('user_id'));
+    }
+
+    /**
+     * Only the user who started an import, or an admin, can see it in the
+     * history, download its rows or revert it.
+     *
+     * @return void
+     */
+    public function test_only_the_importer_or_an_admin_can_revert()
+    {
+        $import = $this->importCsv("sku,name,price\nR1,Created,3\n");
+
+        $this->actingAs(User::factory()->create());
+        $this->get('/imports')->assertOk()->assertInertia(fn (Assert $page) => $page->has('imports.data', 0));
+        $this->get(route('imports.issues', ['import' => $import->id, 'type' => 'invalid']))->assertForbidden();
+        $this->get("/imports/{$import->id}/errors.csv")->assertForbidden();
+        $this->postJson("/api/imports/{$import->id}/revert")
+            ->assertForbidden()
+            ->assertJson(['message' => 'This import belongs to another user']);
+        $this->assertSame(Import::STATUS_COMPLETE, $import->fresh()->status);
+        $this->assertDatabaseHas('products', ['sku' => 'R1']);
+
+        $this->actingAs(User::factory()->admin()->create());
+        $this->get('/imports')->assertOk()->assertInertia(fn (Assert $page) => $page->has('imports.data', 1));
+        $this->postJson("/api/imports/{$import->id}/revert")->assertOk();
+
+        $this->assertSame(Import::STATUS_REVERTED, $import->fresh()->status);
+        $this->assertDatabaseMissing('products', ['sku' => 'R1']);
+    }
+
+    /**
+     * Reverting restores updated products and deletes created ones, but
+     * leaves products changed since the import alone.
+     *
+     * @return void
+     */
+    public function test_revert_restores_products_unless_changed_since()
+    {
+        Product::create(['sku' => 'R1', 'name' => 'Original', 'description' => 'Old text', 'price' => 10]);
+        Product::create(['sku' => 'R2', 'name' => 'Second', 'price' => 20]);
+
+        $import = $this->importCsv("sku,name,description,price\nR1,Bad name,Bad text,99\nR2,Bad second,,1\nR3,Created,,3\nR4,Created later edited,,5\n");
+
+        // Edited by hand after the import
+        Product::where('sku', 'R2')->update(['price' => 25]);
+        Product::where('sku', 'R4')->update(['name' => 'Edited']);
+
+        $this->get('/imports')->assertOk();
+        $this->postJson("/api/imports/{$import->id}/revert")->assertOk();
+
+        $import->refresh();
+        $this->assertSame(Import::STATUS_REVERTED, $import->status);
+        $this->assertNotNull($import->reverted_at);
+        $this->assertSame(['restored' => 1, 'deleted' => 1, 'skipped' => 2], $import->revert_summary);
+
+        $this->assertDatabaseHas('products', ['sku' => 'R1', 'name' => 'Original', 'description' => 'Old text', 'price' => 10]);
+        $this->assertDatabaseMissing('products', ['sku' => 'R3']);
+        $this->assertDatabaseHas('products', ['sku' => 'R2', 'name' => 'Bad second', 'price' => 25]);
+        $this->assertDatabaseHas('products', ['sku' => 'R4', 'name' => 'Edited']);
+
+        $report = $this->get(route('imports.issues', ['import' => $import->id, 'type' => 'not-reverted']))->streamedContent();
+        $this->assertStringContainsString('Changed since the import: price', $report);
+        $this->assertStringContainsString('Changed since the import: name', $report);
+
+        // An import is reverted once
+        $this->postJson("/api/imports/{$import->id}/revert")->assertStatus(409);
+    }
+
+    /**
+     * The artisan command reverts the same way.
+     *
+     * @return void
+     */
+    public function test_revert_command()
+    {
+        Product::create(['sku' => 'C1', 'name' => 'Before', 'price' => 1]);
+        $import = $this->importCsv("sku,name,price\nC1,After,2\nC2,New,3\n");
+
+        $this->artisan('imports:revert', ['import' => $import->id, '--force' => true])
+            ->expectsOutputToContain('1 restored, 1 deleted, 0 left alone')
+            ->assertSuccessful();
+
+        $this->assertDatabaseHas('products', ['sku' => 'C1', 'name' => 'Before', 'price' => 1]);
+        $this->assertDatabaseMissing('products', ['sku' => 'C2']);
+
+        $this->artisan('imports:revert', ['import' => $import->id, '--force' => true])->assertFailed();
+    }
+}
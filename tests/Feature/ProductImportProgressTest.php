@@ -0,0 +1,296 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Import;
+use App\Models\Product;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Tests\Concerns\UploadsImportFiles;
+use Tests\TestCase;
+
+/**
+ * Feature tests for tracking product CSV imports and their results.
+ */
+
+class ProductImportProgressTest extends TestCase
+{
+    use RefreshDatabase, UploadsImportFiles;
+
+    /**
+     * Upload a CSV to the import as a new user (the job runs synchronously).
+     *
+     * @param string $contents
+     * @return Import
+     */
+    protected function importCsv(string $contents): Import
+    {
+        Storage::fake('public');
+
+        $response = $this->actingAs(User::factory()->create())->uploadImportFile('products.csv', $contents);
+
+        $response->assertOk()->assertJsonStructure(['import_id', 'import_url']);
+
+        return Import::findOrFail($response->json('import_id'));
+    }
+
+    /**
+     * Each import run is recorded with its final counts.
+     *
+     * @return void
+     */
+    public function test_import_records_summary_counts()
+    {
+        Product::create(['sku' => 'B2', 'name' => 'Old Beta']);
+
+        $import = $this->importCsv("sku,name,price\nA1,Alpha,10\n,Nameless,5\nA1,Again,3\nB2,Beta,7\n");
+
+        $this->assertSame(Import::STATUS_COMPLETE, $import->status);
+        $this->assertSame(4, $import->total_rows);
+        $this->assertSame(4, $import->processed_rows);
+        $this->assertSame(1, $import->imported);
+        $this->assertSame(1, $import->updated);
+        $this->assertSame(1, $import->invalid);
+        $this->assertSame(1, $import->duplicates);
+        $this->assertSame('Alpha', Product::where('sku', 'A1')->value('name'));
+
+        $this->getJson("/api/imports/{$import->id}")
+            ->assertOk()
+            ->assertJson(['id' => $import->id, 'status' => 'complete', 'progress' => 100, 'invalid' => 1]);
+    }
+
+    /**
+     * Skipped rows can be downloaded with their line numbers and reasons.
+     *
+     * @return void
+     */
+    public function test_skipped_rows_are_downloadable_with_line_numbers()
+    {
+        $import = $this->importCsv("sku,name\nA1,Alpha\n,Nameless\nA1,Again\n");
+
+        $invalid = $this->get("/imports/{$import->id}/invalid.csv");
+        $invalid->assertOk();
+        $lines = array_map('str_getcsv', array_filter(explode("\n", $invalid->streamedContent())));
+        $this->assertSame(['line', 'reason', 'sku', 'name'], $lines[0]);
+        $this->assertSame(['3', "Missing required value for 'sku'", '', 'Nameless'], $lines[1]);
+
+        $duplicates = $this->get("/imports/{$import->id}/duplicates.csv");
+        $duplicates->assertOk();
+        $this->assertStringContainsString('4,"SKU already appears on line 2",A1,Again', $duplicates->streamedContent());
+    }
+
+    /**
+     * Rows failing the validation rules can be downloaded as errors.csv,
+     * with the source columns and the reason in an extra column.
+     *
+     * @return void
+     */
+    public function test_errors_csv_mirrors_invalid_rows()
+    {
+        $import = $this->importCsv("sku,name,price\nA1,Alpha,\"1.299,00\"\nA2,Negative,-1\nA3,Words,cheap\n");
+
+        $this->assertSame(2, $import->invalid);
+        $this->assertDatabaseHas('products', ['sku' => 'A1', 'price' => 1299.00]);
+
+        $response = $this->get("/imports/{$import->id}/errors.csv");
+        $response->assertOk()->assertDownload('errors.csv');
+
+        $lines = array_map('str_getcsv', array_filter(explode("\n", $response->streamedContent())));
+        $this->assertSame(['sku', 'name', 'price', 'error'], $lines[0]);
+        $this->assertSame(['A2', 'Negative', '-1'], array_slice($lines[1], 0, 3));
+        $this->assertSame(['A3', 'Words', 'cheap'], array_slice($lines[2], 0, 3));
+        $this->assertStringContainsString('price', $lines[2][3]);
+    }
+
+    /**
+     * A file without the required columns fails the import as a whole.
+     *
+     * @return void
+     */
+    public function test_missing_columns_mark_import_failed()
+    {
+        Storage::fake('public');
+
+        $this->actingAs(User::factory()->create())->uploadImportFile('products.csv', "code,title\nA1,Alpha\n");
+
+        $import = Import::latest('id')->firstOrFail();
+        $this->assertSame(Import::STATUS_FAILED, $import->status);
+        $this->assertStringContainsString('sku', $import->error);
+    }
+
+    /**
+     * The column mapping chosen on the import page is used instead of
+     * requiring exact header names, and kept on the import record.
+     *
+     * @return void
+     */
+    public function test_upload_uses_column_mapping()
+    {
+        Storage::fake('public');
+
+        $response = $this->actingAs(User::factory()->create())->uploadImportFile('products.csv', "Item Code,Title,Cost\nM1,Mapped,1.50\n", [
+            'mapping' => ['sku' => 'Item Code', 'name' => 'Title', 'price' => 'Cost'],
+        ]);
+
+        $response->assertOk();
+        $import = Import::findOrFail($response->json('import_id'));
+
+        $this->assertSame(Import::STATUS_COMPLETE, $import->status);
+        $this->assertSame(['sku' => 'Item Code', 'name' => 'Title', 'price' => 'Cost'], $import->column_mapping);
+        $this->assertDatabaseHas('products', ['sku' => 'M1', 'name' => 'Mapped', 'price' => 1.50]);
+    }
+
+    /**
+     * JSON feeds go through the same pipeline as CSV files.
+     *
+     * @return void
+     */
+    public function test_upload_accepts_json_feed()
+    {
+        Storage::fake('public');
+
+        $feed = "{\"sku\":\"F1\",\"name\":\"Feed item\",\"price\":\"4,50\"}\n{\"sku\":\"F2\",\"name\":\"\"}\n";
+        $response = $this->actingAs(User::factory()->create())->uploadImportFile('feed.ndjson', $feed);
+
+        $response->assertOk();
+        $import = Import::findOrFail($response->json('import_id'));
+
+        $this->assertSame(Import::STATUS_COMPLETE, $import->status);
+        $this->assertSame(1, $import->imported);
+        $this->assertSame(1, $import->invalid);
+        $this->assertDatabaseHas('products', ['sku' => 'F1', 'price' => 4.50]);
+    }
+
+    /**
+     * Files the importer can't read are rejected up front.
+     *
+     * @return void
+     */
+    public function test_upload_rejects_unsupported_formats()
+    {
+        $this->actingAs(User::factory()->create())->uploadImportFile('products.xml', '<products/>')
+            ->assertStatus(422)
+            ->assertJson(['error' => 'unsupported_file_type']);
+        $this->assertSame(0, Import::count());
+    }
+
+    /**
+     * A previewed import writes nothing until it is applied, and applying it
+     * writes only the fields that were shown as changed. Only the user who
+     * started it may review or apply it, and the products it creates are
+     * theirs.
+     *
+     * @return void
+     */
+    public function test_previewed_import_applies_exactly_the_diff()
+    {
+        Storage::fake('public');
+        Product::create(['sku' => 'P1', 'name' => 'Old name', 'description' => 'Kept', 'price' => 10]);
+        Product::create(['sku' => 'P2', 'name' => 'Same', 'price' => 5]);
+
+        $owner = User::factory()->create();
+        $response = $this->actingAs($owner)->uploadImportFile('products.csv', "sku,name,description,price\nP1,New name,Kept,10\nP2,Same,,5.00\nP3,Fresh,,2\n", [
+            'dry_run' => true,
+        ]);
+
+        $response->assertOk()->assertJson(['dry_run' => true]);
+        $import = Import::findOrFail($response->json('import_id'));
+
+        $this->assertSame(Import::STATUS_PREVIEW, $import->status);
+        $this->assertSame([1, 1, 1], [$import->imported, $import->updated, $import->unchanged]);
+        $this->assertDatabaseMissing('products', ['sku' => 'P3']);
+
+        $this->getJson("/api/imports/{$import->id}/changes?action=update")
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.sku', 'P1')
+            ->assertJsonPath('data.0.changes.name', ['old' => 'Old name', 'new' => 'New name']);
+
+        $this->actingAs(User::factory()->create());
+        $this->getJson("/api/imports/{$import->id}")->assertForbidden()->assertJson(['error' => 'forbidden']);
+        $this->getJson("/api/imports/{$import->id}/changes")->assertForbidden();
+        $this->get("/imports/{$import->id}")->assertForbidden();
+        $this->postJson("/api/imports/{$import->id}/apply")->assertForbidden();
+        $this->assertSame(Import::STATUS_PREVIEW, $import->fresh()->status);
+
+        // Edited after the preview: the apply must not overwrite unchanged fields
+        Product::where('sku', 'P1')->update(['description' => 'Edited meanwhile']);
+
+        $this->actingAs($owner)->postJson("/api/imports/{$import->id}/apply")->assertOk();
+
+        $this->assertSame(Import::STATUS_COMPLETE, $import->fresh()->status);
+        $this->assertDatabaseHas('products', ['sku' => 'P1', 'name' => 'New name', 'description' => 'Edited meanwhile', 'user_id' => null]);
+        $this->assertDatabaseHas('products', ['sku' => 'P3', 'name' => 'Fresh', 'price' => 2, 'user_id' => $owner->id]);
+
+        // A preview can only be applied once
+        $this->postJson("/api/imports/{$import->id}/apply")->assertStatus(409);
+    }
+
+    /**
+     * An import leaves products the user may not edit alone and lists their
+     * rows as invalid; admins may import over any product.
+     *
+     * @return void
+     */
+    public function test_import_skips_products_of_other_users()
+    {
+        $owner = User::factory()->create();
+        Product::create(['user_id' => $owner->id, 'sku' => 'A1', 'name' => 'Owned', 'price' => 10]);
+        Product::create(['sku' => 'L1', 'name' => 'Legacy', 'price' => 20]);
+
+        $import = $this->importCsv("sku,name,price\nA1,Hijacked,1\nL1,Hijacked,1\nB1,Mine,2\n");
+
+        $this->assertSame([1, 0, 2], [$import->imported, $import->updated, $import->invalid]);
+        $this->assertDatabaseHas('products', ['sku' => 'A1', 'name' => 'Owned', 'price' => 10, 'user_id' => $owner->id]);
+        $this->assertDatabaseHas('products', ['sku' => 'L1', 'name' => 'Legacy', 'price' => 20, 'user_id' => null]);
+        $this->assertDatabaseHas('products', ['sku' => 'B1', 'user_id' => $import->user_id]);
+        $this->assertSame(
+            ['You are not allowed to edit product A1', 'You are not allowed to edit product L1'],
+            $import->issues()->orderBy('line')->pluck('reason')->all()
+        );
+        $this->assertSame(0, $import->snapshots()->where('sku', 'A1')->count());
+
+        $response = $this->actingAs(User::factory()->admin()->create())->uploadImportFile('products.csv', "sku,name,price\nA1,Fixed by admin,11\n");
+
+        $response->assertOk();
+        $this->assertDatabaseHas('products', ['sku' => 'A1', 'name' => 'Fixed by admin', 'user_id' => $owner->id]);
+    }
+
+    /**
+     * Applying a preview checks the products again: one that changed hands
+     * or was created by someone else since the preview is left alone.
+     *
+     * @return void
+     */
+    public function test_apply_skips_products_the_user_may_no_longer_edit()
+    {
+        $importer = User::factory()->create();
+        $other = User::factory()->create();
+        Product::create(['user_id' => $importer->id, 'sku' => 'U1', 'name' => 'Before', 'price' => 1]);
+        Product::create(['user_id' => $importer->id, 'sku' => 'U2', 'name' => 'Before', 'price' => 1]);
+
+        Storage::fake('public');
+        $response = $this->actingAs($importer)->uploadImportFile('products.csv', "sku,name,price\nU1,After,2\nU2,After,2\nN1,New,3\nN2,New,3\n", [
+            'dry_run' => true,
+        ]);
+        $import = Import::findOrFail($response->json('import_id'));
+        $this->assertSame([2, 2, 0], [$import->imported, $import->updated, $import->invalid]);
+
+        // Since the preview, U2 went to another user and they created N2
+        Product::where('sku', 'U2')->update(['user_id' => $other->id]);
+        Product::create(['user_id' => $other->id, 'sku' => 'N2', 'name' => 'Theirs', 'price' => 9]);
+
+        $this->postJson("/api/imports/{$import->id}/apply")->assertOk();
+
+        $import->refresh();
+        $this->assertSame(Import::STATUS_COMPLETE, $import->status);
+        $this->assertSame([1, 1, 2], [$import->imported, $import->updated, $import->invalid]);
+        $this->assertDatabaseHas('products', ['sku' => 'U1', 'name' => 'After']);
+        $this->assertDatabaseHas('products', ['sku' => 'N1', 'name' => 'New', 'user_id' => $importer->id]);
+        $this->assertDatabaseHas('products', ['sku' => 'U2', 'name' => 'Before', 'price' => 1]);
+        $this->assertDatabaseHas('products', ['sku' => 'N2', 'name' => 'Theirs', 'price' => 9, 'user_id' => $other->id]);
+        $this->assertSame(['U2', 'N2'], $import->issues()->orderBy('line')->pluck('sku')->all());
+        $this->assertEqualsCanonicalizing(['U1', 'N1'], $import->snapshots()->pluck('sku')->all());
+    }
+}
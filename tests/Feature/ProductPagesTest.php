@@ -0,0 +1,106 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Image;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Services\ProductImageAttacher;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Str;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+/**
+ * Feature tests for the product listing and detail pages, which show each
+ * linked image with all the variants ProcessUploadJob made of it.
+ */
+
+class ProductPagesTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Record a processed image upload: an 800px original with 256 and 512
+     * variants, as ProcessUploadJob leaves it.
+     *
+     * @return Image The original
+     */
+    protected function processedImage(): Image
+    {
+        $upload = Upload::create([
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'status' => Upload::STATUS_COMPLETE,
+        ]);
+
+        foreach (['256' => 256, '512' => 512] as $variant => $width) {
+            Image::create([
+                'upload_id' => $upload->id,
+                'variant' => $variant,
+                'path' => "uploads/{$upload->upload_id}/{$variant}.jpg",
+                'mime' => 'image/jpeg',
+                'width' => $width,
+                'height' => $width,
+            ]);
+        }
+
+        return Image::create([
+            'upload_id' => $upload->id,
+            'variant' => Image::VARIANT_ORIGINAL,
+            'path' => "uploads/{$upload->upload_id}/original.png",
+            'mime' => 'image/png',
+            'width' => 800,
+            'height' => 800,
+        ]);
+    }
+
+    /**
+     * The listing shows the primary image with a srcset of its variants,
+     * smallest first.
+     *
+     * @return void
+     */
+    public function test_index_offers_every_variant_of_the_primary_image()
+    {
+        $product = Product::create(['sku' => 'SKU1', 'name' => 'Lamp', 'price' => 10]);
+        $attacher = new ProductImageAttacher();
+        $attacher->attach($this->processedImage(), $product);
+        $attacher->attach($primary = $this->processedImage(), $product, true);
+
+        $this->get('/products')->assertOk()->assertInertia(fn (Assert $page) => $page
+            ->component('Products/Index')
+            ->where('products.data.0.primary_image.id', $primary->id)
+            ->where('products.data.0.primary_image.srcset', implode(', ', [
+                asset("storage/uploads/{$primary->upload->upload_id}/256.jpg") . ' 256w',
+                asset("storage/uploads/{$primary->upload->upload_id}/512.jpg") . ' 512w',
+                asset("storage/{$primary->path}") . ' 800w',
+            ]))
+            ->has('products.data.0.primary_image.variants', 3)
+            ->where('products.data.0.images_count', 2)
+        );
+    }
+
+    /**
+     * The detail page lists the primary image first and flags it.
+     *
+     * @return void
+     */
+    public function test_show_lists_the_primary_image_first()
+    {
+        $product = Product::create(['sku' => 'SKU1', 'name' => 'Lamp', 'price' => 10]);
+        $attacher = new ProductImageAttacher();
+        $attacher->attach($other = $this->processedImage(), $product);
+        $attacher->attach($primary = $this->processedImage(), $product, true);
+
+        $this->get('/products/SKU1')->assertOk()->assertInertia(fn (Assert $page) => $page
+            ->component('Products/Show')
+            ->where('product.primary_image_id', $primary->id)
+            ->where('product.images.0.id', $primary->id)
+            ->where('product.images.0.is_primary', true)
+            ->where('product.images.1.id', $other->id)
+            ->where('product.images.1.is_primary', false)
+            ->has('product.images.0.variants.512')
+        );
+    }
+}
@@ -0,0 +1,170 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ProcessUploadJob;
+use App\Jobs\RegenerateImageVariants;
+use App\Models\Image;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Services\ImageVariants;
+use App\Services\ProductImageAttacher;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+
+/**
+ * Feature tests for the images:regenerate-variants command.
+ */
+
+class RegenerateVariantsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Set up the test environment with a single JPEG variant profile.
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake();
+        Storage::fake('public');
+        $this->useProfiles(['256' => 256]);
+    }
+
+    /**
+     * Configure JPEG-only "contain" profiles by name and width.
+     *
+     * @param array<string, int> $widths
+     * @return void
+     */
+    protected function useProfiles(array $widths): void
+    {
+        config(['uploads.variants' => array_map(
+            fn ($width) => ['width' => $width, 'height' => $width, 'fit' => 'contain', 'formats' => ['jpeg']],
+            $widths
+        )]);
+    }
+
+    /**
+     * Process a 600x400 image upload with the current profiles.
+     *
+     * @return Upload
+     */
+    protected function processedUpload(): Upload
+    {
+        $upload = Upload::create([
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'status' => Upload::STATUS_PROCESSING,
+        ]);
+        $path = "uploads/{$upload->upload_id}/original";
+        Storage::put($path, UploadedFile::fake()->image('photo.jpg', 600, 400)->getContent());
+
+        (new ProcessUploadJob($upload->id, Storage::path($path)))->handle(new ImageVariants());
+
+        return $upload;
+    }
+
+    /**
+     * The variant names of an upload, sorted.
+     *
+     * @param Upload $upload
+     * @return array<int, string>
+     */
+    protected function variantsOf(Upload $upload): array
+    {
+        return $upload->images()->orderBy('variant')->pluck('variant')->all();
+    }
+
+    /**
+     * A dry run lists what's missing without queuing anything.
+     *
+     * @return void
+     */
+    public function test_dry_run_queues_nothing()
+    {
+        $this->processedUpload();
+        $this->useProfiles(['256' => 256, '128' => 128]);
+        Queue::fake();
+
+        $this->artisan('images:regenerate-variants', ['--dry-run' => true])
+            ->expectsOutputToContain('128 (jpeg)')
+            ->expectsOutputToContain('Dry run: 1 upload(s) would be regenerated')
+            ->assertSuccessful();
+
+        Queue::assertNothingPushed();
+    }
+
+    /**
+     * --missing only creates new variants, and a second run finds nothing to do.
+     *
+     * @return void
+     */
+    public function test_missing_variants_are_created_once()
+    {
+        $upload = $this->processedUpload();
+        $this->useProfiles(['256' => 256, '128' => 128]);
+
+        $this->artisan('images:regenerate-variants', ['--missing' => true])
+            ->expectsOutputToContain('Queued 1 upload(s)')
+            ->assertSuccessful();
+        $this->assertSame(['128', '256', 'original'], $this->variantsOf($upload));
+        $this->assertSame(128, $upload->images()->where('variant', '128')->value('width'));
+
+        $this->artisan('images:regenerate-variants', ['--missing' => true])
+            ->expectsOutputToContain('Queued 0 upload(s) for variant regeneration, 1 already up to date')
+            ->assertSuccessful();
+        $this->assertSame(3, $upload->images()->count());
+    }
+
+    /**
+     * A full run rewrites the variants in place and drops the ones no
+     * profile asks for, but keeps the original and its product links.
+     *
+     * @return void
+     */
+    public function test_full_run_replaces_changed_profiles()
+    {
+        $upload = $this->processedUpload();
+        $product = Product::create(['sku' => 'SKU1', 'name' => 'Lamp', 'price' => 10]);
+        $original = $upload->images()->where('variant', Image::VARIANT_ORIGINAL)->firstOrFail();
+        (new ProductImageAttacher())->attach($original, $product, true);
+        $stalePath = $upload->images()->where('variant', '256')->value('path');
+        $this->useProfiles(['512' => 512]);
+
+        $this->artisan('images:regenerate-variants', ['--sku' => ['SKU1']])->assertSuccessful();
+        $this->artisan('images:regenerate-variants', ['--sku' => ['SKU1']])->assertSuccessful();
+
+        $this->assertSame(['512', 'original'], $this->variantsOf($upload));
+        Storage::disk('public')->assertMissing($stalePath);
+        $this->assertSame($original->id, $product->fresh()->primary_image_id);
+        $this->assertDatabaseHas('product_image', ['product_id' => $product->id, 'image_id' => $original->id]);
+    }
+
+    /**
+     * Filters that match nothing don't queue anything.
+     *
+     * @return void
+     */
+    public function test_filters_narrow_the_uploads()
+    {
+        $this->processedUpload();
+        Queue::fake();
+
+        $this->artisan('images:regenerate-variants', ['--sku' => ['UNLINKED']])
+            ->expectsOutput('No uploads match.')
+            ->assertSuccessful();
+        $this->artisan('images:regenerate-variants', ['--since' => now()->addDay()->toDateString()])
+            ->expectsOutput('No uploads match.')
+            ->assertSuccessful();
+        $this->artisan('images:regenerate-variants', ['--since' => 'not a date'])
+            ->assertFailed();
+
+        Queue::assertNotPushed(RegenerateImageVariants::class);
+    }
+}
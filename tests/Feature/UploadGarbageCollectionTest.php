@@ -0,0 +1,225 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Image;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Services\ProductImageAttacher;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+
+/**
+ * Feature tests for the uploads:gc command.
+ */
+
+class UploadGarbageCollectionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Storage directory of the current test.
+     *
+     * @var string
+     */
+    protected string $storage;
+
+    /**
+     * Set up the test environment with an empty storage directory and
+     * disks, so the command only sees the files of the test.
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->storage = sys_get_temp_dir() . '/upload-gc-' . Str::random(8);
+        $this->app->useStoragePath($this->storage);
+        Storage::fake();
+        Storage::fake('public');
+        config(['uploads.gc.ttl' => 60]);
+    }
+
+    /**
+     * Remove the storage directory of the test.
+     */
+    protected function tearDown(): void
+    {
+        File::deleteDirectory($this->storage);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Create an upload last changed the given number of minutes ago, with
+     * a 1 KB chunk directory.
+     *
+     * @param string $status
+     * @param int $minutesAgo
+     * @param array $attributes
+     * @return Upload
+     */
+    protected function uploadWithChunks(string $status, int $minutesAgo, array $attributes = []): Upload
+    {
+        $upload = Upload::create($attributes + [
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'status' => $status,
+        ]);
+        Upload::whereKey($upload->id)->update(['updated_at' => now()->subMinutes($minutesAgo)]);
+
+        $this->chunkDirectory($upload->upload_id);
+
+        return $upload->fresh();
+    }
+
+    /**
+     * Write a chunk directory holding 1 KB.
+     *
+     * @param string $uploadId
+     * @return string
+     */
+    protected function chunkDirectory(string $uploadId): string
+    {
+        $directory = storage_path("app/uploads/tmp/{$uploadId}");
+        File::ensureDirectoryExists($directory);
+        File::put("{$directory}/chunk_0.part", str_repeat('x', 1024));
+
+        return $directory;
+    }
+
+    /**
+     * A dry run reports what it found without changing anything.
+     *
+     * @return void
+     */
+    public function test_dry_run_changes_nothing()
+    {
+        $abandoned = $this->uploadWithChunks(Upload::STATUS_UPLOADING, 10, ['expires_at' => now()->subMinute()]);
+        $directory = storage_path("app/uploads/tmp/{$abandoned->upload_id}");
+
+        $this->artisan('uploads:gc', ['--dry-run' => true])
+            ->expectsOutputToContain('Dry run: 1 KB would be reclaimed.')
+            ->assertSuccessful();
+
+        $this->assertSame(Upload::STATUS_UPLOADING, $abandoned->fresh()->status);
+        $this->assertDirectoryExists($directory);
+    }
+
+    /**
+     * Abandoned and stuck uploads are expired or failed and their chunks
+     * deleted, while live sessions and recent failures are left alone.
+     *
+     * @return void
+     */
+    public function test_stale_sessions_and_their_chunks_are_cleaned_up()
+    {
+        $expired = $this->uploadWithChunks(Upload::STATUS_UPLOADING, 10, ['expires_at' => now()->subMinute()]);
+        $untouched = $this->uploadWithChunks(Upload::STATUS_UPLOADING, 120);
+        $live = $this->uploadWithChunks(Upload::STATUS_UPLOADING, 10, ['expires_at' => now()->addHour()]);
+        $stuck = $this->uploadWithChunks(Upload::STATUS_ASSEMBLING, 120);
+        $retryable = $this->uploadWithChunks(Upload::STATUS_FAILED, 10);
+        $complete = $this->uploadWithChunks(Upload::STATUS_COMPLETE, 10);
+        $unknown = $this->chunkDirectory((string) Str::uuid());
+        touch($unknown, now()->subHours(2)->getTimestamp());
+
+        $this->artisan('uploads:gc')
+            ->expectsOutputToContain('Reclaimed 5 KB.')
+            ->assertSuccessful();
+
+        $this->assertSame(Upload::STATUS_EXPIRED, $expired->fresh()->status);
+        $this->assertSame(Upload::STATUS_EXPIRED, $untouched->fresh()->status);
+        $this->assertSame(Upload::STATUS_UPLOADING, $live->fresh()->status);
+        $this->assertSame(Upload::STATUS_FAILED, $stuck->fresh()->status);
+        $this->assertSame('Stopped while assembling', $stuck->fresh()->meta['error']);
+
+        foreach ([$expired, $untouched, $stuck, $complete] as $upload) {
+            $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$upload->upload_id}"));
+        }
+        $this->assertDirectoryDoesNotExist($unknown);
+        $this->assertDirectoryExists(storage_path("app/uploads/tmp/{$live->upload_id}"));
+        $this->assertDirectoryExists(storage_path("app/uploads/tmp/{$retryable->upload_id}"));
+    }
+
+    /**
+     * Uploaded files are deleted once nothing is going to process them,
+     * while files still queued for processing or written recently stay.
+     *
+     * @return void
+     */
+    public function test_uploaded_files_nothing_will_process_are_deleted()
+    {
+        $disk = Storage::disk();
+        $uploadedFile = function (?Upload $upload, int $minutesAgo) use ($disk) {
+            $path = 'uploads/' . ($upload?->upload_id ?? Str::uuid()) . '/original';
+            $disk->put($path, str_repeat('x', 1024));
+            touch($disk->path($path), now()->subMinutes($minutesAgo)->getTimestamp());
+
+            return $path;
+        };
+        $upload = fn (string $status) => Upload::create([
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'status' => $status,
+        ]);
+
+        $complete = $uploadedFile($upload(Upload::STATUS_COMPLETE), 120);
+        $rejected = $uploadedFile($upload(Upload::STATUS_REJECTED), 120);
+        $unknown = $uploadedFile(null, 120);
+        $queued = $uploadedFile($upload(Upload::STATUS_PROCESSING), 120);
+        $recent = $uploadedFile($upload(Upload::STATUS_FAILED), 10);
+
+        $this->artisan('uploads:gc', ['-v' => true])
+            ->expectsOutputToContain('Uploaded files nothing will process: ' . dirname($unknown) . ' (1 KB)')
+            ->expectsOutputToContain('Reclaimed 3 KB.')
+            ->assertSuccessful();
+
+        foreach ([$complete, $rejected, $unknown] as $path) {
+            $this->assertDirectoryDoesNotExist($disk->path(dirname($path)));
+        }
+        $disk->assertExists($queued);
+        $disk->assertExists($recent);
+    }
+
+    /**
+     * Image files without a row are deleted, and rows without a file are
+     * removed along with their product links.
+     *
+     * @return void
+     */
+    public function test_image_files_and_rows_are_matched_up()
+    {
+        $disk = Storage::disk('public');
+        $upload = Upload::create([
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'status' => Upload::STATUS_COMPLETE,
+        ]);
+        $directory = "uploads/{$upload->upload_id}";
+        $disk->put("{$directory}/original.jpeg", 'kept');
+        $disk->put("{$directory}/256.jpeg", str_repeat('x', 2048));
+        $disk->put("{$directory}/512.jpeg", 'just written');
+        touch($disk->path("{$directory}/256.jpeg"), now()->subHours(2)->getTimestamp());
+        touch($disk->path("{$directory}/original.jpeg"), now()->subHours(2)->getTimestamp());
+
+        $original = Image::create(['upload_id' => $upload->id, 'variant' => Image::VARIANT_ORIGINAL, 'format' => 'jpeg', 'path' => "{$directory}/original.jpeg"]);
+        $missing = Image::create(['upload_id' => $upload->id, 'variant' => '1024', 'format' => 'jpeg', 'path' => "{$directory}/1024.jpeg"]);
+        Image::query()->update(['updated_at' => now()->subHours(2)]);
+        $product = Product::create(['sku' => 'SKU1', 'name' => 'Lamp', 'price' => 10]);
+        (new ProductImageAttacher())->attach($missing, $product, false);
+
+        $this->artisan('uploads:gc', ['-v' => true])
+            ->expectsOutputToContain("{$directory}/256.jpeg (2 KB)")
+            ->expectsOutputToContain('Reclaimed 2 KB.')
+            ->assertSuccessful();
+
+        $disk->assertMissing("{$directory}/256.jpeg");
+        $disk->assertExists("{$directory}/original.jpeg");
+        $disk->assertExists("{$directory}/512.jpeg");
+        $this->assertModelExists($original);
+        $this->assertModelMissing($missing);
+        $this->assertDatabaseMissing('product_image', ['image_id' => $missing->id]);
+    }
+}
@@ -0,0 +1,258 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ExtractImageArchive;
+use App\Models\ArchiveEntry;
+use App\Models\Image;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+use ZipArchive;
+
+/**
+ * Feature tests for who may use an upload and for the per-user quotas.
+ */
+
+class UploadOwnershipTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Upload sessions started during the test.
+     *
+     * @var array<int, string>
+     */
+    protected $uploadIds = [];
+
+    /**
+     * Clean up chunk files written during the test.
+     */
+    protected function tearDown(): void
+    {
+        foreach ($this->uploadIds as $uploadId) {
+            File::deleteDirectory(storage_path("app/uploads/tmp/{$uploadId}"));
+        }
+
+        parent::tearDown();
+    }
+
+    /**
+     * Start an upload session for a JPEG of the given size as the current user.
+     *
+     * @param int $fileSize
+     * @return \Illuminate\Testing\TestResponse
+     */
+    protected function init(int $fileSize = 8)
+    {
+        $response = $this->postJson('/api/upload/init', [
+            'file_name' => 'photo.jpg',
+            'file_size' => $fileSize,
+            'mime_type' => 'image/jpeg',
+        ]);
+        if ($uploadId = $response->json('upload_id')) {
+            $this->uploadIds[] = $uploadId;
+        }
+
+        return $response;
+    }
+
+    /**
+     * Create a processed image upload with its original image.
+     *
+     * @param User $user
+     * @return Upload
+     */
+    protected function processedUpload(User $user): Upload
+    {
+        $upload = Upload::create([
+            'user_id' => $user->id,
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'photo.jpg',
+            'file_size' => 100,
+            'status' => Upload::STATUS_COMPLETE,
+        ]);
+        Image::create([
+            'upload_id' => $upload->id,
+            'variant' => Image::VARIANT_ORIGINAL,
+            'format' => 'jpeg',
+            'path' => "uploads/{$upload->upload_id}/original.jpeg",
+        ]);
+
+        return $upload;
+    }
+
+    /**
+     * Guests can't start, follow or attach uploads.
+     *
+     * @return void
+     */
+    public function test_guests_cannot_use_uploads()
+    {
+        $upload = $this->processedUpload(User::factory()->create());
+
+        $this->init()->assertUnauthorized();
+        $this->getJson("/api/upload/{$upload->upload_id}/status")->assertUnauthorized();
+        $this->getJson('/api/upload/quota')->assertUnauthorized();
+        $this->deleteJson("/api/upload/{$upload->upload_id}")->assertUnauthorized();
+        $this->postJson('/api/upload/attach-to-product', ['upload_id' => $upload->upload_id, 'sku' => 'SKU1'])->assertUnauthorized();
+
+        $this->assertSame(1, Upload::count());
+    }
+
+    /**
+     * Uploaded files are only served through the public disk, and uploads
+     * are only created through the upload API.
+     *
+     * @return void
+     */
+    public function test_no_routes_bypass_the_upload_api()
+    {
+        $upload = $this->processedUpload(User::factory()->create());
+
+        $this->get("/uploads/{$upload->upload_id}/original")->assertNotFound();
+        $this->get('/api/test-upload-job')->assertNotFound();
+        $this->actingAs(User::factory()->admin()->create())->get('/api/test-upload-job')->assertNotFound();
+
+        $this->assertSame(1, Upload::count());
+    }
+
+    /**
+     * An upload belongs to the user who started it; others can neither see
+     * nor touch it, except admins.
+     *
+     * @return void
+     */
+    public function test_users_only_reach_their_own_uploads()
+    {
+        $owner = User::factory()->create();
+        $uploadId = $this->actingAs($owner)->init()->assertCreated()->json('upload_id');
+        $this->assertDatabaseHas('uploads', ['upload_id' => $uploadId, 'user_id' => $owner->id]);
+
+        $this->actingAs(User::factory()->create());
+        $this->getJson("/api/upload/{$uploadId}/status")->assertForbidden()->assertJson(['error' => 'forbidden']);
+        $this->getJson("/api/upload/{$uploadId}/chunks")->assertForbidden();
+        $this->post('/api/upload/chunk', [
+            'upload_id' => $uploadId,
+            'chunk_index' => 0,
+            'chunk' => UploadedFile::fake()->createWithContent('photo.jpg', 'contents'),
+            'chunk_checksum' => md5('contents'),
+        ], ['Accept' => 'application/json'])->assertForbidden();
+        $this->postJson('/api/upload/complete', ['upload_id' => $uploadId, 'file_checksum' => md5('contents')])->assertForbidden();
+        $this->deleteJson("/api/upload/{$uploadId}")->assertForbidden();
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$uploadId}"));
+
+        $this->actingAs(User::factory()->admin()->create())
+            ->getJson("/api/upload/{$uploadId}/status")
+            ->assertOk()
+            ->assertJson(['status' => Upload::STATUS_UPLOADING]);
+
+        $this->actingAs($owner)->deleteJson("/api/upload/{$uploadId}")->assertOk();
+    }
+
+    /**
+     * Attaching takes the upload's owner and permission to edit the product,
+     * which only the user whose import created it and admins have, for
+     * single images and for the images of an archive alike.
+     *
+     * @return void
+     */
+    public function test_attaching_needs_permission_to_edit_the_product()
+    {
+        Storage::fake();
+        $owner = User::factory()->create();
+        $product = Product::create(['user_id' => $owner->id, 'sku' => 'SKU1', 'name' => 'Lamp', 'price' => 10]);
+        Product::create(['sku' => 'LEGACY', 'name' => 'Chair', 'price' => 20]);
+        $other = User::factory()->create();
+        $attach = fn (Upload $upload, string $sku = 'SKU1') => $this->postJson('/api/upload/attach-to-product', ['upload_id' => $upload->upload_id, 'sku' => $sku]);
+
+        $this->actingAs($owner);
+        $attach($this->processedUpload(User::factory()->create()))->assertForbidden();
+        $attach($this->processedUpload($owner), 'LEGACY')
+            ->assertForbidden()
+            ->assertJson(['message' => 'You are not allowed to edit product LEGACY']);
+
+        $this->actingAs($other);
+        $attach($this->processedUpload($other))
+            ->assertForbidden()
+            ->assertJson(['message' => 'You are not allowed to edit product SKU1']);
+        $this->assertDatabaseCount('product_image', 0);
+
+        $this->actingAs($owner);
+        $attach($this->processedUpload($owner))->assertOk()->assertJson(['product_id' => $product->id]);
+        $this->assertDatabaseCount('product_image', 1);
+
+        $admin = User::factory()->admin()->create();
+        $this->actingAs($admin);
+        $attach($this->processedUpload($admin), 'LEGACY')->assertOk();
+        $this->assertDatabaseCount('product_image', 2);
+
+        // Archive images go to products only their uploader may edit
+        $path = tempnam(sys_get_temp_dir(), 'archive');
+        $zip = new ZipArchive();
+        $zip->open($path, ZipArchive::OVERWRITE);
+        $zip->addFromString('SKU1/1.jpg', UploadedFile::fake()->image('photo.jpg', 20, 20)->getContent());
+        $zip->close();
+        $archive = Upload::create([
+            'user_id' => $other->id,
+            'upload_id' => (string) Str::uuid(),
+            'original_filename' => 'images.zip',
+            'status' => Upload::STATUS_PROCESSING,
+            'meta' => ['purpose' => Upload::PURPOSE_ARCHIVE],
+        ]);
+
+        (new ExtractImageArchive($archive->id, $path))->handle();
+        File::delete($path);
+
+        $entry = $archive->archiveEntries()->firstOrFail();
+        $this->assertSame(ArchiveEntry::STATUS_REJECTED, $entry->status);
+        $this->assertSame('Not allowed to edit product SKU1', $entry->reason);
+        $this->assertDatabaseCount('product_image', 2);
+    }
+
+    /**
+     * Users can't go past their storage or daily quota; failed uploads
+     * don't take up storage, and admins have no quota.
+     *
+     * @return void
+     */
+    public function test_init_enforces_the_user_quotas()
+    {
+        config(['uploads.quotas.max_bytes' => 100, 'uploads.quotas.max_uploads_per_day' => 3]);
+        $user = User::factory()->create();
+        foreach ([Upload::STATUS_COMPLETE => 60, Upload::STATUS_FAILED => 1000] as $status => $size) {
+            Upload::create([
+                'user_id' => $user->id,
+                'upload_id' => (string) Str::uuid(),
+                'original_filename' => 'photo.jpg',
+                'file_size' => $size,
+                'status' => $status,
+            ]);
+        }
+        $this->actingAs($user);
+
+        $this->init(50)
+            ->assertStatus(422)
+            ->assertJson(['error' => 'storage_quota_exceeded', 'max_bytes' => 100, 'remaining_bytes' => 40]);
+        $this->init(40)->assertCreated();
+
+        $this->getJson('/api/upload/quota')->assertOk()->assertExactJson([
+            'max_bytes' => 100,
+            'max_uploads_per_day' => 3,
+            'bytes' => 100,
+            'uploads_today' => 3,
+        ]);
+        $this->init(1)
+            ->assertStatus(422)
+            ->assertJson(['error' => 'daily_upload_limit', 'max_uploads_per_day' => 3]);
+
+        $this->actingAs(User::factory()->admin()->create());
+        $this->init(1000)->assertCreated();
+    }
+}
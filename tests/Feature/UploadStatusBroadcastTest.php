@@ -0,0 +1,175 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ProcessUploadJob;
+use App\Models\Upload;
+use App\Models\User;
+use App\Services\ImageVariants;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Tests\Fakes\RecordingBroadcaster;
+use Tests\TestCase;
+
+/**
+ * Feature tests for the upload status events broadcast while an upload is
+ * assembled and processed.
+ */
+
+class UploadStatusBroadcastTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * The broadcaster stand-in recording every event.
+     *
+     * @var RecordingBroadcaster
+     */
+    protected $broadcaster;
+
+    /**
+     * The upload session used by the current test.
+     *
+     * @var string
+     */
+    protected $uploadId;
+
+    /**
+     * Set up the test environment.
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->broadcaster = RecordingBroadcaster::register();
+        $this->uploadId = (string) Str::uuid();
+    }
+
+    /**
+     * Clean up chunk files written during the test.
+     */
+    protected function tearDown(): void
+    {
+        File::deleteDirectory(storage_path("app/uploads/tmp/{$this->uploadId}"));
+        File::delete(storage_path("app/uploads/{$this->uploadId}_assembled"));
+
+        parent::tearDown();
+    }
+
+    /**
+     * Get the statuses (and variants) broadcast for the current upload.
+     *
+     * @return array<int, array>
+     */
+    protected function broadcastStatuses(): array
+    {
+        return array_map(
+            fn ($payload) => array_filter([$payload['status'], $payload['variant']]),
+            $this->broadcaster->payloads("private-uploads.{$this->uploadId}", 'upload.status')
+        );
+    }
+
+    /**
+     * Create an upload record for the current session.
+     *
+     * @param string $status
+     * @return Upload
+     */
+    protected function createUpload(string $status): Upload
+    {
+        return Upload::create([
+            'upload_id' => $this->uploadId,
+            'original_filename' => 'photo.jpg',
+            'status' => $status,
+        ]);
+    }
+
+    /**
+     * Processing announces itself, every variant it generates and the result.
+     *
+     * @return void
+     */
+    public function test_processing_broadcasts_each_step()
+    {
+        Storage::fake();
+        Storage::fake('public');
+
+        $upload = $this->createUpload(Upload::STATUS_PROCESSING);
+        $path = "uploads/{$this->uploadId}/original";
+        Storage::put($path, UploadedFile::fake()->image('photo.jpg', 1200, 800)->getContent());
+
+        (new ProcessUploadJob($upload->id, Storage::path($path)))->handle(new ImageVariants());
+
+        $this->assertSame([
+            ['processing'],
+            ['processing', '256'],
+            ['processing', '512'],
+            ['processing', '1024'],
+            ['complete'],
+        ], $this->broadcastStatuses());
+        $this->assertSame(Upload::STATUS_COMPLETE, $upload->fresh()->status);
+        // The original, then every variant in each format this server can write
+        $formats = array_sum(array_map(fn ($profile) => count($profile['formats']), (new ImageVariants())->profiles()));
+        $this->assertSame(1 + $formats, $upload->images()->count());
+        $this->assertSame(3, $upload->images()->where('format', 'jpeg')->where('variant', '!=', 'original')->count());
+    }
+
+    /**
+     * A failing job tells the client instead of leaving it waiting.
+     *
+     * @return void
+     */
+    public function test_failed_processing_broadcasts_failure()
+    {
+        $upload = $this->createUpload(Upload::STATUS_PROCESSING);
+
+        try {
+            (new ProcessUploadJob($upload->id, storage_path("app/uploads/{$this->uploadId}/missing")))->handle(new ImageVariants());
+            $this->fail('Processing a missing file should throw.');
+        } catch (\Exception $e) {
+            // expected
+        }
+
+        $this->assertSame([['failed']], $this->broadcastStatuses());
+        $this->assertSame(Upload::STATUS_FAILED, $upload->fresh()->status);
+    }
+
+    /**
+     * Completing an upload broadcasts the assembly step before processing is queued.
+     *
+     * @return void
+     */
+    public function test_completing_upload_broadcasts_assembling()
+    {
+        Queue::fake();
+        Storage::fake();
+
+        $contents = UploadedFile::fake()->image('photo.jpg', 20, 20)->getContent();
+        $this->actingAs(User::factory()->create());
+
+        $this->uploadId = $this->postJson('/api/upload/init', [
+            'file_name' => 'photo.jpg',
+            'file_size' => strlen($contents),
+        ])->assertCreated()->json('upload_id');
+
+        $this->post('/api/upload/chunk', [
+            'upload_id' => $this->uploadId,
+            'chunk_index' => 0,
+            'total_chunks' => 1,
+            'chunk' => UploadedFile::fake()->createWithContent('photo.jpg', $contents),
+            'chunk_checksum' => md5($contents),
+        ], ['Accept' => 'application/json'])->assertOk();
+
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($contents),
+        ])->assertOk();
+
+        $this->assertSame([['assembling']], $this->broadcastStatuses());
+        $this->assertDatabaseHas('uploads', ['upload_id' => $this->uploadId, 'status' => 'processing']);
+        Queue::assertPushed(ProcessUploadJob::class);
+    }
+}
@@ -0,0 +1,294 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Events\UploadStatusUpdated;
+use App\Models\Image;
+use App\Models\Import;
+use App\Models\Product;
+use App\Models\Upload;
+use App\Models\User;
+use App\Services\Scanners\FakeScanner;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Event;
+use Illuminate\Support\Facades\File;
+use Illuminate\Support\Facades\Storage;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\Concerns\UploadsImportFiles;
+use Tests\TestCase;
+
+/**
+ * Feature tests for the virus scan of completed uploads and the admin
+ * quarantine page, using the fake scanner.
+ */
+
+class VirusScanningTest extends TestCase
+{
+    use RefreshDatabase, UploadsImportFiles;
+
+    /**
+     * The upload session used by the current test.
+     *
+     * @var string|null
+     */
+    protected $uploadId;
+
+    /**
+     * The user sending the uploads.
+     *
+     * @var User
+     */
+    protected $uploader;
+
+    /**
+     * Set up the test environment with the fake scanner and a single JPEG
+     * variant profile.
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake();
+        Storage::fake('public');
+        config([
+            'uploads.scanning.driver' => 'fake',
+            'uploads.variants' => ['256' => ['width' => 256, 'height' => 256, 'fit' => 'contain', 'formats' => ['jpeg']]],
+        ]);
+        $this->uploader = User::factory()->create();
+    }
+
+    /**
+     * Clean up chunk files written during the test.
+     */
+    protected function tearDown(): void
+    {
+        if ($this->uploadId) {
+            File::deleteDirectory(storage_path("app/uploads/tmp/{$this->uploadId}"));
+            File::delete(storage_path("app/uploads/{$this->uploadId}_assembled"));
+        }
+
+        parent::tearDown();
+    }
+
+    /**
+     * Send a JPEG through init, one chunk and complete as the uploader.
+     *
+     * @param string $contents
+     * @return \Illuminate\Testing\TestResponse The completion response
+     */
+    protected function uploadImage(string $contents)
+    {
+        config(['uploads.chunk_size' => strlen($contents)]);
+        $this->actingAs($this->uploader);
+        $this->uploadId = $this->postJson('/api/upload/init', [
+            'file_name' => 'photo.jpg',
+            'file_size' => strlen($contents),
+            'mime_type' => 'image/jpeg',
+        ])->assertCreated()->json('upload_id');
+
+        $this->post('/api/upload/chunk', [
+            'upload_id' => $this->uploadId,
+            'chunk_index' => 0,
+            'total_chunks' => 1,
+            'chunk' => UploadedFile::fake()->createWithContent('photo.jpg', $contents),
+            'chunk_checksum' => md5($contents),
+        ], ['Accept' => 'application/json'])->assertOk();
+
+        return $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($contents),
+        ]);
+    }
+
+    /**
+     * A JPEG with the EICAR test string in it.
+     *
+     * @return string
+     */
+    protected function infectedJpeg(): string
+    {
+        return UploadedFile::fake()->image('photo.jpg', 20, 20)->getContent() . FakeScanner::EICAR;
+    }
+
+    /**
+     * The current upload.
+     *
+     * @return Upload
+     */
+    protected function upload(): Upload
+    {
+        return Upload::where('upload_id', $this->uploadId)->firstOrFail();
+    }
+
+    /**
+     * A clean file is scanned between assembling and processing.
+     *
+     * @return void
+     */
+    public function test_clean_uploads_are_scanned_before_processing()
+    {
+        Event::fake([UploadStatusUpdated::class]);
+
+        $this->uploadImage(UploadedFile::fake()->image('photo.jpg', 20, 20)->getContent())
+            ->assertOk()
+            ->assertJson(['status' => 'assembled']);
+
+        $statuses = Event::dispatched(UploadStatusUpdated::class)->map(fn ($event) => $event[0]->status)->unique()->values()->all();
+        $this->assertSame(['assembling', 'scanning'], array_slice($statuses, 0, 2));
+        $this->assertSame(Upload::STATUS_COMPLETE, $this->upload()->status);
+    }
+
+    /**
+     * An infected file is moved to quarantine instead of being processed.
+     *
+     * @return void
+     */
+    public function test_infected_uploads_are_quarantined()
+    {
+        $this->uploadImage($this->infectedJpeg())
+            ->assertStatus(422)
+            ->assertJson([
+                'error' => 'upload_quarantined',
+                'message' => 'The file contains Eicar-Test-Signature and was quarantined',
+                'status' => 'quarantined',
+            ]);
+
+        $upload = $this->upload();
+        $this->assertTrue($upload->isQuarantined());
+        $this->assertSame('Eicar-Test-Signature', $upload->meta['quarantine']['threat']);
+        $this->assertSame('fake', $upload->meta['quarantine']['scanner']);
+        Storage::assertExists("quarantine/{$this->uploadId}");
+        Storage::assertMissing("uploads/{$this->uploadId}/original");
+        $this->assertSame(0, $upload->images()->count());
+        $this->assertDirectoryDoesNotExist(storage_path("app/uploads/tmp/{$this->uploadId}"));
+
+        $this->getJson("/api/upload/{$this->uploadId}/status")
+            ->assertJson(['status' => 'quarantined', 'message' => 'The file contains Eicar-Test-Signature and was quarantined']);
+        $this->deleteJson("/api/upload/{$this->uploadId}")->assertStatus(409);
+    }
+
+    /**
+     * Product files are scanned like images: an infected one is quarantined
+     * and never imported, and there is no way around the upload to the
+     * import.
+     *
+     * @return void
+     */
+    public function test_infected_product_files_are_not_imported()
+    {
+        $csv = "sku,name\nV1,Virus\n" . FakeScanner::EICAR . ",Payload\n";
+        $this->actingAs($this->uploader);
+
+        $this->post('/api/products/import/csv', [
+            'csv' => UploadedFile::fake()->createWithContent('products.csv', $csv),
+        ], ['Accept' => 'application/json'])->assertNotFound();
+
+        $this->uploadImportFile('products.csv', $csv)
+            ->assertStatus(422)
+            ->assertJson(['error' => 'upload_quarantined', 'status' => 'quarantined']);
+
+        $this->assertTrue(Upload::where('original_filename', 'products.csv')->firstOrFail()->isQuarantined());
+        $this->assertSame(0, Import::count());
+        $this->assertSame(0, Product::count());
+    }
+
+    /**
+     * A file the scanner can't check fails, but can be completed again.
+     *
+     * @return void
+     */
+    public function test_uploads_fail_while_the_scanner_is_unavailable()
+    {
+        config(['uploads.scanning.fake.unavailable' => true]);
+        $jpeg = UploadedFile::fake()->image('photo.jpg', 20, 20)->getContent();
+
+        $this->uploadImage($jpeg)
+            ->assertStatus(503)
+            ->assertJson(['error' => 'scan_failed', 'status' => 'failed']);
+        $this->assertSame(Upload::STATUS_FAILED, $this->upload()->status);
+
+        config(['uploads.scanning.fake.unavailable' => false]);
+        $this->postJson('/api/upload/complete', [
+            'upload_id' => $this->uploadId,
+            'file_checksum' => md5($jpeg),
+        ])->assertOk();
+        $this->assertSame(Upload::STATUS_COMPLETE, $this->upload()->status);
+    }
+
+    /**
+     * Only admins see the quarantine and decide on its files.
+     *
+     * @return void
+     */
+    public function test_quarantine_is_for_admins_only()
+    {
+        $this->uploadImage($this->infectedJpeg())->assertStatus(422);
+        $upload = $this->upload();
+
+        $this->app['auth']->forgetGuards();
+        $this->get('/admin/quarantine')->assertRedirect('/login');
+
+        $user = User::factory()->create();
+        $this->actingAs($user)->get('/admin/quarantine')->assertForbidden();
+        $this->actingAs($user)->postJson("/api/quarantine/{$upload->id}/release")->assertForbidden();
+        $this->actingAs($user)->deleteJson("/api/quarantine/{$upload->id}")->assertForbidden();
+
+        $this->actingAs(User::factory()->admin()->create())->get('/admin/quarantine')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Admin/Quarantine')
+                ->where('uploads.data.0.upload_id', $this->uploadId)
+                ->where('uploads.data.0.threat', 'Eicar-Test-Signature'));
+
+        $this->assertTrue($upload->fresh()->isQuarantined());
+    }
+
+    /**
+     * A released file continues through processing like a clean upload.
+     *
+     * @return void
+     */
+    public function test_admins_can_release_a_quarantined_upload()
+    {
+        $this->uploadImage($this->infectedJpeg())->assertStatus(422);
+        $upload = $this->upload();
+        $admin = User::factory()->admin()->create();
+
+        $this->actingAs($admin)->postJson("/api/quarantine/{$upload->id}/release")
+            ->assertOk()
+            ->assertJson(['upload_id' => $this->uploadId]);
+
+        $upload->refresh();
+        $this->assertSame(Upload::STATUS_COMPLETE, $upload->status);
+        $this->assertSame($admin->id, $upload->meta['quarantine']['released_by']);
+        Storage::assertMissing("quarantine/{$this->uploadId}");
+        $this->assertTrue($upload->images()->where('variant', Image::VARIANT_ORIGINAL)->exists());
+
+        // Released once only
+        $this->actingAs($admin)->postJson("/api/quarantine/{$upload->id}/release")->assertStatus(409);
+    }
+
+    /**
+     * A purged file is deleted and its upload left rejected.
+     *
+     * @return void
+     */
+    public function test_admins_can_purge_a_quarantined_upload()
+    {
+        $this->uploadImage($this->infectedJpeg())->assertStatus(422);
+        $upload = $this->upload();
+        $admin = User::factory()->admin()->create();
+
+        $this->actingAs($admin)->deleteJson("/api/quarantine/{$upload->id}")->assertOk();
+
+        $upload->refresh();
+        $this->assertTrue($upload->isRejected());
+        $this->assertSame('The file contains Eicar-Test-Signature and was deleted', $upload->meta['rejection_reason']);
+        Storage::assertMissing("quarantine/{$this->uploadId}");
+
+        $this->actingAs($admin)->postJson("/api/quarantine/{$upload->id}/release")->assertStatus(409);
+        $this->actingAs($admin)->get('/admin/quarantine')
+            ->assertInertia(fn (Assert $page) => $page->has('uploads.data', 0));
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Services\ImageMetadata;
+use Tests\TestCase;
+
+/**
+ * Tests for reading and stripping image metadata without decoding pixels.
+ */
+
+class ImageMetadataTest extends TestCase
+{
+    /**
+     * Temporary files written by the current test.
+     *
+     * @var array<int, string>
+     */
+    protected $files = [];
+
+    /**
+     * Clean up the files written during the test.
+     */
+    protected function tearDown(): void
+    {
+        array_map('unlink', array_filter($this->files, 'is_file'));
+
+        parent::tearDown();
+    }
+
+    /**
+     * Write a 40x20 JPEG with an EXIF block (orientation and a GPS pointer),
+     * a comment and an ICC profile to a temporary file.
+     *
+     * @param int $orientation
+     * @return string Path to the file
+     */
+    public static function jpegWithMetadata(int $orientation = 6): string
+    {
+        $image = imagecreatetruecolor(40, 20);
+        ob_start();
+        imagejpeg($image);
+        $jpeg = ob_get_clean();
+
+        $tiff = "II\x2A\0" . pack('V', 8) . pack('v', 2)
+            . pack('vvVvv', 0x0112, 3, 1, $orientation, 0)
+            . pack('vvVV', 0x8825, 4, 1, 38)
+            . pack('V', 0) . 'GPS-52.37N-4.89E';
+        $segment = fn (int $marker, string $payload) => "\xFF" . chr($marker) . pack('n', strlen($payload) + 2) . $payload;
+
+        $path = tempnam(sys_get_temp_dir(), 'jpeg');
+        file_put_contents($path, "\xFF\xD8"
+            . $segment(0xE1, "Exif\0\0" . $tiff)
+            . $segment(0xFE, 'Shot at home')
+            . $segment(0xE2, "ICC_PROFILE\0\x01\x01" . 'sRGB-profile')
+            . substr($jpeg, 2));
+
+        return $path;
+    }
+
+    /**
+     * Orientation and color profile are read from the file.
+     *
+     * @return void
+     */
+    public function test_reads_orientation_and_color_profile()
+    {
+        $this->files[] = $path = static::jpegWithMetadata(8);
+        $metadata = new ImageMetadata();
+
+        $this->assertSame(8, $metadata->orientation($path));
+        $this->assertSame('sRGB-profile', $metadata->colorProfile($path));
+    }
+
+    /**
+     * Stripping drops EXIF and comments but can keep the orientation and
+     * color profile; the image still decodes the same.
+     *
+     * @return void
+     */
+    public function test_strip_keeps_only_what_is_asked_for()
+    {
+        $this->files[] = $path = static::jpegWithMetadata();
+        $metadata = new ImageMetadata();
+
+        $metadata->strip($path, keepOrientation: true, keepColorProfile: true);
+        $contents = file_get_contents($path);
+        $this->assertStringNotContainsString('GPS-52.37N', $contents);
+        $this->assertStringNotContainsString('Shot at home', $contents);
+        $this->assertSame(6, $metadata->orientation($path));
+        $this->assertSame('sRGB-profile', $metadata->colorProfile($path));
+        $this->assertSame([40, 20], array_slice(getimagesize($path), 0, 2));
+
+        $metadata->strip($path, keepOrientation: false, keepColorProfile: false);
+        $this->assertNull($metadata->orientation($path));
+        $this->assertNull($metadata->colorProfile($path));
+        $this->assertNotFalse(imagecreatefromjpeg($path));
+    }
+
+    /**
+     * PNG text chunks go, the image data stays valid.
+     *
+     * @return void
+     */
+    public function test_strip_removes_png_text_chunks()
+    {
+        $image = imagecreatetruecolor(10, 10);
+        ob_start();
+        imagepng($image);
+        $png = ob_get_clean();
+        $chunk = fn (string $type, string $payload) => pack('N', strlen($payload)) . $type . $payload . pack('N', crc32($type . $payload));
+
+        $this->files[] = $path = tempnam(sys_get_temp_dir(), 'png');
+        // The IHDR chunk ends 33 bytes in
+        file_put_contents($path, substr($png, 0, 33) . $chunk('tEXt', "Author\0Jane Doe") . substr($png, 33));
+
+        (new ImageMetadata())->strip($path);
+
+        $this->assertStringNotContainsString('Jane Doe', file_get_contents($path));
+        $this->assertNotFalse(imagecreatefrompng($path));
+    }
+}
@@ -0,0 +1,78 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Services\ImageVariants;
+use Intervention\Image\Drivers\Gd\Driver;
+use Intervention\Image\ImageManager;
+use InvalidArgumentException;
+use Tests\TestCase;
+
+/**
+ * Tests for the image variant profiles configured in config/uploads.php.
+ */
+
+class ImageVariantsTest extends TestCase
+{
+    /**
+     * Fit a 400x300 image into a 100x60 box.
+     *
+     * @param string $fit
+     * @return array{0: int, 1: int} The resulting width and height
+     */
+    protected function fitInto100x60(string $fit): array
+    {
+        $image = (new ImageManager(Driver::class))->create(400, 300);
+        $image = (new ImageVariants())->fit($image, ['width' => 100, 'height' => 60, 'fit' => $fit]);
+
+        return [$image->width(), $image->height()];
+    }
+
+    /**
+     * "contain" keeps the whole image, "cover" and "crop" fill the box.
+     *
+     * @return void
+     */
+    public function test_fit_modes()
+    {
+        $this->assertSame([80, 60], $this->fitInto100x60('contain'));
+        $this->assertSame([100, 60], $this->fitInto100x60('cover'));
+        $this->assertSame([100, 60], $this->fitInto100x60('crop'));
+    }
+
+    /**
+     * Profiles get defaults and lose the formats the server can't write.
+     *
+     * @return void
+     */
+    public function test_profiles_are_normalized()
+    {
+        config(['uploads.variants' => [
+            'thumb' => ['width' => 200, 'formats' => ['jpeg', 'webp', 'bmp']],
+        ]]);
+
+        $profile = (new ImageVariants())->profiles()['thumb'];
+
+        $this->assertSame(200, $profile['width']);
+        $this->assertNull($profile['height']);
+        $this->assertSame('contain', $profile['fit']);
+        $this->assertSame(85, $profile['quality']);
+        $this->assertContains('jpeg', $profile['formats']);
+        $this->assertNotContains('bmp', $profile['formats']);
+    }
+
+    /**
+     * Cutting an image to a box needs both of its sides.
+     *
+     * @return void
+     */
+    public function test_cover_profile_without_a_height_is_rejected()
+    {
+        config(['uploads.variants' => [
+            'banner' => ['width' => 1200, 'fit' => 'cover', 'formats' => ['jpeg']],
+        ]]);
+
+        $this->expectException(InvalidArgumentException::class);
+        (new ImageVariants())->profiles();
+    }
+}
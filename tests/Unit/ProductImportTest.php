@@ -4,8 +4,12 @@
 
 use Tests\TestCase;
 use Illuminate\Foundation\Testing\RefreshDatabase;
+use App\Models\Import;
 use App\Models\Product;
+use App\Services\ImportHistory;
 use App\Services\ProductCsvImporter;
+use App\Services\ProductRowValidator;
+use Illuminate\Support\Facades\DB;
 
 /**
  * Test suite for product import functionality.
@@ -46,8 +50,10 @@ protected function setUp(): void
     protected function tearDown(): void
     {
         // Clean up test files
-        if (file_exists($this->testCsvPath)) {
-            unlink($this->testCsvPath);
+        foreach ([$this->testCsvPath, dirname($this->testCsvPath) . '/products-errors.csv'] as $path) {
+            if (file_exists($path)) {
+                unlink($path);
+            }
         }
         
         parent::tearDown();
@@ -106,4 +112,237 @@ public function test_upsert_creates_and_updates_products()
         $this->assertEquals(1, $summary['imported'], 'Should have imported 1 new product');
         $this->assertEquals(1, $summary['updated'], 'Should have updated 1 existing product');
     }
+
+    /**
+     * Test that a column mapping lets the importer read files whose headers
+     * don't match the product field names.
+     *
+     * @return void
+     */
+    public function test_column_mapping_reads_custom_headers()
+    {
+        $csvData = <<<CSV
+Item Code,Title,Cost,name
+SKU3,Mapped Name,4.25,Ignored
+CSV;
+
+        file_put_contents($this->testCsvPath, $csvData);
+        $importer = new ProductCsvImporter();
+        $summary = $importer->import($this->testCsvPath, 10, [
+            'sku' => 'Item Code',
+            'name' => 'Title',
+            'price' => 'Cost',
+        ]);
+
+        // The "name" column is ignored because "Title" was mapped to name
+        $this->assertDatabaseHas('products', [
+            'sku'   => 'SKU3',
+            'name'  => 'Mapped Name',
+            'price' => 4.25,
+        ]);
+        $this->assertEquals(1, $summary['imported']);
+        $this->assertEquals(0, $summary['invalid']);
+    }
+
+    /**
+     * Test that prices written in either decimal convention are parsed.
+     *
+     * @return void
+     */
+    public function test_prices_are_parsed_in_common_currency_formats()
+    {
+        $this->assertSame(1299.0, ProductRowValidator::parsePrice('1.299,00'));
+        $this->assertSame(1299.0, ProductRowValidator::parsePrice('1,299.00'));
+        $this->assertSame(1299.0, ProductRowValidator::parsePrice('1,299'));
+        $this->assertSame(12.5, ProductRowValidator::parsePrice('€ 12,50'));
+        $this->assertSame(1234567.0, ProductRowValidator::parsePrice('1.234.567'));
+        $this->assertSame(9.99, ProductRowValidator::parsePrice('$9.99'));
+        $this->assertNull(ProductRowValidator::parsePrice('n/a'));
+    }
+
+    /**
+     * Test that invalid rows are skipped and reported instead of aborting
+     * the import, and that the error report mirrors the source rows.
+     *
+     * @return void
+     */
+    public function test_invalid_rows_are_collected_into_error_report()
+    {
+        $csvData = <<<CSV
+sku,name,price,category
+OK1,Valid,"1.299,00",
+,Nameless,5,
+BAD SKU,Spaces,5,
+NEG1,Negative,-3,
+DESC1,Needs description,10,Furniture
+OK2,Also valid,2.50,
+CSV;
+
+        file_put_contents($this->testCsvPath, $csvData);
+        $importer = (new ProductCsvImporter())->setValidator(new ProductRowValidator(null, ['furniture']));
+        $summary = $importer->import($this->testCsvPath);
+
+        $this->assertEquals(6, $summary['total']);
+        $this->assertEquals(2, $summary['imported']);
+        $this->assertEquals(4, $summary['invalid']);
+        $this->assertDatabaseHas('products', ['sku' => 'OK1', 'price' => 1299.00]);
+        $this->assertDatabaseMissing('products', ['sku' => 'NEG1']);
+        $this->assertSame([3, 4, 5, 6], array_column($summary['errors'], 'line'));
+
+        // The report has the source columns plus the reason, one row per invalid row
+        $this->assertFileExists($summary['error_report']);
+        $report = array_map('str_getcsv', file($summary['error_report'], FILE_IGNORE_NEW_LINES));
+        $this->assertSame(['sku', 'name', 'price', 'category', 'error'], $report[0]);
+        $this->assertCount(5, $report);
+        $this->assertSame(['', 'Nameless', '5', '', "Missing required value for 'sku'"], $report[1]);
+        $this->assertSame('BAD SKU', $report[2][0]);
+        $this->assertStringContainsString('price', $report[3][4]);
+        $this->assertStringContainsString('Furniture', $report[4][4]);
+    }
+
+    /**
+     * Test that a dry run writes nothing and lists what each row would do.
+     *
+     * @return void
+     */
+    public function test_dry_run_lists_changes_without_writing()
+    {
+        Product::create(['sku' => 'SKU1', 'name' => 'Old', 'price' => 10.00]);
+        Product::create(['sku' => 'SKU2', 'name' => 'Same', 'price' => 5.00]);
+
+        $csvData = <<<CSV
+sku,name,price
+SKU1,NewName,10.00
+SKU2,Same,5
+SKU3,Brand new,7.25
+CSV;
+
+        file_put_contents($this->testCsvPath, $csvData);
+        $summary = (new ProductCsvImporter())->setDryRun()->import($this->testCsvPath);
+
+        $this->assertEquals(1, $summary['imported']);
+        $this->assertEquals(1, $summary['updated']);
+        $this->assertEquals(1, $summary['unchanged']);
+        $this->assertDatabaseHas('products', ['sku' => 'SKU1', 'name' => 'Old']);
+        $this->assertDatabaseMissing('products', ['sku' => 'SKU3']);
+
+        $changes = collect($summary['changes'])->keyBy('sku');
+        $this->assertSame(['update', 'unchanged', 'create'], $changes->pluck('action')->all());
+        $this->assertSame(['name' => ['old' => 'Old', 'new' => 'NewName']], $changes['SKU1']['changes']);
+        $this->assertNull($changes['SKU2']['changes']);
+        $this->assertSame(4, $changes['SKU3']['line']);
+        $this->assertSame('Brand new', $changes['SKU3']['values']['name']);
+    }
+
+    /**
+     * Test that an importer recording history keeps the before-state of
+     * the products it writes, and that the import can be reverted.
+     *
+     * @return void
+     */
+    public function test_recorded_history_can_be_reverted()
+    {
+        Product::create(['sku' => 'SKU1', 'name' => 'Old', 'price' => 10.00]);
+        $import = Import::create(['original_filename' => 'products.csv']);
+
+        file_put_contents($this->testCsvPath, "sku,name,price\nSKU1,New,11\nSKU2,Created,5\n");
+        (new ProductCsvImporter())->forImport($import)->import($this->testCsvPath);
+
+        $this->assertSame(2, $import->snapshots()->count());
+        $this->assertDatabaseHas('products', ['sku' => 'SKU1', 'name' => 'New']);
+
+        $counts = (new ImportHistory($import))->revert();
+
+        $this->assertSame(['restored' => 1, 'deleted' => 1, 'skipped' => 0], $counts);
+        $this->assertDatabaseHas('products', ['sku' => 'SKU1', 'name' => 'Old', 'price' => 10.00]);
+        $this->assertDatabaseMissing('products', ['sku' => 'SKU2']);
+    }
+
+    /**
+     * Test that row values are cleaned before they are validated and saved:
+     * whitespace is trimmed and collapsed, blank cells become null and
+     * short rows are padded.
+     *
+     * @return void
+     */
+    public function test_rows_are_cleaned_before_validation()
+    {
+        $csvData = "sku,name,description,price\n  SKU1 ,  Spaced    out   name ,   ,\" 12,50 \"\nSKU2,Short row\n";
+
+        file_put_contents($this->testCsvPath, $csvData);
+        $summary = (new ProductCsvImporter())->import($this->testCsvPath);
+
+        $this->assertEquals(2, $summary['imported']);
+        $this->assertEquals(0, $summary['invalid']);
+        $this->assertDatabaseHas('products', [
+            'sku' => 'SKU1',
+            'name' => 'Spaced out name',
+            'description' => null,
+            'price' => 12.50,
+        ]);
+        $this->assertDatabaseHas('products', ['sku' => 'SKU2', 'name' => 'Short row', 'price' => null]);
+    }
+
+    /**
+     * Test that only the first row for a SKU is imported, comparing SKUs
+     * after cleaning, and that valid rows are written in batches.
+     *
+     * @return void
+     */
+    public function test_duplicates_are_tracked_and_rows_upserted_in_batches()
+    {
+        $csvData = <<<CSV
+sku,name,price
+DUP1,First,1
+B1,Second,2
+ DUP1 ,Repeat,3
+B2,Third,4
+B3,Fourth,5
+CSV;
+
+        file_put_contents($this->testCsvPath, $csvData);
+
+        DB::enableQueryLog();
+        $summary = (new ProductCsvImporter())->import($this->testCsvPath, 2);
+        $upserts = array_filter(DB::getQueryLog(), fn ($query) => str_starts_with($query['query'], 'insert into "products"'));
+        DB::disableQueryLog();
+
+        $this->assertEquals(5, $summary['total']);
+        $this->assertEquals(4, $summary['imported']);
+        $this->assertEquals(1, $summary['duplicates']);
+        $this->assertSame([['line' => 4, 'sku' => 'DUP1', 'first_line' => 2]], array_map(
+            fn ($row) => array_intersect_key($row, array_flip(['line', 'sku', 'first_line'])),
+            $summary['duplicate_rows']
+        ));
+        $this->assertDatabaseHas('products', ['sku' => 'DUP1', 'name' => 'First']);
+
+        // Four valid rows in batches of two
+        $this->assertCount(2, $upserts);
+    }
+
+    /**
+     * Test that a run tracked on an import record stores its counts and
+     * skipped rows there instead of returning them.
+     *
+     * @return void
+     */
+    public function test_tracked_import_stores_progress_and_issues()
+    {
+        $import = Import::create(['original_filename' => 'products.csv']);
+
+        file_put_contents($this->testCsvPath, "sku,name,price\nT1,Tracked,1\n,No SKU,2\nT1,Again,3\n");
+        $summary = (new ProductCsvImporter())->forImport($import)->import($this->testCsvPath);
+
+        $import->refresh();
+        $this->assertSame([3, 3, 1, 1, 1], [
+            $import->total_rows,
+            $import->processed_rows,
+            $import->imported,
+            $import->invalid,
+            $import->duplicates,
+        ]);
+        $this->assertSame([3, 4], $import->issues()->orderBy('line')->pluck('line')->all());
+        $this->assertSame([], $summary['errors']);
+        $this->assertNull($summary['error_report']);
+    }
 }
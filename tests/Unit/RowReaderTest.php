@@ -0,0 +1,130 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Services\Readers\RowReader;
+use App\Services\Readers\XlsxRowReader;
+use PHPUnit\Framework\TestCase;
+use ZipArchive;
+
+/**
+ * Tests for the readers that stream rows out of product import files.
+ */
+
+class RowReaderTest extends TestCase
+{
+    /**
+     * Files written by the test, removed afterwards.
+     *
+     * @var array<int, string>
+     */
+    protected array $files = [];
+
+    protected function tearDown(): void
+    {
+        array_map('unlink', array_filter($this->files, 'file_exists'));
+
+        parent::tearDown();
+    }
+
+    /**
+     * Write a temporary file with the given extension.
+     *
+     * @param string $extension
+     * @param string $contents
+     * @return string
+     */
+    protected function file(string $extension, string $contents): string
+    {
+        $path = sys_get_temp_dir() . '/' . uniqid('rows_') . '.' . $extension;
+        file_put_contents($path, $contents);
+
+        return $this->files[] = $path;
+    }
+
+    /**
+     * TSV files are split on tabs; empty lines are skipped.
+     *
+     * @return void
+     */
+    public function test_reads_tab_separated_files()
+    {
+        $reader = RowReader::open($this->file('tsv', "sku\tname\nA1\tAlpha, with comma\n\nA2\tBeta\n"));
+
+        $this->assertSame(['sku', 'name'], $reader->headers());
+        $this->assertSame([
+            2 => ['sku' => 'A1', 'name' => 'Alpha, with comma'],
+            4 => ['sku' => 'A2', 'name' => 'Beta'],
+        ], iterator_to_array($reader->records()));
+        $this->assertCount(2, $reader);
+    }
+
+    /**
+     * A JSON array of objects is read element by element, lined up with the
+     * keys of the first object.
+     *
+     * @return void
+     */
+    public function test_reads_json_arrays()
+    {
+        $reader = RowReader::open($this->file('json', json_encode([
+            ['sku' => 'J1', 'name' => 'Alpha', 'price' => 12.5, 'tags' => ['a', 'b']],
+            ['name' => 'No SKU', 'sku' => null, 'extra' => 'ignored'],
+        ])));
+
+        $this->assertSame([
+            1 => ['sku' => 'J1', 'name' => 'Alpha', 'price' => '12.5', 'tags' => '["a","b"]'],
+            2 => ['sku' => null, 'name' => 'No SKU', 'price' => null, 'tags' => null],
+        ], iterator_to_array($reader->records()));
+    }
+
+    /**
+     * NDJSON rows are keyed by line number.
+     *
+     * @return void
+     */
+    public function test_reads_newline_delimited_json()
+    {
+        $reader = RowReader::open($this->file('ndjson', "{\"sku\":\"N1\",\"name\":\"One\"}\n\n{\"sku\":2,\"name\":\"Two\"}\n"));
+
+        $this->assertSame([
+            1 => ['sku' => 'N1', 'name' => 'One'],
+            3 => ['sku' => '2', 'name' => 'Two'],
+        ], iterator_to_array($reader->records()));
+    }
+
+    /**
+     * Workbooks are read from the chosen sheet, with shared strings resolved
+     * and cells left out of the file filled in.
+     *
+     * @return void
+     */
+    public function test_reads_chosen_sheet_of_workbook()
+    {
+        $path = sys_get_temp_dir() . '/' . uniqid('rows_') . '.xlsx';
+        $this->files[] = $path;
+
+        $zip = new ZipArchive();
+        $zip->open($path, ZipArchive::CREATE);
+        $zip->addFromString('xl/workbook.xml', '<?xml version="1.0"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Notes" sheetId="1" r:id="rId1"/><sheet name="Products" sheetId="2" r:id="rId2"/></sheets></workbook>');
+        $zip->addFromString('xl/_rels/workbook.xml.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="worksheet" Target="worksheets/sheet2.xml"/></Relationships>');
+        $zip->addFromString('xl/sharedStrings.xml', '<?xml version="1.0"?><sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><si><t>sku</t></si><si><t>name</t></si><si><t>price</t></si><si><r><t>Rich </t></r><r><t>Text</t></r></si></sst>');
+        $zip->addFromString('xl/worksheets/sheet1.xml', '<?xml version="1.0"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Read me</t></is></c></row></sheetData></worksheet>');
+        $zip->addFromString('xl/worksheets/sheet2.xml', '<?xml version="1.0"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+            . '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>'
+            . '<row r="2"><c r="A2"><v>1001</v></c><c r="B2" t="s"><v>3</v></c><c r="C2"><v>9.5</v></c></row>'
+            . '<row r="4"><c r="B4" t="inlineStr"><is><t>No SKU</t></is></c></row>'
+            . '</sheetData></worksheet>');
+        $zip->close();
+
+        $reader = RowReader::open($path, ['sheet' => 'Products']);
+
+        $this->assertInstanceOf(XlsxRowReader::class, $reader);
+        $this->assertSame(['Notes', 'Products'], $reader->sheetNames());
+        $this->assertSame([
+            2 => ['sku' => '1001', 'name' => 'Rich Text', 'price' => '9.5'],
+            4 => ['sku' => '', 'name' => 'No SKU', 'price' => ''],
+        ], iterator_to_array($reader->records()));
+        $this->assertSame(['Read me'], RowReader::open($path)->headers());
+    }
+}